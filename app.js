@@ -0,0 +1,82 @@
+import express from 'express';
+import cors from 'cors';
+import config from './config/config.js';
+import { limiteGlobal } from './config/rate-limit.js';
+import { swaggerUi, swaggerSpec } from './config/swagger.js';
+import authRoutes from './routes/auth.routes.js';
+import rolesRoutes from './routes/rol.routes.js';
+import usuariosRoutes from './routes/usuario.routes.js';
+import permisosRoutes from './routes/permiso.routes.js';
+import auditoriaRoutes from './routes/auditoria.routes.js';
+import webhooksRoutes from './routes/webhook.routes.js';
+import metricasRoutes from './routes/metrica.routes.js';
+import saludRoutes from './routes/salud.routes.js';
+import { requestId, idioma, registrarRequest, notFoundHandler, errorHandler } from './middlewares/index.js';
+
+/**
+ * Aplicación Express sin levantar el servidor, para poder usarla
+ * tanto desde server.js como desde las pruebas.
+ */
+const app = express();
+
+// Detrás de un proxy, sin esto req.ip (y el rate limiting por IP) sería la IP del proxy
+app.set('trust proxy', config.servidor.trustProxy);
+
+// Middleware
+app.use(requestId);
+// Idioma de los mensajes según Accept-Language (español por defecto)
+app.use(idioma);
+app.use(registrarRequest);
+// Solo los orígenes de CORS_ORIGIN pueden llamar a la API desde un navegador.
+// ETag, X-Request-Id y los headers de rate limiting deben ser legibles desde el frontend
+app.use(cors({
+  origin: config.cors.origenes,
+  exposedHeaders: [
+    'ETag',
+    'X-Request-Id',
+    'RateLimit-Policy',
+    'RateLimit-Limit',
+    'RateLimit-Remaining',
+    'RateLimit-Reset',
+    'Retry-After'
+  ]
+}));
+
+// Chequeos de salud y métricas: sin límite de requests, los consultan los orquestadores
+app.use('/health', saludRoutes);
+app.use('/metrics', metricasRoutes);
+
+// El límite por IP va antes de parsear el cuerpo, para no procesar requests que se rechazan
+app.use(limiteGlobal);
+// PATCH /api/roles/:id recibe JSON Merge Patch y JSON Patch, que son JSON con otro media type
+const cuerpoJson = express.json({
+  limit: config.servidor.bodyLimit,
+  type: ['application/json', 'application/merge-patch+json', 'application/json-patch+json']
+});
+// POST /api/roles/import acepta un JSON mayor que BODY_LIMIT y lo lee su propia ruta,
+// después de autenticar y autorizar. El routing de Express no distingue mayúsculas
+// ni la barra final, así que la comparación tampoco
+app.use((req, res, next) => {
+  const ruta = req.path.toLowerCase().replace(/\/+$/, '');
+  if (req.method === 'POST' && ruta === '/api/roles/import') {
+    return next();
+  }
+  return cuerpoJson(req, res, next);
+});
+
+// Swagger UI
+app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
+
+// Rutas
+app.use('/api/auth', authRoutes);
+app.use('/api/roles', rolesRoutes);
+app.use('/api/usuarios', usuariosRoutes);
+app.use('/api/permisos', permisosRoutes);
+app.use('/api/auditoria', auditoriaRoutes);
+app.use('/api/webhooks', webhooksRoutes);
+
+// Manejo de errores (debe ir después de las rutas)
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+export default app;
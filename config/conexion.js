@@ -0,0 +1,23 @@
+import postgres from 'postgres';
+
+/**
+ * Crea el pool de postgres.js a partir de config.baseDeDatos. Lo usan
+ * config/db.js y los scripts que solo cargan la configuración de la base
+ * (migrate.js, test-connection.js).
+ *
+ * @param {{ url: string, ssl: string, poolMax: number, idleTimeout: number, connectTimeout: number }} baseDeDatos
+ * @param {string} nombreAplicacion application_name de las conexiones
+ */
+export function crearConexion(baseDeDatos, nombreAplicacion) {
+  const { url, ssl, poolMax, idleTimeout, connectTimeout } = baseDeDatos;
+
+  return postgres(url, {
+    ssl: ssl === 'disable' ? false : ssl,
+    max: poolMax,    // Máximo de conexiones en el pool
+    idle_timeout: idleTimeout,
+    connect_timeout: connectTimeout,
+    connection: {
+      application_name: nombreAplicacion
+    }
+  });
+}
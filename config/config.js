@@ -0,0 +1,14 @@
+import { cargarConfiguracion, cargarDelEntorno } from './entorno.js';
+
+/**
+ * Configuración de la aplicación, leída de las variables de entorno (y del
+ * archivo .env) y validada al importarse (ver config/entorno.js). Si algo es
+ * inválido el proceso termina con un informe de todas las variables con
+ * problemas.
+ */
+
+export { ConfigError, PERFILES, cargarConfiguracion, cargarConfiguracionDeBase } from './entorno.js';
+
+const config = cargarDelEntorno(cargarConfiguracion);
+
+export default config;
@@ -1,33 +1,76 @@
-import dotenv from 'dotenv';
-dotenv.config();
+import config from './config.js';
+import { crearConexion } from './conexion.js';
+import logger from '../utils/logger.js';
 
-import postgres from 'postgres';
+// DATABASE_URL, el modo SSL y el tamaño del pool se validan en config/config.js.
+// Supabase requiere SSL (el perfil production usa require).
 
-// Verificar que la variable de entorno esté disponible
-const DATABASE_URL = process.env.DATABASE_URL;
+// Identifica las conexiones de este proceso en pg_stat_activity (ver estadoPool)
+const NOMBRE_APLICACION = `plat-back:${process.pid}`;
 
-if (!DATABASE_URL) {
-  console.error('DATABASE_URL no está configurada');
-  console.error('Variables de entorno disponibles:', Object.keys(process.env));
-  throw new Error('DATABASE_URL environment variable is required');
+const sql = crearConexion(config.baseDeDatos, NOMBRE_APLICACION);
+
+/**
+ * Ejecuta fn(tx) en una transacción limitada a una organización. Dentro de
+ * ella las consultas corren con el rol plataforma_app, sujeto a las políticas
+ * de row-level security (migración 0009_organizaciones): solo ven y modifican
+ * filas de esa organización, aunque la consulta no la filtre.
+ *
+ * @param {{ id: number|null, todas?: boolean }} organizacion Con todas: true
+ *   se leen las filas de todas las organizaciones (super administrador)
+ * @param {(tx: object) => Promise<*>} fn
+ */
+export async function conOrganizacion(organizacion, fn) {
+  if (!organizacion) {
+    throw new Error('conOrganizacion requiere la organización de la request (middleware organizacion)');
+  }
+
+  return sql.begin(async (tx) => {
+    await tx`
+      SELECT
+        set_config('role', 'plataforma_app', true),
+        set_config('app.organizacion_id', ${organizacion.id === null ? '' : String(organizacion.id)}, true),
+        set_config('app.todas_las_organizaciones', ${organizacion.todas ? 'on' : 'off'}, true)
+    `;
+
+    return fn(tx);
+  });
 }
 
-// Configuración específica para Supabase
-const sql = postgres(DATABASE_URL, {
-  ssl: 'require',  // Supabase requiere SSL
-  max: 10,         // Máximo de conexiones en el pool
-  idle_timeout: 20,
-  connect_timeout: 10,
-});
+/**
+ * Estado del pool de conexiones de este proceso. postgres.js no expone sus
+ * contadores internos, así que las conexiones abiertas se cuentan en
+ * pg_stat_activity por su application_name. La conexión que hace la consulta
+ * se cuenta como idle, que es como queda al terminar.
+ *
+ * @returns {Promise<{ maximo: number, conexiones: Record<string, number> }>}
+ *   conexiones por estado de Postgres (active, idle, idle in transaction...)
+ */
+export async function estadoPool() {
+  const filas = await sql`
+    SELECT
+      CASE WHEN pid = pg_backend_pid() THEN 'idle' ELSE coalesce(state, 'desconocido') END AS estado,
+      count(*)::int AS cantidad
+    FROM pg_stat_activity
+    WHERE application_name = ${NOMBRE_APLICACION}
+    GROUP BY 1
+  `;
+
+  return {
+    maximo: sql.options.max,
+    conexiones: Object.fromEntries(filas.map(({ estado, cantidad }) => [estado, cantidad]))
+  };
+}
 
-// Función para probar la conexión
+// Función para probar la conexión. /health/ready la usa en cada chequeo, por
+// eso el éxito se registra en nivel debug.
 export async function testConnection() {
   try {
     const result = await sql`SELECT NOW()`;
-    console.log('✅ Conexión exitosa a Supabase:', result[0].now);
+    logger.debug('Conexión exitosa a la base de datos', { hora: result[0].now });
     return true;
   } catch (error) {
-    console.error('❌ Error de conexión:', error.message);
+    logger.error('Error de conexión a la base de datos', { error });
     return false;
   }
 }
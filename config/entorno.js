@@ -0,0 +1,355 @@
+import dotenv from 'dotenv';
+
+/**
+ * Lectura y validación de las variables de entorno, sin efectos al
+ * importarse: config/config.js la usa para la aplicación y los scripts que
+ * solo necesitan la base (migrate.js, test-connection.js) leen únicamente
+ * las variables de la base.
+ *
+ * NODE_ENV elige el perfil (development, test o production), que define los
+ * valores por defecto y qué variables son obligatorias.
+ */
+
+export const PERFILES = ['development', 'test', 'production'];
+
+export class ConfigError extends Error {
+  /**
+   * @param {string} perfil
+   * @param {string[]} problemas Una línea por variable inválida
+   */
+  constructor(perfil, problemas) {
+    super(`Configuración inválida (NODE_ENV=${perfil}):\n${problemas.map((problema) => `  - ${problema}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problemas = problemas;
+  }
+}
+
+// Tipos: cada uno convierte el texto de la variable o lanza un Error con el motivo
+
+function entero({ min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+  return (texto) => {
+    const numero = Number(texto);
+    if (!/^\d+$/.test(texto) || numero < min || numero > max) {
+      throw new Error(`debe ser un entero entre ${min} y ${max}`);
+    }
+    return numero;
+  };
+}
+
+function opcion(valores) {
+  return (texto) => {
+    if (!valores.includes(texto)) throw new Error(`debe ser uno de: ${valores.join(', ')}`);
+    return texto;
+  };
+}
+
+function booleano(texto) {
+  if (texto === 'true') return true;
+  if (texto === 'false') return false;
+  throw new Error('debe ser true o false');
+}
+
+function texto({ minimo = 1, patron, descripcion } = {}) {
+  return (valor) => {
+    if (valor.length < minimo) throw new Error(`debe tener al menos ${minimo} caracteres`);
+    if (patron && !patron.test(valor)) throw new Error(`debe ser ${descripcion}`);
+    return valor;
+  };
+}
+
+function url(protocolos) {
+  return (valor) => {
+    let parseada;
+    try {
+      parseada = new URL(valor);
+    } catch {
+      throw new Error('debe ser una URL válida');
+    }
+    if (!protocolos.includes(parseada.protocol)) {
+      throw new Error(`debe usar el protocolo ${protocolos.map((protocolo) => protocolo.replace(':', '')).join(' o ')}`);
+    }
+    return valor;
+  };
+}
+
+/**
+ * Lista separada por comas de orígenes (https://app.example.com), o "*"
+ */
+function origenes(valor) {
+  if (valor.trim() === '*') return '*';
+
+  return valor.split(',').map((origen) => origen.trim()).filter(Boolean).map((origen) => {
+    let parseado;
+    try {
+      parseado = new URL(origen);
+    } catch {
+      throw new Error(`"${origen}" no es un origen válido`);
+    }
+    if (parseado.origin !== origen) {
+      throw new Error(`"${origen}" debe ser solo protocolo, host y puerto (${parseado.origin})`);
+    }
+    return origen;
+  });
+}
+
+function listaDeUrls(valor) {
+  return valor.split(',').map((item) => item.trim()).filter(Boolean).map(url(['http:', 'https:']));
+}
+
+/**
+ * 'trust proxy' de Express: true, la cantidad de proxies o una lista de IPs/subredes
+ */
+function confianzaEnProxy(valor) {
+  if (valor === 'true') return true;
+  if (valor === 'false') return false;
+  if (/^\d+$/.test(valor)) return Number(valor);
+  return valor;
+}
+
+/**
+ * Variables admitidas. porDefecto puede depender del perfil y ser una
+ * función de la configuración ya leída; obligatoria puede limitarse a
+ * algunos perfiles. El valor de las secretas nunca aparece en el informe.
+ */
+const VARIABLES = {
+  PORT: { tipo: entero({ min: 1, max: 65_535 }), porDefecto: 3000 },
+  PUBLIC_URL: {
+    tipo: listaDeUrls,
+    obligatoria: ['production'],
+    porDefecto: ({ PORT }) => [`http://localhost:${PORT}`]
+  },
+  TRUST_PROXY: { tipo: confianzaEnProxy, porDefecto: false },
+  BODY_LIMIT: {
+    tipo: texto({ patron: /^\d+(b|kb|mb)$/i, descripcion: 'un tamaño como 100kb o 1mb' }),
+    porDefecto: '100kb'
+  },
+  SHUTDOWN_TIMEOUT: { tipo: entero({ min: 0 }), porDefecto: 10_000 },
+  CORS_ORIGIN: {
+    tipo: origenes,
+    obligatoria: ['production'],
+    porDefecto: { development: ['http://localhost:3000', 'http://localhost:5173'], test: [] }
+  },
+
+  DATABASE_URL: { tipo: url(['postgres:', 'postgresql:']), obligatoria: true, secreta: true },
+  DATABASE_SSL: {
+    tipo: opcion(['disable', 'allow', 'prefer', 'require', 'verify-full']),
+    porDefecto: { development: 'prefer', test: 'disable', production: 'require' }
+  },
+  DB_POOL_MAX: { tipo: entero({ min: 1, max: 100 }), porDefecto: { development: 5, test: 5, production: 10 } },
+  DB_IDLE_TIMEOUT: { tipo: entero({ min: 0 }), porDefecto: 20 },
+  DB_CONNECT_TIMEOUT: { tipo: entero({ min: 1 }), porDefecto: 10 },
+
+  JWT_SECRET: {
+    tipo: texto(),
+    obligatoria: true,
+    secreta: true,
+    // En producción un secreto corto se puede adivinar por fuerza bruta
+    validarEn: { production: texto({ minimo: 32 }) }
+  },
+  JWT_EXPIRE: {
+    tipo: texto({ patron: /^\d+(ms|s|m|h|d)?$/, descripcion: 'una duración como 15m o 1h' }),
+    porDefecto: '15m'
+  },
+  JWT_REFRESH_EXPIRE_DAYS: { tipo: entero({ min: 1 }), porDefecto: 7 },
+
+  LOG_LEVEL: {
+    tipo: opcion(['debug', 'info', 'warn', 'error', 'silent']),
+    porDefecto: { development: 'debug', test: 'silent', production: 'info' }
+  },
+  // Sin token /metrics es público: en producción expondría rutas y carga del servidor
+  METRICS_TOKEN: { tipo: texto({ minimo: 16 }), obligatoria: ['production'], secreta: true, porDefecto: null },
+
+  RATE_LIMIT_ENABLED: { tipo: booleano, porDefecto: { development: true, test: false, production: true } },
+  RATE_LIMIT_WINDOW: { tipo: entero({ min: 1 }), porDefecto: 60 },
+  RATE_LIMIT_GLOBAL: { tipo: entero(), porDefecto: 300 },
+  RATE_LIMIT_AUTH: { tipo: entero(), porDefecto: 10 },
+  RATE_LIMIT_WRITE: { tipo: entero(), porDefecto: 60 },
+  RATE_LIMIT_ROLES_CREATE: { tipo: entero(), porDefecto: 20 },
+
+  // Las pruebas ejecutan el despachador a mano (test/webhooks.test.js)
+  WEBHOOKS_ENABLED: { tipo: booleano, porDefecto: { development: true, test: false, production: true } },
+  WEBHOOKS_POLL_INTERVAL: { tipo: entero({ min: 100 }), porDefecto: 1000 },
+  WEBHOOKS_TIMEOUT: { tipo: entero({ min: 100 }), porDefecto: 5000 },
+  WEBHOOKS_MAX_ATTEMPTS: { tipo: entero({ min: 1, max: 30 }), porDefecto: 8 },
+  WEBHOOKS_RETRY_BASE: { tipo: entero({ min: 1 }), porDefecto: 30 },
+  // Las pruebas entregan a un receptor en 127.0.0.1; fuera de ellas un webhook
+  // no puede apuntar a la red interna del servidor (utils/webhooks.js)
+  WEBHOOKS_ALLOW_PRIVATE_NETWORKS: { tipo: booleano, porDefecto: { development: false, test: true, production: false } },
+
+  SSE_HEARTBEAT_INTERVAL: { tipo: entero({ min: 1000 }), porDefecto: 15_000 }
+};
+
+// Las únicas variables que leen los scripts de la base
+const VARIABLES_DE_BASE = ['DATABASE_URL', 'DATABASE_SSL', 'DB_POOL_MAX', 'DB_IDLE_TIMEOUT', 'DB_CONNECT_TIMEOUT'];
+
+function valorPorDefecto(definicion, perfil, leidos) {
+  let valor = definicion.porDefecto;
+
+  if (valor !== null && typeof valor === 'object' && !Array.isArray(valor)) {
+    valor = valor[perfil];
+  }
+
+  return typeof valor === 'function' ? valor(leidos) : valor;
+}
+
+function perfilDe(env) {
+  const perfil = env.NODE_ENV || 'development';
+
+  if (!PERFILES.includes(perfil)) {
+    throw new ConfigError(perfil, [`NODE_ENV: debe ser uno de: ${PERFILES.join(', ')}`]);
+  }
+
+  return perfil;
+}
+
+/**
+ * Convierte y valida las variables indicadas
+ *
+ * @returns {{ leidos: Record<string, *>, problemas: string[] }}
+ */
+function leerVariables(env, perfil, nombres) {
+  const leidos = {};
+  const problemas = [];
+
+  for (const nombre of nombres) {
+    const definicion = VARIABLES[nombre];
+    const crudo = env[nombre];
+    const obligatoria = definicion.obligatoria === true
+      || (Array.isArray(definicion.obligatoria) && definicion.obligatoria.includes(perfil));
+
+    if (crudo === undefined || crudo === '') {
+      if (obligatoria) {
+        problemas.push(`${nombre}: es obligatoria`);
+      } else {
+        leidos[nombre] = valorPorDefecto(definicion, perfil, leidos);
+      }
+      continue;
+    }
+
+    try {
+      leidos[nombre] = definicion.tipo(crudo);
+      definicion.validarEn?.[perfil]?.(crudo);
+    } catch (error) {
+      const recibido = definicion.secreta || error.message.includes(crudo) ? '' : ` (recibido "${crudo}")`;
+      problemas.push(`${nombre}: ${error.message}${recibido}`);
+    }
+  }
+
+  return { leidos, problemas };
+}
+
+function baseDeDatosDe(leidos) {
+  return {
+    url: leidos.DATABASE_URL,
+    ssl: leidos.DATABASE_SSL,
+    poolMax: leidos.DB_POOL_MAX,
+    idleTimeout: leidos.DB_IDLE_TIMEOUT,
+    connectTimeout: leidos.DB_CONNECT_TIMEOUT
+  };
+}
+
+/**
+ * Lee y valida la configuración de un conjunto de variables de entorno.
+ *
+ * @param {Record<string, string|undefined>} env
+ * @returns {object} Configuración agrupada por área
+ * @throws {ConfigError} Con todas las variables inválidas, no solo la primera
+ */
+export function cargarConfiguracion(env) {
+  const perfil = perfilDe(env);
+  const { leidos, problemas } = leerVariables(env, perfil, Object.keys(VARIABLES));
+
+  if (perfil === 'production' && leidos.CORS_ORIGIN === '*') {
+    problemas.push('CORS_ORIGIN: en producción debe listar los orígenes permitidos, no "*"');
+  }
+
+  if (problemas.length > 0) {
+    throw new ConfigError(perfil, problemas);
+  }
+
+  return {
+    perfil,
+    servidor: {
+      puerto: leidos.PORT,
+      urlsPublicas: leidos.PUBLIC_URL,
+      trustProxy: leidos.TRUST_PROXY,
+      bodyLimit: leidos.BODY_LIMIT,
+      shutdownTimeout: leidos.SHUTDOWN_TIMEOUT
+    },
+    cors: {
+      origenes: leidos.CORS_ORIGIN
+    },
+    baseDeDatos: baseDeDatosDe(leidos),
+    jwt: {
+      secreto: leidos.JWT_SECRET,
+      expiracion: leidos.JWT_EXPIRE,
+      diasRefresh: leidos.JWT_REFRESH_EXPIRE_DAYS
+    },
+    logs: {
+      nivel: leidos.LOG_LEVEL
+    },
+    metricas: {
+      token: leidos.METRICS_TOKEN
+    },
+    rateLimit: {
+      habilitado: leidos.RATE_LIMIT_ENABLED,
+      ventana: leidos.RATE_LIMIT_WINDOW,
+      global: leidos.RATE_LIMIT_GLOBAL,
+      autenticacion: leidos.RATE_LIMIT_AUTH,
+      escrituras: leidos.RATE_LIMIT_WRITE,
+      creacionRoles: leidos.RATE_LIMIT_ROLES_CREATE
+    },
+    webhooks: {
+      habilitado: leidos.WEBHOOKS_ENABLED,
+      intervalo: leidos.WEBHOOKS_POLL_INTERVAL,
+      timeout: leidos.WEBHOOKS_TIMEOUT,
+      maxIntentos: leidos.WEBHOOKS_MAX_ATTEMPTS,
+      esperaBase: leidos.WEBHOOKS_RETRY_BASE,
+      permitirRedesPrivadas: leidos.WEBHOOKS_ALLOW_PRIVATE_NETWORKS
+    },
+    sse: {
+      latido: leidos.SSE_HEARTBEAT_INTERVAL
+    }
+  };
+}
+
+/**
+ * Como cargarConfiguracion, pero lee solo las variables de la base: los
+ * scripts de migraciones no deben exigir JWT_SECRET, CORS_ORIGIN, etc.
+ *
+ * @param {Record<string, string|undefined>} env
+ * @returns {{ perfil: string, baseDeDatos: object }}
+ * @throws {ConfigError}
+ */
+export function cargarConfiguracionDeBase(env) {
+  const perfil = perfilDe(env);
+  const { leidos, problemas } = leerVariables(env, perfil, VARIABLES_DE_BASE);
+
+  if (problemas.length > 0) {
+    throw new ConfigError(perfil, problemas);
+  }
+
+  return { perfil, baseDeDatos: baseDeDatosDe(leidos) };
+}
+
+/**
+ * Carga la configuración de process.env (y del archivo .env) con la función
+ * indicada. Si es inválida el proceso termina con el informe.
+ *
+ * @template T
+ * @param {(env: object) => T} cargar
+ * @returns {T}
+ */
+export function cargarDelEntorno(cargar) {
+  dotenv.config({ quiet: true });
+
+  try {
+    return cargar(process.env);
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+
+    // Sin stack trace: el informe ya dice qué corregir
+    process.stderr.write(`${error.message}\n`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,60 @@
+import config from './config.js';
+import { claveDeIp, claveDePrincipal, limitarSolicitudes } from '../middlewares/rate-limit.middleware.js';
+
+/**
+ * Cupos de requests por cliente. Cada uno se configura con su variable de
+ * entorno (requests por ventana; 0 lo desactiva) y todos comparten la
+ * ventana de RATE_LIMIT_WINDOW segundos. RATE_LIMIT_ENABLED=false los
+ * desactiva a todos (el perfil test lo hace). Ver config/config.js.
+ */
+const { habilitado, ...cupos } = config.rateLimit;
+const ventana = cupos.ventana * 1000;
+
+const METODOS_DE_LECTURA = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+function limite(cupo) {
+  return habilitado ? cupo : 0;
+}
+
+/**
+ * Todas las requests de una IP (salvo /health y /metrics, que se montan antes)
+ */
+export const limiteGlobal = limitarSolicitudes({
+  nombre: 'global',
+  limite: limite(cupos.global),
+  ventana,
+  clave: claveDeIp
+});
+
+/**
+ * Login, registro y renovación de tokens, por IP: frena la prueba de
+ * contraseñas por fuerza bruta
+ */
+export const limiteAutenticacion = limitarSolicitudes({
+  nombre: 'autenticacion',
+  limite: limite(cupos.autenticacion),
+  ventana,
+  clave: claveDeIp
+});
+
+/**
+ * Escrituras (POST, PUT, PATCH, DELETE) de cada usuario autenticado
+ */
+export const limiteEscrituras = limitarSolicitudes({
+  nombre: 'escrituras',
+  limite: limite(cupos.escrituras),
+  ventana,
+  clave: claveDePrincipal,
+  omitir: (req) => METODOS_DE_LECTURA.has(req.method)
+});
+
+/**
+ * Creación de roles (POST /api/roles, /bulk e /import) de cada usuario, más
+ * estricta que el resto de las escrituras
+ */
+export const limiteCreacionRoles = limitarSolicitudes({
+  nombre: 'creacion-roles',
+  limite: limite(cupos.creacionRoles),
+  ventana,
+  clave: claveDePrincipal
+});
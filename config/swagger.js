@@ -1,25 +1,186 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
 import swaggerJSDoc from 'swagger-jsdoc';
 import swaggerUi from 'swagger-ui-express';
+import config from './config.js';
+import { IDIOMAS, Mensaje, localizar } from '../utils/i18n.js';
+import { TIPOS_DE_EVENTO } from '../utils/webhooks.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DESCRIPCION_SERVIDORES = {
+  development: 'Servidor de desarrollo',
+  test: 'Servidor de pruebas',
+  production: 'Servidor de producción'
+};
+
+const NOMBRES_IDIOMAS = {
+  es: 'Español',
+  en: 'English'
+};
+
+/**
+ * Ejemplos de una respuesta de error, uno por idioma, con el mensaje tomado
+ * del catálogo (locales/) para que no se desactualicen. details puede
+ * contener Mensaje, que también se traducen.
+ *
+ * @param {{ code: string, clave: string, parametros?: object, details?: * }} error
+ * @param {string} [caso] Distingue varios ejemplos de la misma respuesta (ej. 'rol')
+ */
+function ejemplosDeError({ code, clave, parametros, details }, caso) {
+  return Object.fromEntries(IDIOMAS.map((idioma) => [
+    caso ? `${caso}_${idioma}` : idioma,
+    {
+      summary: caso ? `${caso} (${NOMBRES_IDIOMAS[idioma]})` : NOMBRES_IDIOMAS[idioma],
+      value: {
+        success: false,
+        code,
+        message: new Mensaje(clave, parametros).traducir(idioma),
+        ...(details !== undefined && { details: localizar(details, idioma) }),
+        requestId: '3f6c1a52-8d4e-4b7a-9a0e-2b1f0c9d7e11'
+      }
+    }
+  ]));
+}
+
+/**
+ * Ejemplos de una respuesta { success: true, message }, uno por idioma
+ *
+ * @param {string} clave Clave del mensaje en el catálogo
+ */
+function ejemplosDeExito(clave) {
+  return Object.fromEntries(IDIOMAS.map((idioma) => [
+    idioma,
+    {
+      summary: NOMBRES_IDIOMAS[idioma],
+      value: { success: true, message: new Mensaje(clave).traducir(idioma) }
+    }
+  ]));
+}
+
+/**
+ * Convierte los { x-mensaje: clave, parametros } de un ejemplo en Mensaje
+ */
+function mensajesDe(valor) {
+  if (Array.isArray(valor)) return valor.map(mensajesDe);
+  if (valor === null || typeof valor !== 'object') return valor;
+  if ('x-mensaje' in valor) return new Mensaje(valor['x-mensaje'], valor.parametros);
+
+  return Object.fromEntries(Object.entries(valor).map(([clave, item]) => [clave, mensajesDe(item)]));
+}
+
+/**
+ * Los comentarios de routes/ indican la clave del catálogo en lugar del
+ * texto de los mensajes; acá se completan como los de los componentes:
+ *
+ * - x-ejemplos-de-error: un error (o una lista, con `caso`) con los
+ *   argumentos de ejemplosDeError. En details, { x-mensaje: clave } es un Mensaje.
+ * - x-ejemplo-de-exito: clave del message de una respuesta { success, message }
+ * - x-mensaje, en la propiedad message de un schema: clave de su example
+ */
+function completarEjemplos(valor) {
+  if (valor === null || typeof valor !== 'object') return;
+
+  const { 'x-ejemplos-de-error': errores, 'x-ejemplo-de-exito': exito, 'x-mensaje': clave } = valor;
+
+  if (errores) {
+    delete valor['x-ejemplos-de-error'];
+    valor.examples = Object.assign({}, ...[errores].flat().map(({ caso, details, ...error }) => (
+      ejemplosDeError({ ...error, details: mensajesDe(details) }, caso)
+    )));
+  }
+
+  if (exito) {
+    delete valor['x-ejemplo-de-exito'];
+    valor.examples = ejemplosDeExito(exito);
+  }
+
+  if (clave) {
+    delete valor['x-mensaje'];
+    valor.example = new Mensaje(clave).toString();
+  }
+
+  Object.values(valor).forEach(completarEjemplos);
+}
 
 // Configuración básica de Swagger
 const swaggerDefinition = {
   openapi: '3.0.0',
   info: {
-    title: 'API de Roles',
+    title: 'API de Roles y Usuarios',
     version: '1.0.0',
-    description: 'API REST para gestión de roles del sistema',
+    description: 'API REST para gestión de roles y usuarios del sistema.\n\n'
+      + 'Los mensajes de las respuestas (`message` y los `mensaje` de `details`) se devuelven en el idioma '
+      + 'pedido en Accept-Language: español (por defecto) o inglés. El header Content-Language indica el idioma '
+      + 'usado. Los campos `code` no se traducen: son los que debe procesar el cliente.',
     contact: {
       name: 'Desarrollador',
       email: 'dev@example.com'
     }
   },
-  servers: [
+  // PUBLIC_URL: las URLs por las que se accede a la API en este entorno
+  servers: config.servidor.urlsPublicas.map((url) => ({
+    url,
+    description: DESCRIPCION_SERVIDORES[config.perfil]
+  })),
+  tags: [
+    {
+      name: 'Auth',
+      description: 'Autenticación mediante JWT'
+    },
+    {
+      name: 'Roles',
+      description: 'Gestión de roles del sistema'
+    },
+    {
+      name: 'Usuarios',
+      description: 'Gestión de usuarios y asignación de roles'
+    },
+    {
+      name: 'Permisos',
+      description: 'Catálogo de permisos asignables a roles'    },
+    {
+      name: 'Auditoría',
+      description: 'Registro de cambios para cumplimiento normativo'
+    },
     {
-      url: 'http://localhost:3000',
-      description: 'Servidor de desarrollo'
+      name: 'Webhooks',
+      description: 'Notificación de los cambios de roles a otros servicios'
+    },
+    {
+      name: 'Observabilidad',
+      description: 'Métricas y chequeos de salud para monitoreo'
+    }
+  ],
+  security: [
+    {
+      bearerAuth: [],
+      organizacion: []
+    },
+    {
+      bearerAuth: []
     }
   ],
   components: {
+    securitySchemes: {
+      bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        bearerFormat: 'JWT',
+        description: 'Access token obtenido en /api/auth/login'
+      },
+      organizacion: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-Organizacion-Id',
+        description: 'Organización sobre la que se opera. Por defecto la del access token; solo un super administrador puede indicar otra, o "*" para leer todas'
+      },
+      metricsToken: {
+        type: 'http',
+        scheme: 'bearer',
+        description: 'Valor de METRICS_TOKEN, si está configurada'
+      }
+    },
     schemas: {
       Rol: {
         type: 'object',
@@ -30,9 +191,14 @@ const swaggerDefinition = {
             description: 'ID único del rol',
             example: 1
           },
+          organizacion_id: {
+            type: 'integer',
+            description: 'Organización a la que pertenece el rol',
+            example: 1
+          },
           nombre: {
             type: 'string',
-            description: 'Nombre del rol (único)',
+            description: 'Nombre del rol (único en su organización)',
             example: 'Administrador'
           },
           descripcion: {
@@ -47,12 +213,23 @@ const swaggerDefinition = {
             example: true,
             default: true
           },
+          rol_padre_id: {
+            type: 'integer',
+            description: 'ID del rol padre del que hereda permisos',
+            example: null,
+            nullable: true
+          },
           fecha_creacion: {
             type: 'string',
             format: 'date-time',
             description: 'Fecha de creación del rol',
             example: '2024-01-15T10:30:00.000Z'
           },
+          version: {
+            type: 'integer',
+            description: 'Versión del rol; se incrementa en cada cambio (ver header ETag)',
+            example: 3
+          },
           fecha_actualizacion: {
             type: 'string',
             format: 'date-time',
@@ -67,127 +244,1467 @@ const swaggerDefinition = {
         properties: {
           nombre: {
             type: 'string',
-            description: 'Nombre del rol',
+            pattern: '\\S',
+            maxLength: 100,
+            description: 'Nombre del rol (no puede estar vacío)',
             example: 'Administrador'
           },
           descripcion: {
             type: 'string',
             description: 'Descripción del rol',
-            example: 'Acceso completo al sistema'
+            example: 'Acceso completo al sistema',
+            nullable: true
           },
           activo: {
             type: 'boolean',
             description: 'Estado del rol',
             example: true,
             default: true
+          },
+          rol_padre_id: {
+            type: 'integer',
+            description: 'ID del rol padre del que hereda permisos',
+            example: null,
+            nullable: true
           }
         }
       },
       RolUpdate: {
         type: 'object',
+        description: 'Campos a modificar (JSON Merge Patch): los ausentes se conservan y null vacía el campo',
+        minProperties: 1,
         properties: {
           nombre: {
             type: 'string',
-            description: 'Nombre del rol',
+            pattern: '\\S',
+            maxLength: 100,
+            description: 'Nombre del rol (no puede estar vacío)',
             example: 'Administrador'
           },
           descripcion: {
             type: 'string',
-            description: 'Descripción del rol',
-            example: 'Acceso completo al sistema'
+            description: 'Descripción del rol (null para quitarla)',
+            example: 'Acceso completo al sistema',
+            nullable: true
           },
           activo: {
             type: 'boolean',
             description: 'Estado del rol',
             example: true
+          },
+          rol_padre_id: {
+            type: 'integer',
+            description: 'ID del rol padre (null para convertirlo en raíz)',
+            example: 2,
+            nullable: true
           }
         }
       },
-      ApiResponse: {
+      OperacionJsonPatch: {
         type: 'object',
+        description: 'Operación de JSON Patch (RFC 6902) sobre un campo del rol',
+        required: ['op', 'path'],
         properties: {
-          success: {
-            type: 'boolean',
-            description: 'Indica si la operación fue exitosa'
+          op: {
+            type: 'string',
+            enum: ['add', 'remove', 'replace', 'move', 'copy', 'test']
           },
-          message: {
+          path: {
             type: 'string',
-            description: 'Mensaje descriptivo de la operación'
+            enum: ['/nombre', '/descripcion', '/activo', '/rol_padre_id'],
+            example: '/descripcion'
           },
-          data: {
-            description: 'Datos devueltos por la operación'
+          from: {
+            type: 'string',
+            enum: ['/nombre', '/descripcion', '/activo', '/rol_padre_id'],
+            description: 'Origen de move y copy'
+          },
+          value: {
+            description: 'Valor de add, replace y test',
+            example: 'Acceso de solo lectura'
           }
         }
       },
-      Error: {
+      RolJsonPatch: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          $ref: '#/components/schemas/OperacionJsonPatch'
+        }
+      },
+      OperacionRol: {
+        description: 'Operación de un lote; el campo accion determina los demás',
+        oneOf: [
+          { $ref: '#/components/schemas/OperacionCrearRol' },
+          { $ref: '#/components/schemas/OperacionActualizarRol' },
+          { $ref: '#/components/schemas/OperacionDesactivarRol' }
+        ],
+        discriminator: {
+          propertyName: 'accion'
+        }
+      },
+      OperacionCrearRol: {
         type: 'object',
+        required: ['accion', 'datos'],
         properties: {
-          success: {
+          accion: {
+            type: 'string',
+            enum: ['crear']
+          },
+          datos: {
+            $ref: '#/components/schemas/RolInput'
+          }
+        }
+      },
+      OperacionActualizarRol: {
+        type: 'object',
+        required: ['accion', 'id', 'datos'],
+        properties: {
+          accion: {
+            type: 'string',
+            enum: ['actualizar']
+          },
+          id: {
+            type: 'integer',
+            description: 'ID del rol a actualizar',
+            example: 3
+          },
+          datos: {
+            $ref: '#/components/schemas/RolUpdate'
+          },
+          reasignar_a: {
+            type: 'integer',
+            description: 'Rol al que pasar los usuarios si se desactiva un rol en uso',
+            example: 2
+          }
+        }
+      },
+      OperacionDesactivarRol: {
+        type: 'object',
+        required: ['accion', 'id'],
+        properties: {
+          accion: {
+            type: 'string',
+            enum: ['desactivar']
+          },
+          id: {
+            type: 'integer',
+            description: 'ID del rol a desactivar (soft delete)',
+            example: 4
+          },
+          reasignar_a: {
+            type: 'integer',
+            description: 'Rol al que pasar los usuarios si el rol está en uso',
+            example: 2
+          }
+        }
+      },
+      RolesLoteInput: {
+        type: 'object',
+        required: ['operaciones'],
+        properties: {
+          dry_run: {
             type: 'boolean',
-            example: false
+            default: false,
+            description: 'Evalúa las operaciones e informa el resultado de cada una sin confirmar ningún cambio'
           },
-          message: {
+          operaciones: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 100,
+            items: {
+              $ref: '#/components/schemas/OperacionRol'
+            }
+          }
+        }
+      },
+      ResultadoOperacion: {
+        type: 'object',
+        properties: {
+          indice: {
+            type: 'integer',
+            description: 'Posición de la operación en el lote',
+            example: 0
+          },
+          accion: {
             type: 'string',
-            description: 'Mensaje de error',
-            example: 'Error interno del servidor'
+            example: 'crear'
+          },
+          estado: {
+            type: 'string',
+            enum: ['ok', 'error'],
+            example: 'ok'
+          },
+          data: {
+            $ref: '#/components/schemas/Rol'
+          },
+          error: {
+            type: 'object',
+            description: 'Presente solo si estado es error',
+            properties: {
+              code: {
+                type: 'string',
+                example: 'DUPLICATE_VALUE'
+              },
+              message: {
+                type: 'string',
+                example: 'Ya existe un rol con ese nombre'
+              },
+              details: {}
+            }
           }
         }
-      }
-    },
-    responses: {
-      NotFound: {
-        description: 'Recurso no encontrado',
-        content: {
-          'application/json': {
-            schema: {
-              $ref: '#/components/schemas/Error'
-            },
-            example: {
-              success: false,
-              message: 'Rol no encontrado'
+      },
+      ReporteImportacion: {
+        type: 'object',
+        properties: {
+          resumen: {
+            type: 'object',
+            properties: {
+              total: { type: 'integer', example: 3 },
+              creados: { type: 'integer', example: 1 },
+              actualizados: { type: 'integer', example: 1 },
+              sin_cambios: { type: 'integer', example: 0 },
+              rechazados: { type: 'integer', example: 1 }
+            }
+          },
+          filas: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                fila: {
+                  type: 'integer',
+                  description: 'Línea del CSV (el encabezado es la 1) o posición en el array JSON (desde 1)',
+                  example: 2
+                },
+                nombre: {
+                  type: 'string',
+                  nullable: true,
+                  example: 'Editor'
+                },
+                estado: {
+                  type: 'string',
+                  enum: ['creado', 'actualizado', 'sin_cambios', 'rechazado'],
+                  example: 'creado'
+                },
+                id: {
+                  type: 'integer',
+                  description: 'ID del rol creado o actualizado',
+                  example: 7
+                },
+                errores: {
+                  type: 'array',
+                  description: 'Motivos del rechazo',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      ubicacion: { type: 'string', example: 'fila' },
+                      campo: { type: 'string', nullable: true, example: 'nombre' },
+                      mensaje: { type: 'string', example: 'El campo es requerido' },
+                      code: { type: 'string', example: 'DUPLICATE_VALUE' }
+                    }
+                  }
+                }
+              }
             }
           }
         }
       },
-      BadRequest: {
-        description: 'Solicitud inválida',
-        content: {
-          'application/json': {
-            schema: {
-              $ref: '#/components/schemas/Error'
-            },
-            example: {
-              success: false,
-              message: 'El nombre del rol es requerido'
+      RolArbol: {
+        allOf: [
+          {
+            $ref: '#/components/schemas/Rol'
+          },
+          {
+            type: 'object',
+            properties: {
+              hijos: {
+                type: 'array',
+                description: 'Roles que heredan de este rol',
+                items: {
+                  $ref: '#/components/schemas/RolArbol'
+                }
+              }
             }
           }
+        ]
+      },
+      Permiso: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'integer',
+            description: 'ID único del permiso',
+            example: 1
+          },
+          codigo: {
+            type: 'string',
+            description: 'Código único con formato recurso:accion',
+            example: 'roles:create'
+          },
+          descripcion: {
+            type: 'string',
+            description: 'Descripción del permiso',
+            example: 'Crear roles',
+            nullable: true
+          },
+          fecha_creacion: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Fecha de creación del permiso',
+            example: '2024-01-15T10:30:00.000Z'
+          }
         }
       },
-      InternalError: {
-        description: 'Error interno del servidor',
-        content: {
-          'application/json': {
-            schema: {
-              $ref: '#/components/schemas/Error'
+      PermisoEfectivo: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'integer',
+            description: 'ID del permiso',
+            example: 1
+          },
+          codigo: {
+            type: 'string',
+            description: 'Código del permiso',
+            example: 'roles:read'
+          },
+          descripcion: {
+            type: 'string',
+            description: 'Descripción del permiso',
+            nullable: true
+          },
+          otorgado_por: {
+            $ref: '#/components/schemas/RolResumen'
+          },
+          heredado: {
+            type: 'boolean',
+            description: 'Indica si el permiso proviene de un rol ancestro',
+            example: true
+          }
+        }
+      },
+      PermisoInput: {
+        type: 'object',
+        required: ['codigo'],
+        properties: {
+          codigo: {
+            type: 'string',
+            pattern: '^[a-z][a-z_]*:[a-z][a-z_]*$',
+            description: 'Código con formato recurso:accion',
+            example: 'reportes:read'
+          },
+          descripcion: {
+            type: 'string',
+            description: 'Descripción del permiso',
+            example: 'Consultar reportes'
+          }
+        }
+      },
+      PermisoUpdate: {
+        type: 'object',
+        required: ['descripcion'],
+        properties: {
+          descripcion: {
+            type: 'string',
+            description: 'Descripción del permiso',
+            example: 'Consultar reportes',
+            nullable: true
+          }
+        }
+      },
+      PermisosRolInput: {
+        type: 'object',
+        required: ['permisos'],
+        properties: {
+          permisos: {
+            type: 'array',
+            description: 'Códigos de los permisos que otorgará el rol',
+            items: {
+              type: 'string'
             },
-            example: {
-              success: false,
-              message: 'Error interno del servidor'
-            }
+            example: ['roles:read', 'roles:update']
           }
         }
-      }
-    }
-  }
-};
-
-// Opciones para swagger-jsdoc
-const options = {
-  definition: swaggerDefinition,
-  apis: ['./routes/*.js'], // rutas donde están los comentarios JSDoc
-};
-
-// Generar especificación
-const swaggerSpec = swaggerJSDoc(options);
+      },
+      RolResumen: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'integer',
+            description: 'ID del rol',
+            example: 1
+          },
+          nombre: {
+            type: 'string',
+            description: 'Nombre del rol',
+            example: 'Administrador'
+          },
+          activo: {
+            type: 'boolean',
+            description: 'Estado del rol',
+            example: true
+          }
+        }
+      },
+      Usuario: {
+        type: 'object',
+        required: ['nombre', 'email'],
+        properties: {
+          id: {
+            type: 'integer',
+            description: 'ID único del usuario',
+            example: 1
+          },
+          organizacion_id: {
+            type: 'integer',
+            description: 'Organización a la que pertenece el usuario',
+            example: 1
+          },
+          nombre: {
+            type: 'string',
+            description: 'Nombre del usuario',
+            example: 'Ana'
+          },
+          apellido: {
+            type: 'string',
+            description: 'Apellido del usuario',
+            example: 'Gómez',
+            nullable: true
+          },
+          email: {
+            type: 'string',
+            format: 'email',
+            description: 'Email del usuario (único)',
+            example: 'ana.gomez@example.com'
+          },
+          activo: {
+            type: 'boolean',
+            description: 'Estado del usuario',
+            example: true,
+            default: true
+          },
+          roles: {
+            type: 'array',
+            description: 'Roles asignados al usuario',
+            items: {
+              $ref: '#/components/schemas/RolResumen'
+            }
+          },
+          fecha_creacion: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Fecha de creación del usuario',
+            example: '2024-01-15T10:30:00.000Z'
+          },
+          fecha_actualizacion: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Fecha de última actualización',
+            example: '2024-01-15T10:30:00.000Z'
+          }
+        }
+      },
+      UsuarioInput: {
+        type: 'object',
+        required: ['nombre', 'email'],
+        properties: {
+          nombre: {
+            type: 'string',
+            pattern: '\\S',
+            maxLength: 100,
+            description: 'Nombre del usuario',
+            example: 'Ana'
+          },
+          apellido: {
+            type: 'string',
+            description: 'Apellido del usuario',
+            example: 'Gómez',
+            nullable: true
+          },
+          email: {
+            type: 'string',
+            format: 'email',
+            description: 'Email del usuario',
+            example: 'ana.gomez@example.com'
+          },
+          activo: {
+            type: 'boolean',
+            description: 'Estado del usuario',
+            example: true,
+            default: true
+          },
+          roles: {
+            type: 'array',
+            description: 'IDs de los roles a asignar (deben estar activos)',
+            items: {
+              type: 'integer'
+            },
+            example: [1]
+          }
+        }
+      },
+      UsuarioUpdate: {
+        type: 'object',
+        minProperties: 1,
+        properties: {
+          nombre: {
+            type: 'string',
+            pattern: '\\S',
+            maxLength: 100,
+            description: 'Nombre del usuario',
+            example: 'Ana'
+          },
+          apellido: {
+            type: 'string',
+            description: 'Apellido del usuario',
+            example: 'Gómez',
+            nullable: true
+          },
+          email: {
+            type: 'string',
+            format: 'email',
+            description: 'Email del usuario',
+            example: 'ana.gomez@example.com'
+          },
+          activo: {
+            type: 'boolean',
+            description: 'Estado del usuario',
+            example: true
+          }
+        }
+      },
+      AsignacionRoles: {
+        type: 'object',
+        required: ['roles'],
+        properties: {
+          roles: {
+            type: 'array',
+            minItems: 1,
+            description: 'IDs de los roles a asignar (deben estar activos)',
+            items: {
+              type: 'integer'
+            },
+            example: [1, 2]
+          }
+        }
+      },
+      RegisterInput: {
+        type: 'object',
+        required: ['nombre', 'email', 'password'],
+        properties: {
+          nombre: {
+            type: 'string',
+            pattern: '\\S',
+            maxLength: 100,
+            description: 'Nombre del usuario',
+            example: 'Ana'
+          },
+          apellido: {
+            type: 'string',
+            description: 'Apellido del usuario',
+            example: 'Gómez',
+            nullable: true
+          },
+          email: {
+            type: 'string',
+            format: 'email',
+            description: 'Email del usuario',
+            example: 'ana.gomez@example.com'
+          },
+          password: {
+            type: 'string',
+            format: 'password',
+            minLength: 8,
+            description: 'Contraseña (mínimo 8 caracteres)',
+            example: 's3cr3t0-seguro'
+          }
+        }
+      },
+      LoginInput: {
+        type: 'object',
+        required: ['email', 'password'],
+        properties: {
+          email: {
+            type: 'string',
+            format: 'email',
+            description: 'Email del usuario',
+            example: 'ana.gomez@example.com'
+          },
+          password: {
+            type: 'string',
+            format: 'password',
+            minLength: 1,
+            description: 'Contraseña del usuario',
+            example: 's3cr3t0-seguro'
+          }
+        }
+      },
+      RefreshInput: {
+        type: 'object',
+        required: ['refreshToken'],
+        properties: {
+          refreshToken: {
+            type: 'string',
+            minLength: 1,
+            description: 'Refresh token emitido en el login o en la última renovación'
+          }
+        }
+      },
+      LogoutInput: {
+        type: 'object',
+        properties: {
+          refreshToken: {
+            type: 'string',
+            description: 'Refresh token de la sesión a cerrar'
+          },
+          todas: {
+            type: 'boolean',
+            description: 'Cerrar todas las sesiones del usuario',
+            default: false
+          }
+        }
+      },
+      Tokens: {
+        type: 'object',
+        properties: {
+          accessToken: {
+            type: 'string',
+            description: 'JWT de corta duración para el header Authorization'
+          },
+          refreshToken: {
+            type: 'string',
+            description: 'Token opaco para renovar el access token'
+          },
+          tokenType: {
+            type: 'string',
+            example: 'Bearer'
+          }
+        }
+      },
+      AuthSession: {
+        allOf: [
+          {
+            $ref: '#/components/schemas/Tokens'
+          },
+          {
+            type: 'object',
+            properties: {
+              usuario: {
+                $ref: '#/components/schemas/Usuario'
+              }
+            }
+          }
+        ]
+      },
+      ApiResponse: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            description: 'Indica si la operación fue exitosa'
+          },
+          message: {
+            type: 'string',
+            description: 'Mensaje descriptivo de la operación'
+          },
+          data: {
+            description: 'Datos devueltos por la operación'
+          }
+        }
+      },
+      EstadoDisponibilidad: {
+        type: 'object',
+        properties: {
+          estado: {
+            type: 'string',
+            example: 'listo'
+          },
+          base_de_datos: {
+            type: 'object',
+            properties: {
+              conectada: {
+                type: 'boolean',
+                example: true
+              },
+              latencia_ms: {
+                type: 'number',
+                description: 'Duración de la consulta de prueba en milisegundos',
+                example: 1.84
+              }
+            }
+          },
+          migraciones: {
+            type: 'object',
+            properties: {
+              pendientes: {
+                type: 'array',
+                description: 'Migraciones sin aplicar',
+                items: {
+                  type: 'string'
+                },
+                example: []
+              },
+              faltantes: {
+                type: 'array',
+                description: 'Migraciones aplicadas cuyo archivo no existe en esta versión',
+                items: {
+                  type: 'string'
+                },
+                example: []
+              }
+            }
+          }
+        }
+      },
+      RegistroAuditoria: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'integer',
+            description: 'ID del registro (creciente en el tiempo)',
+            example: 15
+          },
+          organizacion_id: {
+            type: 'integer',
+            description: 'Organización en la que se hizo el cambio',
+            example: 1
+          },
+          entidad: {
+            type: 'string',
+            description: 'Tipo de entidad modificada',
+            example: 'rol'
+          },
+          entidad_id: {
+            type: 'integer',
+            description: 'ID de la entidad modificada',
+            example: 3
+          },
+          accion: {
+            type: 'string',
+            enum: ['crear', 'actualizar', 'eliminar', 'restaurar', 'eliminar_definitivo', 'actualizar_permisos', 'reasignar_usuarios'],
+            description: 'Operación realizada',
+            example: 'actualizar'
+          },
+          actor_id: {
+            type: 'integer',
+            nullable: true,
+            description: 'ID del usuario que hizo el cambio',
+            example: 1
+          },
+          actor_email: {
+            type: 'string',
+            nullable: true,
+            description: 'Email del usuario al momento del cambio',
+            example: 'admin@example.com'
+          },
+          antes: {
+            type: 'object',
+            nullable: true,
+            description: 'Estado completo previo al cambio (null al crear)',
+            example: { id: 3, nombre: 'Editor', descripcion: null, activo: true }
+          },
+          despues: {
+            type: 'object',
+            nullable: true,
+            description: 'Estado completo posterior al cambio',
+            example: { id: 3, nombre: 'Editor', descripcion: 'Edita contenido', activo: true }
+          },
+          cambios: {
+            type: 'object',
+            description: 'Solo los campos que cambiaron, con su valor anterior y posterior',
+            additionalProperties: {
+              type: 'object',
+              properties: {
+                antes: {},
+                despues: {}
+              }
+            },
+            example: { descripcion: { antes: null, despues: 'Edita contenido' } }
+          },
+          request_id: {
+            type: 'string',
+            nullable: true,
+            description: 'ID del request que hizo el cambio (header X-Request-Id)',
+            example: '3f6c1a52-8d4e-4b7a-9a0e-2b1f0c9d7e11'
+          },
+          fecha: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Fecha del cambio',
+            example: '2024-01-15T10:30:00.000Z'
+          }
+        }
+      },
+      Webhook: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'integer',
+            description: 'ID único del webhook',
+            example: 1
+          },
+          organizacion_id: {
+            type: 'integer',
+            description: 'Organización cuyos eventos recibe',
+            example: 1
+          },
+          url: {
+            type: 'string',
+            description: 'URL a la que se envían los eventos con un POST',
+            example: 'https://inventario.example.com/webhooks/roles'
+          },
+          eventos: {
+            type: 'array',
+            description: 'Tipos de evento a los que está suscripto',
+            items: {
+              type: 'string',
+              enum: TIPOS_DE_EVENTO
+            },
+            example: ['rol.creado', 'rol.desactivado']
+          },
+          descripcion: {
+            type: 'string',
+            nullable: true,
+            description: 'Descripción del webhook',
+            example: 'Sincroniza los roles del servicio de inventario'
+          },
+          activo: {
+            type: 'boolean',
+            description: 'Un webhook inactivo no recibe eventos nuevos ni reintentos',
+            example: true
+          },
+          fecha_creacion: {
+            type: 'string',
+            format: 'date-time',
+            example: '2024-01-15T10:30:00.000Z'
+          },
+          fecha_actualizacion: {
+            type: 'string',
+            format: 'date-time',
+            example: '2024-01-15T10:30:00.000Z'
+          }
+        }
+      },
+      WebhookCreado: {
+        allOf: [
+          { $ref: '#/components/schemas/Webhook' },
+          {
+            type: 'object',
+            properties: {
+              secreto: {
+                type: 'string',
+                description: 'Clave para verificar la firma de las entregas. Solo se muestra al crear el webhook',
+                example: 'whsec_Jf3kQ0tV8m2yXb5nR1cW7pLs9dHa4eUz'
+              }
+            }
+          }
+        ]
+      },
+      WebhookInput: {
+        type: 'object',
+        required: ['url', 'eventos'],
+        properties: {
+          url: {
+            type: 'string',
+            format: 'uri',
+            pattern: '^https?://',
+            maxLength: 2000,
+            description: 'URL a la que se envían los eventos (https en producción). No puede resolver a una dirección privada, local o reservada',
+            example: 'https://inventario.example.com/webhooks/roles'
+          },
+          eventos: {
+            type: 'array',
+            minItems: 1,
+            description: 'Tipos de evento a los que se suscribe',
+            items: {
+              type: 'string',
+              enum: TIPOS_DE_EVENTO
+            },
+            example: ['rol.creado', 'rol.desactivado']
+          },
+          descripcion: {
+            type: 'string',
+            nullable: true,
+            description: 'Descripción del webhook',
+            example: 'Sincroniza los roles del servicio de inventario'
+          },
+          activo: {
+            type: 'boolean',
+            description: 'Estado del webhook',
+            example: true,
+            default: true
+          }
+        }
+      },
+      EntregaWebhook: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            description: 'ID de la entrega (entero de 64 bits, como texto)',
+            example: '87'
+          },
+          webhook_id: {
+            type: 'integer',
+            example: 1
+          },
+          evento_id: {
+            type: 'string',
+            description: 'ID del evento (header X-Webhook-Id)',
+            example: '154'
+          },
+          evento_tipo: {
+            type: 'string',
+            enum: TIPOS_DE_EVENTO,
+            example: 'rol.creado'
+          },
+          estado: {
+            type: 'string',
+            enum: ['pendiente', 'entregada', 'fallida'],
+            description: 'fallida: agotó los intentos y solo se vuelve a enviar si se reintenta a mano',
+            example: 'fallida'
+          },
+          intentos: {
+            type: 'integer',
+            description: 'Envíos hechos',
+            example: 8
+          },
+          proximo_intento: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Cuándo se hará el próximo envío, si está pendiente',
+            example: '2024-01-15T10:35:00.000Z'
+          },
+          ultimo_status: {
+            type: 'integer',
+            nullable: true,
+            description: 'Status HTTP de la última respuesta (null si no hubo respuesta)',
+            example: 503
+          },
+          ultimo_error: {
+            type: 'string',
+            nullable: true,
+            description: 'Motivo del último envío fallido',
+            example: 'HTTP 503'
+          },
+          fecha_creacion: {
+            type: 'string',
+            format: 'date-time',
+            example: '2024-01-15T10:30:00.000Z'
+          },
+          fecha_entrega: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+            description: 'Cuándo el receptor confirmó la entrega',
+            example: null
+          }
+        }
+      },
+      Evento: {
+        type: 'object',
+        description: 'Cambio de un rol: cuerpo del POST que recibe un webhook y datos de cada mensaje '
+          + 'de GET /api/roles/stream',
+        properties: {
+          id: {
+            type: 'string',
+            description: 'ID del evento, creciente; se repite si la entrega de un webhook se reintenta',
+            example: '154'
+          },
+          tipo: {
+            type: 'string',
+            enum: TIPOS_DE_EVENTO,
+            example: 'rol.desactivado'
+          },
+          fecha: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Fecha del cambio',
+            example: '2024-01-15T10:30:00.000Z'
+          },
+          organizacion_id: {
+            type: 'integer',
+            example: 1
+          },
+          entidad: {
+            type: 'string',
+            example: 'rol'
+          },
+          entidad_id: {
+            type: 'integer',
+            example: 3
+          },
+          datos: {
+            type: 'object',
+            description: 'Estado anterior y posterior del rol y los campos que cambiaron, como en el registro de auditoría',
+            properties: {
+              antes: { type: 'object', nullable: true },
+              despues: { type: 'object', nullable: true },
+              cambios: { type: 'object' }
+            },
+            example: {
+              antes: { id: 3, nombre: 'Editor', activo: true },
+              despues: { id: 3, nombre: 'Editor', activo: false },
+              cambios: { activo: { antes: true, despues: false } }
+            }
+          }
+        }
+      },
+      PaginacionMeta: {
+        type: 'object',
+        description: 'Datos de paginación por cursor de los listados',
+        properties: {
+          total: {
+            type: 'integer',
+            description: 'Cantidad total de registros que cumplen los filtros',
+            example: 42
+          },
+          limit: {
+            type: 'integer',
+            description: 'Tamaño de página aplicado',
+            example: 50
+          },
+          limite_maximo: {
+            type: 'integer',
+            description: 'Tamaño de página máximo admitido',
+            example: 100
+          },
+          sort: {
+            type: 'string',
+            description: 'Ordenamiento aplicado',
+            example: '-fecha_creacion'
+          },
+          cursor_siguiente: {
+            type: 'string',
+            nullable: true,
+            description: 'Cursor para pedir la página siguiente (null si es la última)',
+            example: 'eyJzIjoiLWZlY2hhX2NyZWFjaW9uIiwiZCI6InNpZ3VpZW50ZSIsInYiOlsiMjAyNS0wMS0xNSIsMTJdfQ'
+          },
+          cursor_anterior: {
+            type: 'string',
+            nullable: true,
+            description: 'Cursor para pedir la página anterior (null si es la primera)',
+            example: null
+          }
+        }
+      },
+      Error: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            example: false
+          },
+          code: {
+            type: 'string',
+            description: 'Código estable del error, pensado para que el cliente lo procese',
+            example: 'INTERNAL_ERROR'
+          },
+          message: {
+            type: 'string',
+            description: 'Mensaje de error en el idioma de Accept-Language',
+            example: 'Error interno del servidor'
+          },
+          details: {
+            description: 'Información adicional del error (campos inválidos, IDs involucrados, etc.)'
+          },
+          requestId: {
+            type: 'string',
+            description: 'Identificador de la solicitud, igual al header X-Request-Id',
+            example: '3f6c1a52-8d4e-4b7a-9a0e-2b1f0c9d7e11'
+          }
+        }
+      },
+      ValidationError: {
+        allOf: [
+          {
+            $ref: '#/components/schemas/Error'
+          },
+          {
+            type: 'object',
+            properties: {
+              details: {
+                type: 'array',
+                description: 'Errores por campo',
+                items: {
+                  type: 'object',
+                  properties: {
+                    ubicacion: {
+                      type: 'string',
+                      enum: ['params', 'query', 'body'],
+                      example: 'body'
+                    },
+                    campo: {
+                      type: 'string',
+                      nullable: true,
+                      example: 'nombre'
+                    },
+                    mensaje: {
+                      type: 'string',
+                      example: 'El campo es requerido'
+                    }
+                  }
+                }
+              }
+            }
+          }
+        ]
+      }
+    },
+    parameters: {
+      AcceptLanguage: {
+        in: 'header',
+        name: 'Accept-Language',
+        schema: {
+          type: 'string'
+        },
+        description: `Idioma de los mensajes de la respuesta (${IDIOMAS.join(', ')}). Sin este header, o si no se acepta ninguno de ellos, se responde en español`,
+        example: 'en-US,en;q=0.9'
+      },
+      Limit: {
+        in: 'query',
+        name: 'limit',
+        schema: {
+          type: 'integer',
+          minimum: 1,
+          maximum: 100,
+          default: 50
+        },
+        description: 'Tamaño de página (máximo 100)',
+        example: 10
+      },
+      Cursor: {
+        in: 'query',
+        name: 'cursor',
+        schema: {
+          type: 'string'
+        },
+        description: 'Cursor opaco tomado de meta.cursor_siguiente o meta.cursor_anterior de la respuesta anterior. Debe usarse con el mismo sort y filtros con que se generó'
+      },
+      RolesActivo: {
+        in: 'query',
+        name: 'activo',
+        schema: {
+          type: 'boolean'
+        },
+        description: 'Filtrar por estado activo/inactivo',
+        example: true
+      },
+      RolesQ: {
+        in: 'query',
+        name: 'q',
+        schema: {
+          type: 'string',
+          minLength: 1,
+          maxLength: 100
+        },
+        description: 'Texto a buscar en nombre y descripción, sin distinguir acentos ni mayúsculas (`administracion` encuentra `Administración`)',
+        example: 'admin'
+      },
+      RolesIds: {
+        in: 'query',
+        name: 'ids',
+        schema: {
+          type: 'array',
+          items: {
+            type: 'integer',
+            minimum: 1
+          },
+          minItems: 1,
+          maxItems: 100
+        },
+        style: 'form',
+        explode: false,
+        description: 'Obtener varios roles por ID, separados por coma',
+        example: [1, 2, 3]
+      },
+      RolesCreadoDesde: {
+        in: 'query',
+        name: 'creado_desde',
+        schema: {
+          type: 'string',
+          format: 'date-time'
+        },
+        description: 'Roles creados en esta fecha o después (ISO 8601)',
+        example: '2025-01-01T00:00:00Z'
+      },
+      RolesCreadoHasta: {
+        in: 'query',
+        name: 'creado_hasta',
+        schema: {
+          type: 'string',
+          format: 'date-time'
+        },
+        description: 'Roles creados en esta fecha o antes (ISO 8601)'
+      },
+      RolesActualizadoDesde: {
+        in: 'query',
+        name: 'actualizado_desde',
+        schema: {
+          type: 'string',
+          format: 'date-time'
+        },
+        description: 'Roles actualizados en esta fecha o después (ISO 8601)'
+      },
+      RolesActualizadoHasta: {
+        in: 'query',
+        name: 'actualizado_hasta',
+        schema: {
+          type: 'string',
+          format: 'date-time'
+        },
+        description: 'Roles actualizados en esta fecha o antes (ISO 8601)'
+      },
+      IfMatch: {
+        in: 'header',
+        name: 'If-Match',
+        schema: {
+          type: 'string'
+        },
+        description: 'ETag obtenido en el último GET del recurso. Si el recurso cambió desde entonces responde 412 y no se modifica nada. Sin este header la escritura no se condiciona',
+        example: '"v3"'
+      },
+      IfNoneMatch: {
+        in: 'header',
+        name: 'If-None-Match',
+        schema: {
+          type: 'string'
+        },
+        description: 'ETag de una respuesta anterior. Si el recurso no cambió responde 304 sin cuerpo',
+        example: '"v3"'
+      },
+      ReasignarA: {
+        in: 'query',
+        name: 'reasignar_a',
+        schema: {
+          type: 'integer',
+          minimum: 1
+        },
+        description: 'ID de un rol activo al que pasar los usuarios que tienen asignado el rol. Sin este parámetro, un rol en uso no se puede desactivar ni eliminar',
+        example: 2
+      },
+      AuditoriaSort: {
+        in: 'query',
+        name: 'sort',
+        schema: {
+          type: 'string',
+          enum: ['id', '-id', 'fecha', '-fecha'],
+          default: '-id'
+        },
+        description: 'Campo de ordenamiento; por defecto del cambio más reciente al más antiguo'
+      },
+      AuditoriaAccion: {
+        in: 'query',
+        name: 'accion',
+        schema: {
+          type: 'string',
+          enum: ['crear', 'actualizar', 'eliminar', 'restaurar', 'eliminar_definitivo', 'actualizar_permisos', 'reasignar_usuarios']
+        },
+        description: 'Filtrar por operación'
+      },
+      AuditoriaDesde: {
+        in: 'query',
+        name: 'desde',
+        schema: {
+          type: 'string',
+          format: 'date-time'
+        },
+        description: 'Cambios hechos en esta fecha o después (ISO 8601)'
+      },
+      AuditoriaHasta: {
+        in: 'query',
+        name: 'hasta',
+        schema: {
+          type: 'string',
+          format: 'date-time'
+        },
+        description: 'Cambios hechos en esta fecha o antes (ISO 8601)'
+      }
+    },
+    responses: {
+      NotModified: {
+        description: 'El recurso no cambió desde el ETag enviado en If-None-Match (sin cuerpo)'
+      },
+      PreconditionFailed: {
+        description: 'El recurso fue modificado desde el ETag enviado en If-Match',
+        content: {
+          'application/json': {
+            schema: {
+              $ref: '#/components/schemas/Error'
+            },
+            examples: ejemplosDeError({
+              code: 'PRECONDITION_FAILED',
+              clave: 'rol.modificado',
+              details: { version_actual: 4 }
+            })
+          }
+        }
+      },
+      UnsupportedMediaType: {
+        description: 'El Content-Type del cuerpo no es uno de los documentados para la operación',
+        content: {
+          'application/json': {
+            schema: {
+              $ref: '#/components/schemas/Error'
+            },
+            examples: ejemplosDeError({
+              code: 'UNSUPPORTED_MEDIA_TYPE',
+              clave: 'error.tipo_de_contenido_esperado',
+              parametros: { tipos: ['application/merge-patch+json', 'application/json-patch+json'] },
+              details: { tipos: ['application/merge-patch+json', 'application/json-patch+json'] }
+            })
+          }
+        }
+      },
+      NotFound: {
+        description: 'Recurso no encontrado',
+        content: {
+          'application/json': {
+            schema: {
+              $ref: '#/components/schemas/Error'
+            },
+            examples: {
+              ...ejemplosDeError({ code: 'NOT_FOUND', clave: 'rol.no_encontrado' }, 'rol'),
+              ...ejemplosDeError({ code: 'NOT_FOUND', clave: 'usuario.no_encontrado' }, 'usuario'),
+              ...ejemplosDeError({ code: 'NOT_FOUND', clave: 'webhook.no_encontrado' }, 'webhook')
+            }
+          }
+        }
+      },
+      BadRequest: {
+        description: 'Solicitud inválida',
+        content: {
+          'application/json': {
+            schema: {
+              $ref: '#/components/schemas/ValidationError'
+            },
+            examples: ejemplosDeError({
+              code: 'VALIDATION_ERROR',
+              clave: 'error.validacion',
+              details: [
+                {
+                  ubicacion: 'body',
+                  campo: 'nombre',
+                  mensaje: new Mensaje('validacion.requerido')
+                }
+              ]
+            })
+          }
+        }
+      },
+      Unauthorized: {
+        description: 'No autenticado o token inválido',
+        content: {
+          'application/json': {
+            schema: {
+              $ref: '#/components/schemas/Error'
+            },
+            examples: ejemplosDeError({ code: 'UNAUTHORIZED', clave: 'error.no_autenticado' })
+          }
+        }
+      },
+      Forbidden: {
+        description: 'El usuario no tiene los permisos requeridos',
+        content: {
+          'application/json': {
+            schema: {
+              $ref: '#/components/schemas/Error'
+            },
+            examples: ejemplosDeError({
+              code: 'FORBIDDEN',
+              clave: 'error.sin_permisos',
+              details: {
+                permisos: ['roles:update']
+              }
+            })
+          }
+        }
+      },
+      TooManyRequests: {
+        description: 'Se superó el cupo de requests de la ventana; reintentar después de Retry-After segundos',
+        headers: {
+          'Retry-After': {
+            description: 'Segundos hasta que se renueva el cupo',
+            schema: {
+              type: 'integer'
+            }
+          },
+          'RateLimit-Policy': {
+            description: 'Cupo y ventana en segundos (100;w=60)',
+            schema: {
+              type: 'string'
+            }
+          },
+          'RateLimit-Limit': {
+            description: 'Requests permitidas por ventana',
+            schema: {
+              type: 'integer'
+            }
+          },
+          'RateLimit-Remaining': {
+            description: 'Requests que quedan en la ventana actual',
+            schema: {
+              type: 'integer'
+            }
+          },
+          'RateLimit-Reset': {
+            description: 'Segundos hasta que termina la ventana actual',
+            schema: {
+              type: 'integer'
+            }
+          }
+        },
+        content: {
+          'application/json': {
+            schema: {
+              $ref: '#/components/schemas/Error'
+            },
+            examples: ejemplosDeError({
+              code: 'RATE_LIMITED',
+              clave: 'error.demasiadas_solicitudes',
+              details: {
+                limite: 20,
+                ventana_s: 60,
+                reintentar_en_s: 42
+              }
+            })
+          }
+        }
+      },
+      InternalError: {
+        description: 'Error interno del servidor',
+        content: {
+          'application/json': {
+            schema: {
+              $ref: '#/components/schemas/Error'
+            },
+            examples: ejemplosDeError({ code: 'INTERNAL_ERROR', clave: 'error.interno' })
+          }
+        }
+      }
+    }
+  }
+};
+
+// Opciones para swagger-jsdoc
+const options = {
+  definition: swaggerDefinition,
+  // rutas donde están los comentarios JSDoc (relativas a este archivo, no al cwd)
+  apis: [path.join(__dirname, '../routes/*.js')],
+};
+
+// Generar especificación
+const swaggerSpec = swaggerJSDoc(options);
+
+completarEjemplos(swaggerSpec.paths);
+
+// Todas las operaciones responden en el idioma de Accept-Language
+for (const operaciones of Object.values(swaggerSpec.paths)) {
+  for (const operacion of Object.values(operaciones)) {
+    operacion.parameters = [...(operacion.parameters ?? []), { $ref: '#/components/parameters/AcceptLanguage' }];
+  }
+}
 
 export { swaggerUi, swaggerSpec };
\ No newline at end of file
@@ -0,0 +1,22 @@
+import { conOrganizacion } from '../config/db.js';
+import AuditoriaService from '../services/auditoria.service.js';
+
+/**
+ * Controlador para la consulta del registro de auditoría
+ */
+class AuditoriaController {
+  /**
+   * Obtiene el registro de auditoría filtrado y paginado de la organización
+   */
+  async obtenerAuditoria(req, res) {
+    const { data, meta } = await conOrganizacion(req.organizacion, (tx) => AuditoriaService.con(tx).listar(req.query));
+
+    res.status(200).json({
+      success: true,
+      data,
+      meta
+    });
+  }
+}
+
+export default AuditoriaController;
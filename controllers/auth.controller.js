@@ -0,0 +1,259 @@
+import bcrypt from 'bcryptjs';
+import sql from '../config/db.js'
+import { ForbiddenError, UnauthorizedError } from '../utils/errors.js';
+import { traducir } from '../utils/i18n.js';
+import { firmarAccessToken, generarRefreshToken, hashToken } from '../utils/tokens.js';
+
+const BCRYPT_ROUNDS = 10;
+
+// Se compara contra este hash cuando el email no existe, para que el login
+// tarde lo mismo y el tiempo de respuesta no revele qué emails están registrados
+const HASH_FICTICIO = bcrypt.hashSync('contraseña-ficticia', BCRYPT_ROUNDS);
+
+// Organización de quienes se registran (seed 00_organizaciones). El registro
+// es público: no acepta X-Organizacion-Id, porque cualquiera podría sumarse a
+// una organización ajena. A las demás los usuarios los agrega su administrador.
+const ORGANIZACION_PREDETERMINADA = 1;
+
+/**
+ * Emite un par access/refresh token y persiste el hash del refresh token.
+ * Los refresh tokens de una misma sesión comparten familia para poder
+ * revocarlos juntos si se detecta la reutilización de uno ya rotado.
+ */
+async function emitirTokens(tx, usuario, familia = null) {
+  const refresh = generarRefreshToken();
+
+  const [registro] = await tx`
+    INSERT INTO public.refresh_tokens (usuario_id, token_hash, familia, expira_en)
+    VALUES (${usuario.id}, ${refresh.hash}, COALESCE(${familia}::uuid, gen_random_uuid()), ${refresh.expiraEn})
+    RETURNING id
+  `;
+
+  return {
+    id: registro.id,
+    tokens: {
+      accessToken: firmarAccessToken(usuario),
+      refreshToken: refresh.token,
+      tokenType: 'Bearer'
+    }
+  };
+}
+
+/**
+ * Registra el jti de un access token para invalidarlo antes de su expiración.
+ * De paso borra los ya expirados: el token se rechaza por su exp sin consultar
+ * la tabla, así que solo hace falta guardar los vigentes.
+ */
+async function revocarAccessToken(tx, payload) {
+  await tx`DELETE FROM public.tokens_revocados WHERE expira_en < CURRENT_TIMESTAMP`;
+  await tx`
+    INSERT INTO public.tokens_revocados (jti, expira_en)
+    VALUES (${payload.jti}, to_timestamp(${payload.exp}))
+    ON CONFLICT (jti) DO NOTHING
+  `;
+}
+
+/**
+ * Controlador de autenticación - registro, login, rotación de tokens y logout
+ */
+class AuthController {
+  /**
+   * Registra un nuevo usuario con contraseña
+   */
+  async register(req, res) {
+    const { nombre, apellido, email, password } = req.body;
+
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+
+    const resultado = await sql.begin(async (tx) => {
+      const [usuario] = await tx`
+        INSERT INTO public.usuarios (organizacion_id, nombre, apellido, email, password_hash)
+        VALUES (${ORGANIZACION_PREDETERMINADA}, ${nombre.trim()}, ${apellido?.trim() || null}, ${email.trim().toLowerCase()}, ${passwordHash})
+        RETURNING id, organizacion_id, nombre, apellido, email, activo, fecha_creacion, fecha_actualizacion
+      `;
+
+      const { tokens } = await emitirTokens(tx, usuario);
+      return { usuario, ...tokens };
+    });
+
+    res.status(201).json({
+      success: true,
+      message: traducir(req.idioma, 'auth.registrado'),
+      data: resultado
+    });
+  }
+
+  /**
+   * Inicia sesión con email y contraseña
+   */
+  async login(req, res) {
+    const { email, password } = req.body;
+
+    const usuarios = await sql`
+      SELECT id, organizacion_id, nombre, apellido, email, activo, password_hash
+      FROM public.usuarios
+      WHERE email = ${email.trim().toLowerCase()}
+    `;
+
+    const usuario = usuarios[0];
+    const passwordValida = await bcrypt.compare(password, usuario?.password_hash ?? HASH_FICTICIO);
+
+    if (!usuario?.password_hash || !passwordValida) {
+      throw new UnauthorizedError('auth.credenciales_invalidas', { code: 'INVALID_CREDENTIALS' });
+    }
+
+    if (!usuario.activo) {
+      throw new ForbiddenError('auth.usuario_inactivo', { code: 'USER_INACTIVE' });
+    }
+
+    delete usuario.password_hash;
+    const { tokens } = await emitirTokens(sql, usuario);
+
+    res.status(200).json({
+      success: true,
+      message: traducir(req.idioma, 'auth.sesion_iniciada'),
+      data: { usuario, ...tokens }
+    });
+  }
+
+  /**
+   * Rota un refresh token: revoca el recibido y emite un nuevo par.
+   * Reutilizar un refresh token ya rotado revoca toda su familia.
+   */
+  async refresh(req, res) {
+    const { refreshToken } = req.body;
+
+    // Los rechazos se devuelven en lugar de lanzarse para que la revocación
+    // de la familia se confirme antes de responder
+    const resultado = await sql.begin(async (tx) => {
+      const registros = await tx`
+        SELECT
+          rt.id,
+          rt.familia,
+          rt.expira_en,
+          rt.revocado_en,
+          u.id AS usuario_id,
+          u.organizacion_id,
+          u.email,
+          u.activo
+        FROM public.refresh_tokens rt
+        JOIN public.usuarios u ON u.id = rt.usuario_id
+        WHERE rt.token_hash = ${hashToken(refreshToken)}
+        FOR UPDATE OF rt
+      `;
+
+      const registro = registros[0];
+
+      if (!registro) {
+        return { error: new UnauthorizedError('auth.refresh_invalido', { code: 'INVALID_REFRESH_TOKEN' }) };
+      }
+
+      if (registro.revocado_en) {
+        // Reutilización detectada: invalidar toda la sesión
+        await tx`
+          UPDATE public.refresh_tokens
+          SET revocado_en = CURRENT_TIMESTAMP
+          WHERE familia = ${registro.familia} AND revocado_en IS NULL
+        `;
+        return { error: new UnauthorizedError('auth.refresh_revocado', { code: 'REFRESH_TOKEN_REUSED' }) };
+      }
+
+      if (registro.expira_en < new Date() || !registro.activo) {
+        return { error: new UnauthorizedError('auth.refresh_invalido', { code: 'INVALID_REFRESH_TOKEN' }) };
+      }
+
+      const { id, tokens } = await emitirTokens(
+        tx,
+        { id: registro.usuario_id, email: registro.email, organizacion_id: registro.organizacion_id },
+        registro.familia
+      );
+
+      await tx`
+        UPDATE public.refresh_tokens
+        SET revocado_en = CURRENT_TIMESTAMP, reemplazado_por = ${id}
+        WHERE id = ${registro.id}
+      `;
+
+      return { tokens };
+    });
+
+    if (resultado.error) {
+      throw resultado.error;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: traducir(req.idioma, 'auth.tokens_renovados'),
+      data: resultado.tokens
+    });
+  }
+
+  /**
+   * Cierra la sesión: revoca el access token actual y la familia del refresh token.
+   * Con "todas": true revoca todas las sesiones del usuario.
+   */
+  async logout(req, res) {
+    const { refreshToken, todas = false } = req.body ?? {};
+
+    await sql.begin(async (tx) => {
+      await revocarAccessToken(tx, req.token);
+
+      if (todas) {
+        await tx`
+          UPDATE public.refresh_tokens
+          SET revocado_en = CURRENT_TIMESTAMP
+          WHERE usuario_id = ${req.usuario.id} AND revocado_en IS NULL
+        `;
+      } else if (refreshToken) {
+        await tx`
+          UPDATE public.refresh_tokens
+          SET revocado_en = CURRENT_TIMESTAMP
+          WHERE usuario_id = ${req.usuario.id}
+            AND revocado_en IS NULL
+            AND familia = (
+              SELECT familia FROM public.refresh_tokens
+              WHERE token_hash = ${hashToken(refreshToken)}
+            )
+        `;
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: traducir(req.idioma, 'auth.sesion_cerrada')
+    });
+  }
+
+  /**
+   * Obtiene el perfil del usuario autenticado
+   */
+  async profile(req, res) {
+    const usuarios = await sql`
+      SELECT
+        u.id,
+        u.organizacion_id,
+        u.super_admin,
+        u.nombre,
+        u.apellido,
+        u.email,
+        u.activo,
+        u.fecha_creacion,
+        u.fecha_actualizacion,
+        COALESCE((
+          SELECT json_agg(json_build_object('id', r.id, 'nombre', r.nombre, 'activo', r.activo) ORDER BY r.nombre)
+          FROM public.usuario_roles ur
+          JOIN public.roles r ON r.id = ur.rol_id
+          WHERE ur.usuario_id = u.id
+        ), '[]'::json) AS roles
+      FROM public.usuarios u
+      WHERE u.id = ${req.usuario.id}
+    `;
+
+    res.status(200).json({
+      success: true,
+      data: usuarios[0]
+    });
+  }
+}
+
+export default AuthController;
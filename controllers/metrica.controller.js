@@ -0,0 +1,69 @@
+import crypto from 'crypto';
+import config from '../config/config.js';
+import { estadoPool } from '../config/db.js';
+import { UnauthorizedError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+import { lineasDeMetrica, registro } from '../utils/metrics.js';
+
+// Formato de texto de Prometheus
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Métricas del pool de conexiones, calculadas en cada lectura. Si la base no
+ * responde se informa db_up 0 en lugar de fallar toda la lectura.
+ */
+async function metricasDelPool() {
+  try {
+    const { maximo, conexiones } = await estadoPool();
+
+    return [
+      ...lineasDeMetrica('db_up', 'La base de datos responde (1) o no (0)', 'gauge', [{ valor: 1 }]),
+      ...lineasDeMetrica('db_pool_max_connections', 'Máximo de conexiones del pool', 'gauge', [{ valor: maximo }]),
+      ...lineasDeMetrica(
+        'db_pool_connections',
+        'Conexiones abiertas del pool por estado',
+        'gauge',
+        Object.entries(conexiones).map(([estado, valor]) => ({ etiquetas: { state: estado }, valor }))
+      )
+    ];
+  } catch (error) {
+    logger.warn('No se pudo leer el estado del pool', { error });
+    return lineasDeMetrica('db_up', 'La base de datos responde (1) o no (0)', 'gauge', [{ valor: 0 }]);
+  }
+}
+
+registro.recolector(metricasDelPool);
+
+/**
+ * Compara el token recibido con METRICS_TOKEN en tiempo constante
+ */
+function tokenValido(recibido, esperado) {
+  const a = Buffer.from(recibido);
+  const b = Buffer.from(esperado);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Controlador para las métricas en formato Prometheus
+ */
+class MetricasController {
+  /**
+   * Devuelve las métricas de la aplicación. Si METRICS_TOKEN está
+   * configurada se requiere como Bearer token.
+   */
+  async obtenerMetricas(req, res) {
+    const esperado = config.metricas.token;
+
+    if (esperado) {
+      const [esquema, recibido] = req.get('Authorization')?.split(' ') ?? [];
+
+      if (esquema !== 'Bearer' || !recibido || !tokenValido(recibido, esperado)) {
+        throw new UnauthorizedError('metricas.token_invalido');
+      }
+    }
+
+    res.status(200).type(CONTENT_TYPE).send(await registro.formato());
+  }
+}
+
+export default MetricasController;
@@ -0,0 +1,128 @@
+import sql from '../config/db.js'
+import { NotFoundError } from '../utils/errors.js';
+import { traducir } from '../utils/i18n.js';
+
+/**
+ * Controlador para el catálogo de permisos
+ */
+class PermisosController {
+  /**
+   * Obtiene todos los permisos
+   */
+  async obtenerPermisos(req, res) {
+    const { recurso } = req.query;
+
+    const permisos = recurso
+      ? await sql`
+          SELECT id, codigo, descripcion, fecha_creacion
+          FROM public.permisos
+          WHERE codigo LIKE ${recurso + ':%'}
+          ORDER BY codigo
+        `
+      : await sql`
+          SELECT id, codigo, descripcion, fecha_creacion
+          FROM public.permisos
+          ORDER BY codigo
+        `;
+
+    res.status(200).json({
+      success: true,
+      data: permisos
+    });
+  }
+
+  /**
+   * Obtiene un permiso por ID
+   */
+  async obtenerPermisoPorId(req, res) {
+    const { id } = req.params;
+
+    const permisos = await sql`
+      SELECT id, codigo, descripcion, fecha_creacion
+      FROM public.permisos
+      WHERE id = ${id}
+    `;
+
+    if (permisos.length === 0) {
+      throw new NotFoundError('permiso.no_encontrado');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: permisos[0]
+    });
+  }
+
+  /**
+   * Crea un nuevo permiso en el catálogo
+   */
+  async crearPermiso(req, res) {
+    const { codigo, descripcion } = req.body;
+
+    const nuevosPermisos = await sql`
+      INSERT INTO public.permisos (codigo, descripcion)
+      VALUES (${codigo}, ${descripcion || null})
+      RETURNING id, codigo, descripcion, fecha_creacion
+    `;
+
+    res.status(201).json({
+      success: true,
+      message: traducir(req.idioma, 'permiso.creado'),
+      data: nuevosPermisos[0]
+    });
+  }
+
+  /**
+   * Actualiza la descripción de un permiso.
+   * El código no se puede modificar porque las rutas dependen de él.
+   */
+  async actualizarPermiso(req, res) {
+    const { id } = req.params;
+    const { descripcion } = req.body;
+
+    const permisosActualizados = await sql`
+      UPDATE public.permisos
+      SET descripcion = ${descripcion || null}
+      WHERE id = ${id}
+      RETURNING id, codigo, descripcion, fecha_creacion
+    `;
+
+    if (permisosActualizados.length === 0) {
+      throw new NotFoundError('permiso.no_encontrado');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: traducir(req.idioma, 'permiso.actualizado'),
+      data: permisosActualizados[0]
+    });
+  }
+
+  /**
+   * Elimina un permiso del catálogo y lo retira de todos los roles
+   */
+  async eliminarPermiso(req, res) {
+    const { id } = req.params;
+
+    const eliminados = await sql.begin(async (tx) => {
+      await tx`DELETE FROM public.rol_permisos WHERE permiso_id = ${id}`;
+
+      return tx`
+        DELETE FROM public.permisos
+        WHERE id = ${id}
+        RETURNING id
+      `;
+    });
+
+    if (eliminados.length === 0) {
+      throw new NotFoundError('permiso.no_encontrado');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: traducir(req.idioma, 'permiso.eliminado')
+    });
+  }
+}
+
+export default PermisosController;
@@ -1,265 +1,386 @@
-import sql from '../config/db.js'
+import config from '../config/config.js';
+import { conOrganizacion } from '../config/db.js';
+import { canalEventos, eventoPublico } from '../services/canal-eventos.js';
+import RolesService from '../services/rol.service.js';
+import { filaCsv } from '../utils/csv.js';
+import { ValidationError } from '../utils/errors.js';
+import { etagDeVersion, versionesDeIfMatch } from '../utils/etag.js';
+import { localizar, traducir } from '../utils/i18n.js';
+import logger from '../utils/logger.js';
+import { FlujoSse, drenar } from '../utils/sse.js';
+
+// Columnas de la exportación CSV; las de RolInput se pueden volver a importar
+const COLUMNAS_EXPORTACION = [
+  'id',
+  'nombre',
+  'descripcion',
+  'activo',
+  'rol_padre_id',
+  'fecha_creacion',
+  'fecha_actualizacion'
+];
 
 /**
- * Controlador para el manejo de roles - CRUD Esencial
+ * Ejecuta fn con un RolesService limitado a la organización de la request:
+ * todas sus consultas corren en una misma transacción sujeta a RLS
  */
-class RolesController {
-  /**
-   * Obtiene todos los roles
-   */
-  async obtenerRoles(req, res) {
-    try {
-      const { activo, limit = 50, offset = 0 } = req.query;
-      
-      let baseQuery = sql`
-        SELECT 
-          id, 
-          nombre, 
-          descripcion, 
-          activo,
-          fecha_creacion,
-          fecha_actualizacion
-        FROM public.roles
-      `;
-
-      if (activo !== undefined) {
-        baseQuery = sql`
-          ${baseQuery}
-          WHERE activo = ${activo === 'true'}
-        `;
-      }
+function enOrganizacion(req, fn) {
+  return conOrganizacion(req.organizacion, (tx) => fn(RolesService.con(tx)));
+}
 
-      const finalQuery = sql`
-        ${baseQuery}
-        ORDER BY fecha_creacion DESC 
-        LIMIT ${parseInt(limit)} 
-        OFFSET ${parseInt(offset)}
-      `;
+// Eventos que se leen por consulta al retomar un stream con Last-Event-ID
+const LOTE_EVENTOS = 100;
 
-      const roles = await finalQuery;
+// Espera que se indica a los clientes antes de reconectarse a un stream (ms)
+const REINTENTO_STREAM = 3000;
 
-      res.status(200).json({
-        success: true,
-        data: roles
-      });
+/**
+ * Quién hace el cambio y en qué request, para el registro de auditoría
+ */
+function contexto(req) {
+  return { actor: req.usuario, requestId: req.id };
+}
 
-    } catch (error) {
-      console.error('Error al obtener roles:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error interno del servidor'
-      });
-    }
+/**
+ * Opciones de una escritura condicional: los query params (ej. reasignar_a)
+ * más las versiones aceptadas según If-Match
+ */
+function opcionesDeEscritura(req) {
+  return { ...req.query, versiones: versionesDeIfMatch(req.get('If-Match')) };
+}
+
+/**
+ * Id del último evento que recibió el cliente (header Last-Event-ID), o
+ * null si se conecta por primera vez
+ */
+function ultimoEventoRecibido(req) {
+  const valor = req.get('Last-Event-ID');
+  if (valor === undefined || valor === '') return null;
+
+  if (!/^\d{1,18}$/.test(valor)) {
+    throw new ValidationError('rol.ultimo_evento_invalido', { code: 'INVALID_LAST_EVENT_ID' });
   }
 
+  return valor;
+}
+
+/**
+ * Escribe en la respuesta y espera si el socket tiene el buffer lleno.
+ * Devuelve false si el cliente cerró la conexión.
+ */
+function escribir(res, texto) {
+  res.write(texto);
+  return drenar(res);
+}
+
+/**
+ * Controlador para el manejo de roles - CRUD Esencial.
+ * Solo traduce HTTP: la lógica vive en RolesService.
+ */
+class RolesController {
   /**
-   * Obtiene un rol por ID
+   * Obtiene todos los roles
    */
-  async obtenerRolPorId(req, res) {
-    try {
-      const { id } = req.params;
-
-      if (!id || isNaN(parseInt(id))) {
-        return res.status(400).json({
-          success: false,
-          message: 'ID de rol inválido'
-        });
-      }
+  async obtenerRoles(req, res) {
+    const { data, meta } = await enOrganizacion(req, (servicio) => servicio.listar(req.query));
+
+    // Express agrega un ETag del cuerpo y responde 304 a If-None-Match
+    res.set('Cache-Control', 'private, no-cache');
+    res.status(200).json({
+      success: true,
+      data,
+      ...(meta && { meta })
+    });
+  }
 
-      const roles = await sql`
-        SELECT 
-          id, 
-          nombre, 
-          descripcion, 
-          activo,
-          fecha_creacion,
-          fecha_actualizacion
-        FROM public.roles 
-        WHERE id = ${parseInt(id)}
-      `;
-
-      if (roles.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Rol no encontrado'
-        });
+  /**
+   * Exporta los roles filtrados como CSV o JSON. La respuesta se escribe a
+   * medida que se leen los roles, sin armarla completa en memoria.
+   */
+  async exportarRoles(req, res) {
+    const { format, ...filtros } = req.query;
+    const fecha = new Date().toISOString().slice(0, 10);
+    // El cursor vive en la transacción: se recorre completo dentro de ella
+    const completa = await enOrganizacion(req, async (servicio) => {
+      const roles = servicio.exportar(filtros);
+
+      if (format === 'csv') {
+        res.type('text/csv; charset=utf-8').attachment(`roles-${fecha}.csv`);
+
+        // El BOM hace que Excel detecte UTF-8 y muestre bien los acentos
+        await escribir(res, '\uFEFF' + filaCsv(COLUMNAS_EXPORTACION));
+
+        for await (const rol of roles) {
+          if (!(await escribir(res, filaCsv(COLUMNAS_EXPORTACION.map((columna) => rol[columna]))))) return false;
+        }
+      } else {
+        res.type('application/json').attachment(`roles-${fecha}.json`);
+
+        let separador = '[';
+        for await (const rol of roles) {
+          if (!(await escribir(res, separador + JSON.stringify(rol)))) return false;
+          separador = ',';
+        }
+
+        await escribir(res, separador === '[' ? '[]' : ']');
       }
 
-      res.status(200).json({
-        success: true,
-        data: roles[0]
-      });
+      return true;
+    });
 
-    } catch (error) {
-      console.error('Error al obtener rol:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error interno del servidor'
-      });
-    }
+    if (completa) res.end();
   }
 
   /**
-   * Crea un nuevo rol
+   * Stream de los cambios de roles de la organización (Server-Sent Events).
+   *
+   * Los eventos nuevos llegan por el canal compartido (LISTEN/NOTIFY), sin
+   * transacciones abiertas. Con Last-Event-ID primero se envían desde la base
+   * los eventos confirmados después de ese (en orden de confirmación, no de
+   * id); los que se notifican mientras tanto se guardan y se envían después,
+   * salvo los que ya salieron en esa lectura.
    */
-  async crearRol(req, res) {
-    try {
-      const { nombre, descripcion, activo = true } = req.body;
+  async transmitirEventos(req, res) {
+    const desde = ultimoEventoRecibido(req);
+    const flujo = new FlujoSse(res, { latido: config.sse.latido, reintento: REINTENTO_STREAM });
+    const enviar = (evento) => flujo.enviar({ id: evento.id, evento: evento.tipo, datos: eventoPublico(evento) });
 
-      if (!nombre || typeof nombre !== 'string' || nombre.trim().length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'El nombre del rol es requerido'
-        });
-      }
+    let recuperando = desde !== null;
+    const demorados = [];
 
-      const nuevosRoles = await sql`
-        INSERT INTO public.roles (nombre, descripcion, activo)
-        VALUES (${nombre.trim()}, ${descripcion || null}, ${Boolean(activo)})
-        RETURNING id, nombre, descripcion, activo, fecha_creacion, fecha_actualizacion
-      `;
+    const cancelar = await canalEventos.suscribir(req.organizacion, (evento) => {
+      if (evento.entidad !== 'rol') return;
 
-      res.status(201).json({
-        success: true,
-        message: 'Rol creado exitosamente',
-        data: nuevosRoles[0]
-      });
+      if (recuperando) demorados.push(evento);
+      else enviar(evento);
+    }, () => flujo.terminar());
 
-    } catch (error) {
-      console.error('Error al crear rol:', error);
-      
-      if (error.code === '23505') {
-        return res.status(409).json({
-          success: false,
-          message: 'Ya existe un rol con ese nombre'
-        });
-      }
+    flujo.alCerrar(cancelar);
+    flujo.iniciar();
+
+    if (!recuperando || !flujo.abierto) return;
 
-      res.status(500).json({
-        success: false,
-        message: 'Error interno del servidor'
-      });
+    try {
+      const enviados = new Set();
+      let ultimo = desde;
+      let lote;
+
+      do {
+        lote = await enOrganizacion(req, (servicio) => servicio.listarEventos(ultimo, LOTE_EVENTOS));
+
+        for (const evento of lote) {
+          enviar(evento);
+          enviados.add(evento.id);
+          ultimo = evento.id;
+          if (!(await flujo.drenar())) return;
+        }
+      } while (lote.length === LOTE_EVENTOS);
+
+      recuperando = false;
+      demorados.filter((evento) => !enviados.has(evento.id)).forEach(enviar);
+    } catch (error) {
+      // Los headers ya se enviaron: se corta el stream y el cliente se reconecta
+      logger.error('Error al recuperar los eventos de un stream', { error, request_id: req.id });
+      flujo.terminar();
     }
   }
 
   /**
-   * Actualiza un rol
+   * Importa roles desde un CSV o un JSON (upsert por nombre)
    */
-  async actualizarRol(req, res) {
-    try {
-      const { id } = req.params;
-      const { nombre, descripcion, activo } = req.body;
-
-      if (!id || isNaN(parseInt(id))) {
-        return res.status(400).json({
-          success: false,
-          message: 'ID de rol inválido'
-        });
-      }
+  async importarRoles(req, res) {
+    const formato = req.is('text/csv') ? 'csv' : 'json';
+    const reporte = await enOrganizacion(req, (servicio) => (
+      servicio.importar({ formato, contenido: req.body }, contexto(req))
+    ));
+
+    res.status(200).json({
+      success: true,
+      message: traducir(req.idioma, 'rol.importacion_procesada'),
+      data: localizar(reporte, req.idioma)
+    });
+  }
 
-      if (!nombre && descripcion === undefined && activo === undefined) {
-        return res.status(400).json({
-          success: false,
-          message: 'Debe proporcionar al menos un campo para actualizar'
-        });
-      }
+  /**
+   * Obtiene un rol por ID
+   */
+  async obtenerRolPorId(req, res) {
+    const rol = await enOrganizacion(req, (servicio) => servicio.obtener(req.params.id));
+
+    // Con el ETag fijado, Express responde 304 si coincide con If-None-Match
+    res.set({ ETag: etagDeVersion(rol.version), 'Cache-Control': 'private, no-cache' });
+    res.status(200).json({
+      success: true,
+      data: rol
+    });
+  }
 
-      // Verificar que existe
-      const existeRol = await sql`
-        SELECT id FROM public.roles WHERE id = ${parseInt(id)}
-      `;
-      
-      if (existeRol.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Rol no encontrado'
-        });
-      }
+  /**
+   * Crea un nuevo rol
+   */
+  async crearRol(req, res) {
+    const rol = await enOrganizacion(req, (servicio) => servicio.crear(req.body, contexto(req)));
+
+    res.set({ ETag: etagDeVersion(rol.version), Location: `${req.baseUrl}/${rol.id}` });
+    res.status(201).json({
+      success: true,
+      message: traducir(req.idioma, 'rol.creado'),
+      data: rol
+    });
+  }
 
-      // Construir actualización dinámica
-      const updateFields = {};
-      
-      if (nombre !== undefined) updateFields.nombre = nombre.trim();
-      if (descripcion !== undefined) updateFields.descripcion = descripcion || null;
-      if (activo !== undefined) updateFields.activo = Boolean(activo);
-      
-      updateFields.fecha_actualizacion = sql`CURRENT_TIMESTAMP`;
-
-      const rolesActualizados = await sql`
-        UPDATE public.roles 
-        SET ${sql(updateFields)}
-        WHERE id = ${parseInt(id)}
-        RETURNING id, nombre, descripcion, activo, fecha_creacion, fecha_actualizacion
-      `;
-
-      res.status(200).json({
-        success: true,
-        message: 'Rol actualizado exitosamente',
-        data: rolesActualizados[0]
-      });
+  /**
+   * Aplica un lote de operaciones sobre roles en una sola transacción
+   */
+  async ejecutarLoteRoles(req, res) {
+    const { operaciones, dry_run } = req.body;
+    const resultados = await enOrganizacion(req, (servicio) => (
+      servicio.ejecutarLote(operaciones, { dry_run }, contexto(req))
+    ));
+
+    res.status(200).json({
+      success: true,
+      message: traducir(req.idioma, dry_run ? 'rol.lote_simulado' : 'rol.lote_aplicado'),
+      dry_run,
+      data: localizar(resultados, req.idioma)
+    });
+  }
 
-    } catch (error) {
-      console.error('Error al actualizar rol:', error);
-      
-      if (error.code === '23505') {
-        return res.status(409).json({
-          success: false,
-          message: 'Ya existe un rol with ese nombre'
-        });
-      }
+  /**
+   * Reemplaza todos los campos de un rol
+   */
+  async actualizarRol(req, res) {
+    const rol = await enOrganizacion(req, (servicio) => (
+      servicio.reemplazar(req.params.id, req.body, opcionesDeEscritura(req), contexto(req))
+    ));
+
+    res.set('ETag', etagDeVersion(rol.version));
+    res.status(200).json({
+      success: true,
+      message: traducir(req.idioma, 'rol.actualizado'),
+      data: rol
+    });
+  }
 
-      res.status(500).json({
-        success: false,
-        message: 'Error interno del servidor'
-      });
-    }
+  /**
+   * Modifica parte de un rol con JSON Merge Patch o JSON Patch según el Content-Type
+   */
+  async modificarRol(req, res) {
+    const rol = await enOrganizacion(req, (servicio) => (req.is('application/json-patch+json')
+      ? servicio.aplicarOperaciones(req.params.id, req.body, opcionesDeEscritura(req), contexto(req))
+      : servicio.actualizar(req.params.id, req.body, opcionesDeEscritura(req), contexto(req))));
+
+    res.set('ETag', etagDeVersion(rol.version));
+    res.status(200).json({
+      success: true,
+      message: traducir(req.idioma, 'rol.actualizado'),
+      data: rol
+    });
   }
 
   /**
    * Elimina un rol (soft delete)
    */
   async eliminarRol(req, res) {
-    try {
-      const { id } = req.params;
+    const rol = await enOrganizacion(req, (servicio) => (
+      servicio.eliminar(req.params.id, opcionesDeEscritura(req), contexto(req))
+    ));
+
+    res.set('ETag', etagDeVersion(rol.version));
+    res.status(200).json({
+      success: true,
+      message: traducir(req.idioma, 'rol.eliminado')
+    });
+  }
 
-      if (!id || isNaN(parseInt(id))) {
-        return res.status(400).json({
-          success: false,
-          message: 'ID de rol inválido'
-        });
-      }
+  /**
+   * Restaura un rol eliminado (soft delete)
+   */
+  async restaurarRol(req, res) {
+    const rol = await enOrganizacion(req, (servicio) => (
+      servicio.restaurar(req.params.id, opcionesDeEscritura(req), contexto(req))
+    ));
+
+    res.set('ETag', etagDeVersion(rol.version));
+    res.status(200).json({
+      success: true,
+      message: traducir(req.idioma, 'rol.restaurado'),
+      data: rol
+    });
+  }
 
-      const existeRol = await sql`
-        SELECT id FROM public.roles WHERE id = ${parseInt(id)}
-      `;
-      
-      if (existeRol.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Rol no encontrado'
-        });
-      }
+  /**
+   * Elimina un rol de forma permanente
+   */
+  async eliminarRolDefinitivamente(req, res) {
+    await enOrganizacion(req, (servicio) => (
+      servicio.eliminarDefinitivamente(req.params.id, req.query, contexto(req))
+    ));
+
+    res.status(200).json({
+      success: true,
+      message: traducir(req.idioma, 'rol.eliminado_definitivamente')
+    });
+  }
 
-      // Soft delete - marcar como inactivo
-      await sql`
-        UPDATE public.roles 
-        SET activo = false, fecha_actualizacion = CURRENT_TIMESTAMP 
-        WHERE id = ${parseInt(id)}
-      `;
+  /**
+   * Obtiene el historial de cambios de un rol
+   */
+  async obtenerHistorialRol(req, res) {
+    const { data, meta } = await enOrganizacion(req, (servicio) => (
+      servicio.historial(req.params.id, req.query)
+    ));
+
+    res.status(200).json({
+      success: true,
+      data,
+      meta
+    });
+  }
 
-      res.status(200).json({
-        success: true,
-        message: 'Rol eliminado exitosamente'
-      });
+  /**
+   * Obtiene los permisos que otorga un rol
+   */
+  async obtenerPermisosRol(req, res) {
+    const permisos = await enOrganizacion(req, (servicio) => (
+      servicio.obtenerPermisos(req.params.id)
+    ));
+
+    res.status(200).json({
+      success: true,
+      data: permisos
+    });
+  }
 
-    } catch (error) {
-      console.error('Error al eliminar rol:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Error interno del servidor'
-      });
-    }
+  /**
+   * Obtiene los permisos efectivos de un rol: los propios más los heredados
+   * de sus ancestros
+   */
+  async obtenerPermisosEfectivosRol(req, res) {
+    const permisos = await enOrganizacion(req, (servicio) => (
+      servicio.obtenerPermisosEfectivos(req.params.id)
+    ));
+
+    res.status(200).json({
+      success: true,
+      data: permisos
+    });
+  }
+
+  /**
+   * Reemplaza el conjunto de permisos que otorga un rol
+   */
+  async actualizarPermisosRol(req, res) {
+    const permisos = await enOrganizacion(req, (servicio) => (
+      servicio.reemplazarPermisos(req.params.id, req.body.permisos, contexto(req))
+    ));
+
+    res.status(200).json({
+      success: true,
+      message: traducir(req.idioma, 'rol.permisos_actualizados'),
+      data: permisos
+    });
   }
 }
 
-export default RolesController;
\ No newline at end of file
+export default RolesController;
@@ -0,0 +1,92 @@
+import { performance } from 'perf_hooks';
+import sql, { testConnection } from '../config/db.js';
+import { cargarMigraciones, consultarEstadoMigraciones } from '../db/migrator.js';
+import { estaApagando } from '../utils/apagado.js';
+import { ServiceUnavailableError } from '../utils/errors.js';
+
+// Los archivos de migración no cambian mientras corre el proceso: se leen y se
+// calculan sus checksums una sola vez, al iniciar. El catch evita un
+// unhandledRejection si la lectura falla; el error se informa en cada chequeo
+const migracionesDelCodigo = cargarMigraciones();
+migracionesDelCodigo.catch(() => {});
+
+/**
+ * Migraciones pendientes y las aplicadas cuyo archivo no existe (por
+ * ejemplo, si se desplegó una versión anterior del código). Solo lee la
+ * tabla de control: el chequeo nunca crea ni altera el esquema.
+ */
+async function revisarMigraciones() {
+  const estado = await consultarEstadoMigraciones(sql, await migracionesDelCodigo);
+
+  return {
+    pendientes: estado.filter((migracion) => !migracion.aplicada).map(({ nombre }) => nombre),
+    faltantes: estado.filter((migracion) => migracion.faltante).map(({ nombre }) => nombre)
+  };
+}
+
+/**
+ * Controlador de los chequeos de salud para orquestadores y balanceadores
+ */
+class SaludController {
+  /**
+   * Liveness: el proceso está vivo y atiende requests. No consulta la base,
+   * para que una caída de Postgres no provoque reinicios del proceso.
+   */
+  async comprobarVida(req, res) {
+    res.status(200).json({
+      success: true,
+      data: {
+        estado: 'ok',
+        uptime_s: Math.round(process.uptime())
+      }
+    });
+  }
+
+  /**
+   * Readiness: la instancia puede recibir tráfico. Requiere que la base
+   * responda, que no haya migraciones pendientes y que no se esté apagando.
+   */
+  async comprobarDisponibilidad(req, res) {
+    // Durante el apagado no se consulta la base: el pool puede estar cerrándose
+    if (estaApagando()) {
+      throw new ServiceUnavailableError('salud.apagando', {
+        code: 'NOT_READY',
+        details: { apagando: true }
+      });
+    }
+
+    const inicio = performance.now();
+    const conectada = await testConnection();
+    const baseDeDatos = {
+      conectada,
+      latencia_ms: Math.round((performance.now() - inicio) * 1000) / 1000
+    };
+
+    if (!conectada) {
+      throw new ServiceUnavailableError('salud.base_de_datos_caida', {
+        code: 'NOT_READY',
+        details: { base_de_datos: baseDeDatos }
+      });
+    }
+
+    const migraciones = await revisarMigraciones();
+
+    if (migraciones.pendientes.length > 0) {
+      throw new ServiceUnavailableError('salud.migraciones_pendientes', {
+        code: 'NOT_READY',
+        details: { base_de_datos: baseDeDatos, migraciones }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        estado: 'listo',
+        base_de_datos: baseDeDatos,
+        migraciones
+      }
+    });
+  }
+}
+
+export default SaludController;
@@ -1 +1,317 @@
-﻿//controllers\usuario.controller.js
+import sql, { conOrganizacion } from '../config/db.js'
+import { ConflictError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { traducir } from '../utils/i18n.js';
+import { paginar } from '../utils/pagination.js';
+
+// Columnas por las que se puede ordenar el listado y su tipo SQL (ver paginar)
+const CAMPOS_ORDENABLES = {
+  id: 'integer',
+  nombre: 'text',
+  email: 'text',
+  fecha_creacion: 'timestamptz',
+  fecha_actualizacion: 'timestamptz'
+};
+
+/**
+ * Subconsulta con los roles asignados a cada usuario. Las consultas leen
+ * public.usuarios sin alias, como las arma paginar().
+ */
+const rolesDelUsuario = sql`
+  COALESCE((
+    SELECT json_agg(json_build_object('id', r.id, 'nombre', r.nombre, 'activo', r.activo) ORDER BY r.nombre)
+    FROM public.usuario_roles ur
+    JOIN public.roles r ON r.id = ur.rol_id
+    WHERE ur.usuario_id = usuarios.id
+  ), '[]'::json) AS roles
+`;
+
+/**
+ * Columnas que se devuelven de cada usuario
+ */
+const columnasUsuario = sql`
+  usuarios.id,
+  usuarios.organizacion_id,
+  usuarios.nombre,
+  usuarios.apellido,
+  usuarios.email,
+  usuarios.activo,
+  usuarios.fecha_creacion,
+  usuarios.fecha_actualizacion,
+  ${rolesDelUsuario}
+`;
+
+/**
+ * Verifica que los roles existan y estén activos
+ */
+async function validarRolesAsignables(tx, ids) {
+  const roles = await tx`
+    SELECT id, activo FROM public.roles WHERE id IN ${tx(ids)}
+  `;
+
+  const encontrados = roles.map((rol) => rol.id);
+  const inexistentes = ids.filter((rolId) => !encontrados.includes(rolId));
+
+  if (inexistentes.length > 0) {
+    throw new NotFoundError('rol.inexistentes', { details: { roles: inexistentes } });
+  }
+
+  const inactivos = roles.filter((rol) => !rol.activo).map((rol) => rol.id);
+
+  if (inactivos.length > 0) {
+    throw new ValidationError('rol.inactivos', {
+      code: 'INACTIVE_ROLES',
+      details: { roles: inactivos }
+    });
+  }
+}
+
+/**
+ * Obtiene un usuario con sus roles
+ */
+async function buscarUsuario(tx, id) {
+  const usuarios = await tx`
+    SELECT ${columnasUsuario}
+    FROM public.usuarios
+    WHERE id = ${id}
+  `;
+
+  return usuarios[0];
+}
+
+/**
+ * Verifica que el usuario exista
+ */
+async function asegurarUsuario(tx, id) {
+  const existeUsuario = await tx`
+    SELECT id FROM public.usuarios WHERE id = ${id}
+  `;
+
+  if (existeUsuario.length === 0) {
+    throw new NotFoundError('usuario.no_encontrado');
+  }
+}
+
+/**
+ * Controlador para el manejo de usuarios - CRUD y asignación de roles.
+ * Las consultas corren con conOrganizacion: solo alcanzan los usuarios y
+ * roles de la organización de la request.
+ */
+class UsuariosController {
+  /**
+   * Obtiene una página de usuarios, paginada por cursor como los roles
+   */
+  async obtenerUsuarios(req, res) {
+    const { activo, rol_id, email, nombre, sort, cursor, limit } = req.query;
+
+    const condiciones = [];
+
+    if (activo !== undefined) {
+      condiciones.push(sql`usuarios.activo = ${activo}`);
+    }
+
+    if (rol_id !== undefined) {
+      condiciones.push(sql`
+        EXISTS (
+          SELECT 1 FROM public.usuario_roles ur
+          WHERE ur.usuario_id = usuarios.id AND ur.rol_id = ${rol_id}
+        )
+      `);
+    }
+
+    if (email) {
+      condiciones.push(sql`usuarios.email ILIKE ${'%' + email + '%'}`);
+    }
+
+    if (nombre) {
+      condiciones.push(sql`(usuarios.nombre || ' ' || COALESCE(usuarios.apellido, '')) ILIKE ${'%' + nombre + '%'}`);
+    }
+
+    const { data, meta } = await conOrganizacion(req.organizacion, (tx) => paginar(tx, {
+      tabla: 'public.usuarios',
+      columnas: columnasUsuario,
+      condiciones,
+      campos: CAMPOS_ORDENABLES,
+      sort,
+      cursor,
+      limit
+    }));
+
+    res.status(200).json({
+      success: true,
+      data,
+      meta
+    });
+  }
+
+  /**
+   * Obtiene un usuario por ID
+   */
+  async obtenerUsuarioPorId(req, res) {
+    const { id } = req.params;
+
+    const usuario = await conOrganizacion(req.organizacion, (tx) => buscarUsuario(tx, id));
+
+    if (!usuario) {
+      throw new NotFoundError('usuario.no_encontrado');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: usuario
+    });
+  }
+
+  /**
+   * Crea un nuevo usuario, opcionalmente con roles asignados
+   */
+  async crearUsuario(req, res) {
+    const { nombre, apellido, email, activo = true, roles = [] } = req.body;
+    const rolesIds = [...new Set(roles)];
+
+    const usuario = await conOrganizacion(req.organizacion, async (tx) => {
+      if (rolesIds.length > 0) {
+        await validarRolesAsignables(tx, rolesIds);
+      }
+
+      const [nuevoUsuario] = await tx`
+        INSERT INTO public.usuarios (nombre, apellido, email, activo)
+        VALUES (${nombre.trim()}, ${apellido?.trim() || null}, ${email.trim().toLowerCase()}, ${Boolean(activo)})
+        RETURNING id
+      `;
+
+      for (const rolId of rolesIds) {
+        await tx`
+          INSERT INTO public.usuario_roles (usuario_id, rol_id)
+          VALUES (${nuevoUsuario.id}, ${rolId})
+        `;
+      }
+
+      return buscarUsuario(tx, nuevoUsuario.id);
+    });
+
+    res.status(201).json({
+      success: true,
+      message: traducir(req.idioma, 'usuario.creado'),
+      data: usuario
+    });
+  }
+
+  /**
+   * Actualiza un usuario
+   */
+  async actualizarUsuario(req, res) {
+    const { id } = req.params;
+    const { nombre, apellido, email, activo } = req.body;
+
+    // Construir actualización dinámica
+    const updateFields = {};
+
+    if (nombre !== undefined) updateFields.nombre = nombre.trim();
+    if (apellido !== undefined) updateFields.apellido = apellido?.trim() || null;
+    if (email !== undefined) updateFields.email = email.trim().toLowerCase();
+    if (activo !== undefined) updateFields.activo = Boolean(activo);
+
+    updateFields.fecha_actualizacion = sql`CURRENT_TIMESTAMP`;
+
+    const usuario = await conOrganizacion(req.organizacion, async (tx) => {
+      await asegurarUsuario(tx, id);
+
+      await tx`
+        UPDATE public.usuarios
+        SET ${tx(updateFields)}
+        WHERE id = ${id}
+      `;
+
+      return buscarUsuario(tx, id);
+    });
+
+    res.status(200).json({
+      success: true,
+      message: traducir(req.idioma, 'usuario.actualizado'),
+      data: usuario
+    });
+  }
+
+  /**
+   * Elimina un usuario (soft delete). Eliminar uno que ya está inactivo es
+   * un conflicto, como en los roles.
+   */
+  async eliminarUsuario(req, res) {
+    const { id } = req.params;
+
+    await conOrganizacion(req.organizacion, async (tx) => {
+      await asegurarUsuario(tx, id);
+
+      // Soft delete - marcar como inactivo
+      const desactivado = await tx`
+        UPDATE public.usuarios
+        SET activo = false, fecha_actualizacion = CURRENT_TIMESTAMP
+        WHERE id = ${id} AND activo
+        RETURNING id
+      `;
+
+      if (desactivado.length === 0) {
+        throw new ConflictError('usuario.ya_eliminado', { code: 'USER_ALREADY_INACTIVE' });
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: traducir(req.idioma, 'usuario.eliminado')
+    });
+  }
+
+  /**
+   * Asigna uno o más roles a un usuario
+   */
+  async asignarRoles(req, res) {
+    const { id } = req.params;
+
+    const rolesIds = [...new Set(req.body.roles)];
+
+    const usuario = await conOrganizacion(req.organizacion, async (tx) => {
+      await asegurarUsuario(tx, id);
+      await validarRolesAsignables(tx, rolesIds);
+
+      for (const rolId of rolesIds) {
+        await tx`
+          INSERT INTO public.usuario_roles (usuario_id, rol_id)
+          VALUES (${id}, ${rolId})
+          ON CONFLICT (usuario_id, rol_id) DO NOTHING
+        `;
+      }
+
+      return buscarUsuario(tx, id);
+    });
+
+    res.status(200).json({
+      success: true,
+      message: traducir(req.idioma, 'usuario.roles_asignados'),
+      data: usuario
+    });
+  }
+
+  /**
+   * Quita un rol asignado a un usuario
+   */
+  async quitarRol(req, res) {
+    const { id, rolId } = req.params;
+
+    const eliminados = await conOrganizacion(req.organizacion, (tx) => tx`
+      DELETE FROM public.usuario_roles
+      WHERE usuario_id = ${id} AND rol_id = ${rolId}
+      RETURNING rol_id
+    `);
+
+    if (eliminados.length === 0) {
+      throw new NotFoundError('usuario.rol_no_asignado');
+    }
+
+    res.status(200).json({
+      success: true,
+      message: traducir(req.idioma, 'usuario.rol_removido')
+    });
+  }
+}
+
+export default UsuariosController;
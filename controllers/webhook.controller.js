@@ -0,0 +1,108 @@
+import { conOrganizacion } from '../config/db.js';
+import WebhooksService from '../services/webhook.service.js';
+import { traducir } from '../utils/i18n.js';
+
+/**
+ * Ejecuta fn con un WebhooksService limitado a la organización de la request
+ */
+function enOrganizacion(req, fn) {
+  return conOrganizacion(req.organizacion, (tx) => fn(WebhooksService.con(tx)));
+}
+
+/**
+ * Controlador para las suscripciones a eventos de roles.
+ * Solo traduce HTTP: la lógica vive en WebhooksService.
+ */
+class WebhooksController {
+  /**
+   * Obtiene los webhooks de la organización
+   */
+  async obtenerWebhooks(req, res) {
+    const webhooks = await enOrganizacion(req, (servicio) => servicio.listar());
+
+    res.status(200).json({
+      success: true,
+      data: webhooks
+    });
+  }
+
+  /**
+   * Obtiene un webhook por ID
+   */
+  async obtenerWebhookPorId(req, res) {
+    const webhook = await enOrganizacion(req, (servicio) => servicio.obtener(req.params.id));
+
+    res.status(200).json({
+      success: true,
+      data: webhook
+    });
+  }
+
+  /**
+   * Registra un webhook; la respuesta es la única que incluye el secreto
+   */
+  async crearWebhook(req, res) {
+    const webhook = await enOrganizacion(req, (servicio) => servicio.crear(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: traducir(req.idioma, 'webhook.creado'),
+      data: webhook
+    });
+  }
+
+  /**
+   * Reemplaza la configuración de un webhook
+   */
+  async actualizarWebhook(req, res) {
+    const webhook = await enOrganizacion(req, (servicio) => servicio.reemplazar(req.params.id, req.body));
+
+    res.status(200).json({
+      success: true,
+      message: traducir(req.idioma, 'webhook.actualizado'),
+      data: webhook
+    });
+  }
+
+  /**
+   * Elimina un webhook y sus entregas
+   */
+  async eliminarWebhook(req, res) {
+    await enOrganizacion(req, (servicio) => servicio.eliminar(req.params.id));
+
+    res.status(200).json({
+      success: true,
+      message: traducir(req.idioma, 'webhook.eliminado')
+    });
+  }
+
+  /**
+   * Obtiene las entregas de un webhook, paginadas
+   */
+  async obtenerEntregas(req, res) {
+    const { data, meta } = await enOrganizacion(req, (servicio) =>
+      servicio.listarEntregas(req.params.id, req.query));
+
+    res.status(200).json({
+      success: true,
+      data,
+      meta
+    });
+  }
+
+  /**
+   * Vuelve a encolar una entrega fallida
+   */
+  async reintentarEntrega(req, res) {
+    const entrega = await enOrganizacion(req, (servicio) =>
+      servicio.reintentarEntrega(req.params.id, req.params.entregaId));
+
+    res.status(200).json({
+      success: true,
+      message: traducir(req.idioma, 'webhook.entrega_reencolada'),
+      data: entrega
+    });
+  }
+}
+
+export default WebhooksController;
@@ -0,0 +1,17 @@
+-- Tabla de roles.
+-- Se usa IF NOT EXISTS para poder adoptar bases creadas a mano antes de
+-- existir las migraciones: la migración se registra sin tocar la tabla.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS public.roles (
+  id SERIAL PRIMARY KEY,
+  nombre VARCHAR(100) NOT NULL,
+  descripcion TEXT,
+  activo BOOLEAN NOT NULL DEFAULT true,
+  fecha_creacion TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  fecha_actualizacion TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT roles_nombre_key UNIQUE (nombre)
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS public.roles;
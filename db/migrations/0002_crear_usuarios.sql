@@ -0,0 +1,26 @@
+-- Usuarios y su asignación de roles
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS public.usuarios (
+  id SERIAL PRIMARY KEY,
+  nombre VARCHAR(100) NOT NULL,
+  apellido VARCHAR(100),
+  email VARCHAR(255) NOT NULL,
+  activo BOOLEAN NOT NULL DEFAULT true,
+  fecha_creacion TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  fecha_actualizacion TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT usuarios_email_key UNIQUE (email)
+);
+
+CREATE TABLE IF NOT EXISTS public.usuario_roles (
+  usuario_id INTEGER NOT NULL REFERENCES public.usuarios (id) ON DELETE CASCADE,
+  rol_id INTEGER NOT NULL REFERENCES public.roles (id),
+  fecha_asignacion TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (usuario_id, rol_id)
+);
+
+CREATE INDEX IF NOT EXISTS usuario_roles_rol_id_idx ON public.usuario_roles (rol_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS public.usuario_roles;
+DROP TABLE IF EXISTS public.usuarios;
@@ -0,0 +1,28 @@
+-- Credenciales, refresh tokens rotativos y access tokens revocados
+
+-- migrate:up
+ALTER TABLE public.usuarios ADD COLUMN IF NOT EXISTS password_hash TEXT;
+
+CREATE TABLE IF NOT EXISTS public.refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  usuario_id INTEGER NOT NULL REFERENCES public.usuarios (id) ON DELETE CASCADE,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  familia UUID NOT NULL,
+  expira_en TIMESTAMPTZ NOT NULL,
+  revocado_en TIMESTAMPTZ,
+  reemplazado_por INTEGER REFERENCES public.refresh_tokens (id),
+  fecha_creacion TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS refresh_tokens_familia_idx ON public.refresh_tokens (familia);
+CREATE INDEX IF NOT EXISTS refresh_tokens_usuario_id_idx ON public.refresh_tokens (usuario_id);
+
+CREATE TABLE IF NOT EXISTS public.tokens_revocados (
+  jti UUID PRIMARY KEY,
+  expira_en TIMESTAMPTZ NOT NULL
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS public.tokens_revocados;
+DROP TABLE IF EXISTS public.refresh_tokens;
+ALTER TABLE public.usuarios DROP COLUMN IF EXISTS password_hash;
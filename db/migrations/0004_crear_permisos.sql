@@ -0,0 +1,20 @@
+-- Catálogo de permisos y permisos otorgados por cada rol
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS public.permisos (
+  id SERIAL PRIMARY KEY,
+  codigo VARCHAR(100) NOT NULL,
+  descripcion TEXT,
+  fecha_creacion TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT permisos_codigo_key UNIQUE (codigo)
+);
+
+CREATE TABLE IF NOT EXISTS public.rol_permisos (
+  rol_id INTEGER NOT NULL REFERENCES public.roles (id) ON DELETE CASCADE,
+  permiso_id INTEGER NOT NULL REFERENCES public.permisos (id) ON DELETE CASCADE,
+  PRIMARY KEY (rol_id, permiso_id)
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS public.rol_permisos;
+DROP TABLE IF EXISTS public.permisos;
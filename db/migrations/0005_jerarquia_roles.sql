@@ -0,0 +1,10 @@
+-- Jerarquía de roles: cada rol puede heredar los permisos de un rol padre
+
+-- migrate:up
+ALTER TABLE public.roles
+  ADD COLUMN IF NOT EXISTS rol_padre_id INTEGER REFERENCES public.roles (id);
+
+CREATE INDEX IF NOT EXISTS roles_rol_padre_id_idx ON public.roles (rol_padre_id);
+
+-- migrate:down
+ALTER TABLE public.roles DROP COLUMN IF EXISTS rol_padre_id;
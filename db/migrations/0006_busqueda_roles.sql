@@ -0,0 +1,30 @@
+-- Búsqueda de roles sin distinguir acentos ni mayúsculas.
+-- unaccent() no es IMMUTABLE (depende del diccionario configurado), por lo que
+-- se envuelve en una función que fija el diccionario y se puede indexar.
+-- El search_path incluye "extensions" porque Supabase instala ahí las extensiones.
+
+-- migrate:up
+CREATE EXTENSION IF NOT EXISTS unaccent;
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE OR REPLACE FUNCTION public.sin_acentos(texto TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE PARALLEL SAFE STRICT
+SET search_path = public, extensions
+AS $$
+  SELECT lower(unaccent('unaccent'::regdictionary, texto))
+$$;
+
+CREATE INDEX IF NOT EXISTS roles_busqueda_idx ON public.roles
+  USING gin (public.sin_acentos(nombre || ' ' || COALESCE(descripcion, '')) gin_trgm_ops);
+
+CREATE INDEX IF NOT EXISTS roles_fecha_creacion_idx ON public.roles (fecha_creacion, id);
+CREATE INDEX IF NOT EXISTS roles_fecha_actualizacion_idx ON public.roles (fecha_actualizacion, id);
+
+-- migrate:down
+DROP INDEX IF EXISTS public.roles_fecha_actualizacion_idx;
+DROP INDEX IF EXISTS public.roles_fecha_creacion_idx;
+DROP INDEX IF EXISTS public.roles_busqueda_idx;
+DROP FUNCTION IF EXISTS public.sin_acentos(TEXT);
+-- Las extensiones se conservan: pueden usarlas otros objetos de la base
@@ -0,0 +1,41 @@
+-- Registro de auditoría de solo inserción: quién cambió qué, cuándo y en qué request.
+-- actor_id no es clave foránea para que el registro sobreviva al usuario;
+-- actor_email guarda cómo se identificaba en ese momento.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS public.auditoria (
+  id SERIAL PRIMARY KEY,
+  entidad VARCHAR(50) NOT NULL,
+  entidad_id INTEGER NOT NULL,
+  accion VARCHAR(50) NOT NULL,
+  actor_id INTEGER,
+  actor_email VARCHAR(255),
+  antes JSONB,
+  despues JSONB,
+  cambios JSONB NOT NULL DEFAULT '{}'::jsonb,
+  request_id VARCHAR(128),
+  fecha TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS auditoria_entidad_idx ON public.auditoria (entidad, entidad_id, id);
+CREATE INDEX IF NOT EXISTS auditoria_actor_id_idx ON public.auditoria (actor_id);
+CREATE INDEX IF NOT EXISTS auditoria_fecha_idx ON public.auditoria (fecha, id);
+
+-- Ni la API ni un error de código pueden reescribir el pasado
+CREATE OR REPLACE FUNCTION public.auditoria_solo_insercion()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RAISE EXCEPTION 'El registro de auditoría no se puede modificar ni eliminar';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS auditoria_solo_insercion ON public.auditoria;
+CREATE TRIGGER auditoria_solo_insercion
+  BEFORE UPDATE OR DELETE ON public.auditoria
+  FOR EACH ROW EXECUTE FUNCTION public.auditoria_solo_insercion();
+
+-- migrate:down
+DROP TABLE IF EXISTS public.auditoria;
+DROP FUNCTION IF EXISTS public.auditoria_solo_insercion();
@@ -0,0 +1,9 @@
+-- Versión de cada rol para control de concurrencia optimista (ETag / If-Match).
+-- Se incrementa en cada actualización.
+
+-- migrate:up
+ALTER TABLE public.roles
+  ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+-- migrate:down
+ALTER TABLE public.roles DROP COLUMN IF EXISTS version;
@@ -0,0 +1,155 @@
+-- Multi-tenant: cada organización ve solo sus roles, usuarios y auditoría.
+--
+-- El aislamiento lo impone Postgres con row-level security. Las consultas de
+-- la API corren dentro de conOrganizacion() (config/db.js), que en cada
+-- transacción asume el rol plataforma_app (sin BYPASSRLS) y fija
+-- app.organizacion_id. El dueño de las tablas no está sujeto a las políticas,
+-- por lo que migraciones, seeds, login y autenticación no cambian.
+--
+-- Los datos existentes pasan a la organización 1 ("Principal"). Las tablas que
+-- se agreguen después deben otorgar sus permisos a plataforma_app.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS public.organizaciones (
+  id SERIAL PRIMARY KEY,
+  nombre VARCHAR(100) NOT NULL,
+  fecha_creacion TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT organizaciones_nombre_key UNIQUE (nombre)
+);
+
+INSERT INTO public.organizaciones (id, nombre) VALUES (1, 'Principal') ON CONFLICT DO NOTHING;
+SELECT setval(pg_get_serial_sequence('public.organizaciones', 'id'), (SELECT max(id) FROM public.organizaciones));
+
+-- Organización de la transacción actual (null fuera de conOrganizacion)
+CREATE OR REPLACE FUNCTION public.organizacion_actual()
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT NULLIF(current_setting('app.organizacion_id', true), '')::integer
+$$;
+
+-- Un super administrador puede leer todas las organizaciones a la vez
+CREATE OR REPLACE FUNCTION public.organizacion_visible(organizacion INTEGER)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT organizacion = public.organizacion_actual()
+    OR current_setting('app.todas_las_organizaciones', true) = 'on'
+$$;
+
+-- El DEFAULT 1 completa las filas existentes sin UPDATE (auditoria no admite
+-- UPDATE); después las filas nuevas toman la organización de la transacción
+ALTER TABLE public.roles
+  ADD COLUMN IF NOT EXISTS organizacion_id INTEGER NOT NULL DEFAULT 1 REFERENCES public.organizaciones (id);
+ALTER TABLE public.roles ALTER COLUMN organizacion_id SET DEFAULT public.organizacion_actual();
+
+ALTER TABLE public.usuarios
+  ADD COLUMN IF NOT EXISTS organizacion_id INTEGER NOT NULL DEFAULT 1 REFERENCES public.organizaciones (id),
+  ADD COLUMN IF NOT EXISTS super_admin BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE public.usuarios ALTER COLUMN organizacion_id SET DEFAULT public.organizacion_actual();
+
+ALTER TABLE public.auditoria
+  ADD COLUMN IF NOT EXISTS organizacion_id INTEGER NOT NULL DEFAULT 1 REFERENCES public.organizaciones (id);
+ALTER TABLE public.auditoria ALTER COLUMN organizacion_id SET DEFAULT public.organizacion_actual();
+
+CREATE INDEX IF NOT EXISTS usuarios_organizacion_id_idx ON public.usuarios (organizacion_id);
+CREATE INDEX IF NOT EXISTS auditoria_organizacion_id_idx ON public.auditoria (organizacion_id, id);
+
+-- El nombre es único dentro de cada organización
+ALTER TABLE public.roles DROP CONSTRAINT IF EXISTS roles_nombre_key;
+ALTER TABLE public.roles ADD CONSTRAINT roles_organizacion_nombre_key UNIQUE (organizacion_id, nombre);
+
+-- El rol padre tiene que ser de la misma organización
+ALTER TABLE public.roles ADD CONSTRAINT roles_organizacion_id_id_key UNIQUE (organizacion_id, id);
+ALTER TABLE public.roles ADD CONSTRAINT roles_rol_padre_organizacion_fkey
+  FOREIGN KEY (organizacion_id, rol_padre_id) REFERENCES public.roles (organizacion_id, id);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT FROM pg_roles WHERE rolname = 'plataforma_app') THEN
+    CREATE ROLE plataforma_app NOLOGIN;
+  END IF;
+
+  -- El usuario de la aplicación tiene que poder asumir el rol
+  EXECUTE format('GRANT plataforma_app TO %I', current_user);
+
+  -- Supabase instala unaccent (usada por sin_acentos) en el schema extensions
+  IF EXISTS (SELECT FROM pg_namespace WHERE nspname = 'extensions') THEN
+    GRANT USAGE ON SCHEMA extensions TO plataforma_app;
+  END IF;
+END;
+$$;
+
+GRANT SELECT, INSERT, UPDATE, DELETE
+  ON public.roles, public.usuarios, public.usuario_roles, public.rol_permisos
+  TO plataforma_app;
+GRANT SELECT ON public.permisos, public.organizaciones TO plataforma_app;
+GRANT SELECT, INSERT ON public.auditoria TO plataforma_app;
+GRANT USAGE ON SEQUENCE public.roles_id_seq, public.usuarios_id_seq, public.auditoria_id_seq TO plataforma_app;
+
+ALTER TABLE public.roles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.usuarios ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.auditoria ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.usuario_roles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.rol_permisos ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY roles_por_organizacion ON public.roles
+  USING (public.organizacion_visible(organizacion_id))
+  WITH CHECK (organizacion_id = public.organizacion_actual());
+
+CREATE POLICY usuarios_por_organizacion ON public.usuarios
+  USING (public.organizacion_visible(organizacion_id))
+  WITH CHECK (organizacion_id = public.organizacion_actual());
+
+CREATE POLICY auditoria_por_organizacion ON public.auditoria
+  USING (public.organizacion_visible(organizacion_id))
+  WITH CHECK (organizacion_id = public.organizacion_actual());
+
+-- Las tablas de relación se ven a través de sus entidades: las subconsultas
+-- sobre roles y usuarios también pasan por sus políticas
+CREATE POLICY usuario_roles_por_organizacion ON public.usuario_roles
+  USING (EXISTS (
+    SELECT 1
+    FROM public.usuarios u
+    JOIN public.roles r ON r.organizacion_id = u.organizacion_id
+    WHERE u.id = usuario_id AND r.id = rol_id
+  ));
+
+CREATE POLICY rol_permisos_por_organizacion ON public.rol_permisos
+  USING (EXISTS (SELECT 1 FROM public.roles r WHERE r.id = rol_id));
+
+-- migrate:down
+DROP POLICY IF EXISTS rol_permisos_por_organizacion ON public.rol_permisos;
+DROP POLICY IF EXISTS usuario_roles_por_organizacion ON public.usuario_roles;
+DROP POLICY IF EXISTS auditoria_por_organizacion ON public.auditoria;
+DROP POLICY IF EXISTS usuarios_por_organizacion ON public.usuarios;
+DROP POLICY IF EXISTS roles_por_organizacion ON public.roles;
+
+ALTER TABLE public.rol_permisos DISABLE ROW LEVEL SECURITY;
+ALTER TABLE public.usuario_roles DISABLE ROW LEVEL SECURITY;
+ALTER TABLE public.auditoria DISABLE ROW LEVEL SECURITY;
+ALTER TABLE public.usuarios DISABLE ROW LEVEL SECURITY;
+ALTER TABLE public.roles DISABLE ROW LEVEL SECURITY;
+
+-- El rol plataforma_app es de todo el cluster: se le quitan los permisos
+-- sobre esta base pero no se elimina
+REVOKE ALL ON public.roles, public.usuarios, public.usuario_roles, public.rol_permisos,
+  public.permisos, public.organizaciones, public.auditoria FROM plataforma_app;
+REVOKE ALL ON SEQUENCE public.roles_id_seq, public.usuarios_id_seq, public.auditoria_id_seq FROM plataforma_app;
+
+ALTER TABLE public.roles DROP CONSTRAINT IF EXISTS roles_rol_padre_organizacion_fkey;
+ALTER TABLE public.roles DROP CONSTRAINT IF EXISTS roles_organizacion_id_id_key;
+ALTER TABLE public.roles DROP CONSTRAINT IF EXISTS roles_organizacion_nombre_key;
+-- Falla si dos organizaciones tienen roles con el mismo nombre
+ALTER TABLE public.roles ADD CONSTRAINT roles_nombre_key UNIQUE (nombre);
+
+ALTER TABLE public.auditoria DROP COLUMN IF EXISTS organizacion_id;
+ALTER TABLE public.usuarios DROP COLUMN IF EXISTS super_admin;
+ALTER TABLE public.usuarios DROP COLUMN IF EXISTS organizacion_id;
+ALTER TABLE public.roles DROP COLUMN IF EXISTS organizacion_id;
+
+DROP FUNCTION IF EXISTS public.organizacion_visible(INTEGER);
+DROP FUNCTION IF EXISTS public.organizacion_actual();
+DROP TABLE IF EXISTS public.organizaciones;
@@ -0,0 +1,87 @@
+-- Eventos de roles para otros servicios: outbox transaccional y webhooks.
+--
+-- Cada mutación de un rol inserta su evento en eventos_outbox dentro de su
+-- misma transacción: si la mutación se revierte, el evento tampoco existe.
+-- El despachador (services/despachador-webhooks.js) lee los eventos nuevos,
+-- crea una entrega por cada webhook suscripto a su tipo y las envía con
+-- reintentos. Las entregas que agotan los intentos quedan como 'fallida'
+-- (dead letter) hasta que se reintenten a mano.
+--
+-- El despachador corre como dueño de las tablas, fuera de las políticas de
+-- RLS: reparte los eventos de todas las organizaciones.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS public.webhooks (
+  id SERIAL PRIMARY KEY,
+  organizacion_id INTEGER NOT NULL DEFAULT public.organizacion_actual() REFERENCES public.organizaciones (id),
+  url TEXT NOT NULL,
+  eventos TEXT[] NOT NULL,
+  -- Clave de la firma HMAC; se necesita en claro para firmar cada entrega
+  secreto VARCHAR(100) NOT NULL,
+  descripcion TEXT,
+  activo BOOLEAN NOT NULL DEFAULT true,
+  fecha_creacion TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  fecha_actualizacion TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS webhooks_organizacion_id_idx ON public.webhooks (organizacion_id);
+
+CREATE TABLE IF NOT EXISTS public.eventos_outbox (
+  id BIGSERIAL PRIMARY KEY,
+  organizacion_id INTEGER NOT NULL DEFAULT public.organizacion_actual() REFERENCES public.organizaciones (id),
+  tipo VARCHAR(100) NOT NULL,
+  entidad VARCHAR(50) NOT NULL,
+  entidad_id INTEGER NOT NULL,
+  datos JSONB NOT NULL,
+  request_id VARCHAR(128),
+  fecha TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  -- Cuándo el despachador creó sus entregas (null: todavía no las creó)
+  fecha_despacho TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS eventos_outbox_pendientes_idx ON public.eventos_outbox (id) WHERE fecha_despacho IS NULL;
+
+CREATE TABLE IF NOT EXISTS public.webhook_entregas (
+  id BIGSERIAL PRIMARY KEY,
+  webhook_id INTEGER NOT NULL REFERENCES public.webhooks (id) ON DELETE CASCADE,
+  evento_id BIGINT NOT NULL REFERENCES public.eventos_outbox (id) ON DELETE CASCADE,
+  estado VARCHAR(20) NOT NULL DEFAULT 'pendiente',
+  intentos INTEGER NOT NULL DEFAULT 0,
+  proximo_intento TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  ultimo_status INTEGER,
+  ultimo_error TEXT,
+  fecha_creacion TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  fecha_entrega TIMESTAMPTZ,
+  CONSTRAINT webhook_entregas_estado_check CHECK (estado IN ('pendiente', 'entregada', 'fallida')),
+  CONSTRAINT webhook_entregas_webhook_evento_key UNIQUE (webhook_id, evento_id)
+);
+
+CREATE INDEX IF NOT EXISTS webhook_entregas_pendientes_idx
+  ON public.webhook_entregas (proximo_intento) WHERE estado = 'pendiente';
+CREATE INDEX IF NOT EXISTS webhook_entregas_evento_id_idx ON public.webhook_entregas (evento_id);
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON public.webhooks TO plataforma_app;
+GRANT SELECT, INSERT ON public.eventos_outbox TO plataforma_app;
+-- UPDATE: reintentar a mano una entrega fallida
+GRANT SELECT, UPDATE ON public.webhook_entregas TO plataforma_app;
+GRANT USAGE ON SEQUENCE public.webhooks_id_seq, public.eventos_outbox_id_seq TO plataforma_app;
+
+ALTER TABLE public.webhooks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.eventos_outbox ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.webhook_entregas ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY webhooks_por_organizacion ON public.webhooks
+  USING (public.organizacion_visible(organizacion_id))
+  WITH CHECK (organizacion_id = public.organizacion_actual());
+
+CREATE POLICY eventos_outbox_por_organizacion ON public.eventos_outbox
+  USING (public.organizacion_visible(organizacion_id))
+  WITH CHECK (organizacion_id = public.organizacion_actual());
+
+CREATE POLICY webhook_entregas_por_organizacion ON public.webhook_entregas
+  USING (EXISTS (SELECT 1 FROM public.webhooks w WHERE w.id = webhook_id));
+
+-- migrate:down
+DROP TABLE IF EXISTS public.webhook_entregas;
+DROP TABLE IF EXISTS public.eventos_outbox;
+DROP TABLE IF EXISTS public.webhooks;
@@ -0,0 +1,31 @@
+-- Aviso en tiempo real de los eventos del outbox (GET /api/roles/stream).
+--
+-- Cada evento insertado se anuncia con NOTIFY en el canal eventos_outbox.
+-- Postgres entrega la notificación recién cuando la transacción se confirma
+-- (y nunca si se revierte), a todas las conexiones que escuchan, así que
+-- llega a todas las instancias del servidor. El payload lleva solo el id y la
+-- organización: el contenido puede superar el límite de 8000 bytes de NOTIFY
+-- y cada instancia lo lee de la tabla (services/canal-eventos.js).
+
+-- migrate:up
+CREATE OR REPLACE FUNCTION public.notificar_evento_outbox()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  PERFORM pg_notify(
+    'eventos_outbox',
+    json_build_object('id', NEW.id, 'organizacion_id', NEW.organizacion_id)::text
+  );
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS notificar_evento_outbox ON public.eventos_outbox;
+CREATE TRIGGER notificar_evento_outbox
+  AFTER INSERT ON public.eventos_outbox
+  FOR EACH ROW EXECUTE FUNCTION public.notificar_evento_outbox();
+
+-- migrate:down
+DROP TRIGGER IF EXISTS notificar_evento_outbox ON public.eventos_outbox;
+DROP FUNCTION IF EXISTS public.notificar_evento_outbox();
@@ -0,0 +1,51 @@
+-- Orden de confirmación de los eventos del outbox, para retomar
+-- GET /api/roles/stream con Last-Event-ID.
+--
+-- Los ids se asignan al insertar, no al confirmar: una transacción que toma
+-- un id y se confirma después que otra con un id mayor publica su evento más
+-- tarde. Retomar con "id > Last-Event-ID" lo perdería. Un trigger diferido
+-- asigna `orden` justo antes de confirmar, con un advisory lock que se libera
+-- al confirmarse: el orden de `orden` es el de confirmación (y el de NOTIFY).
+-- Mientras la transacción no se confirma, `orden` es null.
+
+-- migrate:up
+CREATE SEQUENCE IF NOT EXISTS public.eventos_outbox_orden_seq;
+
+ALTER TABLE public.eventos_outbox ADD COLUMN IF NOT EXISTS orden BIGINT;
+ALTER SEQUENCE public.eventos_outbox_orden_seq OWNED BY public.eventos_outbox.orden;
+
+-- Los eventos anteriores ya están confirmados: conservan el orden de sus ids
+UPDATE public.eventos_outbox e
+SET orden = o.orden
+FROM (SELECT id, nextval('public.eventos_outbox_orden_seq') AS orden FROM public.eventos_outbox ORDER BY id) o
+WHERE e.id = o.id AND e.orden IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS eventos_outbox_orden_idx ON public.eventos_outbox (orden);
+
+-- SECURITY DEFINER: plataforma_app no puede modificar eventos_outbox
+CREATE OR REPLACE FUNCTION public.ordenar_evento_outbox()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  -- Serializa solo el final de las transacciones con eventos, no la mutación
+  PERFORM pg_advisory_xact_lock(hashtext('eventos_outbox_orden'));
+  UPDATE public.eventos_outbox SET orden = nextval('public.eventos_outbox_orden_seq') WHERE id = NEW.id;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS ordenar_evento_outbox ON public.eventos_outbox;
+CREATE CONSTRAINT TRIGGER ordenar_evento_outbox
+  AFTER INSERT ON public.eventos_outbox
+  DEFERRABLE INITIALLY DEFERRED
+  FOR EACH ROW EXECUTE FUNCTION public.ordenar_evento_outbox();
+
+-- migrate:down
+DROP TRIGGER IF EXISTS ordenar_evento_outbox ON public.eventos_outbox;
+DROP FUNCTION IF EXISTS public.ordenar_evento_outbox();
+DROP INDEX IF EXISTS public.eventos_outbox_orden_idx;
+ALTER TABLE public.eventos_outbox DROP COLUMN IF EXISTS orden;
+DROP SEQUENCE IF EXISTS public.eventos_outbox_orden_seq;
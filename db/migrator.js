@@ -0,0 +1,281 @@
+import { createHash } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const MIGRACIONES_DIR = path.join(__dirname, 'migrations');
+export const SEEDS_DIR = path.join(__dirname, 'seeds');
+
+// Clave del advisory lock que evita que dos procesos migren a la vez
+const LOCK_MIGRACIONES = 7_402_915;
+
+const MARCA_UP = /^--\s*migrate:up\s*$/m;
+const MARCA_DOWN = /^--\s*migrate:down\s*$/m;
+
+/**
+ * Separa el archivo de una migración en sus secciones up y down.
+ * Todo lo que está antes de "-- migrate:up" se considera comentario.
+ */
+function parsearMigracion(nombre, contenido) {
+  const up = contenido.search(MARCA_UP);
+  const down = contenido.search(MARCA_DOWN);
+
+  if (up === -1 || down === -1 || down < up) {
+    throw new Error(`La migración ${nombre} debe tener las secciones "-- migrate:up" y "-- migrate:down" en ese orden`);
+  }
+
+  const sqlUp = contenido.slice(up, down).replace(MARCA_UP, '').trim();
+
+  return {
+    nombre,
+    up: sqlUp,
+    down: contenido.slice(down).replace(MARCA_DOWN, '').trim(),
+    // Solo de la sección up: es lo que quedó aplicado en la base
+    checksum: createHash('sha256').update(sqlUp).digest('hex')
+  };
+}
+
+/**
+ * Lista los archivos .sql de un directorio en orden
+ */
+async function listarSql(directorio) {
+  const archivos = await fs.readdir(directorio);
+  return archivos.filter((archivo) => archivo.endsWith('.sql')).sort();
+}
+
+/**
+ * Lee las migraciones del directorio, ordenadas por nombre
+ */
+export async function cargarMigraciones(directorio = MIGRACIONES_DIR) {
+  const archivos = await listarSql(directorio);
+
+  return Promise.all(archivos.map(async (archivo) => {
+    const contenido = await fs.readFile(path.join(directorio, archivo), 'utf8');
+    return parsearMigracion(path.basename(archivo, '.sql'), contenido);
+  }));
+}
+
+/**
+ * Crea la tabla de control si no existe. Se consulta antes para no generar
+ * el NOTICE de CREATE TABLE IF NOT EXISTS en cada ejecución. A las tablas
+ * creadas antes de registrar checksums se les agrega la columna.
+ */
+async function asegurarTablaMigraciones(sql) {
+  const [{ existe, con_checksum }] = await sql`
+    SELECT
+      to_regclass('public.schema_migraciones') IS NOT NULL AS existe,
+      EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = 'schema_migraciones' AND column_name = 'checksum'
+      ) AS con_checksum
+  `;
+
+  if (!existe) {
+    await sql`
+      CREATE TABLE IF NOT EXISTS public.schema_migraciones (
+        nombre VARCHAR(255) PRIMARY KEY,
+        fecha_aplicacion TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        checksum CHAR(64)
+      )
+    `;
+  } else if (!con_checksum) {
+    await sql`ALTER TABLE public.schema_migraciones ADD COLUMN checksum CHAR(64)`;
+  }
+}
+
+async function migracionesAplicadas(sql) {
+  const filas = await sql`
+    SELECT nombre, fecha_aplicacion, checksum
+    FROM public.schema_migraciones
+    ORDER BY nombre
+  `;
+
+  return new Map(filas.map((fila) => [fila.nombre, fila]));
+}
+
+/**
+ * Indica si el archivo de una migración aplicada cambió desde entonces.
+ * Las registradas antes de guardar checksums no se comparan.
+ */
+function fueModificada(migracion, aplicada) {
+  return Boolean(aplicada?.checksum) && aplicada.checksum !== migracion.checksum;
+}
+
+/**
+ * Arma el estado de cada migración del código contra las registradas en la
+ * base, agregando las registradas cuyo archivo ya no existe
+ */
+function compararMigraciones(migraciones, aplicadas) {
+  const estado = migraciones.map((migracion) => ({
+    nombre: migracion.nombre,
+    aplicada: aplicadas.has(migracion.nombre),
+    fecha_aplicacion: aplicadas.get(migracion.nombre)?.fecha_aplicacion ?? null,
+    faltante: false,
+    modificada: fueModificada(migracion, aplicadas.get(migracion.nombre))
+  }));
+
+  for (const [nombre, { fecha_aplicacion }] of aplicadas) {
+    if (!migraciones.some((migracion) => migracion.nombre === nombre)) {
+      estado.push({ nombre, aplicada: true, fecha_aplicacion, faltante: true, modificada: false });
+    }
+  }
+
+  return estado.sort((a, b) => a.nombre.localeCompare(b.nombre));
+}
+
+/**
+ * Devuelve cada migración con su estado. Incluye las registradas en la base
+ * cuyo archivo ya no existe, marcadas con faltante: true, y marca con
+ * modificada: true las aplicadas cuyo archivo cambió después.
+ */
+export async function estadoMigraciones(sql, directorio = MIGRACIONES_DIR) {
+  await asegurarTablaMigraciones(sql);
+
+  const [migraciones, aplicadas] = await Promise.all([
+    cargarMigraciones(directorio),
+    migracionesAplicadas(sql)
+  ]);
+
+  return compararMigraciones(migraciones, aplicadas);
+}
+
+/**
+ * Como estadoMigraciones, pero con las migraciones ya cargadas y sin tocar el
+ * esquema: hace un único SELECT sobre la tabla de control. Si la tabla o la
+ * columna checksum no existen, la base no pasó por el migrador actual y todas
+ * figuran como pendientes. Es lo que usa el chequeo de readiness.
+ */
+export async function consultarEstadoMigraciones(sql, migraciones) {
+  try {
+    return compararMigraciones(migraciones, await migracionesAplicadas(sql));
+  } catch (error) {
+    // 42P01: la tabla no existe; 42703: la columna no existe
+    if (error.code === '42P01' || error.code === '42703') {
+      return compararMigraciones(migraciones, new Map());
+    }
+    throw error;
+  }
+}
+
+/**
+ * Aplica las migraciones pendientes. Cada una corre en su propia transacción,
+ * así un error deja aplicadas las anteriores y no registra la que falló.
+ *
+ * Antes verifica que no se haya editado ninguna ya aplicada: el cambio no
+ * llegaría a las bases que ya la tienen, hay que escribir una migración nueva.
+ *
+ * @returns {Promise<string[]>} Nombres de las migraciones aplicadas
+ * @throws {Error} Si cambió el archivo de una migración aplicada
+ */
+export async function migrar(sql, directorio = MIGRACIONES_DIR) {
+  await asegurarTablaMigraciones(sql);
+
+  const migraciones = await cargarMigraciones(directorio);
+  const registradas = await migracionesAplicadas(sql);
+
+  const modificadas = migraciones.filter((migracion) => fueModificada(migracion, registradas.get(migracion.nombre)));
+  if (modificadas.length > 0) {
+    const nombres = modificadas.map((migracion) => migracion.nombre).join(', ');
+    throw new Error(`Las migraciones ${nombres} cambiaron después de aplicarse; los cambios van en una migración nueva`);
+  }
+
+  // Las aplicadas antes de guardar checksums toman el del archivo actual
+  for (const migracion of migraciones) {
+    if (registradas.has(migracion.nombre) && !registradas.get(migracion.nombre).checksum) {
+      await sql`
+        UPDATE public.schema_migraciones SET checksum = ${migracion.checksum}
+        WHERE nombre = ${migracion.nombre} AND checksum IS NULL
+      `;
+    }
+  }
+
+  const aplicadas = [];
+
+  for (const migracion of migraciones) {
+    const aplicada = await sql.begin(async (tx) => {
+      await tx`SELECT pg_advisory_xact_lock(${LOCK_MIGRACIONES})`;
+
+      const registrada = await tx`
+        SELECT 1 FROM public.schema_migraciones WHERE nombre = ${migracion.nombre}
+      `;
+      if (registrada.length > 0) return false;
+
+      await tx.unsafe(migracion.up).simple();
+      await tx`
+        INSERT INTO public.schema_migraciones (nombre, checksum)
+        VALUES (${migracion.nombre}, ${migracion.checksum})
+      `;
+      return true;
+    });
+
+    if (aplicada) aplicadas.push(migracion.nombre);
+  }
+
+  return aplicadas;
+}
+
+/**
+ * Revierte las últimas migraciones aplicadas, de la más nueva a la más vieja
+ *
+ * @param {number} [pasos=1] Cantidad de migraciones a revertir
+ * @returns {Promise<string[]>} Nombres de las migraciones revertidas
+ */
+export async function revertir(sql, pasos = 1, directorio = MIGRACIONES_DIR) {
+  await asegurarTablaMigraciones(sql);
+
+  const migraciones = new Map(
+    (await cargarMigraciones(directorio)).map((migracion) => [migracion.nombre, migracion])
+  );
+  const revertidas = [];
+
+  for (let i = 0; i < pasos; i++) {
+    const revertida = await sql.begin(async (tx) => {
+      await tx`SELECT pg_advisory_xact_lock(${LOCK_MIGRACIONES})`;
+
+      const [ultima] = await tx`
+        SELECT nombre FROM public.schema_migraciones
+        ORDER BY nombre DESC
+        LIMIT 1
+      `;
+      if (!ultima) return null;
+
+      const migracion = migraciones.get(ultima.nombre);
+      if (!migracion) {
+        throw new Error(`No se encontró el archivo de la migración ${ultima.nombre} para revertirla`);
+      }
+
+      if (migracion.down) {
+        await tx.unsafe(migracion.down).simple();
+      }
+      await tx`DELETE FROM public.schema_migraciones WHERE nombre = ${ultima.nombre}`;
+      return ultima.nombre;
+    });
+
+    if (!revertida) break;
+    revertidas.push(revertida);
+  }
+
+  return revertidas;
+}
+
+/**
+ * Ejecuta todos los seeds en orden dentro de una transacción.
+ * Los seeds deben ser idempotentes (INSERT ... ON CONFLICT DO NOTHING)
+ * porque se ejecutan completos cada vez.
+ *
+ * @returns {Promise<string[]>} Nombres de los seeds ejecutados
+ */
+export async function sembrar(sql, directorio = SEEDS_DIR) {
+  const archivos = await listarSql(directorio);
+
+  await sql.begin(async (tx) => {
+    for (const archivo of archivos) {
+      const contenido = await fs.readFile(path.join(directorio, archivo), 'utf8');
+      await tx.unsafe(contenido).simple();
+    }
+  });
+
+  return archivos.map((archivo) => path.basename(archivo, '.sql'));
+}
@@ -0,0 +1,9 @@
+-- Organización por defecto: la que reciben los usuarios que se registran
+-- sin indicar una. Las demás se crean con un INSERT en esta tabla; al volver
+-- a ejecutar los seeds reciben los roles por defecto.
+
+INSERT INTO public.organizaciones (id, nombre)
+VALUES (1, 'Principal')
+ON CONFLICT DO NOTHING;
+
+SELECT setval(pg_get_serial_sequence('public.organizaciones', 'id'), (SELECT max(id) FROM public.organizaciones));
@@ -0,0 +1,23 @@
+-- Catálogo de permisos que usan las rutas de la API
+
+INSERT INTO public.permisos (codigo, descripcion)
+VALUES
+  ('roles:read', 'Consultar roles'),
+  ('roles:create', 'Crear roles'),
+  ('roles:update', 'Modificar roles y sus permisos'),
+  ('roles:delete', 'Eliminar roles'),
+  ('roles:purge', 'Eliminar roles definitivamente'),
+  ('usuarios:read', 'Consultar usuarios'),
+  ('usuarios:create', 'Crear usuarios'),
+  ('usuarios:update', 'Modificar usuarios y sus roles'),
+  ('usuarios:delete', 'Eliminar usuarios'),
+  ('permisos:read', 'Consultar el catálogo de permisos'),
+  ('permisos:create', 'Agregar permisos al catálogo'),
+  ('permisos:update', 'Modificar permisos del catálogo'),
+  ('permisos:delete', 'Eliminar permisos del catálogo'),
+  ('auditoria:read', 'Consultar el registro de auditoría'),
+  ('webhooks:read', 'Consultar webhooks y sus entregas'),
+  ('webhooks:create', 'Registrar webhooks'),
+  ('webhooks:update', 'Modificar webhooks y reintentar entregas'),
+  ('webhooks:delete', 'Eliminar webhooks')
+ON CONFLICT (codigo) DO NOTHING;
@@ -0,0 +1,29 @@
+-- Roles por defecto de cada organización. Los roles que ya existan no se
+-- modifican; solo se completan los permisos que les falten.
+
+INSERT INTO public.roles (organizacion_id, nombre, descripcion)
+SELECT o.id, r.nombre, r.descripcion
+FROM public.organizaciones o
+CROSS JOIN (
+  VALUES
+    (1, 'Administrador', 'Acceso completo a la API'),
+    (2, 'Consulta', 'Acceso de solo lectura')
+) AS r (orden, nombre, descripcion)
+ORDER BY o.id, r.orden
+ON CONFLICT (organizacion_id, nombre) DO NOTHING;
+
+-- Administrador recibe todos los permisos del catálogo, incluidos los nuevos
+INSERT INTO public.rol_permisos (rol_id, permiso_id)
+SELECT r.id, p.id
+FROM public.roles r
+CROSS JOIN public.permisos p
+WHERE r.nombre = 'Administrador'
+ON CONFLICT DO NOTHING;
+
+-- Consulta recibe solo los permisos de lectura
+INSERT INTO public.rol_permisos (rol_id, permiso_id)
+SELECT r.id, p.id
+FROM public.roles r
+JOIN public.permisos p ON p.codigo LIKE '%:read'
+WHERE r.nombre = 'Consulta'
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,146 @@
+/**
+ * Mensajes en inglés. Las claves que falten aquí se responden en español.
+ */
+export default {
+  // Errores generales (clases de utils/errors.js)
+  'error.interno': 'Internal server error',
+  'error.validacion': 'Invalid input data',
+  'error.no_autenticado': 'Access token required',
+  'error.sin_permisos': 'You do not have permission to perform this action',
+  'error.no_encontrado': 'Resource not found',
+  'error.conflicto': 'Conflict with the current state of the resource',
+  'error.precondicion': 'The resource was modified by another request',
+  'error.tipo_de_contenido': 'Unsupported content type',
+  'error.tipo_de_contenido_esperado': 'The body must be sent as {tipos}',
+  'error.cuerpo_demasiado_grande': 'The request body is too large',
+  'error.demasiadas_solicitudes': 'Too many requests; please try again later',
+  'error.servicio_no_disponible': 'The service is unavailable',
+  'error.solicitud_invalida': 'Bad request',
+  'error.json_invalido': 'The request body is not valid JSON',
+  'error.ruta_no_encontrada': 'Route not found',
+  'error.valor_duplicado': 'A record with that data already exists',
+  'error.referencia_invalida': 'The operation references a record that does not exist or is in use',
+  'error.formato_invalido': 'Value has an invalid format',
+  'error.campo_faltante': 'A required field is missing',
+
+  // Validación por campo (utils/schemas.js)
+  'validacion.cuerpo_requerido': 'The request body is required',
+  'validacion.requerido': 'The field is required',
+  'validacion.tipo': 'Must be of type {tipo}',
+  'validacion.enum': 'Must be one of: {valores}',
+  'validacion.formato': 'Must have format {formato}',
+  'validacion.patron': 'Does not match the required format',
+  'validacion.longitud_minima': 'Must be at least {limite} characters long',
+  'validacion.longitud_maxima': 'Must be at most {limite} characters long',
+  'validacion.minimo': 'Must be greater than or equal to {limite}',
+  'validacion.maximo': 'Must be less than or equal to {limite}',
+  'validacion.elementos_minimos': 'Must contain at least {limite} items',
+  'validacion.elementos_maximos': 'Must contain at most {limite} items',
+  'validacion.valor_no_admitido': 'Value not allowed',
+  'validacion.sin_campos': 'At least one field to update must be provided',
+  'validacion.campo_no_permitido': 'Field not allowed',
+  'validacion.valor_invalido': 'Invalid value',
+
+  // Autenticación
+  'auth.token_expirado': 'Access token expired',
+  'auth.token_invalido': 'Invalid access token',
+  'auth.credenciales_invalidas': 'Invalid credentials',
+  'auth.usuario_inactivo': 'The user is inactive',
+  'auth.refresh_invalido': 'Invalid refresh token',
+  'auth.refresh_revocado': 'Refresh token revoked',
+  'auth.registrado': 'User registered successfully',
+  'auth.sesion_iniciada': 'Logged in successfully',
+  'auth.tokens_renovados': 'Tokens refreshed successfully',
+  'auth.sesion_cerrada': 'Logged out successfully',
+
+  // Organizaciones
+  'organizacion.header_invalido': '{header} must be the ID of an organization',
+  'organizacion.no_encontrada': 'Organization not found',
+  'organizacion.sin_acceso': 'You do not have access to that organization',
+  'organizacion.requerida': 'Specify in {header} the organization being modified',
+
+  // Paginación
+  'paginacion.sort_no_permitido': 'Sort field not allowed',
+  'paginacion.cursor_invalido': 'Invalid cursor or cursor generated with a different sort',
+
+  // CSV
+  'csv.comillas_sin_cerrar': 'Unclosed quotes in the row starting at line {linea}',
+  'csv.sin_encabezado': 'The CSV has no header',
+  'csv.sin_columna_nombre': 'The CSV must have a nombre column',
+
+  // JSON Patch
+  'patch.ruta_invalida': 'Invalid path: {ruta}',
+  'patch.ruta_inexistente': 'The path does not exist: {ruta}',
+  'patch.indice_fuera_de_rango': 'Index out of range: {ruta}',
+  'patch.requiere_value': 'The {op} operation requires value',
+  'patch.requiere_from': 'The {op} operation requires from',
+  'patch.mover_dentro_de_si_mismo': 'A value cannot be moved into itself',
+  'patch.test_fallido': 'The test operation on {ruta} failed',
+  'patch.operacion_no_admitida': 'Unsupported operation: {op}',
+
+  // Roles
+  'rol.no_encontrado': 'Role not found',
+  'rol.padre_no_encontrado': 'Parent role not found',
+  'rol.destino_no_encontrado': 'Target role not found',
+  'rol.inexistentes': 'One or more roles do not exist',
+  'rol.nombre_duplicado': 'A role with that name already exists',
+  'rol.modificado': 'The role was modified by another request; fetch it again before saving',
+  'rol.patch_invalido': 'The result of the patch is not a valid role',
+  'rol.ya_eliminado': 'The role is already deleted',
+  'rol.no_eliminado': 'The role is not deleted',
+  'rol.activo': 'The role must be deleted before it can be permanently removed',
+  'rol.tiene_hijos': 'The role has child roles; assign them another parent before removing it',
+  'rol.en_uso': 'The role is assigned to users; specify reasignar_a to move them to another role',
+  'rol.reasignar_al_mismo': 'Users cannot be reassigned to the same role',
+  'rol.inactivos': 'Inactive roles cannot be assigned',
+  'rol.ciclo': 'The given parent role would create a cycle in the hierarchy',
+  'rol.permisos_inexistentes': 'One or more permissions do not exist',
+  'rol.lote_fallido': 'No operation was applied because one or more failed',
+  'rol.demasiadas_filas': 'At most {limite} rows are allowed per import',
+  'rol.ultimo_evento_invalido': 'Last-Event-ID must be an event id',
+  'rol.creado': 'Role created successfully',
+  'rol.actualizado': 'Role updated successfully',
+  'rol.eliminado': 'Role deleted successfully',
+  'rol.restaurado': 'Role restored successfully',
+  'rol.eliminado_definitivamente': 'Role permanently deleted',
+  'rol.permisos_actualizados': 'Role permissions updated successfully',
+  'rol.lote_simulado': 'Dry run completed: no changes were applied',
+  'rol.lote_aplicado': 'Operations applied successfully',
+  'rol.importacion_procesada': 'Import processed',
+
+  // Usuarios
+  'usuario.no_encontrado': 'User not found',
+  'usuario.email_duplicado': 'A user with that email already exists',
+  'usuario.rol_no_asignado': 'The user does not have that role assigned',
+  'usuario.creado': 'User created successfully',
+  'usuario.actualizado': 'User updated successfully',
+  'usuario.eliminado': 'User deleted successfully',
+  'usuario.ya_eliminado': 'The user is already deleted',
+  'usuario.roles_asignados': 'Roles assigned successfully',
+  'usuario.rol_removido': 'Role removed successfully',
+
+  // Permisos
+  'permiso.no_encontrado': 'Permission not found',
+  'permiso.codigo_duplicado': 'A permission with that code already exists',
+  'permiso.creado': 'Permission created successfully',
+  'permiso.actualizado': 'Permission updated successfully',
+  'permiso.eliminado': 'Permission deleted successfully',
+  'permiso.solo_super_admin': 'Only a super administrator can change the permission catalog',
+
+  // Webhooks
+  'webhook.no_encontrado': 'Webhook not found',
+  'webhook.url_insegura': 'The webhook URL must use https',
+  'webhook.url_privada': 'The webhook URL cannot point to a private, local or reserved address',
+  'webhook.entrega_no_encontrada': 'Delivery not found',
+  'webhook.entrega_no_fallida': 'Only failed deliveries can be retried',
+  'webhook.creado': 'Webhook created successfully; store the secret, it will not be shown again',
+  'webhook.actualizado': 'Webhook updated successfully',
+  'webhook.eliminado': 'Webhook deleted successfully',
+  'webhook.entrega_reencolada': 'The delivery will be sent again',
+
+  // Observabilidad
+  'salud.apagando': 'The server is shutting down',
+  'salud.base_de_datos_caida': 'The database is not responding',
+  'salud.migraciones_pendientes': 'There are pending migrations',
+  'metricas.token_invalido': 'Invalid metrics token'
+};
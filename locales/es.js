@@ -0,0 +1,147 @@
+/**
+ * Mensajes en español, el idioma por defecto: toda clave de en.js debe
+ * existir aquí. Los {nombres} entre llaves se reemplazan por parámetros.
+ */
+export default {
+  // Errores generales (clases de utils/errors.js)
+  'error.interno': 'Error interno del servidor',
+  'error.validacion': 'Datos de entrada inválidos',
+  'error.no_autenticado': 'Token de acceso requerido',
+  'error.sin_permisos': 'No tiene permisos para realizar esta acción',
+  'error.no_encontrado': 'Recurso no encontrado',
+  'error.conflicto': 'Conflicto con el estado actual del recurso',
+  'error.precondicion': 'El recurso fue modificado por otra solicitud',
+  'error.tipo_de_contenido': 'Tipo de contenido no admitido',
+  'error.tipo_de_contenido_esperado': 'El cuerpo debe enviarse como {tipos}',
+  'error.cuerpo_demasiado_grande': 'El cuerpo de la solicitud es demasiado grande',
+  'error.demasiadas_solicitudes': 'Demasiadas solicitudes; intente nuevamente más tarde',
+  'error.servicio_no_disponible': 'El servicio no está disponible',
+  'error.solicitud_invalida': 'Solicitud inválida',
+  'error.json_invalido': 'El cuerpo de la solicitud no es un JSON válido',
+  'error.ruta_no_encontrada': 'Ruta no encontrada',
+  'error.valor_duplicado': 'Ya existe un registro con esos datos',
+  'error.referencia_invalida': 'La operación referencia un registro inexistente o que está en uso',
+  'error.formato_invalido': 'Valor con formato inválido',
+  'error.campo_faltante': 'Falta un campo requerido',
+
+  // Validación por campo (utils/schemas.js)
+  'validacion.cuerpo_requerido': 'El cuerpo de la solicitud es requerido',
+  'validacion.requerido': 'El campo es requerido',
+  'validacion.tipo': 'Debe ser de tipo {tipo}',
+  'validacion.enum': 'Debe ser uno de: {valores}',
+  'validacion.formato': 'Debe tener formato {formato}',
+  'validacion.patron': 'No cumple el formato requerido',
+  'validacion.longitud_minima': 'Debe tener al menos {limite} caracteres',
+  'validacion.longitud_maxima': 'Debe tener como máximo {limite} caracteres',
+  'validacion.minimo': 'Debe ser mayor o igual a {limite}',
+  'validacion.maximo': 'Debe ser menor o igual a {limite}',
+  'validacion.elementos_minimos': 'Debe contener al menos {limite} elementos',
+  'validacion.elementos_maximos': 'Debe contener como máximo {limite} elementos',
+  'validacion.valor_no_admitido': 'Valor no admitido',
+  'validacion.sin_campos': 'Debe proporcionar al menos un campo para actualizar',
+  'validacion.campo_no_permitido': 'Campo no permitido',
+  'validacion.valor_invalido': 'Valor inválido',
+
+  // Autenticación
+  'auth.token_expirado': 'Token de acceso expirado',
+  'auth.token_invalido': 'Token de acceso inválido',
+  'auth.credenciales_invalidas': 'Credenciales inválidas',
+  'auth.usuario_inactivo': 'El usuario está inactivo',
+  'auth.refresh_invalido': 'Refresh token inválido',
+  'auth.refresh_revocado': 'Refresh token revocado',
+  'auth.registrado': 'Usuario registrado exitosamente',
+  'auth.sesion_iniciada': 'Inicio de sesión exitoso',
+  'auth.tokens_renovados': 'Tokens renovados exitosamente',
+  'auth.sesion_cerrada': 'Sesión cerrada exitosamente',
+
+  // Organizaciones
+  'organizacion.header_invalido': '{header} debe ser el ID de una organización',
+  'organizacion.no_encontrada': 'Organización no encontrada',
+  'organizacion.sin_acceso': 'No tiene acceso a esa organización',
+  'organizacion.requerida': 'Indique en {header} la organización que se modifica',
+
+  // Paginación
+  'paginacion.sort_no_permitido': 'Campo de ordenamiento no permitido',
+  'paginacion.cursor_invalido': 'Cursor inválido o generado con otro ordenamiento',
+
+  // CSV
+  'csv.comillas_sin_cerrar': 'Comillas sin cerrar en la fila que empieza en la línea {linea}',
+  'csv.sin_encabezado': 'El CSV no tiene encabezado',
+  'csv.sin_columna_nombre': 'El CSV debe tener una columna nombre',
+
+  // JSON Patch
+  'patch.ruta_invalida': 'Ruta inválida: {ruta}',
+  'patch.ruta_inexistente': 'La ruta no existe: {ruta}',
+  'patch.indice_fuera_de_rango': 'Índice fuera de rango: {ruta}',
+  'patch.requiere_value': 'La operación {op} requiere value',
+  'patch.requiere_from': 'La operación {op} requiere from',
+  'patch.mover_dentro_de_si_mismo': 'No se puede mover un valor dentro de sí mismo',
+  'patch.test_fallido': 'La operación test de {ruta} no se cumple',
+  'patch.operacion_no_admitida': 'Operación no admitida: {op}',
+
+  // Roles
+  'rol.no_encontrado': 'Rol no encontrado',
+  'rol.padre_no_encontrado': 'Rol padre no encontrado',
+  'rol.destino_no_encontrado': 'Rol de destino no encontrado',
+  'rol.inexistentes': 'Uno o más roles no existen',
+  'rol.nombre_duplicado': 'Ya existe un rol con ese nombre',
+  'rol.modificado': 'El rol fue modificado por otra solicitud; vuelva a obtenerlo antes de guardar',
+  'rol.patch_invalido': 'El resultado del patch no es un rol válido',
+  'rol.ya_eliminado': 'El rol ya está eliminado',
+  'rol.no_eliminado': 'El rol no está eliminado',
+  'rol.activo': 'El rol debe eliminarse antes de borrarlo definitivamente',
+  'rol.tiene_hijos': 'El rol tiene roles hijos; asígneles otro padre antes de borrarlo',
+  'rol.en_uso': 'El rol está asignado a usuarios; indique reasignar_a para pasarlos a otro rol',
+  'rol.reasignar_al_mismo': 'No se pueden reasignar los usuarios al mismo rol',
+  'rol.inactivos': 'No se pueden asignar roles inactivos',
+  'rol.ciclo': 'El rol padre indicado generaría un ciclo en la jerarquía',
+  'rol.permisos_inexistentes': 'Uno o más permisos no existen',
+  'rol.lote_fallido': 'No se aplicó ninguna operación porque una o más fallaron',
+  'rol.demasiadas_filas': 'Se admiten como máximo {limite} filas por importación',
+  'rol.ultimo_evento_invalido': 'Last-Event-ID debe ser el id de un evento',
+  'rol.creado': 'Rol creado exitosamente',
+  'rol.actualizado': 'Rol actualizado exitosamente',
+  'rol.eliminado': 'Rol eliminado exitosamente',
+  'rol.restaurado': 'Rol restaurado exitosamente',
+  'rol.eliminado_definitivamente': 'Rol eliminado definitivamente',
+  'rol.permisos_actualizados': 'Permisos del rol actualizados exitosamente',
+  'rol.lote_simulado': 'Simulación completada: no se aplicó ningún cambio',
+  'rol.lote_aplicado': 'Operaciones aplicadas exitosamente',
+  'rol.importacion_procesada': 'Importación procesada',
+
+  // Usuarios
+  'usuario.no_encontrado': 'Usuario no encontrado',
+  'usuario.email_duplicado': 'Ya existe un usuario con ese email',
+  'usuario.rol_no_asignado': 'El usuario no tiene asignado ese rol',
+  'usuario.creado': 'Usuario creado exitosamente',
+  'usuario.actualizado': 'Usuario actualizado exitosamente',
+  'usuario.eliminado': 'Usuario eliminado exitosamente',
+  'usuario.ya_eliminado': 'El usuario ya está eliminado',
+  'usuario.roles_asignados': 'Roles asignados exitosamente',
+  'usuario.rol_removido': 'Rol removido exitosamente',
+
+  // Permisos
+  'permiso.no_encontrado': 'Permiso no encontrado',
+  'permiso.codigo_duplicado': 'Ya existe un permiso con ese código',
+  'permiso.creado': 'Permiso creado exitosamente',
+  'permiso.actualizado': 'Permiso actualizado exitosamente',
+  'permiso.eliminado': 'Permiso eliminado exitosamente',
+  'permiso.solo_super_admin': 'Solo un super administrador puede modificar el catálogo de permisos',
+
+  // Webhooks
+  'webhook.no_encontrado': 'Webhook no encontrado',
+  'webhook.url_insegura': 'La URL del webhook debe usar https',
+  'webhook.url_privada': 'La URL del webhook no puede apuntar a una dirección privada, local o reservada',
+  'webhook.entrega_no_encontrada': 'Entrega no encontrada',
+  'webhook.entrega_no_fallida': 'Solo se pueden reintentar las entregas fallidas',
+  'webhook.creado': 'Webhook creado exitosamente; guarde el secreto, no se vuelve a mostrar',
+  'webhook.actualizado': 'Webhook actualizado exitosamente',
+  'webhook.eliminado': 'Webhook eliminado exitosamente',
+  'webhook.entrega_reencolada': 'La entrega se volverá a enviar',
+
+  // Observabilidad
+  'salud.apagando': 'El servidor se está apagando',
+  'salud.base_de_datos_caida': 'La base de datos no responde',
+  'salud.migraciones_pendientes': 'Hay migraciones pendientes',
+  'metricas.token_invalido': 'Token de métricas inválido'
+};
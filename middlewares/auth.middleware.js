@@ -0,0 +1,55 @@
+import sql from '../config/db.js';
+import { UnauthorizedError } from '../utils/errors.js';
+import { verificarAccessToken } from '../utils/tokens.js';
+
+/**
+ * Exige un access token válido en el header Authorization.
+ * Deja en req.usuario el usuario autenticado y en req.token el payload del JWT.
+ */
+export async function authenticate(req, res, next) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    throw new UnauthorizedError('error.no_autenticado');
+  }
+
+  let payload;
+
+  try {
+    payload = verificarAccessToken(token);
+  } catch (error) {
+    throw error.name === 'TokenExpiredError'
+      ? new UnauthorizedError('auth.token_expirado', { code: 'TOKEN_EXPIRED' })
+      : new UnauthorizedError('auth.token_invalido', { code: 'INVALID_TOKEN' });
+  }
+
+  const usuarios = await sql`
+    SELECT
+      u.id,
+      u.nombre,
+      u.apellido,
+      u.email,
+      u.activo,
+      u.organizacion_id,
+      u.super_admin,
+      EXISTS (
+        SELECT 1 FROM public.tokens_revocados tr WHERE tr.jti = ${payload.jti}
+      ) AS revocado
+    FROM public.usuarios u
+    WHERE u.id = ${parseInt(payload.sub)}
+  `;
+
+  const usuario = usuarios[0];
+
+  // Un token emitido antes de que el usuario cambiara de organización ya no vale
+  const otraOrganizacion = payload.org !== undefined && payload.org !== usuario?.organizacion_id;
+
+  if (!usuario || !usuario.activo || usuario.revocado || otraOrganizacion) {
+    throw new UnauthorizedError('auth.token_invalido', { code: 'INVALID_TOKEN' });
+  }
+
+  delete usuario.revocado;
+  req.usuario = usuario;
+  req.token = payload;
+  next();
+}
@@ -0,0 +1,74 @@
+import sql from '../config/db.js';
+import { ForbiddenError, UnauthorizedError } from '../utils/errors.js';
+
+/**
+ * Obtiene los códigos de permiso que otorgan los roles activos del usuario,
+ * incluidos los heredados de sus roles ancestros activos
+ */
+async function obtenerPermisosUsuario(usuarioId) {
+  const permisos = await sql`
+    WITH RECURSIVE linaje AS (
+      SELECT r.id, r.rol_padre_id, ARRAY[r.id] AS camino
+      FROM public.usuario_roles ur
+      JOIN public.roles r ON r.id = ur.rol_id AND r.activo = true
+      WHERE ur.usuario_id = ${usuarioId}
+      UNION ALL
+      SELECT r.id, r.rol_padre_id, l.camino || r.id
+      FROM public.roles r
+      JOIN linaje l ON r.id = l.rol_padre_id
+      WHERE r.activo = true AND NOT r.id = ANY(l.camino)
+    )
+    SELECT DISTINCT p.codigo
+    FROM linaje l
+    JOIN public.rol_permisos rp ON rp.rol_id = l.id
+    JOIN public.permisos p ON p.id = rp.permiso_id
+  `;
+
+  return new Set(permisos.map((permiso) => permiso.codigo));
+}
+
+/**
+ * Exige que el usuario autenticado tenga todos los permisos indicados.
+ * Debe usarse después de authenticate. Los permisos se consultan en cada
+ * request, por lo que desactivar un rol revoca de inmediato sus permisos
+ * y los que heredaban de él sus roles descendientes.
+ *
+ * @example router.put('/:id', authorize('roles:update'), controller.actualizarRol)
+ */
+export function authorize(...requeridos) {
+  return async (req, res, next) => {
+    if (!req.usuario) {
+      throw new UnauthorizedError();
+    }
+
+    req.permisos ??= await obtenerPermisosUsuario(req.usuario.id);
+
+    const faltantes = requeridos.filter((codigo) => !req.permisos.has(codigo));
+
+    if (faltantes.length > 0) {
+      throw new ForbiddenError('error.sin_permisos', {
+        details: { permisos: faltantes }
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Exige que el usuario autenticado sea super administrador. Protege lo que
+ * comparten todas las organizaciones, como el catálogo de permisos: un
+ * permiso otorgado por los roles de una organización no alcanza.
+ * Debe usarse después de authenticate.
+ */
+export function exigirSuperAdmin(req, res, next) {
+  if (!req.usuario) {
+    throw new UnauthorizedError();
+  }
+
+  if (!req.usuario.super_admin) {
+    throw new ForbiddenError('permiso.solo_super_admin', { code: 'SUPER_ADMIN_REQUIRED' });
+  }
+
+  next();
+}
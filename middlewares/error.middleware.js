@@ -0,0 +1,73 @@
+import { AppError, NotFoundError, PayloadTooLargeError, ValidationError, desdePostgres } from '../utils/errors.js';
+import { localizar } from '../utils/i18n.js';
+import logger, { redactarUrl } from '../utils/logger.js';
+
+/**
+ * Normaliza cualquier error lanzado en la cadena de middlewares a un AppError
+ */
+function normalizar(error) {
+  if (error instanceof AppError) return error;
+
+  const dePostgres = desdePostgres(error);
+  if (dePostgres) return dePostgres;
+
+  // Errores de express.json (JSON malformado, body demasiado grande, etc.)
+  if (error.type === 'entity.parse.failed') {
+    return new ValidationError('error.json_invalido', { code: 'INVALID_JSON' });
+  }
+
+  if (error.type === 'entity.too.large') {
+    return new PayloadTooLargeError(undefined, { details: { limite_bytes: error.limit } });
+  }
+
+  // Su mensaje viene en inglés del parser: se responde uno del catálogo
+  if (error.status >= 400 && error.status < 500 && error.expose) {
+    return new AppError('error.solicitud_invalida', { status: error.status, code: 'BAD_REQUEST' });
+  }
+
+  return null;
+}
+
+/**
+ * Responde 404 para las rutas que no existen
+ */
+export function notFoundHandler(req, res, next) {
+  next(new NotFoundError('error.ruta_no_encontrada', { code: 'ROUTE_NOT_FOUND' }));
+}
+
+/**
+ * Manejador de errores central: arma la respuesta con el formato común,
+ * con el mensaje en el idioma de la request (req.idioma), y registra los
+ * errores inesperados.
+ */
+export function errorHandler(error, req, res, next) {
+  const appError = normalizar(error);
+
+  if (!appError) {
+    logger.error('Error no controlado', {
+      request_id: req.id,
+      method: req.method,
+      url: redactarUrl(req.originalUrl),
+      error
+    });
+  }
+
+  const { status, code, mensaje, details } = appError
+    ?? new AppError('error.interno');
+
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  if (status === 401) {
+    res.set('WWW-Authenticate', 'Bearer');
+  }
+
+  res.status(status).json({
+    success: false,
+    code,
+    message: mensaje.traducir(req.idioma),
+    ...(details !== undefined && { details: localizar(details, req.idioma) }),
+    requestId: req.id
+  });
+}
@@ -0,0 +1,15 @@
+import { IDIOMA_POR_DEFECTO, IDIOMAS } from '../utils/i18n.js';
+
+/**
+ * Elige el idioma de la respuesta según Accept-Language entre los que tienen
+ * catálogo (utils/i18n.js) y lo deja en req.idioma; si el cliente no acepta
+ * ninguno se responde en español. El idioma elegido se informa en
+ * Content-Language.
+ */
+export function idioma(req, res, next) {
+  req.idioma = req.acceptsLanguages(IDIOMAS) || IDIOMA_POR_DEFECTO;
+  res.set('Content-Language', req.idioma);
+  // La misma URL responde distinto según el idioma: las caches deben distinguirlos
+  res.vary('Accept-Language');
+  next();
+}
@@ -1,2 +1,9 @@
 ﻿// Middlewares module
-module.exports = {};
+export { authenticate } from './auth.middleware.js';
+export { authorize, exigirSuperAdmin } from './authorize.middleware.js';
+export { organizacion } from './organizacion.middleware.js';
+export { requestId } from './request-id.middleware.js';
+export { idioma } from './idioma.middleware.js';
+export { registrarRequest } from './logging.middleware.js';
+export { limitarSolicitudes } from './rate-limit.middleware.js';
+export { notFoundHandler, errorHandler } from './error.middleware.js';
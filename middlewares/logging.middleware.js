@@ -0,0 +1,72 @@
+import logger, { redactarUrl } from '../utils/logger.js';
+import { duracionHttp, solicitudesEnCurso, solicitudesHttp } from '../utils/metrics.js';
+
+// Etiqueta de las requests que no llegaron a una ruta (404, o rechazadas antes
+// por authenticate), para que las URLs arbitrarias no creen una serie cada una
+const RUTA_DESCONOCIDA = 'desconocida';
+
+// Los orquestadores y Prometheus las consultan cada pocos segundos: si
+// responden bien se registran en nivel debug
+const RUTAS_DE_MONITOREO = new Set(['/health/live', '/health/ready', '/metrics']);
+
+/**
+ * Patrón de la ruta que atendió la request (/api/roles/:id), no la URL.
+ * La raíz de un router queda sin barra final (/api/roles, no /api/roles/).
+ */
+function rutaDe(req) {
+  if (!req.route) return RUTA_DESCONOCIDA;
+
+  const ruta = `${req.baseUrl}${req.route.path}`;
+  return ruta.length > 1 ? ruta.replace(/\/$/, '') : ruta;
+}
+
+function nivelDe(ruta, status) {
+  if (status >= 500) return 'error';
+  if (status >= 400) return 'warn';
+  return RUTAS_DE_MONITOREO.has(ruta) ? 'debug' : 'info';
+}
+
+/**
+ * Registra cada request al terminar: una línea de log JSON con método, ruta,
+ * status y latencia, y las métricas http_* de /metrics. Debe usarse después
+ * de requestId para incluir el X-Request-Id.
+ *
+ * Si el cliente corta la conexión antes de la respuesta se registra igual,
+ * con status 499 (convención de nginx).
+ */
+export function registrarRequest(req, res, next) {
+  const inicio = process.hrtime.bigint();
+  let registrada = false;
+
+  solicitudesEnCurso.incrementar();
+
+  const registrar = () => {
+    if (registrada) return;
+    registrada = true;
+
+    const segundos = Number(process.hrtime.bigint() - inicio) / 1e9;
+    const status = res.writableFinished ? res.statusCode : 499;
+    const ruta = rutaDe(req);
+
+    solicitudesEnCurso.decrementar();
+    solicitudesHttp.incrementar({ method: req.method, route: ruta, status });
+    duracionHttp.observar({ method: req.method, route: ruta }, segundos);
+
+    logger[nivelDe(ruta, status)]('Request HTTP', {
+      request_id: req.id,
+      method: req.method,
+      route: ruta,
+      url: redactarUrl(req.originalUrl),
+      status,
+      duration_ms: Math.round(segundos * 1e6) / 1e3,
+      usuario_id: req.usuario?.id,
+      organizacion_id: req.organizacion?.id,
+      ip: req.ip,
+      user_agent: req.get('User-Agent')
+    });
+  };
+
+  res.on('finish', registrar);
+  res.on('close', registrar);
+  next();
+}
@@ -0,0 +1,73 @@
+import sql from '../config/db.js';
+import { ForbiddenError, NotFoundError, ValidationError } from '../utils/errors.js';
+
+export const HEADER_ORGANIZACION = 'X-Organizacion-Id';
+
+// Valor del header con el que un super administrador lee todas las organizaciones
+const TODAS = '*';
+
+const METODOS_DE_LECTURA = new Set(['GET', 'HEAD']);
+
+/**
+ * Valida el ID de organización recibido en el header y verifica que exista
+ *
+ * @param {string} valor
+ * @returns {Promise<number>}
+ */
+export async function organizacionDelHeader(valor) {
+  if (!/^[1-9]\d{0,9}$/.test(valor)) {
+    throw new ValidationError('organizacion.header_invalido', {
+      code: 'INVALID_ORGANIZATION',
+      parametros: { header: HEADER_ORGANIZACION }
+    });
+  }
+
+  const [existente] = await sql`
+    SELECT id FROM public.organizaciones WHERE id = ${Number(valor)}
+  `;
+
+  if (!existente) {
+    throw new NotFoundError('organizacion.no_encontrada');
+  }
+
+  return existente.id;
+}
+
+/**
+ * Resuelve la organización de la request y la deja en req.organizacion
+ * ({ id, todas }) para usarla con conOrganizacion (config/db.js).
+ * Debe usarse después de authenticate.
+ *
+ * La organización es la del access token. El header X-Organizacion-Id puede
+ * repetirla; solo un super administrador puede indicar otra, o "*" para leer
+ * las de todas (las escrituras requieren una organización concreta).
+ */
+export async function organizacion(req, res, next) {
+  const { usuario } = req;
+  const propia = req.token.org ?? usuario.organizacion_id;
+  const header = req.get(HEADER_ORGANIZACION);
+
+  if (header === undefined || header === String(propia)) {
+    req.organizacion = { id: propia, todas: false };
+    return next();
+  }
+
+  if (!usuario.super_admin) {
+    throw new ForbiddenError('organizacion.sin_acceso', { code: 'ORGANIZATION_FORBIDDEN' });
+  }
+
+  if (header === TODAS) {
+    if (!METODOS_DE_LECTURA.has(req.method)) {
+      throw new ValidationError('organizacion.requerida', {
+        code: 'ORGANIZATION_REQUIRED',
+        parametros: { header: HEADER_ORGANIZACION }
+      });
+    }
+
+    req.organizacion = { id: null, todas: true };
+    return next();
+  }
+
+  req.organizacion = { id: await organizacionDelHeader(header), todas: false };
+  next();
+}
@@ -0,0 +1,81 @@
+import { TooManyRequestsError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+import { MemoriaStore } from '../utils/rate-limit-store.js';
+
+// Store compartido por todos los limitadores que no indican otro
+const storePorDefecto = new MemoriaStore();
+
+/**
+ * Clave por cliente: el usuario autenticado si lo hay (así varios usuarios
+ * detrás de la misma IP no comparten cupo) o la IP.
+ */
+export function claveDePrincipal(req) {
+  return req.usuario ? `usuario:${req.usuario.id}` : `ip:${req.ip}`;
+}
+
+export function claveDeIp(req) {
+  return `ip:${req.ip}`;
+}
+
+/**
+ * Crea un middleware que limita las requests de cada cliente a `limite` por
+ * ventana de `ventana` milisegundos (ventana fija).
+ *
+ * Informa el cupo con los headers RateLimit-Policy, RateLimit-Limit,
+ * RateLimit-Remaining y RateLimit-Reset (draft-ietf-httpapi-ratelimit-headers);
+ * si se encadenan varios limitadores quedan los del más cercano a agotarse.
+ * Al superar el límite responde 429 RATE_LIMITED con Retry-After.
+ *
+ * Si el store falla la request sigue: un problema del store no debe dejar
+ * la API sin servicio.
+ *
+ * @param {object} opciones
+ * @param {string} opciones.nombre Identifica el límite; separa sus contadores de los de otros
+ * @param {number} opciones.limite Requests por ventana; 0 desactiva el límite
+ * @param {number} opciones.ventana Duración de la ventana en milisegundos
+ * @param {(req) => string} [opciones.clave=claveDePrincipal] Cliente al que se le cuenta la request
+ * @param {(req) => boolean} [opciones.omitir] Requests que no cuentan (por ejemplo, lecturas)
+ * @param {object} [opciones.store] Ver utils/rate-limit-store.js
+ */
+export function limitarSolicitudes({
+  nombre,
+  limite,
+  ventana,
+  clave = claveDePrincipal,
+  omitir = () => false,
+  store = storePorDefecto
+}) {
+  return async function limitarSolicitudesMiddleware(req, res, next) {
+    if (limite <= 0 || omitir(req)) return next();
+
+    let contador;
+    try {
+      contador = await store.incrementar(`${nombre}:${clave(req)}`, ventana);
+    } catch (error) {
+      logger.warn('No se pudo consultar el store de rate limiting', { request_id: req.id, limite: nombre, error });
+      return next();
+    }
+
+    const restantes = Math.max(0, limite - contador.total);
+    const reinicio = Math.max(0, Math.ceil((contador.reinicio - Date.now()) / 1000));
+    const anteriores = res.get('RateLimit-Remaining');
+
+    if (anteriores === undefined || restantes <= Number(anteriores)) {
+      res.set({
+        'RateLimit-Policy': `${limite};w=${Math.ceil(ventana / 1000)}`,
+        'RateLimit-Limit': String(limite),
+        'RateLimit-Remaining': String(restantes),
+        'RateLimit-Reset': String(reinicio)
+      });
+    }
+
+    if (contador.total > limite) {
+      res.set('Retry-After', String(reinicio));
+      throw new TooManyRequestsError(undefined, {
+        details: { limite, ventana_s: Math.ceil(ventana / 1000), reintentar_en_s: reinicio }
+      });
+    }
+
+    next();
+  };
+}
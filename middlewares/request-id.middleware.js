@@ -0,0 +1,16 @@
+import crypto from 'crypto';
+
+// Se acepta el ID del cliente o del proxy solo si tiene un formato razonable
+const REQUEST_ID_REGEX = /^[\w.:-]{1,128}$/;
+
+/**
+ * Asigna un identificador a cada request (req.id) y lo devuelve en el
+ * header X-Request-Id. Si el cliente ya envía uno válido, se propaga.
+ */
+export function requestId(req, res, next) {
+  const recibido = req.get('X-Request-Id');
+
+  req.id = recibido && REQUEST_ID_REGEX.test(recibido) ? recibido : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+}
@@ -0,0 +1,142 @@
+import { swaggerSpec } from '../config/swagger.js';
+import { UnsupportedMediaTypeError, ValidationError } from '../utils/errors.js';
+import { Mensaje } from '../utils/i18n.js';
+import { ajvBody, ajvParams, conComponents, erroresPorCampo } from '../utils/schemas.js';
+
+const validadores = new Map();
+
+/**
+ * Resuelve los parameters compartidos ($ref: '#/components/parameters/...')
+ */
+function resolverParametro(parametro) {
+  if (!parametro.$ref) return parametro;
+
+  const nombre = parametro.$ref.replace('#/components/parameters/', '');
+  const resuelto = swaggerSpec.components?.parameters?.[nombre];
+
+  if (!resuelto) {
+    throw new Error(`No existe el parámetro compartido ${parametro.$ref}`);
+  }
+
+  return resuelto;
+}
+
+/**
+ * Arma un schema de objeto a partir de los parameters de OpenAPI de una ubicación
+ */
+function schemaDeParametros(parameters, ubicacion) {
+  const propios = parameters
+    .map(resolverParametro)
+    .filter((parametro) => parametro.in === ubicacion);
+
+  return {
+    type: 'object',
+    properties: Object.fromEntries(propios.map((parametro) => [parametro.name, parametro.schema ?? {}])),
+    required: propios.filter((parametro) => parametro.required).map((parametro) => parametro.name)
+  };
+}
+
+/**
+ * Compila los validadores de una operación del spec (ej. PUT /api/roles/{id})
+ */
+function compilarOperacion(ruta, metodo) {
+  const operacion = swaggerSpec.paths?.[ruta]?.[metodo];
+
+  if (!operacion) {
+    throw new Error(`No existe documentación OpenAPI para ${metodo.toUpperCase()} ${ruta}`);
+  }
+
+  const parameters = operacion.parameters ?? [];
+  // Un validador por tipo de contenido documentado (application/json, text/csv, ...)
+  const cuerpos = Object.entries(operacion.requestBody?.content ?? {})
+    .filter(([, contenido]) => contenido.schema)
+    .map(([tipo, contenido]) => [tipo, ajvBody.compile(conComponents(contenido.schema))]);
+
+  // Arrays con explode: false llegan como un solo valor separado por comas (ids=1,2,3)
+  const separadosPorComas = parameters
+    .map(resolverParametro)
+    .filter((parametro) => parametro.in === 'query'
+      && parametro.schema?.type === 'array'
+      && parametro.explode === false)
+    .map((parametro) => parametro.name);
+
+  return {
+    separadosPorComas,
+    params: ajvParams.compile(conComponents(schemaDeParametros(parameters, 'path'))),
+    query: ajvParams.compile(conComponents(schemaDeParametros(parameters, 'query'))),
+    cuerpos: Object.fromEntries(cuerpos),
+    bodyRequerido: Boolean(operacion.requestBody?.required)
+  };
+}
+
+/**
+ * Valida params, query y body contra la documentación OpenAPI de la ruta.
+ * La operación se busca en el spec a partir de la ruta montada
+ * (ej. /api/roles + /:id -> /api/roles/{id}), así la validación usa exactamente
+ * los schemas publicados en Swagger.
+ *
+ * Los valores validados reemplazan a los originales ya convertidos a su tipo
+ * y con los defaults del schema aplicados.
+ */
+export function validate() {
+  return (req, res, next) => {
+    const ruta = (req.baseUrl + req.route.path)
+      .replace(/:(\w+)/g, '{$1}')
+      .replace(/\/$/, '');
+    const metodo = req.method.toLowerCase();
+    const clave = `${metodo} ${ruta}`;
+
+    if (!validadores.has(clave)) {
+      validadores.set(clave, compilarOperacion(ruta, metodo));
+    }
+
+    const validador = validadores.get(clave);
+    const errores = [];
+
+    const params = { ...req.params };
+    if (!validador.params(params)) {
+      errores.push(...erroresPorCampo(validador.params.errors, 'params'));
+    }
+
+    const query = { ...req.query };
+    for (const nombre of validador.separadosPorComas) {
+      if (typeof query[nombre] === 'string') {
+        query[nombre] = query[nombre].split(',').map((valor) => valor.trim());
+      }
+    }
+
+    if (!validador.query(query)) {
+      errores.push(...erroresPorCampo(validador.query.errors, 'query'));
+    }
+
+    const tipos = Object.keys(validador.cuerpos);
+
+    // req.is() devuelve false (no null) cuando hay body y su tipo no coincide
+    if (tipos.length > 0 && req.is(tipos) === false) {
+      throw new UnsupportedMediaTypeError('error.tipo_de_contenido_esperado', {
+        details: { tipos },
+        parametros: { tipos }
+      });
+    }
+
+    if (tipos.length > 0) {
+      const tipo = req.body !== undefined ? tipos.find((documentado) => req.is(documentado)) : undefined;
+      const validarBody = tipo && validador.cuerpos[tipo];
+
+      if (req.body === undefined && validador.bodyRequerido) {
+        errores.push({ ubicacion: 'body', campo: null, mensaje: new Mensaje('validacion.cuerpo_requerido') });
+      } else if (validarBody && !validarBody(req.body)) {
+        errores.push(...erroresPorCampo(validarBody.errors, 'body'));
+      }
+    }
+
+    if (errores.length > 0) {
+      throw new ValidationError('error.validacion', { details: errores });
+    }
+
+    req.params = params;
+    // En Express 5 req.query es un getter que vuelve a parsear la URL en cada acceso
+    Object.defineProperty(req, 'query', { value: query, writable: true, configurable: true });
+    next();
+  };
+}
@@ -0,0 +1,94 @@
+import { crearConexion } from './config/conexion.js';
+import { cargarConfiguracionDeBase, cargarDelEntorno } from './config/entorno.js';
+import { estadoMigraciones, migrar, revertir, sembrar } from './db/migrator.js';
+
+// Solo valida las variables de la base: migrar no requiere JWT_SECRET,
+// CORS_ORIGIN ni el resto de la configuración de la API
+const { baseDeDatos } = cargarDelEntorno(cargarConfiguracionDeBase);
+const sql = crearConexion(baseDeDatos, 'plat-back:migrate');
+
+const USO = `Uso: node migrate.js <comando>
+
+  up            Aplica las migraciones pendientes
+  down [n]      Revierte las últimas n migraciones (por defecto 1)
+  status        Muestra las migraciones aplicadas y pendientes
+  seed          Ejecuta los seeds (idempotentes)`;
+
+const comandos = {
+  async up() {
+    const aplicadas = await migrar(sql);
+
+    if (aplicadas.length === 0) {
+      console.log('✅ La base de datos ya está actualizada');
+      return;
+    }
+
+    aplicadas.forEach((nombre) => console.log(`  ↑ ${nombre}`));
+    console.log(`✅ ${aplicadas.length} migración(es) aplicada(s)`);
+  },
+
+  async down(pasos = '1') {
+    const cantidad = Number(pasos);
+
+    if (!Number.isInteger(cantidad) || cantidad < 1) {
+      throw new Error('La cantidad de migraciones a revertir debe ser un entero positivo');
+    }
+
+    const revertidas = await revertir(sql, cantidad);
+
+    if (revertidas.length === 0) {
+      console.log('✅ No hay migraciones para revertir');
+      return;
+    }
+
+    revertidas.forEach((nombre) => console.log(`  ↓ ${nombre}`));
+    console.log(`✅ ${revertidas.length} migración(es) revertida(s)`);
+  },
+
+  async status() {
+    const estado = await estadoMigraciones(sql);
+
+    for (const migracion of estado) {
+      const marca = migracion.faltante ? '?' : migracion.modificada ? '!' : migracion.aplicada ? '✓' : ' ';
+      const detalle = migracion.faltante
+        ? 'aplicada, pero el archivo no existe'
+        : migracion.modificada
+          ? `aplicada ${migracion.fecha_aplicacion.toISOString()}, pero el archivo cambió después`
+          : migracion.aplicada
+            ? `aplicada ${migracion.fecha_aplicacion.toISOString()}`
+            : 'pendiente';
+
+      console.log(`  [${marca}] ${migracion.nombre} - ${detalle}`);
+    }
+
+    const pendientes = estado.filter((migracion) => !migracion.aplicada).length;
+    console.log(`\n${pendientes} migración(es) pendiente(s)`);
+  },
+
+  async seed() {
+    const seeds = await sembrar(sql);
+    seeds.forEach((nombre) => console.log(`  • ${nombre}`));
+    console.log(`✅ ${seeds.length} seed(s) ejecutado(s)`);
+  }
+};
+
+async function main() {
+  const [comando, ...args] = process.argv.slice(2);
+
+  if (!comandos[comando]) {
+    console.error(USO);
+    process.exit(1);
+  }
+
+  try {
+    await comandos[comando](...args);
+    await sql.end();
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Error:', error.message);
+    await sql.end({ timeout: 5 });
+    process.exit(1);
+  }
+}
+
+main();
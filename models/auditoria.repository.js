@@ -0,0 +1,106 @@
+import sql from '../config/db.js';
+import { paginar } from '../utils/pagination.js';
+
+// Columnas por las que se puede ordenar el registro (ver parámetro sort en auditoria.routes.js)
+export const CAMPOS_ORDENABLES = {
+  id: 'integer',
+  fecha: 'timestamptz'
+};
+
+/**
+ * Acceso al registro de auditoría. Solo inserta y consulta: la tabla
+ * rechaza UPDATE y DELETE (ver migración 0007_auditoria).
+ *
+ * Para que el registro sea parte de la mutación se construye con la misma
+ * transacción que la modifica.
+ */
+class AuditoriaRepository {
+  /**
+   * @param {import('postgres').Sql} [db] Cliente o transacción de postgres
+   */
+  constructor(db = sql) {
+    this.db = db;
+  }
+
+  columnas() {
+    return this.db`
+      id,
+      organizacion_id,
+      entidad,
+      entidad_id,
+      accion,
+      actor_id,
+      actor_email,
+      antes,
+      despues,
+      cambios,
+      request_id,
+      fecha
+    `;
+  }
+
+  /**
+   * @param {object} filtros
+   * @param {string} [filtros.entidad]
+   * @param {number} [filtros.entidad_id]
+   * @param {string} [filtros.accion]
+   * @param {number} [filtros.actor_id]
+   * @param {string} [filtros.request_id]
+   * @param {string} [filtros.desde] Fechas ISO 8601, rango inclusivo
+   * @param {string} [filtros.hasta]
+   */
+  condiciones({ entidad, entidad_id, accion, actor_id, request_id, desde, hasta } = {}) {
+    const condiciones = [];
+
+    if (entidad) condiciones.push(this.db`entidad = ${entidad}`);
+    if (entidad_id !== undefined) condiciones.push(this.db`entidad_id = ${entidad_id}`);
+    if (accion) condiciones.push(this.db`accion = ${accion}`);
+    if (actor_id !== undefined) condiciones.push(this.db`actor_id = ${actor_id}`);
+    if (request_id) condiciones.push(this.db`request_id = ${request_id}`);
+    if (desde) condiciones.push(this.db`fecha >= ${desde}`);
+    if (hasta) condiciones.push(this.db`fecha <= ${hasta}`);
+
+    return condiciones;
+  }
+
+  async registrar({ entidad, entidad_id, accion, actor_id, actor_email, antes, despues, cambios, request_id }) {
+    const [registro] = await this.db`
+      INSERT INTO public.auditoria (
+        entidad, entidad_id, accion, actor_id, actor_email, antes, despues, cambios, request_id
+      )
+      VALUES (
+        ${entidad},
+        ${entidad_id},
+        ${accion},
+        ${actor_id},
+        ${actor_email},
+        ${antes === null ? null : this.db.json(antes)},
+        ${despues === null ? null : this.db.json(despues)},
+        ${this.db.json(cambios)},
+        ${request_id}
+      )
+      RETURNING ${this.columnas()}
+    `;
+
+    return registro;
+  }
+
+  /**
+   * Lista una página del registro con paginación por cursor
+   *
+   * @returns {Promise<{ data: object[], meta: object }>}
+   */
+  async listarPagina({ sort, cursor, limit, ...filtros }) {
+    return paginar(this.db, {
+      tabla: 'public.auditoria',
+      columnas: this.columnas(),
+      condiciones: this.condiciones(filtros),
+      campos: CAMPOS_ORDENABLES,
+      sort,
+      cursor,
+      limit
+    });
+  }
+}
+
+export default AuditoriaRepository;
@@ -1,2 +1,5 @@
 ﻿// Models module
-module.exports = {};
+export { default as RolesRepository } from './rol.repository.js';
+export { default as AuditoriaRepository } from './auditoria.repository.js';
+export { default as WebhooksRepository } from './webhook.repository.js';
+export { default as OutboxRepository } from './outbox.repository.js';
@@ -0,0 +1,87 @@
+import sql from '../config/db.js';
+
+/**
+ * Acceso al outbox de eventos (ver migraciones 0010_webhooks,
+ * 0011_notificar_eventos y 0012_orden_eventos).
+ *
+ * Para escribir, como el registro de auditoría, se construye con la
+ * transacción de la mutación: el evento existe solo si la mutación se confirma.
+ */
+class OutboxRepository {
+  /**
+   * @param {import('postgres').Sql} [db] Cliente o transacción de postgres
+   */
+  constructor(db = sql) {
+    this.db = db;
+  }
+
+  columnas() {
+    return this.db`
+      id,
+      organizacion_id,
+      tipo,
+      entidad,
+      entidad_id,
+      datos,
+      request_id,
+      fecha
+    `;
+  }
+
+  /**
+   * @param {object} evento
+   * @param {string} evento.tipo Ej. 'rol.creado'
+   * @param {string} evento.entidad
+   * @param {number} evento.entidad_id
+   * @param {object} evento.datos Contenido del evento para los suscriptores
+   * @param {string|null} [evento.request_id]
+   */
+  async registrar({ tipo, entidad, entidad_id, datos, request_id = null }) {
+    const [evento] = await this.db`
+      INSERT INTO public.eventos_outbox (tipo, entidad, entidad_id, datos, request_id)
+      VALUES (${tipo}, ${entidad}, ${entidad_id}, ${this.db.json(datos)}, ${request_id})
+      RETURNING ${this.columnas()}
+    `;
+
+    return evento;
+  }
+
+  async buscarPorId(id) {
+    const [evento] = await this.db`
+      SELECT ${this.columnas()}
+      FROM public.eventos_outbox
+      WHERE id = ${id}
+    `;
+
+    return evento ?? null;
+  }
+
+  /**
+   * Eventos de una entidad confirmados después de `desde`, en orden de
+   * confirmación (columna orden, migración 0012_orden_eventos): un evento con
+   * un id menor que se confirmó más tarde también se incluye.
+   *
+   * Si `desde` no existe (o no es visible) se retoma después del último
+   * evento con un id menor.
+   *
+   * @param {string} entidad
+   * @param {string|number} desde Id del último evento recibido
+   * @param {number} limite
+   */
+  async listarDesde(entidad, desde, limite) {
+    return this.db`
+      SELECT ${this.columnas()}
+      FROM public.eventos_outbox
+      WHERE entidad = ${entidad}
+        AND orden > COALESCE(
+          (SELECT orden FROM public.eventos_outbox WHERE id = ${desde}),
+          (SELECT max(orden) FROM public.eventos_outbox WHERE id < ${desde}),
+          0
+        )
+      ORDER BY orden
+      LIMIT ${limite}
+    `;
+  }
+}
+
+export default OutboxRepository;
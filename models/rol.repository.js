@@ -0,0 +1,362 @@
+import sql from '../config/db.js';
+import { paginar } from '../utils/pagination.js';
+
+// Columnas por las que se puede ordenar el listado (ver parámetro sort en rol.routes.js)
+export const CAMPOS_ORDENABLES = {
+  id: 'integer',
+  nombre: 'text',
+  fecha_creacion: 'timestamptz',
+  fecha_actualizacion: 'timestamptz'
+};
+
+/**
+ * Acceso a datos de roles. Solo contiene consultas: las reglas de negocio
+ * (existencia, ciclos, soft delete) viven en RolesService.
+ *
+ * Se construye con el cliente global o con una transacción, así las mismas
+ * consultas sirven dentro y fuera de sql.begin().
+ */
+class RolesRepository {
+  /**
+   * @param {import('postgres').Sql} [db] Cliente o transacción de postgres
+   */
+  constructor(db = sql) {
+    this.db = db;
+  }
+
+  /**
+   * Ejecuta fn dentro de una transacción con un repositorio ligado a ella.
+   * También recibe la transacción, para otros repositorios que deban
+   * escribir en ella (ej. el registro de auditoría).
+   *
+   * Si el repositorio ya está ligado a una transacción se anida con un
+   * savepoint: un error revierte solo lo hecho dentro de fn.
+   *
+   * @param {(repo: RolesRepository, tx: import('postgres').TransactionSql) => Promise<T>} fn
+   * @returns {Promise<T>}
+   * @template T
+   */
+  transaccion(fn) {
+    const iniciar = this.db.savepoint ?? this.db.begin;
+    return iniciar.call(this.db, (tx) => fn(new RolesRepository(tx), tx));
+  }
+
+  columnas() {
+    return this.db`
+      id,
+      organizacion_id,
+      nombre,
+      descripcion,
+      activo,
+      rol_padre_id,
+      version,
+      fecha_creacion,
+      fecha_actualizacion
+    `;
+  }
+
+  /**
+   * Arma las condiciones de filtro comunes a los listados
+   *
+   * @param {object} filtros
+   * @param {boolean} [filtros.activo]
+   * @param {string} [filtros.q] Texto a buscar en nombre y descripción,
+   *   sin distinguir acentos ni mayúsculas
+   * @param {number[]} [filtros.ids]
+   * @param {string} [filtros.creado_desde] Fechas ISO 8601, rangos inclusivos
+   * @param {string} [filtros.creado_hasta]
+   * @param {string} [filtros.actualizado_desde]
+   * @param {string} [filtros.actualizado_hasta]
+   */
+  condiciones({
+    activo,
+    q,
+    ids,
+    creado_desde,
+    creado_hasta,
+    actualizado_desde,
+    actualizado_hasta
+  } = {}) {
+    const condiciones = [];
+
+    if (activo !== undefined) {
+      condiciones.push(this.db`activo = ${activo}`);
+    }
+
+    if (q) {
+      // Los comodines de LIKE que escriba el usuario se buscan literalmente
+      const patron = `%${q.replace(/[\\%_]/g, '\\$&')}%`;
+      condiciones.push(this.db`
+        public.sin_acentos(nombre || ' ' || COALESCE(descripcion, '')) LIKE public.sin_acentos(${patron})
+      `);
+    }
+
+    if (ids?.length > 0) {
+      condiciones.push(this.db`id IN ${this.db(ids)}`);
+    }
+
+    if (creado_desde) condiciones.push(this.db`fecha_creacion >= ${creado_desde}`);
+    if (creado_hasta) condiciones.push(this.db`fecha_creacion <= ${creado_hasta}`);
+    if (actualizado_desde) condiciones.push(this.db`fecha_actualizacion >= ${actualizado_desde}`);
+    if (actualizado_hasta) condiciones.push(this.db`fecha_actualizacion <= ${actualizado_hasta}`);
+
+    return condiciones;
+  }
+
+  /**
+   * Cláusula WHERE con las condiciones de filtro (vacía si no hay filtros)
+   */
+  where(filtros) {
+    const condiciones = this.condiciones(filtros);
+
+    return condiciones.length > 0
+      ? this.db`WHERE ${condiciones.reduce((acc, condicion) => this.db`${acc} AND ${condicion}`)}`
+      : this.db``;
+  }
+
+  /**
+   * Lista todos los roles que cumplen los filtros, ordenados por nombre
+   * (para la vista de árbol)
+   */
+  async listar(filtros = {}) {
+    return this.db`
+      SELECT ${this.columnas()}
+      FROM public.roles
+      ${this.where(filtros)}
+      ORDER BY nombre
+    `;
+  }
+
+  /**
+   * Recorre todos los roles que cumplen los filtros, ordenados por id, leyendo
+   * de a lotes con un cursor de Postgres para no cargarlos todos en memoria.
+   * Cortar la iteración (break, return o un error) cierra el cursor.
+   *
+   * @param {object} filtros Ver condiciones()
+   * @param {number} [tamanoLote]
+   * @returns {AsyncGenerator<object>}
+   */
+  async *recorrer(filtros = {}, tamanoLote = 500) {
+    const lotes = this.db`
+      SELECT ${this.columnas()}
+      FROM public.roles
+      ${this.where(filtros)}
+      ORDER BY id
+    `.cursor(tamanoLote);
+
+    for await (const roles of lotes) {
+      yield* roles;
+    }
+  }
+
+  /**
+   * Lista una página de roles con paginación por cursor
+   *
+   * @returns {Promise<{ data: object[], meta: object }>}
+   */
+  async listarPagina({ sort, cursor, limit, ...filtros }) {
+    return paginar(this.db, {
+      tabla: 'public.roles',
+      columnas: this.columnas(),
+      condiciones: this.condiciones(filtros),
+      campos: CAMPOS_ORDENABLES,
+      sort,
+      cursor,
+      limit
+    });
+  }
+
+  /**
+   * @param {number} id
+   * @param {object} [opciones]
+   * @param {boolean} [opciones.bloquear=false] Bloquea la fila hasta el fin de la
+   *   transacción (FOR UPDATE), para que nadie la modifique entre la lectura y
+   *   la escritura
+   */
+  async buscarPorId(id, { bloquear = false } = {}) {
+    const roles = await this.db`
+      SELECT ${this.columnas()}
+      FROM public.roles
+      WHERE id = ${id}
+      ${bloquear ? this.db`FOR UPDATE` : this.db``}
+    `;
+
+    return roles[0];
+  }
+
+  async buscarPorNombre(nombre) {
+    const roles = await this.db`
+      SELECT ${this.columnas()}
+      FROM public.roles
+      WHERE nombre = ${nombre}
+    `;
+
+    return roles[0];
+  }
+
+  async existe(id) {
+    const roles = await this.db`
+      SELECT id FROM public.roles WHERE id = ${id}
+    `;
+
+    return roles.length > 0;
+  }
+
+  async crear({ nombre, descripcion, activo, rol_padre_id }) {
+    const [rol] = await this.db`
+      INSERT INTO public.roles (nombre, descripcion, activo, rol_padre_id)
+      VALUES (${nombre}, ${descripcion}, ${activo}, ${rol_padre_id})
+      RETURNING ${this.columnas()}
+    `;
+
+    return rol;
+  }
+
+  /**
+   * Actualiza solo los campos presentes en cambios e incrementa la versión
+   */
+  async actualizar(id, cambios) {
+    const [rol] = await this.db`
+      UPDATE public.roles
+      SET ${this.db({
+        ...cambios,
+        version: this.db`version + 1`,
+        fecha_actualizacion: this.db`CURRENT_TIMESTAMP`
+      })}
+      WHERE id = ${id}
+      RETURNING ${this.columnas()}
+    `;
+
+    return rol;
+  }
+
+  /**
+   * Elimina el rol definitivamente. Sus permisos se borran en cascada.
+   */
+  async eliminar(id) {
+    const [rol] = await this.db`
+      DELETE FROM public.roles
+      WHERE id = ${id}
+      RETURNING ${this.columnas()}
+    `;
+
+    return rol;
+  }
+
+  async listarHijos(id) {
+    return this.db`
+      SELECT id, nombre FROM public.roles WHERE rol_padre_id = ${id} ORDER BY id
+    `;
+  }
+
+  /**
+   * IDs de los usuarios que tienen asignado el rol
+   */
+  async listarUsuarios(id) {
+    const usuarios = await this.db`
+      SELECT usuario_id FROM public.usuario_roles WHERE rol_id = ${id} ORDER BY usuario_id
+    `;
+
+    return usuarios.map((usuario) => usuario.usuario_id);
+  }
+
+  /**
+   * Pasa a los usuarios del rol origen al rol destino. Quien ya tenía
+   * ambos conserva la asignación original del destino.
+   */
+  async reasignarUsuarios(origenId, destinoId) {
+    await this.db`
+      INSERT INTO public.usuario_roles (usuario_id, rol_id)
+      SELECT usuario_id, ${destinoId}
+      FROM public.usuario_roles
+      WHERE rol_id = ${origenId}
+      ON CONFLICT DO NOTHING
+    `;
+
+    await this.db`DELETE FROM public.usuario_roles WHERE rol_id = ${origenId}`;
+  }
+
+  /**
+   * Indica si asignar padreId como padre de rolId generaría un ciclo,
+   * es decir, si rolId es el mismo padre o uno de sus ancestros.
+   */
+  async generaCiclo(rolId, padreId) {
+    if (rolId === padreId) return true;
+
+    const ancestros = await this.db`
+      WITH RECURSIVE ancestros AS (
+        SELECT id, rol_padre_id, ARRAY[id] AS camino
+        FROM public.roles
+        WHERE id = ${padreId}
+        UNION ALL
+        SELECT r.id, r.rol_padre_id, a.camino || r.id
+        FROM public.roles r
+        JOIN ancestros a ON r.id = a.rol_padre_id
+        WHERE NOT r.id = ANY(a.camino)
+      )
+      SELECT 1 FROM ancestros WHERE id = ${rolId}
+    `;
+
+    return ancestros.length > 0;
+  }
+
+  async listarPermisos(id) {
+    return this.db`
+      SELECT p.id, p.codigo, p.descripcion
+      FROM public.rol_permisos rp
+      JOIN public.permisos p ON p.id = rp.permiso_id
+      WHERE rp.rol_id = ${id}
+      ORDER BY p.codigo
+    `;
+  }
+
+  /**
+   * Permisos propios y heredados de los ancestros activos del rol.
+   * Si un permiso llega por varios caminos se informa el rol más cercano.
+   */
+  async listarPermisosEfectivos(id) {
+    return this.db`
+      WITH RECURSIVE linaje AS (
+        SELECT id, nombre, rol_padre_id, 0 AS nivel, ARRAY[id] AS camino
+        FROM public.roles
+        WHERE id = ${id}
+        UNION ALL
+        SELECT r.id, r.nombre, r.rol_padre_id, l.nivel + 1, l.camino || r.id
+        FROM public.roles r
+        JOIN linaje l ON r.id = l.rol_padre_id
+        WHERE r.activo = true AND NOT r.id = ANY(l.camino)
+      )
+      SELECT DISTINCT ON (p.codigo)
+        p.id,
+        p.codigo,
+        p.descripcion,
+        json_build_object('id', l.id, 'nombre', l.nombre) AS otorgado_por,
+        l.nivel > 0 AS heredado
+      FROM linaje l
+      JOIN public.rol_permisos rp ON rp.rol_id = l.id
+      JOIN public.permisos p ON p.id = rp.permiso_id
+      ORDER BY p.codigo, l.nivel
+    `;
+  }
+
+  async buscarPermisosPorCodigo(codigos) {
+    if (codigos.length === 0) return [];
+
+    return this.db`
+      SELECT id, codigo FROM public.permisos WHERE codigo IN ${this.db(codigos)}
+    `;
+  }
+
+  async reemplazarPermisos(id, permisoIds) {
+    await this.db`DELETE FROM public.rol_permisos WHERE rol_id = ${id}`;
+
+    for (const permisoId of permisoIds) {
+      await this.db`
+        INSERT INTO public.rol_permisos (rol_id, permiso_id)
+        VALUES (${id}, ${permisoId})
+      `;
+    }
+  }
+}
+
+export default RolesRepository;
@@ -0,0 +1,289 @@
+import sql from '../config/db.js';
+import { paginar } from '../utils/pagination.js';
+
+/**
+ * Acceso a datos de webhooks y sus entregas.
+ *
+ * Las consultas de administración corren dentro de conOrganizacion, sujetas
+ * a RLS. Las del despachador (despacharEventos, tomarEntregas y las que
+ * registran el resultado de un envío) usan el cliente global, que reparte
+ * los eventos de todas las organizaciones.
+ */
+class WebhooksRepository {
+  /**
+   * @param {import('postgres').Sql} [db] Cliente o transacción de postgres
+   */
+  constructor(db = sql) {
+    this.db = db;
+  }
+
+  // El secreto no se incluye: solo se muestra al crear el webhook
+  columnas() {
+    return this.db`
+      id,
+      organizacion_id,
+      url,
+      eventos,
+      descripcion,
+      activo,
+      fecha_creacion,
+      fecha_actualizacion
+    `;
+  }
+
+  columnasEntrega() {
+    return this.db`
+      id,
+      webhook_id,
+      evento_id,
+      (SELECT tipo FROM public.eventos_outbox e WHERE e.id = evento_id) AS evento_tipo,
+      estado,
+      intentos,
+      proximo_intento,
+      ultimo_status,
+      ultimo_error,
+      fecha_creacion,
+      fecha_entrega
+    `;
+  }
+
+  async listar() {
+    return this.db`
+      SELECT ${this.columnas()}
+      FROM public.webhooks
+      ORDER BY id
+    `;
+  }
+
+  async buscarPorId(id) {
+    const [webhook] = await this.db`
+      SELECT ${this.columnas()}
+      FROM public.webhooks
+      WHERE id = ${id}
+    `;
+
+    return webhook ?? null;
+  }
+
+  /**
+   * @returns {Promise<object>} El webhook creado, con su secreto
+   */
+  async crear({ url, eventos, secreto, descripcion, activo }) {
+    const [webhook] = await this.db`
+      INSERT INTO public.webhooks (url, eventos, secreto, descripcion, activo)
+      VALUES (${url}, ${eventos}, ${secreto}, ${descripcion}, ${activo})
+      RETURNING ${this.columnas()}, secreto
+    `;
+
+    return webhook;
+  }
+
+  async actualizar(id, { url, eventos, descripcion, activo }) {
+    const [webhook] = await this.db`
+      UPDATE public.webhooks
+      SET
+        url = ${url},
+        eventos = ${eventos},
+        descripcion = ${descripcion},
+        activo = ${activo},
+        fecha_actualizacion = CURRENT_TIMESTAMP
+      WHERE id = ${id}
+      RETURNING ${this.columnas()}
+    `;
+
+    return webhook ?? null;
+  }
+
+  /**
+   * Borra el webhook junto con sus entregas
+   *
+   * @returns {Promise<boolean>} false si no existía
+   */
+  async eliminar(id) {
+    const eliminados = await this.db`
+      DELETE FROM public.webhooks
+      WHERE id = ${id}
+      RETURNING id
+    `;
+
+    return eliminados.length > 0;
+  }
+
+  /**
+   * Entregas de un webhook de la más reciente a la más antigua, paginadas por cursor
+   *
+   * @param {number} webhookId
+   * @param {{ estado?: string, cursor?: string, limit?: number }} filtros
+   * @returns {Promise<{ data: object[], meta: object }>}
+   */
+  async listarEntregas(webhookId, { estado, cursor, limit }) {
+    const condiciones = [this.db`webhook_id = ${webhookId}`];
+    if (estado) condiciones.push(this.db`estado = ${estado}`);
+
+    return paginar(this.db, {
+      tabla: 'public.webhook_entregas',
+      columnas: this.columnasEntrega(),
+      condiciones,
+      campos: { id: 'bigint' },
+      sort: '-id',
+      cursor,
+      limit
+    });
+  }
+
+  /**
+   * @param {object} [opciones]
+   * @param {boolean} [opciones.bloquear] Bloquea la fila hasta el fin de la transacción
+   */
+  async buscarEntrega(webhookId, entregaId, { bloquear = false } = {}) {
+    const [entrega] = await this.db`
+      SELECT ${this.columnasEntrega()}
+      FROM public.webhook_entregas
+      WHERE id = ${entregaId} AND webhook_id = ${webhookId}
+      ${bloquear ? this.db`FOR UPDATE` : this.db``}
+    `;
+
+    return entrega ?? null;
+  }
+
+  /**
+   * Vuelve a poner la entrega en la cola con todos sus intentos disponibles.
+   * Se conservan el último status y error hasta el próximo envío.
+   */
+  async reencolarEntrega(entregaId) {
+    const [entrega] = await this.db`
+      UPDATE public.webhook_entregas
+      SET estado = 'pendiente', intentos = 0, proximo_intento = CURRENT_TIMESTAMP
+      WHERE id = ${entregaId}
+      RETURNING ${this.columnasEntrega()}
+    `;
+
+    return entrega;
+  }
+
+  /**
+   * Crea las entregas de los eventos todavía no despachados: una por cada
+   * webhook activo de la misma organización suscripto al tipo del evento.
+   * Los eventos sin suscriptores se marcan igual como despachados.
+   *
+   * SKIP LOCKED permite que varias instancias despachen en paralelo sin
+   * tomar los mismos eventos.
+   *
+   * @param {number} limite Máximo de eventos a despachar
+   * @returns {Promise<number>} Cantidad de eventos despachados
+   */
+  async despacharEventos(limite) {
+    const despachados = await this.db`
+      WITH eventos AS (
+        SELECT id, organizacion_id, tipo
+        FROM public.eventos_outbox
+        WHERE fecha_despacho IS NULL
+        ORDER BY id
+        LIMIT ${limite}
+        FOR UPDATE SKIP LOCKED
+      ), entregas AS (
+        INSERT INTO public.webhook_entregas (webhook_id, evento_id)
+        SELECT w.id, e.id
+        FROM eventos e
+        JOIN public.webhooks w
+          ON w.organizacion_id = e.organizacion_id AND w.activo AND e.tipo = ANY (w.eventos)
+        ON CONFLICT (webhook_id, evento_id) DO NOTHING
+      )
+      UPDATE public.eventos_outbox o
+      SET fecha_despacho = CURRENT_TIMESTAMP
+      FROM eventos e
+      WHERE o.id = e.id
+      RETURNING o.id
+    `;
+
+    return despachados.length;
+  }
+
+  /**
+   * Toma las entregas pendientes cuyo próximo intento ya venció y las
+   * reserva por `reserva` ms: si el proceso termina en medio del envío,
+   * la entrega vuelve a estar disponible al vencer la reserva.
+   *
+   * @param {number} limite
+   * @param {number} reserva En milisegundos
+   * @returns {Promise<object[]>} Cada entrega con la URL y el secreto de su
+   *   webhook y los datos de su evento
+   */
+  async tomarEntregas(limite, reserva) {
+    return this.db`
+      WITH vencidas AS (
+        SELECT en.id
+        FROM public.webhook_entregas en
+        JOIN public.webhooks w ON w.id = en.webhook_id
+        WHERE en.estado = 'pendiente' AND en.proximo_intento <= CURRENT_TIMESTAMP AND w.activo
+        ORDER BY en.proximo_intento, en.id
+        LIMIT ${limite}
+        FOR UPDATE OF en SKIP LOCKED
+      )
+      UPDATE public.webhook_entregas en
+      SET proximo_intento = CURRENT_TIMESTAMP + make_interval(secs => ${reserva / 1000})
+      FROM vencidas v, public.webhooks w, public.eventos_outbox e
+      WHERE en.id = v.id AND w.id = en.webhook_id AND e.id = en.evento_id
+      RETURNING
+        en.id,
+        en.webhook_id,
+        en.intentos,
+        w.url,
+        w.secreto,
+        e.id AS evento_id,
+        e.organizacion_id,
+        e.tipo,
+        e.entidad,
+        e.entidad_id,
+        e.datos,
+        e.fecha
+    `;
+  }
+
+  async marcarEntregada(id, { status }) {
+    await this.db`
+      UPDATE public.webhook_entregas
+      SET
+        estado = 'entregada',
+        intentos = intentos + 1,
+        ultimo_status = ${status},
+        ultimo_error = NULL,
+        fecha_entrega = CURRENT_TIMESTAMP
+      WHERE id = ${id}
+    `;
+  }
+
+  /**
+   * @param {number} id
+   * @param {{ status: number|null, error: string, espera: number }} resultado
+   *   espera: segundos hasta el próximo intento
+   */
+  async programarReintento(id, { status, error, espera }) {
+    await this.db`
+      UPDATE public.webhook_entregas
+      SET
+        intentos = intentos + 1,
+        proximo_intento = CURRENT_TIMESTAMP + make_interval(secs => ${espera}),
+        ultimo_status = ${status},
+        ultimo_error = ${error}
+      WHERE id = ${id}
+    `;
+  }
+
+  /**
+   * La entrega agotó sus intentos: queda en la lista de fallidas (dead letter)
+   */
+  async marcarFallida(id, { status, error }) {
+    await this.db`
+      UPDATE public.webhook_entregas
+      SET
+        estado = 'fallida',
+        intentos = intentos + 1,
+        ultimo_status = ${status},
+        ultimo_error = ${error}
+      WHERE id = ${id}
+    `;
+  }
+}
+
+export default WebhooksRepository;
@@ -0,0 +1,82 @@
+import express from 'express';
+import AuditoriaController from '../controllers/auditoria.controller.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { authorize } from '../middlewares/authorize.middleware.js';
+import { organizacion } from '../middlewares/organizacion.middleware.js';
+import { validate } from '../middlewares/validate.middleware.js';
+
+const router = express.Router();
+const auditoriaController = new AuditoriaController();
+
+// Todas las rutas requieren un usuario autenticado y operan sobre su organización
+router.use(authenticate, organizacion);
+
+/**
+ * @swagger
+ * /api/auditoria:
+ *   get:
+ *     summary: Consultar el registro de auditoría
+ *     description: |
+ *       Retorna los cambios registrados sobre cualquier entidad, del más
+ *       reciente al más antiguo. El registro es de solo inserción.
+ *     tags: [Auditoría]
+ *     parameters:
+ *       - in: query
+ *         name: entidad
+ *         schema:
+ *           type: string
+ *           enum: [rol]
+ *         description: Filtrar por tipo de entidad
+ *       - in: query
+ *         name: entidad_id
+ *         schema:
+ *           type: integer
+ *         description: Filtrar por ID de la entidad
+ *         example: 3
+ *       - in: query
+ *         name: actor_id
+ *         schema:
+ *           type: integer
+ *         description: Filtrar por usuario que hizo el cambio
+ *         example: 1
+ *       - in: query
+ *         name: request_id
+ *         schema:
+ *           type: string
+ *           maxLength: 128
+ *         description: Filtrar por request (header X-Request-Id de la respuesta)
+ *       - $ref: '#/components/parameters/AuditoriaAccion'
+ *       - $ref: '#/components/parameters/AuditoriaDesde'
+ *       - $ref: '#/components/parameters/AuditoriaHasta'
+ *       - $ref: '#/components/parameters/AuditoriaSort'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: Registro obtenido exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RegistroAuditoria'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PaginacionMeta'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/', authorize('auditoria:read'), validate(), auditoriaController.obtenerAuditoria);
+
+export default router;
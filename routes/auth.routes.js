@@ -0,0 +1,235 @@
+import express from 'express';
+import AuthController from '../controllers/auth.controller.js';
+import { limiteAutenticacion } from '../config/rate-limit.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { validate } from '../middlewares/validate.middleware.js';
+
+const router = express.Router();
+const authController = new AuthController();
+
+/**
+ * @swagger
+ * /api/auth/register:
+ *   post:
+ *     summary: Registrar un usuario
+ *     description: |
+ *       Crea un usuario con contraseña en la organización Principal y devuelve
+ *       sus tokens de acceso. El header X-Organizacion-Id se ignora: los
+ *       usuarios de otras organizaciones los crea su administrador.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RegisterInput'
+ *           example:
+ *             nombre: "Ana"
+ *             apellido: "Gómez"
+ *             email: "ana.gomez@example.com"
+ *             password: "s3cr3t0-seguro"
+ *     responses:
+ *       201:
+ *         description: Usuario registrado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   x-mensaje: auth.registrado
+ *                 data:
+ *                   $ref: '#/components/schemas/AuthSession'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       409:
+ *         description: Conflicto - El email ya está registrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             x-ejemplos-de-error:
+ *               code: DUPLICATE_VALUE
+ *               clave: usuario.email_duplicado
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post('/register', limiteAutenticacion, validate(), authController.register);
+
+/**
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     summary: Iniciar sesión
+ *     description: Valida las credenciales y devuelve un access token y un refresh token
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoginInput'
+ *           example:
+ *             email: "ana.gomez@example.com"
+ *             password: "s3cr3t0-seguro"
+ *     responses:
+ *       200:
+ *         description: Inicio de sesión exitoso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   x-mensaje: auth.sesion_iniciada
+ *                 data:
+ *                   $ref: '#/components/schemas/AuthSession'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         description: Credenciales inválidas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             x-ejemplos-de-error:
+ *               code: INVALID_CREDENTIALS
+ *               clave: auth.credenciales_invalidas
+ *       403:
+ *         description: El usuario está inactivo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             x-ejemplos-de-error:
+ *               code: USER_INACTIVE
+ *               clave: auth.usuario_inactivo
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post('/login', limiteAutenticacion, validate(), authController.login);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Renovar tokens
+ *     description: |
+ *       Intercambia un refresh token por un nuevo par de tokens. El refresh token
+ *       recibido queda revocado; si se reutiliza, se revoca toda la sesión.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshInput'
+ *     responses:
+ *       200:
+ *         description: Tokens renovados exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   x-mensaje: auth.tokens_renovados
+ *                 data:
+ *                   $ref: '#/components/schemas/Tokens'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         description: Refresh token inválido, expirado o revocado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             x-ejemplos-de-error:
+ *               code: REFRESH_TOKEN_REUSED
+ *               clave: auth.refresh_revocado
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post('/refresh', limiteAutenticacion, validate(), authController.refresh);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Cerrar sesión
+ *     description: |
+ *       Revoca el access token actual y la sesión del refresh token indicado.
+ *       Con `todas: true` revoca todas las sesiones del usuario.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LogoutInput'
+ *     responses:
+ *       200:
+ *         description: Sesión cerrada exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             x-ejemplo-de-exito: auth.sesion_cerrada
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post('/logout', authenticate, validate(), authController.logout);
+
+/**
+ * @swagger
+ * /api/auth/profile:
+ *   get:
+ *     summary: Obtener el perfil del usuario autenticado
+ *     description: Retorna los datos y roles del usuario dueño del access token
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Perfil obtenido exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Usuario'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/profile', authenticate, validate(), authController.profile);
+
+export default router;
@@ -0,0 +1,45 @@
+import express from 'express';
+import MetricasController from '../controllers/metrica.controller.js';
+
+const router = express.Router();
+const metricasController = new MetricasController();
+
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: Obtener las métricas en formato Prometheus
+ *     description: |
+ *       Requests atendidas por método, ruta y status (http_requests_total),
+ *       latencia (http_request_duration_seconds), requests en curso, estado
+ *       del pool de conexiones (db_pool_*) y datos del proceso.
+ *
+ *       Si la variable METRICS_TOKEN está configurada se requiere como
+ *       Bearer token; si no, el endpoint es público y debe protegerse en la red.
+ *       En producción METRICS_TOKEN es obligatoria.
+ *     tags: [Observabilidad]
+ *     security:
+ *       - {}
+ *       - metricsToken: []
+ *     responses:
+ *       200:
+ *         description: Métricas en el formato de texto de Prometheus
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *             example: |
+ *               # HELP http_requests_total Requests HTTP atendidas
+ *               # TYPE http_requests_total counter
+ *               http_requests_total{method="GET",route="/api/roles/:id",status="200"} 42
+ *               # HELP db_pool_connections Conexiones abiertas del pool por estado
+ *               # TYPE db_pool_connections gauge
+ *               db_pool_connections{state="idle"} 3
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/', metricasController.obtenerMetricas);
+
+export default router;
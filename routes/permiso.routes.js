@@ -0,0 +1,242 @@
+import express from 'express';
+import PermisosController from '../controllers/permiso.controller.js';
+import { limiteEscrituras } from '../config/rate-limit.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { authorize, exigirSuperAdmin } from '../middlewares/authorize.middleware.js';
+import { validate } from '../middlewares/validate.middleware.js';
+
+const router = express.Router();
+const permisosController = new PermisosController();
+
+// Todas las rutas requieren un usuario autenticado; las escrituras de cada
+// usuario tienen un cupo por ventana (config/rate-limit.js). El catálogo es
+// común a todas las organizaciones: solo un super administrador lo modifica.
+router.use(authenticate, limiteEscrituras);
+
+/**
+ * @swagger
+ * /api/permisos:
+ *   get:
+ *     summary: Obtener el catálogo de permisos
+ *     description: Retorna todos los permisos disponibles para asignar a roles
+ *     tags: [Permisos]
+ *     parameters:
+ *       - in: query
+ *         name: recurso
+ *         schema:
+ *           type: string
+ *         description: Filtrar por recurso (parte anterior a los dos puntos)
+ *         example: roles
+ *     responses:
+ *       200:
+ *         description: Lista de permisos obtenida exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Permiso'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/', authorize('permisos:read'), validate(), permisosController.obtenerPermisos);
+
+/**
+ * @swagger
+ * /api/permisos/{id}:
+ *   get:
+ *     summary: Obtener un permiso por ID
+ *     description: Retorna un permiso específico del catálogo
+ *     tags: [Permisos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID único del permiso
+ *         example: 1
+ *     responses:
+ *       200:
+ *         description: Permiso encontrado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Permiso'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/:id', authorize('permisos:read'), validate(), permisosController.obtenerPermisoPorId);
+
+/**
+ * @swagger
+ * /api/permisos:
+ *   post:
+ *     summary: Crear un permiso
+ *     description: |
+ *       Agrega un permiso al catálogo con el formato recurso:accion. Requiere
+ *       ser super administrador, porque el catálogo es común a todas las
+ *       organizaciones.
+ *     tags: [Permisos]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PermisoInput'
+ *           example:
+ *             codigo: "reportes:read"
+ *             descripcion: "Consultar reportes"
+ *     responses:
+ *       201:
+ *         description: Permiso creado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   x-mensaje: permiso.creado
+ *                 data:
+ *                   $ref: '#/components/schemas/Permiso'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: Conflicto - El código ya existe
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             x-ejemplos-de-error:
+ *               code: DUPLICATE_VALUE
+ *               clave: permiso.codigo_duplicado
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post('/', exigirSuperAdmin, authorize('permisos:create'), validate(), permisosController.crearPermiso);
+
+/**
+ * @swagger
+ * /api/permisos/{id}:
+ *   put:
+ *     summary: Actualizar un permiso
+ *     description: |
+ *       Actualiza la descripción de un permiso. El código no es modificable.
+ *       Requiere ser super administrador.
+ *     tags: [Permisos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del permiso a actualizar
+ *         example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PermisoUpdate'
+ *     responses:
+ *       200:
+ *         description: Permiso actualizado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   x-mensaje: permiso.actualizado
+ *                 data:
+ *                   $ref: '#/components/schemas/Permiso'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.put('/:id', exigirSuperAdmin, authorize('permisos:update'), validate(), permisosController.actualizarPermiso);
+
+/**
+ * @swagger
+ * /api/permisos/{id}:
+ *   delete:
+ *     summary: Eliminar un permiso
+ *     description: |
+ *       Elimina el permiso del catálogo y lo retira de todos los roles que lo
+ *       otorgaban, en todas las organizaciones. Requiere ser super administrador.
+ *     tags: [Permisos]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del permiso a eliminar
+ *         example: 1
+ *     responses:
+ *       200:
+ *         description: Permiso eliminado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             x-ejemplo-de-exito: permiso.eliminado
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.delete('/:id', exigirSuperAdmin, authorize('permisos:delete'), validate(), permisosController.eliminarPermiso);
+
+export default router;
@@ -1,40 +1,68 @@
 import express from 'express';
 import RolesController from '../controllers/rol.controller.js';
+import { limiteCreacionRoles, limiteEscrituras } from '../config/rate-limit.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { authorize } from '../middlewares/authorize.middleware.js';
+import { organizacion } from '../middlewares/organizacion.middleware.js';
+import { validate } from '../middlewares/validate.middleware.js';
 
 const router = express.Router();
 const rolesController = new RolesController();
 
+// POST /import admite hasta LIMITE_IMPORTACION filas, más de lo que entra en
+// BODY_LIMIT: el CSV (como texto) y el JSON se leen con un límite propio, recién
+// después de autenticar y autorizar (app.js no parsea el cuerpo de esta ruta)
+const LIMITE_CUERPO_IMPORTACION = '1mb';
+const cuerpoCsv = express.text({ type: 'text/csv', limit: LIMITE_CUERPO_IMPORTACION });
+const cuerpoJsonImportacion = express.json({ limit: LIMITE_CUERPO_IMPORTACION });
+
+// Todas las rutas requieren un usuario autenticado y operan sobre su organización;
+// las escrituras de cada usuario tienen un cupo por ventana (config/rate-limit.js)
+router.use(authenticate, organizacion, limiteEscrituras);
+
 /**
  * @swagger
  * /api/roles:
  *   get:
  *     summary: Obtener todos los roles
- *     description: Retorna una lista de todos los roles del sistema con filtros opcionales
+ *     description: Retorna los roles del sistema paginados por cursor, con filtros y ordenamiento opcionales
  *     tags: [Roles]
  *     parameters:
+ *       - $ref: '#/components/parameters/RolesActivo'
  *       - in: query
- *         name: activo
- *         schema:
- *           type: boolean
- *         description: Filtrar por estado activo/inactivo
- *         example: true
- *       - in: query
- *         name: limit
+ *         name: vista
  *         schema:
- *           type: integer
- *           default: 50
- *         description: Límite de resultados
- *         example: 10
+ *           type: string
+ *           enum: [lista, arbol]
+ *           default: lista
+ *         description: |
+ *           `arbol` devuelve la jerarquía anidada en `hijos` (ignora la
+ *           paginación y no incluye `meta`). Los filtros se aplican igual:
+ *           un rol cuyo padre quedó filtrado aparece como raíz.
+ *       - $ref: '#/components/parameters/RolesQ'
+ *       - $ref: '#/components/parameters/RolesIds'
+ *       - $ref: '#/components/parameters/RolesCreadoDesde'
+ *       - $ref: '#/components/parameters/RolesCreadoHasta'
+ *       - $ref: '#/components/parameters/RolesActualizadoDesde'
+ *       - $ref: '#/components/parameters/RolesActualizadoHasta'
  *       - in: query
- *         name: offset
+ *         name: sort
  *         schema:
- *           type: integer
- *           default: 0
- *         description: Desplazamiento para paginación
- *         example: 0
+ *           type: string
+ *           enum: [id, -id, nombre, -nombre, fecha_creacion, -fecha_creacion, fecha_actualizacion, -fecha_actualizacion]
+ *           default: -fecha_creacion
+ *         description: Campo de ordenamiento; con `-` adelante el orden es descendente
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/IfNoneMatch'
  *     responses:
  *       200:
  *         description: Lista de roles obtenida exitosamente
+ *         headers:
+ *           ETag:
+ *             description: ETag débil del contenido de la página, para If-None-Match
+ *             schema:
+ *               type: string
  *         content:
  *           application/json:
  *             schema:
@@ -44,13 +72,138 @@ const rolesController = new RolesController();
  *                   type: boolean
  *                   example: true
  *                 data:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Rol'
+ *                   oneOf:
+ *                     - type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Rol'
+ *                     - type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/RolArbol'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PaginacionMeta'
+ *       304:
+ *         $ref: '#/components/responses/NotModified'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/', authorize('roles:read'), validate(), rolesController.obtenerRoles);
+
+/**
+ * @swagger
+ * /api/roles/export:
+ *   get:
+ *     summary: Exportar roles como CSV o JSON
+ *     description: |
+ *       Descarga todos los roles que cumplen los filtros (los mismos de
+ *       GET /api/roles), ordenados por id y sin paginar. La respuesta se envía
+ *       a medida que se leen los roles.
+ *
+ *       El CSV está en UTF-8 con BOM para que Excel muestre bien los acentos.
+ *       Los textos que empiezan con `=`, `+`, `-` o `@` se exportan con un
+ *       apóstrofo adelante para que la planilla no los ejecute como fórmula;
+ *       POST /api/roles/import lo quita al volver a importarlos.
+ *     tags: [Roles]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *         description: Formato del archivo
+ *       - $ref: '#/components/parameters/RolesActivo'
+ *       - $ref: '#/components/parameters/RolesQ'
+ *       - $ref: '#/components/parameters/RolesIds'
+ *       - $ref: '#/components/parameters/RolesCreadoDesde'
+ *       - $ref: '#/components/parameters/RolesCreadoHasta'
+ *       - $ref: '#/components/parameters/RolesActualizadoDesde'
+ *       - $ref: '#/components/parameters/RolesActualizadoHasta'
+ *     responses:
+ *       200:
+ *         description: Archivo con los roles (header Content-Disposition attachment)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Rol'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *             example: |
+ *               id,nombre,descripcion,activo,rol_padre_id,fecha_creacion,fecha_actualizacion
+ *               1,Administrador,Acceso completo a la API,true,,2024-01-15T10:30:00.000Z,2024-01-15T10:30:00.000Z
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/export', authorize('roles:read'), validate(), rolesController.exportarRoles);
+
+/**
+ * @swagger
+ * /api/roles/stream:
+ *   get:
+ *     summary: Recibir los cambios de roles en tiempo real
+ *     description: |
+ *       Mantiene abierta la conexión y envía un mensaje Server-Sent Events por
+ *       cada rol que se crea, modifica, desactiva, restaura o elimina en la
+ *       organización, apenas se confirma el cambio. El campo `event` del
+ *       mensaje es el tipo (rol.creado, rol.actualizado...), `id` es el id del
+ *       evento y `data` es el evento en JSON (ver el schema Evento).
+ *
+ *       Cada SSE_HEARTBEAT_INTERVAL ms se envía un comentario de latido para
+ *       que los proxies no corten la conexión. Al reconectarse, el cliente
+ *       envía el id del último evento recibido en Last-Event-ID y recibe
+ *       primero los que se perdió. Un cliente que no lee los mensajes a
+ *       tiempo se desconecta; recupera lo que le faltó al reconectarse.
+ *
+ *       EventSource no permite enviar el header Authorization: los clientes
+ *       de navegador deben leer el stream con fetch.
+ *     tags: [Roles]
+ *     parameters:
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9]{1,18}$'
+ *         description: Id del último evento recibido; se envían los confirmados después de él
+ *         example: '154'
+ *     responses:
+ *       200:
+ *         description: Stream de eventos
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *             example: |
+ *               retry: 3000
+ *
+ *               id: 154
+ *               event: rol.desactivado
+ *               data: {"id":"154","tipo":"rol.desactivado","fecha":"2024-01-15T10:30:00.000Z","organizacion_id":1,"entidad":"rol","entidad_id":3,"datos":{"antes":{"id":3,"activo":true},"despues":{"id":3,"activo":false},"cambios":{"activo":{"antes":true,"despues":false}}}}
+ *
+ *               : latido
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
  *         $ref: '#/components/responses/InternalError'
  */
-router.get('/', rolesController.obtenerRoles);
+router.get('/stream', authorize('roles:read'), validate(), rolesController.transmitirEventos);
 
 /**
  * @swagger
@@ -67,9 +220,16 @@ router.get('/', rolesController.obtenerRoles);
  *           type: integer
  *         description: ID único del rol
  *         example: 1
+ *       - $ref: '#/components/parameters/IfNoneMatch'
  *     responses:
  *       200:
  *         description: Rol encontrado exitosamente
+ *         headers:
+ *           ETag:
+ *             description: Versión del rol; enviarla en If-Match al modificarlo
+ *             schema:
+ *               type: string
+ *               example: '"v3"'
  *         content:
  *           application/json:
  *             schema:
@@ -80,21 +240,27 @@ router.get('/', rolesController.obtenerRoles);
  *                   example: true
  *                 data:
  *                   $ref: '#/components/schemas/Rol'
+ *       304:
+ *         $ref: '#/components/responses/NotModified'
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         $ref: '#/components/responses/NotFound'
  *       500:
  *         $ref: '#/components/responses/InternalError'
  */
-router.get('/:id', rolesController.obtenerRolPorId);
+router.get('/:id', authorize('roles:read'), validate(), rolesController.obtenerRolPorId);
 
 /**
  * @swagger
  * /api/roles:
  *   post:
  *     summary: Crear un nuevo rol
- *     description: Crea un nuevo rol en el sistema
+ *     description: Crea un nuevo rol en el sistema, opcionalmente heredando de un rol padre
  *     tags: [Roles]
  *     requestBody:
  *       required: true
@@ -109,6 +275,17 @@ router.get('/:id', rolesController.obtenerRolPorId);
  *     responses:
  *       201:
  *         description: Rol creado exitosamente
+ *         headers:
+ *           ETag:
+ *             description: Versión del rol; enviarla en If-Match al modificarlo
+ *             schema:
+ *               type: string
+ *               example: '"v1"'
+ *           Location:
+ *             description: URL del rol creado
+ *             schema:
+ *               type: string
+ *               example: /api/roles/3
  *         content:
  *           application/json:
  *             schema:
@@ -119,31 +296,209 @@ router.get('/:id', rolesController.obtenerRolPorId);
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Rol creado exitosamente"
+ *                   x-mensaje: rol.creado
  *                 data:
  *                   $ref: '#/components/schemas/Rol'
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       409:
  *         description: Conflicto - El rol ya existe
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *             example:
- *               success: false
- *               message: "Ya existe un rol con ese nombre"
+ *             x-ejemplos-de-error:
+ *               code: DUPLICATE_VALUE
+ *               clave: rol.nombre_duplicado
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  *       500:
  *         $ref: '#/components/responses/InternalError'
  */
-router.post('/', rolesController.crearRol);
+router.post('/', authorize('roles:create'), limiteCreacionRoles, validate(), rolesController.crearRol);
+
+/**
+ * @swagger
+ * /api/roles/bulk:
+ *   post:
+ *     summary: Operaciones en lote sobre roles
+ *     description: |
+ *       Crea, actualiza y desactiva roles en una sola transacción: se aplican
+ *       todas las operaciones o ninguna. Las operaciones se ejecutan en orden y
+ *       cada una ve los cambios de las anteriores. Cada operación se valida y se
+ *       audita igual que su endpoint individual.
+ *
+ *       Si alguna falla responde 409 `BULK_OPERATIONS_FAILED` con el resultado
+ *       de cada operación en `details.resultados`. Con `dry_run: true` se
+ *       evalúan todas, se informan los conflictos que habría (ej. nombres
+ *       duplicados) y no se confirma ningún cambio.
+ *
+ *       Requiere los permisos roles:create, roles:update y roles:delete.
+ *     tags: [Roles]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RolesLoteInput'
+ *           example:
+ *             dry_run: false
+ *             operaciones:
+ *               - accion: crear
+ *                 datos:
+ *                   nombre: "Editor"
+ *                   descripcion: "Edita contenido"
+ *               - accion: actualizar
+ *                 id: 3
+ *                 datos:
+ *                   rol_padre_id: 2
+ *               - accion: desactivar
+ *                 id: 4
+ *                 reasignar_a: 2
+ *     responses:
+ *       200:
+ *         description: Operaciones aplicadas (o simuladas con dry_run)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   x-mensaje: rol.lote_aplicado
+ *                 dry_run:
+ *                   type: boolean
+ *                   example: false
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ResultadoOperacion'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: Una o más operaciones fallaron y no se aplicó ninguna
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             x-ejemplos-de-error:
+ *               code: BULK_OPERATIONS_FAILED
+ *               clave: rol.lote_fallido
+ *               details:
+ *                 resultados:
+ *                   - indice: 0
+ *                     accion: crear
+ *                     estado: error
+ *                     error:
+ *                       code: DUPLICATE_VALUE
+ *                       message: { x-mensaje: rol.nombre_duplicado }
+ *                       details:
+ *                         restriccion: roles_organizacion_nombre_key
+ *                   - indice: 1
+ *                     accion: desactivar
+ *                     estado: ok
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post('/bulk', authorize('roles:create', 'roles:update', 'roles:delete'), limiteCreacionRoles, validate(), rolesController.ejecutarLoteRoles);
+
+/**
+ * @swagger
+ * /api/roles/import:
+ *   post:
+ *     summary: Importar roles desde CSV o JSON
+ *     description: |
+ *       Recibe el archivo como cuerpo de la solicitud: `text/csv` con
+ *       encabezado (separado por coma o punto y coma) o `application/json`
+ *       con un array de objetos. Se admiten hasta 1000 filas y 1 MB, aunque
+ *       BODY_LIMIT sea menor.
+ *
+ *       Cada fila se valida contra RolInput y se hace upsert por `nombre`:
+ *       si el rol existe se actualizan los campos presentes en la fila, si no
+ *       se crea. Las columnas que no son de RolInput (ej. `id` o las fechas de
+ *       una exportación) se ignoran. En el CSV una celda vacía es null, salvo
+ *       en `activo`, donde equivale a no indicarlo.
+ *
+ *       Las filas válidas se guardan aunque otras se rechacen; el reporte
+ *       indica qué pasó con cada una.
+ *     tags: [Roles]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             nombre,descripcion,activo,rol_padre_id
+ *             Editor,Edita contenido,true,
+ *             Revisor,"Revisa, aprueba y publica",true,2
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *             maxItems: 1000
+ *           example:
+ *             - nombre: "Editor"
+ *               descripcion: "Edita contenido"
+ *             - nombre: "Revisor"
+ *               rol_padre_id: 2
+ *     responses:
+ *       200:
+ *         description: Importación procesada, con el resultado de cada fila
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   x-mensaje: rol.importacion_procesada
+ *                 data:
+ *                   $ref: '#/components/schemas/ReporteImportacion'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post('/import', authorize('roles:create', 'roles:update'), limiteCreacionRoles, cuerpoCsv, cuerpoJsonImportacion, validate(), rolesController.importarRoles);
 
 /**
  * @swagger
  * /api/roles/{id}:
  *   put:
- *     summary: Actualizar un rol existente
- *     description: Actualiza los datos de un rol específico
+ *     summary: Reemplazar un rol existente
+ *     description: |
+ *       Reemplaza todos los campos del rol. Los campos que no se envían vuelven
+ *       a su valor por defecto (`descripcion` y `rol_padre_id` en null, `activo`
+ *       en true); para modificar solo algunos usar PATCH.
+ *
+ *       Asignar como padre al propio rol o a uno de sus descendientes responde
+ *       409. Desactivar un rol que tienen asignado usuarios responde 409, salvo
+ *       que se indique `reasignar_a`. Con If-Match, si el rol cambió desde ese
+ *       ETag responde 412.
  *     tags: [Roles]
  *     parameters:
  *       - in: path
@@ -153,19 +508,131 @@ router.post('/', rolesController.crearRol);
  *           type: integer
  *         description: ID del rol a actualizar
  *         example: 1
+ *       - $ref: '#/components/parameters/ReasignarA'
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/RolUpdate'
+ *             $ref: '#/components/schemas/RolInput'
  *           example:
  *             nombre: "Super Administrador"
  *             descripcion: "Acceso completo con permisos especiales"
  *             activo: true
+ *             rol_padre_id: 2
+ *     responses:
+ *       200:
+ *         description: Rol actualizado exitosamente
+ *         headers:
+ *           ETag:
+ *             description: Nueva versión del rol
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   x-mensaje: rol.actualizado
+ *                 data:
+ *                   $ref: '#/components/schemas/Rol'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: |
+ *           Conflicto - El nombre ya existe, el rol padre generaría un ciclo o
+ *           se desactiva un rol en uso sin reasignar sus usuarios
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             x-ejemplos-de-error:
+ *               - caso: nombre
+ *                 code: DUPLICATE_VALUE
+ *                 clave: rol.nombre_duplicado
+ *               - caso: ciclo
+ *                 code: ROLE_HIERARCHY_CYCLE
+ *                 clave: rol.ciclo
+ *               - caso: enUso
+ *                 code: ROLE_IN_USE
+ *                 clave: rol.en_uso
+ *                 details:
+ *                   usuarios: [4, 7]
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.put('/:id', authorize('roles:update'), validate(), rolesController.actualizarRol);
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   patch:
+ *     summary: Modificar parte de un rol
+ *     description: |
+ *       Modifica solo los campos indicados. Acepta dos formatos según el Content-Type:
+ *
+ *       - `application/merge-patch+json` (RFC 7396): los campos ausentes se
+ *         conservan y `null` vacía el campo (ej. `{"descripcion": null}`).
+ *       - `application/json-patch+json` (RFC 6902): lista de operaciones que se
+ *         aplican en orden. Si una operación `test` no se cumple responde 409 y
+ *         no se modifica nada; el resultado debe ser un rol válido.
+ *
+ *       Asignar como padre al propio rol o a uno de sus descendientes responde
+ *       409. Desactivar un rol que tienen asignado usuarios responde 409, salvo
+ *       que se indique `reasignar_a`. Con If-Match, si el rol cambió desde ese
+ *       ETag responde 412.
+ *     tags: [Roles]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del rol a actualizar
+ *         example: 1
+ *       - $ref: '#/components/parameters/ReasignarA'
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             $ref: '#/components/schemas/RolUpdate'
+ *           example:
+ *             descripcion: null
+ *             rol_padre_id: 2
+ *         application/json-patch+json:
+ *           schema:
+ *             $ref: '#/components/schemas/RolJsonPatch'
+ *           example:
+ *             - op: test
+ *               path: /nombre
+ *               value: "Editor"
+ *             - op: replace
+ *               path: /descripcion
+ *               value: "Edita y publica contenido"
  *     responses:
  *       200:
  *         description: Rol actualizado exitosamente
+ *         headers:
+ *           ETag:
+ *             description: Nueva versión del rol
+ *             schema:
+ *               type: string
  *         content:
  *           application/json:
  *             schema:
@@ -176,33 +643,64 @@ router.post('/', rolesController.crearRol);
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Rol actualizado exitosamente"
+ *                   x-mensaje: rol.actualizado
  *                 data:
  *                   $ref: '#/components/schemas/Rol'
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         $ref: '#/components/responses/NotFound'
  *       409:
- *         description: Conflicto - El nombre ya existe
+ *         description: |
+ *           Conflicto - El nombre ya existe, una operación test no se cumple, el
+ *           rol padre generaría un ciclo o se desactiva un rol en uso sin
+ *           reasignar sus usuarios
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *             example:
- *               success: false
- *               message: "Ya existe otro rol con ese nombre"
+ *             x-ejemplos-de-error:
+ *               - caso: nombre
+ *                 code: DUPLICATE_VALUE
+ *                 clave: rol.nombre_duplicado
+ *               - caso: test
+ *                 code: PATCH_TEST_FAILED
+ *                 clave: patch.test_fallido
+ *                 parametros: { ruta: /nombre }
+ *                 details:
+ *                   operacion: 0
+ *                   path: /nombre
+ *               - caso: ciclo
+ *                 code: ROLE_HIERARCHY_CYCLE
+ *                 clave: rol.ciclo
+ *               - caso: enUso
+ *                 code: ROLE_IN_USE
+ *                 clave: rol.en_uso
+ *                 details:
+ *                   usuarios: [4, 7]
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       415:
+ *         $ref: '#/components/responses/UnsupportedMediaType'
  *       500:
  *         $ref: '#/components/responses/InternalError'
  */
-router.put('/:id', rolesController.actualizarRol);
+router.patch('/:id', authorize('roles:update'), validate(), rolesController.modificarRol);
 
 /**
  * @swagger
  * /api/roles/{id}:
  *   delete:
  *     summary: Eliminar un rol (soft delete)
- *     description: Marca un rol como inactivo en lugar de eliminarlo permanentemente
+ *     description: |
+ *       Marca un rol como inactivo en lugar de eliminarlo permanentemente; se
+ *       puede deshacer con POST /api/roles/{id}/restaurar. Si usuarios tienen
+ *       asignado el rol responde 409, salvo que se indique `reasignar_a`.
+ *       Con If-Match, si el rol cambió desde ese ETag responde 412.
  *     tags: [Roles]
  *     parameters:
  *       - in: path
@@ -212,6 +710,8 @@ router.put('/:id', rolesController.actualizarRol);
  *           type: integer
  *         description: ID del rol a eliminar
  *         example: 1
+ *       - $ref: '#/components/parameters/ReasignarA'
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Rol eliminado exitosamente
@@ -225,14 +725,366 @@ router.put('/:id', rolesController.actualizarRol);
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Rol eliminado exitosamente"
+ *                   x-mensaje: rol.eliminado
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Conflicto - El rol ya estaba eliminado o está en uso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             x-ejemplos-de-error:
+ *               - caso: eliminado
+ *                 code: ROLE_ALREADY_INACTIVE
+ *                 clave: rol.ya_eliminado
+ *               - caso: enUso
+ *                 code: ROLE_IN_USE
+ *                 clave: rol.en_uso
+ *                 details:
+ *                   usuarios: [4, 7]
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.delete('/:id', authorize('roles:delete'), validate(), rolesController.eliminarRol);
+
+/**
+ * @swagger
+ * /api/roles/{id}/restaurar:
+ *   post:
+ *     summary: Restaurar un rol eliminado
+ *     description: |
+ *       Vuelve a activar un rol eliminado con soft delete. Con If-Match, si el
+ *       rol cambió desde ese ETag responde 412.
+ *     tags: [Roles]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del rol a restaurar
+ *         example: 3
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: Rol restaurado exitosamente
+ *         headers:
+ *           ETag:
+ *             description: Nueva versión del rol
+ *             schema:
+ *               type: string
+ *               example: '"v4"'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   x-mensaje: rol.restaurado
+ *                 data:
+ *                   $ref: '#/components/schemas/Rol'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Conflicto - El rol no está eliminado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             x-ejemplos-de-error:
+ *               code: ROLE_ALREADY_ACTIVE
+ *               clave: rol.no_eliminado
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post('/:id/restaurar', authorize('roles:delete'), validate(), rolesController.restaurarRol);
+
+/**
+ * @swagger
+ * /api/roles/{id}/permanente:
+ *   delete:
+ *     summary: Eliminar un rol definitivamente
+ *     description: |
+ *       Borra el rol y sus permisos; no se puede deshacer. Requiere el permiso
+ *       `roles:purge` (por defecto solo Administrador). El rol debe estar
+ *       eliminado (inactivo) y no tener roles hijos. Si usuarios lo conservan
+ *       asignado responde 409, salvo que se indique `reasignar_a`.
+ *       Su historial de auditoría se conserva.
+ *     tags: [Roles]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del rol a borrar
+ *         example: 3
+ *       - $ref: '#/components/parameters/ReasignarA'
+ *     responses:
+ *       200:
+ *         description: Rol eliminado definitivamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             x-ejemplo-de-exito: rol.eliminado_definitivamente
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Conflicto - El rol está activo, tiene hijos o está en uso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             x-ejemplos-de-error:
+ *               - caso: activo
+ *                 code: ROLE_ACTIVE
+ *                 clave: rol.activo
+ *               - caso: hijos
+ *                 code: ROLE_HAS_CHILDREN
+ *                 clave: rol.tiene_hijos
+ *                 details:
+ *                   roles: [5]
+ *               - caso: enUso
+ *                 code: ROLE_IN_USE
+ *                 clave: rol.en_uso
+ *                 details:
+ *                   usuarios: [4, 7]
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.delete('/:id/permanente', authorize('roles:purge'), validate(), rolesController.eliminarRolDefinitivamente);
+
+/**
+ * @swagger
+ * /api/roles/{id}/historial:
+ *   get:
+ *     summary: Obtener el historial de cambios de un rol
+ *     description: |
+ *       Retorna los registros de auditoría del rol, del más reciente al más
+ *       antiguo. Cada registro incluye el estado completo antes y después del
+ *       cambio, por lo que permite reconstruir el rol en cualquier momento.
+ *     tags: [Roles, Auditoría]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del rol
+ *         example: 1
+ *       - $ref: '#/components/parameters/AuditoriaAccion'
+ *       - $ref: '#/components/parameters/AuditoriaDesde'
+ *       - $ref: '#/components/parameters/AuditoriaHasta'
+ *       - $ref: '#/components/parameters/AuditoriaSort'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: Historial obtenido exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RegistroAuditoria'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PaginacionMeta'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/:id/historial', authorize('roles:read', 'auditoria:read'), validate(), rolesController.obtenerHistorialRol);
+
+/**
+ * @swagger
+ * /api/roles/{id}/permisos:
+ *   get:
+ *     summary: Obtener los permisos de un rol
+ *     description: Retorna los permisos del catálogo que otorga el rol
+ *     tags: [Roles]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del rol
+ *         example: 1
+ *     responses:
+ *       200:
+ *         description: Permisos del rol obtenidos exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Permiso'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/:id/permisos', authorize('roles:read'), validate(), rolesController.obtenerPermisosRol);
+
+/**
+ * @swagger
+ * /api/roles/{id}/permisos:
+ *   put:
+ *     summary: Reemplazar los permisos de un rol
+ *     description: Define el conjunto completo de permisos que otorga el rol. Una lista vacía retira todos.
+ *     tags: [Roles]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del rol
+ *         example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PermisosRolInput'
+ *           example:
+ *             permisos: ["roles:read", "roles:update"]
+ *     responses:
+ *       200:
+ *         description: Permisos del rol actualizados exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   x-mensaje: rol.permisos_actualizados
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Permiso'
+ *       400:
+ *         description: Lista inválida o con permisos inexistentes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             x-ejemplos-de-error:
+ *               code: UNKNOWN_PERMISSIONS
+ *               clave: rol.permisos_inexistentes
+ *               details:
+ *                 permisos: ["roles:fly"]
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.put('/:id/permisos', authorize('roles:update'), validate(), rolesController.actualizarPermisosRol);
+
+/**
+ * @swagger
+ * /api/roles/{id}/permisos/efectivos:
+ *   get:
+ *     summary: Obtener los permisos efectivos de un rol
+ *     description: |
+ *       Retorna los permisos propios del rol más los heredados de sus ancestros.
+ *       La herencia se corta en el primer ancestro inactivo.
+ *     tags: [Roles]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del rol
+ *         example: 1
+ *     responses:
+ *       200:
+ *         description: Permisos efectivos obtenidos exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PermisoEfectivo'
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         $ref: '#/components/responses/NotFound'
  *       500:
  *         $ref: '#/components/responses/InternalError'
  */
-router.delete('/:id', rolesController.eliminarRol);
+router.get('/:id/permisos/efectivos', authorize('roles:read'), validate(), rolesController.obtenerPermisosEfectivosRol);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,86 @@
+import express from 'express';
+import SaludController from '../controllers/salud.controller.js';
+
+const router = express.Router();
+const saludController = new SaludController();
+
+/**
+ * @swagger
+ * /health/live:
+ *   get:
+ *     summary: Comprobar que el proceso está vivo
+ *     description: |
+ *       Liveness probe. Responde 200 mientras el proceso atiende requests;
+ *       no consulta la base de datos.
+ *     tags: [Observabilidad]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: El proceso está vivo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     estado:
+ *                       type: string
+ *                       example: ok
+ *                     uptime_s:
+ *                       type: integer
+ *                       description: Segundos desde que inició el proceso
+ *                       example: 3600
+ */
+router.get('/live', saludController.comprobarVida);
+
+/**
+ * @swagger
+ * /health/ready:
+ *   get:
+ *     summary: Comprobar que la instancia puede recibir tráfico
+ *     description: |
+ *       Readiness probe. Responde 200 si la base de datos responde y no hay
+ *       migraciones pendientes, con la latencia de la consulta de prueba.
+ *       Responde 503 si falla alguna de las dos o si el servidor se está
+ *       apagando (SIGTERM), para que el balanceador deje de enviarle tráfico.
+ *     tags: [Observabilidad]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: La instancia está lista
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/EstadoDisponibilidad'
+ *       503:
+ *         description: La instancia no está lista
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             x-ejemplos-de-error:
+ *               code: NOT_READY
+ *               clave: salud.migraciones_pendientes
+ *               details:
+ *                 base_de_datos:
+ *                   conectada: true
+ *                   latencia_ms: 1.84
+ *                 migraciones:
+ *                   pendientes: ["0010_nueva_tabla"]
+ *                   faltantes: []
+ *               requestId: "3f6c1a52-8d4e-4b7a-9a0e-2b1f0c9d7e11"
+ */
+router.get('/ready', saludController.comprobarDisponibilidad);
+
+export default router;
@@ -0,0 +1,417 @@
+import express from 'express';
+import UsuariosController from '../controllers/usuario.controller.js';
+import { limiteEscrituras } from '../config/rate-limit.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { authorize } from '../middlewares/authorize.middleware.js';
+import { organizacion } from '../middlewares/organizacion.middleware.js';
+import { validate } from '../middlewares/validate.middleware.js';
+
+const router = express.Router();
+const usuariosController = new UsuariosController();
+
+// Todas las rutas requieren un usuario autenticado y operan sobre su organización;
+// las escrituras de cada usuario tienen un cupo por ventana (config/rate-limit.js)
+router.use(authenticate, organizacion, limiteEscrituras);
+
+/**
+ * @swagger
+ * /api/usuarios:
+ *   get:
+ *     summary: Obtener todos los usuarios
+ *     description: Retorna los usuarios con sus roles, paginados por cursor, con filtros y ordenamiento opcionales
+ *     tags: [Usuarios]
+ *     parameters:
+ *       - in: query
+ *         name: activo
+ *         schema:
+ *           type: boolean
+ *         description: Filtrar por estado activo/inactivo
+ *         example: true
+ *       - in: query
+ *         name: rol_id
+ *         schema:
+ *           type: integer
+ *         description: Filtrar usuarios que tengan asignado este rol
+ *         example: 1
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         description: Búsqueda parcial por email
+ *         example: "@example.com"
+ *       - in: query
+ *         name: nombre
+ *         schema:
+ *           type: string
+ *         description: Búsqueda parcial por nombre y apellido
+ *         example: "Ana"
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [id, -id, nombre, -nombre, email, -email, fecha_creacion, -fecha_creacion, fecha_actualizacion, -fecha_actualizacion]
+ *           default: -fecha_creacion
+ *         description: Campo de ordenamiento; con `-` adelante el orden es descendente
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: Lista de usuarios obtenida exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Usuario'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PaginacionMeta'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/', authorize('usuarios:read'), validate(), usuariosController.obtenerUsuarios);
+
+/**
+ * @swagger
+ * /api/usuarios/{id}:
+ *   get:
+ *     summary: Obtener un usuario por ID
+ *     description: Retorna un usuario específico con sus roles asignados
+ *     tags: [Usuarios]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID único del usuario
+ *         example: 1
+ *     responses:
+ *       200:
+ *         description: Usuario encontrado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Usuario'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/:id', authorize('usuarios:read'), validate(), usuariosController.obtenerUsuarioPorId);
+
+/**
+ * @swagger
+ * /api/usuarios:
+ *   post:
+ *     summary: Crear un nuevo usuario
+ *     description: Crea un nuevo usuario, opcionalmente con roles asignados
+ *     tags: [Usuarios]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UsuarioInput'
+ *           example:
+ *             nombre: "Ana"
+ *             apellido: "Gómez"
+ *             email: "ana.gomez@example.com"
+ *             activo: true
+ *             roles: [1]
+ *     responses:
+ *       201:
+ *         description: Usuario creado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   x-mensaje: usuario.creado
+ *                 data:
+ *                   $ref: '#/components/schemas/Usuario'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Alguno de los roles indicados no existe
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             x-ejemplos-de-error:
+ *               code: NOT_FOUND
+ *               clave: rol.inexistentes
+ *               details:
+ *                 roles: [99]
+ *       409:
+ *         description: Conflicto - El email ya está registrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             x-ejemplos-de-error:
+ *               code: DUPLICATE_VALUE
+ *               clave: usuario.email_duplicado
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post('/', authorize('usuarios:create'), validate(), usuariosController.crearUsuario);
+
+/**
+ * @swagger
+ * /api/usuarios/{id}:
+ *   put:
+ *     summary: Actualizar un usuario existente
+ *     description: Actualiza los datos de un usuario específico
+ *     tags: [Usuarios]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del usuario a actualizar
+ *         example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UsuarioUpdate'
+ *           example:
+ *             nombre: "Ana María"
+ *             email: "ana.maria@example.com"
+ *     responses:
+ *       200:
+ *         description: Usuario actualizado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   x-mensaje: usuario.actualizado
+ *                 data:
+ *                   $ref: '#/components/schemas/Usuario'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Conflicto - El email ya está registrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             x-ejemplos-de-error:
+ *               code: DUPLICATE_VALUE
+ *               clave: usuario.email_duplicado
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.put('/:id', authorize('usuarios:update'), validate(), usuariosController.actualizarUsuario);
+
+/**
+ * @swagger
+ * /api/usuarios/{id}:
+ *   delete:
+ *     summary: Eliminar un usuario (soft delete)
+ *     description: |
+ *       Marca un usuario como inactivo en lugar de eliminarlo permanentemente.
+ *       Si ya está inactivo responde 409.
+ *     tags: [Usuarios]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del usuario a eliminar
+ *         example: 1
+ *     responses:
+ *       200:
+ *         description: Usuario eliminado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   x-mensaje: usuario.eliminado
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Conflicto - El usuario ya está eliminado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             x-ejemplos-de-error:
+ *               code: USER_ALREADY_INACTIVE
+ *               clave: usuario.ya_eliminado
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.delete('/:id', authorize('usuarios:delete'), validate(), usuariosController.eliminarUsuario);
+
+/**
+ * @swagger
+ * /api/usuarios/{id}/roles:
+ *   post:
+ *     summary: Asignar roles a un usuario
+ *     description: Asigna uno o más roles existentes y activos a un usuario. Los roles ya asignados se ignoran.
+ *     tags: [Usuarios]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del usuario
+ *         example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AsignacionRoles'
+ *           example:
+ *             roles: [1, 2]
+ *     responses:
+ *       200:
+ *         description: Roles asignados exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   x-mensaje: usuario.roles_asignados
+ *                 data:
+ *                   $ref: '#/components/schemas/Usuario'
+ *       400:
+ *         description: Lista de roles inválida o con roles inactivos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             x-ejemplos-de-error:
+ *               code: INACTIVE_ROLES
+ *               clave: rol.inactivos
+ *               details:
+ *                 roles: [2]
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post('/:id/roles', authorize('usuarios:update'), validate(), usuariosController.asignarRoles);
+
+/**
+ * @swagger
+ * /api/usuarios/{id}/roles/{rolId}:
+ *   delete:
+ *     summary: Quitar un rol a un usuario
+ *     description: Elimina la asignación de un rol a un usuario
+ *     tags: [Usuarios]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del usuario
+ *         example: 1
+ *       - in: path
+ *         name: rolId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del rol a quitar
+ *         example: 2
+ *     responses:
+ *       200:
+ *         description: Rol removido exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   x-mensaje: usuario.rol_removido
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.delete('/:id/roles/:rolId', authorize('usuarios:update'), validate(), usuariosController.quitarRol);
+
+export default router;
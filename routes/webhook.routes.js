@@ -0,0 +1,366 @@
+import express from 'express';
+import WebhooksController from '../controllers/webhook.controller.js';
+import { limiteEscrituras } from '../config/rate-limit.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { authorize } from '../middlewares/authorize.middleware.js';
+import { organizacion } from '../middlewares/organizacion.middleware.js';
+import { validate } from '../middlewares/validate.middleware.js';
+
+const router = express.Router();
+const webhooksController = new WebhooksController();
+
+// Todas las rutas requieren un usuario autenticado y operan sobre su organización;
+// las escrituras de cada usuario tienen un cupo por ventana (config/rate-limit.js)
+router.use(authenticate, organizacion, limiteEscrituras);
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: Obtener los webhooks
+ *     description: Retorna los webhooks registrados en la organización, sin sus secretos
+ *     tags: [Webhooks]
+ *     responses:
+ *       200:
+ *         description: Lista de webhooks obtenida exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Webhook'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/', authorize('webhooks:read'), validate(), webhooksController.obtenerWebhooks);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   get:
+ *     summary: Obtener un webhook por ID
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del webhook
+ *         example: 1
+ *     responses:
+ *       200:
+ *         description: Webhook encontrado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/:id', authorize('webhooks:read'), validate(), webhooksController.obtenerWebhookPorId);
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     summary: Registrar un webhook
+ *     description: |
+ *       Suscribe una URL a eventos de roles. Cada evento se envía con un POST
+ *       (ver el schema Evento) firmado con el secreto del webhook, que solo
+ *       se incluye en esta respuesta. Headers del POST: X-Webhook-Id (id del
+ *       evento), X-Webhook-Evento (tipo), X-Webhook-Timestamp (segundos desde
+ *       epoch) y X-Webhook-Firma ("sha256=" + HMAC-SHA256 en hexadecimal de
+ *       "<timestamp>.<cuerpo>" con el secreto del webhook).
+ *
+ *       Una respuesta 2xx confirma la entrega. Si no, se reintenta con espera
+ *       exponencial (WEBHOOKS_RETRY_BASE segundos, el doble en cada intento)
+ *       hasta WEBHOOKS_MAX_ATTEMPTS intentos; después la entrega queda como
+ *       fallida y se puede reintentar a mano. Un evento puede llegar más de
+ *       una vez: el receptor debe descartar los id repetidos.
+ *     tags: [Webhooks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookInput'
+ *     responses:
+ *       201:
+ *         description: Webhook creado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   x-mensaje: webhook.creado
+ *                 data:
+ *                   $ref: '#/components/schemas/WebhookCreado'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       415:
+ *         $ref: '#/components/responses/UnsupportedMediaType'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post('/', authorize('webhooks:create'), validate(), webhooksController.crearWebhook);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   put:
+ *     summary: Actualizar un webhook
+ *     description: |
+ *       Reemplaza la configuración del webhook; los campos opcionales que no
+ *       se indican vuelven a su valor por defecto. El secreto no cambia.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del webhook
+ *         example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookInput'
+ *     responses:
+ *       200:
+ *         description: Webhook actualizado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   x-mensaje: webhook.actualizado
+ *                 data:
+ *                   $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       415:
+ *         $ref: '#/components/responses/UnsupportedMediaType'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.put('/:id', authorize('webhooks:update'), validate(), webhooksController.actualizarWebhook);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   delete:
+ *     summary: Eliminar un webhook
+ *     description: Elimina el webhook junto con su historial de entregas
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del webhook
+ *         example: 1
+ *     responses:
+ *       200:
+ *         description: Webhook eliminado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *             x-ejemplo-de-exito: webhook.eliminado
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.delete('/:id', authorize('webhooks:delete'), validate(), webhooksController.eliminarWebhook);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/entregas:
+ *   get:
+ *     summary: Obtener las entregas de un webhook
+ *     description: |
+ *       Retorna los envíos de eventos al webhook, del más reciente al más
+ *       antiguo. Con estado=fallida se obtienen las entregas que agotaron sus
+ *       intentos (dead letter).
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del webhook
+ *         example: 1
+ *       - in: query
+ *         name: estado
+ *         schema:
+ *           type: string
+ *           enum: [pendiente, entregada, fallida]
+ *         description: Filtrar por estado
+ *       - $ref: '#/components/parameters/Limit'
+ *       - $ref: '#/components/parameters/Cursor'
+ *     responses:
+ *       200:
+ *         description: Entregas obtenidas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/EntregaWebhook'
+ *                 meta:
+ *                   $ref: '#/components/schemas/PaginacionMeta'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get('/:id/entregas', authorize('webhooks:read'), validate(), webhooksController.obtenerEntregas);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/entregas/{entregaId}/reintentar:
+ *   post:
+ *     summary: Reintentar una entrega fallida
+ *     description: |
+ *       Vuelve a poner en la cola una entrega que agotó sus intentos, con
+ *       todos los intentos disponibles. Se envía en la próxima pasada del
+ *       despachador.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del webhook
+ *         example: 1
+ *       - in: path
+ *         name: entregaId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9]{1,18}$'
+ *         description: ID de la entrega
+ *         example: '87'
+ *     responses:
+ *       200:
+ *         description: Entrega encolada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   x-mensaje: webhook.entrega_reencolada
+ *                 data:
+ *                   $ref: '#/components/schemas/EntregaWebhook'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Conflicto - La entrega no está fallida
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             x-ejemplos-de-error:
+ *               code: DELIVERY_NOT_FAILED
+ *               clave: webhook.entrega_no_fallida
+ *               details:
+ *                 estado: pendiente
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post(
+  '/:id/entregas/:entregaId/reintentar',
+  authorize('webhooks:update'),
+  validate(),
+  webhooksController.reintentarEntrega
+);
+
+export default router;
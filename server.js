@@ -1,29 +1,64 @@
-// Cargar variables de entorno PRIMERO
-import dotenv from 'dotenv';
-dotenv.config();
+// config/config.js carga y valida las variables de entorno; si hay algún
+// problema el proceso termina acá con el informe
+import config from './config/config.js';
+import app from './app.js';
+import sql from './config/db.js';
+import { canalEventos } from './services/canal-eventos.js';
+import DespachadorWebhooks from './services/despachador-webhooks.js';
+import { apagarServidor, estaApagando } from './utils/apagado.js';
+import logger from './utils/logger.js';
 
-// Ahora importar el resto
-import express from 'express';
-import cors from 'cors';
-import { swaggerUi, swaggerSpec } from './config/swagger.js';
-import rolesRoutes from './routes/rol.routes.js';
+const PORT = config.servidor.puerto;
 
-const app = express();
-const PORT = process.env.PORT || 3000;
+// Tiempo que se espera a las requests en curso al apagar (ms)
+const SHUTDOWN_TIMEOUT = config.servidor.shutdownTimeout;
 
-// Middleware
-app.use(cors());
-app.use(express.json());
+// Entrega de los eventos de roles a los webhooks (WEBHOOKS_ENABLED)
+const despachador = new DespachadorWebhooks();
+if (config.webhooks.habilitado) despachador.iniciar();
 
-// Swagger UI
-app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
+// Iniciar servidor
+const servidor = app.listen(PORT, () => {
+  logger.info('Servidor iniciado', {
+    perfil: config.perfil,
+    url: `http://localhost:${PORT}`,
+    swagger: `http://localhost:${PORT}/api-docs`,
+    metricas: `http://localhost:${PORT}/metrics`
+  });
+});
 
-// Rutas
-app.use('/api/roles', rolesRoutes);
+/**
+ * Apagado ordenado: deja de aceptar conexiones, termina los streams de
+ * eventos, espera las requests en curso, detiene el despachador de webhooks
+ * y cierra el pool de la base. Una segunda señal no lo reinicia.
+ */
+async function apagar(senal) {
+  if (estaApagando()) return;
 
-// Iniciar servidor
-app.listen(PORT, () => {
-  console.log(`Backend en http://localhost:${PORT}`);
-  console.log(`Swagger UI en http://localhost:${PORT}/api-docs`);
-  console.log('Base de datos:', process.env.DATABASE_URL ? 'Configurada ✓' : 'No configurada ✗');
-});
\ No newline at end of file
+  logger.info('Apagando el servidor', { senal });
+
+  try {
+    // apagarServidor deja de aceptar conexiones antes de que se terminen los
+    // streams (los clientes se reconectan a otra instancia); si no se
+    // terminaran, close() los esperaría hasta el plazo
+    await Promise.all([
+      apagarServidor(servidor, {
+        plazo: SHUTDOWN_TIMEOUT,
+        alCerrar: async () => {
+          // La pasada en curso del despachador necesita la base para registrar sus envíos
+          await despachador.detener();
+          await sql.end({ timeout: 5 });
+        }
+      }),
+      canalEventos.cerrar()
+    ]);
+    logger.info('Servidor apagado');
+    process.exit(0);
+  } catch (error) {
+    logger.error('Error al apagar el servidor', { error });
+    process.exit(1);
+  }
+}
+
+process.on('SIGTERM', () => apagar('SIGTERM'));
+process.on('SIGINT', () => apagar('SIGINT'));
@@ -0,0 +1,83 @@
+import AuditoriaRepository from '../models/auditoria.repository.js';
+
+/**
+ * Compara dos estados de una entidad y devuelve solo los campos que
+ * cambiaron, como { campo: { antes, despues } }. Un estado null (creación
+ * o borrado) cuenta como todos sus campos en null.
+ */
+export function calcularCambios(antes, despues) {
+  const campos = new Set([...Object.keys(antes ?? {}), ...Object.keys(despues ?? {})]);
+  const cambios = {};
+
+  for (const campo of campos) {
+    const valorAntes = antes?.[campo] ?? null;
+    const valorDespues = despues?.[campo] ?? null;
+
+    // Se compara la forma serializada: así las fechas y los arrays se comparan por valor
+    if (JSON.stringify(valorAntes) !== JSON.stringify(valorDespues)) {
+      cambios[campo] = { antes: valorAntes, despues: valorDespues };
+    }
+  }
+
+  return cambios;
+}
+
+/**
+ * Consulta y escritura del registro de auditoría.
+ *
+ * registrar() debe llamarse con un repositorio ligado a la transacción de
+ * la mutación: si la mutación falla, el registro tampoco queda.
+ */
+class AuditoriaService {
+  /**
+   * @param {AuditoriaRepository} [repository]
+   */
+  constructor(repository = new AuditoriaRepository()) {
+    this.repository = repository;
+  }
+
+  /**
+   * Servicio cuyas consultas usan la conexión o transacción indicada
+   */
+  static con(db) {
+    return new AuditoriaService(new AuditoriaRepository(db));
+  }
+
+  /**
+   * Lista el registro filtrado y paginado por cursor, del más reciente al más antiguo
+   *
+   * @returns {Promise<{ data: object[], meta: object }>}
+   */
+  async listar({ sort = '-id', cursor, limit, ...filtros } = {}) {
+    return this.repository.listarPagina({ ...filtros, sort, cursor, limit });
+  }
+
+  /**
+   * @param {object} registro
+   * @param {string} registro.entidad Tipo de entidad (ej. 'rol')
+   * @param {number} registro.entidad_id
+   * @param {string} registro.accion
+   * @param {object|null} registro.antes Estado previo (null al crear)
+   * @param {object|null} registro.despues Estado posterior (null al borrar)
+   * @param {{ actor?: { id: number, email: string }, requestId?: string }} [contexto]
+   *   Quién hizo el cambio y en qué request
+   */
+  async registrar({ entidad, entidad_id, accion, antes, despues }, contexto = {}) {
+    // Pasar por JSON deja las fechas como texto ISO, igual que en la respuesta de la API
+    const serializar = (estado) => (estado ? JSON.parse(JSON.stringify(estado)) : null);
+
+    return this.repository.registrar({
+      entidad,
+      entidad_id,
+      accion,
+      actor_id: contexto.actor?.id ?? null,
+      actor_email: contexto.actor?.email ?? null,
+      antes: serializar(antes),
+      despues: serializar(despues),
+      cambios: calcularCambios(serializar(antes), serializar(despues)),
+      request_id: contexto.requestId ?? null
+    });
+  }
+}
+
+export default AuditoriaService;
@@ -0,0 +1,129 @@
+import sql from '../config/db.js';
+import OutboxRepository from '../models/outbox.repository.js';
+import logger from '../utils/logger.js';
+
+// Canal en el que el trigger notificar_evento_outbox anuncia cada evento (migración 0011)
+export const CANAL_EVENTOS = 'eventos_outbox';
+
+/**
+ * Forma pública de un evento del outbox: el cuerpo de las entregas de los
+ * webhooks y los datos de cada mensaje de GET /api/roles/stream
+ */
+export function eventoPublico({ id, tipo, fecha, organizacion_id, entidad, entidad_id, datos }) {
+  return { id, tipo, fecha, organizacion_id, entidad, entidad_id, datos };
+}
+
+/**
+ * Indica si una suscripción de la organización indicada (la de
+ * req.organizacion) puede ver un evento de organizacionId
+ */
+function esVisible(organizacion, organizacionId) {
+  return organizacion.todas || organizacion.id === organizacionId;
+}
+
+/**
+ * Reparte entre las suscripciones de este proceso los eventos que Postgres
+ * anuncia con NOTIFY al confirmarse cada transacción, vengan de esta
+ * instancia o de cualquier otra.
+ *
+ * Todas las suscripciones comparten una conexión LISTEN, que postgres.js
+ * abre con la primera, vuelve a abrir si se corta y cierra al cancelarse la
+ * última. Cada evento se lee una sola vez de eventos_outbox, y solo si alguna
+ * suscripción puede verlo.
+ */
+export class CanalEventos {
+  /**
+   * @param {object} [opciones]
+   * @param {import('postgres').Sql} [opciones.db]
+   * @param {string} [opciones.canal]
+   */
+  constructor({ db = sql, canal = CANAL_EVENTOS } = {}) {
+    this.db = db;
+    this.canal = canal;
+    this.suscripciones = new Set();
+    this.escucha = null;
+    // Las lecturas se encadenan para entregar los eventos en el orden de las notificaciones
+    this.lecturas = Promise.resolve();
+  }
+
+  /**
+   * @param {{ id: number|null, todas?: boolean }} organizacion Solo se reciben
+   *   los eventos de esta organización (o todos, con todas: true)
+   * @param {(evento: object) => void} alRecibir Recibe la fila de eventos_outbox
+   * @param {() => void} [alCerrar] Se llama si el canal se cierra (ver cerrar())
+   * @returns {Promise<() => Promise<void>>} Cancela la suscripción
+   */
+  async suscribir(organizacion, alRecibir, alCerrar = () => {}) {
+    const suscripcion = { organizacion, alRecibir, alCerrar };
+    this.suscripciones.add(suscripcion);
+
+    try {
+      await this.escuchar();
+    } catch (error) {
+      this.suscripciones.delete(suscripcion);
+      throw error;
+    }
+
+    return () => this.cancelar(suscripcion);
+  }
+
+  escuchar() {
+    // Las suscripciones simultáneas esperan la misma escucha en lugar de abrir otra
+    this.escucha ??= this.db.listen(this.canal, (payload) => this.recibir(payload)).catch((error) => {
+      this.escucha = null;
+      throw error;
+    });
+
+    return this.escucha;
+  }
+
+  async cancelar(suscripcion) {
+    if (!this.suscripciones.delete(suscripcion) || this.suscripciones.size > 0 || !this.escucha) return;
+
+    const escucha = this.escucha;
+    this.escucha = null;
+    await (await escucha).unlisten();
+  }
+
+  /**
+   * Termina todas las suscripciones (al apagar el servidor)
+   */
+  async cerrar() {
+    const suscripciones = [...this.suscripciones];
+    this.suscripciones.clear();
+    suscripciones.forEach((suscripcion) => suscripcion.alCerrar());
+
+    if (this.escucha) {
+      const escucha = this.escucha;
+      this.escucha = null;
+      await (await escucha).unlisten();
+    }
+  }
+
+  recibir(payload) {
+    this.lecturas = this.lecturas.then(() => this.repartir(payload));
+  }
+
+  async repartir(payload) {
+    try {
+      const { id, organizacion_id } = JSON.parse(payload);
+      const interesadas = [...this.suscripciones]
+        .filter((suscripcion) => esVisible(suscripcion.organizacion, organizacion_id));
+
+      if (interesadas.length === 0) return;
+
+      const evento = await new OutboxRepository(this.db).buscarPorId(id);
+      if (!evento) return;
+
+      for (const suscripcion of interesadas) {
+        // Puede haberse cancelado mientras se leía el evento
+        if (this.suscripciones.has(suscripcion)) suscripcion.alRecibir(evento);
+      }
+    } catch (error) {
+      logger.error('Error al repartir un evento notificado', { error, payload });
+    }
+  }
+}
+
+// Canal compartido por todas las requests del proceso
+export const canalEventos = new CanalEventos();
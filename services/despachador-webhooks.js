@@ -0,0 +1,207 @@
+import config from '../config/config.js';
+import WebhooksRepository from '../models/webhook.repository.js';
+import logger from '../utils/logger.js';
+import { entregasWebhooks } from '../utils/metrics.js';
+import { direccionesPrivadas, firmarWebhook } from '../utils/webhooks.js';
+import { eventoPublico } from './canal-eventos.js';
+
+// Espera máxima entre reintentos (s), por grande que sea el número de intento
+const ESPERA_MAXIMA = 3600;
+
+// Largo máximo del error que se guarda de cada intento
+const LARGO_ERROR = 500;
+
+/**
+ * Segundos hasta el próximo intento de una entrega que ya falló `intentos`
+ * veces: se duplica en cada fallo (base, 2×base, 4×base...) hasta ESPERA_MAXIMA
+ */
+export function esperaDeReintento(intentos, base) {
+  return Math.min(base * 2 ** (intentos - 1), ESPERA_MAXIMA);
+}
+
+/**
+ * Cuerpo de la request de una entrega. El id del evento es el mismo en
+ * todos los intentos: el receptor lo usa para descartar duplicados.
+ */
+export function cuerpoDeEntrega(entrega) {
+  return JSON.stringify(eventoPublico({ ...entrega, id: entrega.evento_id }));
+}
+
+/**
+ * Entrega los eventos del outbox a los webhooks suscriptos.
+ *
+ * Cada pasada crea las entregas de los eventos nuevos y envía las que están
+ * vencidas con un POST firmado (utils/webhooks.js). Una respuesta 2xx la
+ * confirma; cualquier otra cosa (incluidas las redirecciones y los timeouts)
+ * programa un reintento con espera exponencial, hasta maxIntentos. Las
+ * entregas son "al menos una vez": un evento se puede recibir repetido.
+ */
+class DespachadorWebhooks {
+  /**
+   * @param {object} [opciones] Por defecto, las de config.webhooks
+   * @param {number} [opciones.intervalo] Espera entre pasadas (ms)
+   * @param {number} [opciones.timeout] Tiempo máximo de cada envío (ms)
+   * @param {number} [opciones.maxIntentos]
+   * @param {number} [opciones.esperaBase] Espera antes del primer reintento (s)
+   * @param {number} [opciones.lote] Máximo de eventos y de entregas por pasada
+   * @param {boolean} [opciones.permitirRedesPrivadas] Enviar aunque la URL
+   *   resuelva a una dirección privada (ver direccionesPrivadas)
+   * @param {WebhooksRepository} [opciones.repository]
+   */
+  constructor({
+    intervalo = config.webhooks.intervalo,
+    timeout = config.webhooks.timeout,
+    maxIntentos = config.webhooks.maxIntentos,
+    esperaBase = config.webhooks.esperaBase,
+    lote = 50,
+    permitirRedesPrivadas = config.webhooks.permitirRedesPrivadas,
+    repository = new WebhooksRepository()
+  } = {}) {
+    this.intervalo = intervalo;
+    this.timeout = timeout;
+    this.maxIntentos = maxIntentos;
+    this.esperaBase = esperaBase;
+    this.lote = lote;
+    this.permitirRedesPrivadas = permitirRedesPrivadas;
+    this.repository = repository;
+    this.activo = false;
+    this.temporizador = null;
+    this.pasada = null;
+  }
+
+  /**
+   * Empieza a procesar cada `intervalo` ms, hasta detener()
+   */
+  iniciar() {
+    if (this.activo) return;
+
+    this.activo = true;
+    this.programar(0);
+  }
+
+  /**
+   * Deja de procesar; se resuelve cuando termina la pasada en curso
+   */
+  async detener() {
+    this.activo = false;
+    clearTimeout(this.temporizador);
+    await this.pasada;
+  }
+
+  programar(espera) {
+    this.temporizador = setTimeout(async () => {
+      this.pasada = this.procesar().catch((error) => {
+        logger.error('Error en el despachador de webhooks', { error });
+      });
+
+      await this.pasada;
+      this.pasada = null;
+      if (this.activo) this.programar(this.intervalo);
+    }, espera);
+  }
+
+  /**
+   * Una pasada: crea las entregas de los eventos nuevos y envía las vencidas
+   *
+   * @returns {Promise<{ eventos: number, entregas: string[] }>} Eventos
+   *   despachados y resultado de cada envío ('entregada', 'reintento' o 'fallida')
+   */
+  async procesar() {
+    const eventos = await this.repository.despacharEventos(this.lote);
+    // La reserva cubre el envío más lento posible
+    const pendientes = await this.repository.tomarEntregas(this.lote, this.timeout * 2);
+    const entregas = await Promise.all(pendientes.map((entrega) => this.entregar(entrega)));
+
+    return { eventos, entregas };
+  }
+
+  /**
+   * Envía una entrega y registra el resultado
+   */
+  async entregar(entrega) {
+    const { status, error } = await this.enviar(entrega);
+    const intentos = entrega.intentos + 1;
+    let resultado;
+
+    if (error === null) {
+      resultado = 'entregada';
+      await this.repository.marcarEntregada(entrega.id, { status });
+    } else if (intentos >= this.maxIntentos) {
+      resultado = 'fallida';
+      await this.repository.marcarFallida(entrega.id, { status, error });
+      logger.error('Entrega de webhook fallida', {
+        entrega_id: entrega.id,
+        webhook_id: entrega.webhook_id,
+        evento_id: entrega.evento_id,
+        intentos,
+        status,
+        motivo: error
+      });
+    } else {
+      resultado = 'reintento';
+      const espera = esperaDeReintento(intentos, this.esperaBase);
+      await this.repository.programarReintento(entrega.id, { status, error, espera });
+      logger.warn('Error al entregar un webhook; se reintentará', {
+        entrega_id: entrega.id,
+        webhook_id: entrega.webhook_id,
+        intentos,
+        espera,
+        status,
+        motivo: error
+      });
+    }
+
+    entregasWebhooks.incrementar({ resultado });
+    return resultado;
+  }
+
+  /**
+   * @returns {Promise<{ status: number|null, error: string|null }>} error
+   *   es null si el receptor confirmó la entrega
+   */
+  async enviar(entrega) {
+    const cuerpo = cuerpoDeEntrega(entrega);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+      // La URL se validó al registrarla, pero el host pudo pasar a resolver a otra dirección
+      if (!this.permitirRedesPrivadas) {
+        const direcciones = await direccionesPrivadas(entrega.url);
+        if (direcciones.length > 0) {
+          return { status: null, error: `La URL resuelve a una dirección privada (${direcciones.join(', ')})` };
+        }
+      }
+
+      const respuesta = await fetch(entrega.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'plat-back-webhooks',
+          'X-Webhook-Id': String(entrega.evento_id),
+          'X-Webhook-Evento': entrega.tipo,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Firma': firmarWebhook(entrega.secreto, timestamp, cuerpo)
+        },
+        body: cuerpo,
+        // Seguir una redirección mandaría el evento a una URL no registrada
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.timeout)
+      });
+
+      // El cuerpo de la respuesta no se usa; se descarta para liberar la conexión
+      await respuesta.body?.cancel();
+
+      return respuesta.ok
+        ? { status: respuesta.status, error: null }
+        : { status: respuesta.status, error: `HTTP ${respuesta.status}` };
+    } catch (error) {
+      const motivo = error.name === 'TimeoutError'
+        ? `Sin respuesta en ${this.timeout} ms`
+        : error.cause?.message ?? error.message;
+
+      return { status: null, error: motivo.slice(0, LARGO_ERROR) };
+    }
+  }
+}
+
+export default DespachadorWebhooks;
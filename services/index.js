@@ -1,2 +1,6 @@
 ﻿// Services module
-module.exports = {};
+export { default as RolesService, construirArbol } from './rol.service.js';
+export { default as AuditoriaService, calcularCambios } from './auditoria.service.js';
+export { default as WebhooksService } from './webhook.service.js';
+export { default as DespachadorWebhooks } from './despachador-webhooks.js';
+export { CanalEventos, canalEventos } from './canal-eventos.js';
@@ -0,0 +1,710 @@
+import RolesRepository from '../models/rol.repository.js';
+import AuditoriaRepository from '../models/auditoria.repository.js';
+import OutboxRepository from '../models/outbox.repository.js';
+import AuditoriaService from './auditoria.service.js';
+import {
+  AppError,
+  ConflictError,
+  NotFoundError,
+  PreconditionFailedError,
+  ValidationError,
+  desdePostgres
+} from '../utils/errors.js';
+import { parsearCsv } from '../utils/csv.js';
+import { aplicarJsonPatch, aplicarMergePatch } from '../utils/json-patch.js';
+import { validarSchema } from '../utils/schemas.js';
+
+// Máximo de filas por importación
+export const LIMITE_IMPORTACION = 1000;
+
+// Campos de RolInput: los que se pueden modificar de un rol. En una
+// importación el resto de las columnas (ej. id y fechas) se ignora
+const CAMPOS_EDITABLES = ['nombre', 'descripcion', 'activo', 'rol_padre_id'];
+
+/**
+ * Arma la vista de árbol a partir de una lista plana de roles.
+ * Un rol cuyo padre no está en la lista se considera raíz.
+ */
+export function construirArbol(roles) {
+  const nodos = new Map(roles.map((rol) => [rol.id, { ...rol, hijos: [] }]));
+  const raices = [];
+
+  for (const nodo of nodos.values()) {
+    const padre = nodos.get(nodo.rol_padre_id);
+    if (padre) padre.hijos.push(nodo);
+    else raices.push(nodo);
+  }
+
+  return raices;
+}
+
+// Evento que publica cada acción auditada (ver TIPOS_DE_EVENTO en
+// utils/webhooks.js). reasignar_usuarios no publica: cambia a los usuarios
+const EVENTOS_POR_ACCION = {
+  crear: 'rol.creado',
+  actualizar: 'rol.actualizado',
+  eliminar: 'rol.desactivado',
+  restaurar: 'rol.restaurado',
+  eliminar_definitivo: 'rol.eliminado',
+  actualizar_permisos: 'rol.permisos_actualizados'
+};
+
+// Se lanza para revertir la transacción de un lote sin que sea un error real
+class LoteRevertido extends Error {}
+
+/**
+ * Reglas de negocio de roles. No conoce HTTP: recibe datos ya validados,
+ * devuelve entidades y lanza errores de dominio (utils/errors.js).
+ *
+ * Cada mutación deja un registro de auditoría y su evento en el outbox
+ * (para los webhooks) en su misma transacción. El contexto
+ * ({ actor, requestId }) indica quién la hizo y en qué request.
+ */
+class RolesService {
+  /**
+   * @param {RolesRepository} [repository]
+   * @param {AuditoriaService} [auditoria]
+   */
+  constructor(repository = new RolesRepository(), auditoria = new AuditoriaService()) {
+    this.repository = repository;
+    this.auditoria = auditoria;
+  }
+
+  /**
+   * Servicio cuyas consultas usan la conexión o transacción indicada
+   * (ej. la de conOrganizacion)
+   */
+  static con(db) {
+    return new RolesService(new RolesRepository(db), AuditoriaService.con(db));
+  }
+
+  /**
+   * Lista roles filtrados y paginados por cursor, o en árbol con vista = 'arbol'
+   *
+   * @returns {Promise<{ data: object[], meta?: object }>}
+   */
+  async listar({ vista, sort = '-fecha_creacion', cursor, limit, ...filtros } = {}) {
+    // La vista de árbol necesita todos los roles para armar la jerarquía
+    if (vista === 'arbol') {
+      return { data: construirArbol(await this.repository.listar(filtros)) };
+    }
+
+    return this.repository.listarPagina({ ...filtros, sort, cursor, limit });
+  }
+
+  async obtener(id) {
+    const rol = await this.repository.buscarPorId(id);
+
+    if (!rol) {
+      throw new NotFoundError('rol.no_encontrado');
+    }
+
+    return rol;
+  }
+
+  async crear({ nombre, descripcion, activo = true, rol_padre_id = null }, contexto) {
+    return this.repository.transaccion(async (repo, tx) => {
+      if (rol_padre_id !== null) {
+        await asegurarPadre(repo, rol_padre_id);
+      }
+
+      // Un rol nuevo no tiene descendientes, por lo que su padre no puede formar un ciclo
+      const rol = await repo.crear({
+        nombre: nombre.trim(),
+        descripcion: descripcion ?? null,
+        activo: Boolean(activo),
+        rol_padre_id
+      });
+
+      await registrarCambio(tx, { accion: 'crear', id: rol.id, antes: null, despues: rol }, contexto);
+      return rol;
+    });
+  }
+
+  /**
+   * Reemplaza todos los campos editables del rol (PUT). Los que no se
+   * indican vuelven a su valor por defecto: descripcion y rol_padre_id en
+   * null y activo en true.
+   *
+   * @param {number} id
+   * @param {object} datos RolInput completo
+   * @param {{ reasignar_a?: number, versiones?: number[] }} [opciones]
+   *   reasignar_a: rol al que pasar los usuarios si se desactiva un rol que
+   *   todavía tienen asignado. versiones: ver asegurarRol()
+   * @param {object} [contexto]
+   */
+  async reemplazar(id, datos, opciones = {}, contexto) {
+    return this.repository.transaccion(async (repo, tx) => {
+      const antes = await asegurarRol(repo, id, { bloquear: true, versiones: opciones.versiones });
+      return guardarEstado(repo, tx, antes, estadoCompleto(datos), opciones, contexto);
+    });
+  }
+
+  /**
+   * Modifica solo los campos indicados, con la semántica de JSON Merge Patch
+   * (RFC 7396): un campo ausente se conserva y null lo vacía.
+   *
+   * @param {number} id
+   * @param {object} cambios Campos a modificar (RolUpdate)
+   * @param {{ reasignar_a?: number, versiones?: number[] }} [opciones] Ver reemplazar()
+   * @param {object} [contexto]
+   */
+  async actualizar(id, cambios, opciones = {}, contexto) {
+    return this.repository.transaccion(async (repo, tx) => {
+      const antes = await asegurarRol(repo, id, { bloquear: true, versiones: opciones.versiones });
+      const estado = aplicarMergePatch(camposEditables(antes), cambios);
+
+      return guardarEstado(repo, tx, antes, estadoCompleto(estado), opciones, contexto);
+    });
+  }
+
+  /**
+   * Aplica un JSON Patch (RFC 6902) sobre los campos editables del rol. El
+   * resultado debe ser un RolInput válido; los campos que el patch quita
+   * vuelven a su valor por defecto, como en reemplazar().
+   *
+   * @param {number} id
+   * @param {object[]} operaciones Ver OperacionJsonPatch en config/swagger.js
+   * @param {{ reasignar_a?: number, versiones?: number[] }} [opciones] Ver reemplazar()
+   * @param {object} [contexto]
+   */
+  async aplicarOperaciones(id, operaciones, opciones = {}, contexto) {
+    return this.repository.transaccion(async (repo, tx) => {
+      const antes = await asegurarRol(repo, id, { bloquear: true, versiones: opciones.versiones });
+      const estado = aplicarJsonPatch(camposEditables(antes), operaciones);
+
+      const errores = validarSchema('RolInput', estado);
+      if (errores.length > 0) {
+        throw new ValidationError('rol.patch_invalido', { details: errores });
+      }
+
+      return guardarEstado(repo, tx, antes, estadoCompleto(estado), opciones, contexto);
+    });
+  }
+
+  /**
+   * Soft delete: el rol queda inactivo, deja de otorgar permisos (propios y
+   * heredados por sus descendientes) y no se puede asignar a usuarios, pero
+   * conserva su lugar en la jerarquía y se puede restaurar.
+   *
+   * Si hay usuarios con el rol se rechaza, salvo que se indique a qué rol
+   * pasarlos con reasignar_a.
+   *
+   * @param {number} id
+   * @param {{ reasignar_a?: number, versiones?: number[] }} [opciones]
+   * @param {object} [contexto]
+   */
+  async eliminar(id, opciones = {}, contexto) {
+    return this.repository.transaccion(async (repo, tx) => {
+      const antes = await asegurarRol(repo, id, { bloquear: true, versiones: opciones.versiones });
+
+      if (!antes.activo) {
+        throw new ConflictError('rol.ya_eliminado', { code: 'ROLE_ALREADY_INACTIVE' });
+      }
+
+      await liberarUsuarios(repo, tx, id, opciones.reasignar_a, contexto);
+      const rol = await repo.actualizar(id, { activo: false });
+
+      await registrarCambio(tx, { accion: 'eliminar', id, antes, despues: rol }, contexto);
+      return rol;
+    });
+  }
+
+  /**
+   * Deshace el soft delete: el rol vuelve a estar activo
+   *
+   * @param {number} id
+   * @param {{ versiones?: number[] }} [opciones] Ver asegurarRol()
+   * @param {object} [contexto]
+   */
+  async restaurar(id, opciones = {}, contexto) {
+    return this.repository.transaccion(async (repo, tx) => {
+      const antes = await asegurarRol(repo, id, { bloquear: true, versiones: opciones.versiones });
+
+      if (antes.activo) {
+        throw new ConflictError('rol.no_eliminado', { code: 'ROLE_ALREADY_ACTIVE' });
+      }
+
+      const rol = await repo.actualizar(id, { activo: true });
+
+      await registrarCambio(tx, { accion: 'restaurar', id, antes, despues: rol }, contexto);
+      return rol;
+    });
+  }
+
+  /**
+   * Elimina el rol de forma permanente. Solo se permite sobre un rol ya
+   * eliminado (inactivo) y sin roles hijos; los usuarios que lo conserven
+   * deben reasignarse con reasignar_a. El historial de auditoría se conserva.
+   *
+   * @param {number} id
+   * @param {{ reasignar_a?: number }} [opciones]
+   * @param {object} [contexto]
+   */
+  async eliminarDefinitivamente(id, opciones = {}, contexto) {
+    return this.repository.transaccion(async (repo, tx) => {
+      const antes = await asegurarRol(repo, id, { bloquear: true });
+
+      if (antes.activo) {
+        throw new ConflictError('rol.activo', {
+          code: 'ROLE_ACTIVE'
+        });
+      }
+
+      const hijos = await repo.listarHijos(id);
+
+      if (hijos.length > 0) {
+        throw new ConflictError('rol.tiene_hijos', {
+          code: 'ROLE_HAS_CHILDREN',
+          details: { roles: hijos.map((hijo) => hijo.id) }
+        });
+      }
+
+      await liberarUsuarios(repo, tx, id, opciones.reasignar_a, contexto);
+      await repo.eliminar(id);
+
+      await registrarCambio(tx, { accion: 'eliminar_definitivo', id, antes, despues: null }, contexto);
+    });
+  }
+
+  async obtenerPermisos(id) {
+    await asegurarRol(this.repository, id);
+    return this.repository.listarPermisos(id);
+  }
+
+  /**
+   * Permisos propios más los heredados de sus ancestros.
+   * La herencia se corta en el primer ancestro inactivo.
+   */
+  async obtenerPermisosEfectivos(id) {
+    await asegurarRol(this.repository, id);
+    return this.repository.listarPermisosEfectivos(id);
+  }
+
+  /**
+   * Aplica varias operaciones (crear, actualizar, desactivar) en una sola
+   * transacción: se confirman todas o ninguna. Cada operación corre en su
+   * propio savepoint, así un error no impide evaluar las siguientes y el
+   * resultado informa qué pasó con cada una.
+   *
+   * Si alguna falla se lanza BULK_OPERATIONS_FAILED con los resultados.
+   * Con dry_run las operaciones se evalúan igual y siempre se revierten.
+   *
+   * @param {object[]} operaciones Ver OperacionRol en config/swagger.js
+   * @param {{ dry_run?: boolean }} [opciones]
+   * @param {object} [contexto]
+   * @returns {Promise<object[]>} Resultado de cada operación, en orden
+   */
+  async ejecutarLote(operaciones, { dry_run = false } = {}, contexto) {
+    const resultados = [];
+
+    try {
+      await this.repository.transaccion(async (repo) => {
+        const servicio = new RolesService(repo, this.auditoria);
+
+        for (const [indice, operacion] of operaciones.entries()) {
+          resultados.push(await ejecutarOperacion(servicio, indice, operacion, contexto));
+        }
+
+        if (dry_run || resultados.some((resultado) => resultado.estado === 'error')) {
+          throw new LoteRevertido();
+        }
+      });
+    } catch (error) {
+      if (!(error instanceof LoteRevertido)) throw error;
+    }
+
+    if (!dry_run && resultados.some((resultado) => resultado.estado === 'error')) {
+      throw new ConflictError('rol.lote_fallido', {
+        code: 'BULK_OPERATIONS_FAILED',
+        details: { resultados }
+      });
+    }
+
+    return resultados;
+  }
+
+  /**
+   * Todos los roles que cumplen los filtros, ordenados por id, sin paginar.
+   * Se leen de a lotes: recorrer el resultado con for await.
+   *
+   * @returns {AsyncGenerator<object>}
+   */
+  exportar(filtros = {}) {
+    return this.repository.recorrer(filtros);
+  }
+
+  /**
+   * Importa roles haciendo upsert por nombre: si existe un rol con el mismo
+   * nombre se actualizan los campos presentes en la fila, si no se crea.
+   *
+   * Cada fila se valida contra RolInput y se aplica en su propio savepoint:
+   * las filas válidas se guardan aunque otras se rechacen.
+   *
+   * @param {object} archivo
+   * @param {'csv'|'json'} archivo.formato
+   * @param {string|object[]} archivo.contenido Texto del CSV o array de objetos
+   * @param {object} [contexto]
+   * @returns {Promise<{ resumen: object, filas: object[] }>} Reporte por fila
+   */
+  async importar({ formato, contenido }, contexto) {
+    const filas = formato === 'csv'
+      ? filasDesdeCsv(contenido)
+      : contenido.map((datos, indice) => ({ fila: indice + 1, datos, convertirTipos: false }));
+
+    if (filas.length > LIMITE_IMPORTACION) {
+      throw new ValidationError('rol.demasiadas_filas', {
+        code: 'TOO_MANY_ROWS',
+        parametros: { limite: LIMITE_IMPORTACION },
+        details: { filas: filas.length, limite: LIMITE_IMPORTACION }
+      });
+    }
+
+    const reporte = await this.repository.transaccion(async (repo) => {
+      const servicio = new RolesService(repo, this.auditoria);
+      const resultados = [];
+
+      for (const fila of filas) {
+        resultados.push(await importarFila(servicio, repo, fila, contexto));
+      }
+
+      return resultados;
+    });
+
+    const contar = (estado) => reporte.filter((resultado) => resultado.estado === estado).length;
+
+    return {
+      resumen: {
+        total: reporte.length,
+        creados: contar('creado'),
+        actualizados: contar('actualizado'),
+        sin_cambios: contar('sin_cambios'),
+        rechazados: contar('rechazado')
+      },
+      filas: reporte
+    };
+  }
+
+  /**
+   * Historial de auditoría de un rol, del cambio más reciente al más antiguo.
+   * Sigue disponible aunque el rol ya no exista.
+   *
+   * @returns {Promise<{ data: object[], meta: object }>}
+   */
+  async historial(id, filtros = {}) {
+    const historial = await this.auditoria.listar({ ...filtros, entidad: 'rol', entidad_id: id });
+
+    if (historial.meta.total === 0 && !(await this.repository.existe(id))) {
+      throw new NotFoundError('rol.no_encontrado');
+    }
+
+    return historial;
+  }
+
+  /**
+   * Eventos de roles confirmados después de `desde`, en orden de
+   * confirmación, para retomar un stream (GET /api/roles/stream con
+   * Last-Event-ID)
+   *
+   * @param {string} desde Id del último evento recibido
+   * @param {number} limite
+   */
+  async listarEventos(desde, limite) {
+    return new OutboxRepository(this.repository.db).listarDesde('rol', desde, limite);
+  }
+
+  /**
+   * Reemplaza el conjunto de permisos que otorga un rol
+   *
+   * @param {number} id
+   * @param {string[]} codigos Códigos de permiso (recurso:accion)
+   * @param {object} [contexto]
+   */
+  async reemplazarPermisos(id, codigos, contexto) {
+    const unicos = [...new Set(codigos.map((codigo) => codigo.trim()))];
+
+    return this.repository.transaccion(async (repo, tx) => {
+      await asegurarRol(repo, id);
+      const anteriores = await repo.listarPermisos(id);
+
+      const encontrados = await repo.buscarPermisosPorCodigo(unicos);
+      const inexistentes = unicos.filter(
+        (codigo) => !encontrados.some((permiso) => permiso.codigo === codigo)
+      );
+
+      if (inexistentes.length > 0) {
+        throw new ValidationError('rol.permisos_inexistentes', {
+          code: 'UNKNOWN_PERMISSIONS',
+          details: { permisos: inexistentes }
+        });
+      }
+
+      await repo.reemplazarPermisos(id, encontrados.map((permiso) => permiso.id));
+      const permisos = await repo.listarPermisos(id);
+
+      await registrarCambio(tx, {
+        accion: 'actualizar_permisos',
+        id,
+        antes: { permisos: anteriores.map((permiso) => permiso.codigo) },
+        despues: { permisos: permisos.map((permiso) => permiso.codigo) }
+      }, contexto);
+
+      return permisos;
+    });
+  }
+}
+
+/**
+ * Devuelve el rol o lanza NotFoundError
+ *
+ * @param {RolesRepository} repo
+ * @param {number} id
+ * @param {object} [opciones]
+ * @param {boolean} [opciones.bloquear] Bloquea la fila hasta el fin de la transacción
+ * @param {number[]} [opciones.versiones] Versiones con las que el cliente acepta
+ *   escribir (If-Match). Si la actual no está entre ellas lanza PreconditionFailedError.
+ */
+async function asegurarRol(repo, id, { bloquear = false, versiones } = {}) {
+  const rol = await repo.buscarPorId(id, { bloquear });
+
+  if (!rol) {
+    throw new NotFoundError('rol.no_encontrado');
+  }
+
+  if (versiones && !versiones.includes(rol.version)) {
+    throw new PreconditionFailedError('rol.modificado', {
+      details: { version_actual: rol.version }
+    });
+  }
+
+  return rol;
+}
+
+function camposEditables(rol) {
+  return Object.fromEntries(CAMPOS_EDITABLES.map((campo) => [campo, rol[campo]]));
+}
+
+/**
+ * Completa un RolInput con los valores por defecto de los campos ausentes
+ */
+function estadoCompleto({ nombre, descripcion = null, activo = true, rol_padre_id = null }) {
+  return { nombre: nombre.trim(), descripcion, activo, rol_padre_id };
+}
+
+/**
+ * Lleva el rol (ya bloqueado) al estado indicado: valida el padre, libera
+ * los usuarios si se desactiva y audita. Si no cambia ningún campo no se
+ * escribe nada y la versión se conserva.
+ */
+async function guardarEstado(repo, tx, antes, estado, opciones, contexto) {
+  const cambios = Object.fromEntries(
+    CAMPOS_EDITABLES
+      .filter((campo) => estado[campo] !== antes[campo])
+      .map((campo) => [campo, estado[campo]])
+  );
+
+  if (Object.keys(cambios).length === 0) return antes;
+
+  if (cambios.activo === false) {
+    await liberarUsuarios(repo, tx, antes.id, opciones.reasignar_a, contexto);
+  }
+
+  if (cambios.rol_padre_id !== undefined && cambios.rol_padre_id !== null) {
+    await asegurarPadre(repo, cambios.rol_padre_id);
+
+    if (await repo.generaCiclo(antes.id, cambios.rol_padre_id)) {
+      throw new ConflictError('rol.ciclo', {
+        code: 'ROLE_HIERARCHY_CYCLE'
+      });
+    }
+  }
+
+  const rol = await repo.actualizar(antes.id, cambios);
+  await registrarCambio(tx, { accion: 'actualizar', id: antes.id, antes, despues: rol }, contexto);
+  return rol;
+}
+
+async function asegurarPadre(repo, padreId) {
+  if (!(await repo.existe(padreId))) {
+    throw new NotFoundError('rol.padre_no_encontrado');
+  }
+}
+
+/**
+ * Traduce un error a AppError para informarlo en el resultado de un ítem.
+ * Los errores inesperados se relanzan y cortan la operación completa.
+ */
+function errorDeDominio(error) {
+  const appError = error instanceof AppError ? error : desdePostgres(error);
+  if (!appError) throw error;
+
+  return appError;
+}
+
+/**
+ * Ejecuta una operación de un lote y devuelve su resultado
+ */
+async function ejecutarOperacion(servicio, indice, { accion, id, datos, reasignar_a }, contexto) {
+  try {
+    let rol;
+
+    switch (accion) {
+      case 'crear':
+        rol = await servicio.crear(datos, contexto);
+        break;
+      case 'actualizar':
+        rol = await servicio.actualizar(id, datos, { reasignar_a }, contexto);
+        break;
+      case 'desactivar':
+        rol = await servicio.eliminar(id, { reasignar_a }, contexto);
+        break;
+    }
+
+    return { indice, accion, estado: 'ok', data: rol };
+  } catch (error) {
+    const { code, mensaje, details } = errorDeDominio(error);
+    return { indice, accion, estado: 'error', error: { code, message: mensaje, ...(details !== undefined && { details }) } };
+  }
+}
+
+/**
+ * Convierte las filas de un CSV en datos de RolInput. Una celda vacía es
+ * null en los campos que lo admiten; en activo equivale a no indicarlo.
+ */
+function filasDesdeCsv(texto) {
+  const { columnas, filas } = parsearCsv(texto);
+
+  if (!columnas.includes('nombre')) {
+    throw new ValidationError('csv.sin_columna_nombre', { code: 'INVALID_CSV' });
+  }
+
+  return filas.map(({ linea, valores }) => {
+    const datos = {};
+
+    for (const campo of CAMPOS_EDITABLES.filter((columna) => columnas.includes(columna))) {
+      const valor = valores[campo].trim();
+
+      if (valor !== '' || campo === 'nombre') datos[campo] = valor;
+      else if (campo !== 'activo') datos[campo] = null;
+    }
+
+    return { fila: linea, datos, convertirTipos: true };
+  });
+}
+
+/**
+ * Valida y aplica una fila de una importación y devuelve su resultado
+ */
+async function importarFila(servicio, repo, { fila, datos, convertirTipos }, contexto) {
+  const nombre = typeof datos?.nombre === 'string' ? datos.nombre.trim() : undefined;
+  const rechazar = (errores) => ({ fila, nombre: nombre ?? null, estado: 'rechazado', errores });
+
+  // Los campos presentes se toman antes de validar, que completa los defaults
+  const presentes = datos && typeof datos === 'object'
+    ? CAMPOS_EDITABLES.filter((campo) => Object.hasOwn(datos, campo))
+    : [];
+
+  const errores = validarSchema('RolInput', datos, { convertirTipos, ubicacion: 'fila' });
+  if (errores.length > 0) return rechazar(errores);
+
+  try {
+    const existente = await repo.buscarPorNombre(nombre);
+
+    if (!existente) {
+      const rol = await servicio.crear(datos, contexto);
+      return { fila, nombre, estado: 'creado', id: rol.id };
+    }
+
+    const normalizado = { ...datos, nombre };
+    const cambios = Object.fromEntries(
+      presentes
+        .filter((campo) => normalizado[campo] !== existente[campo])
+        .map((campo) => [campo, datos[campo]])
+    );
+
+    if (Object.keys(cambios).length === 0) {
+      return { fila, nombre, estado: 'sin_cambios', id: existente.id };
+    }
+
+    await servicio.actualizar(existente.id, cambios, {}, contexto);
+    return { fila, nombre, estado: 'actualizado', id: existente.id };
+  } catch (error) {
+    const { code, mensaje } = errorDeDominio(error);
+    return rechazar([{ ubicacion: 'fila', campo: null, mensaje, code }]);
+  }
+}
+
+/**
+ * Quita el rol a todos sus usuarios antes de desactivarlo o borrarlo.
+ * Sin reasignarA se rechaza si el rol está en uso; con reasignarA los
+ * usuarios pasan a ese rol, que debe existir y estar activo.
+ */
+async function liberarUsuarios(repo, tx, id, reasignarA, contexto) {
+  const usuarios = await repo.listarUsuarios(id);
+  if (usuarios.length === 0) return;
+
+  if (reasignarA === undefined) {
+    throw new ConflictError('rol.en_uso', {
+      code: 'ROLE_IN_USE',
+      details: { usuarios }
+    });
+  }
+
+  if (reasignarA === id) {
+    throw new ValidationError('rol.reasignar_al_mismo');
+  }
+
+  const destino = await repo.buscarPorId(reasignarA);
+
+  if (!destino) {
+    throw new NotFoundError('rol.destino_no_encontrado');
+  }
+
+  if (!destino.activo) {
+    throw new ValidationError('rol.inactivos', {
+      code: 'INACTIVE_ROLES',
+      details: { roles: [destino.id] }
+    });
+  }
+
+  await repo.reasignarUsuarios(id, reasignarA);
+  await registrarCambio(tx, {
+    accion: 'reasignar_usuarios',
+    id,
+    antes: { usuarios },
+    despues: { usuarios: [], reasignados_a: reasignarA }
+  }, contexto);
+}
+
+/**
+ * Registra un cambio de rol dentro de la transacción tx: su registro de
+ * auditoría y, si corresponde, el evento que reciben los webhooks
+ */
+async function registrarCambio(tx, { accion, id, antes, despues }, contexto) {
+  const auditoria = new AuditoriaService(new AuditoriaRepository(tx));
+  const registro = await auditoria.registrar({ entidad: 'rol', entidad_id: id, accion, antes, despues }, contexto);
+
+  const tipo = tipoDeEvento(registro);
+  if (!tipo) return;
+
+  await new OutboxRepository(tx).registrar({
+    tipo,
+    entidad: 'rol',
+    entidad_id: id,
+    datos: { antes: registro.antes, despues: registro.despues, cambios: registro.cambios },
+    request_id: registro.request_id
+  });
+}
+
+/**
+ * Una actualización que cambia activo se publica como desactivación o restauración
+ */
+function tipoDeEvento({ accion, cambios }) {
+  if (accion === 'actualizar' && cambios.activo) {
+    return cambios.activo.despues ? 'rol.restaurado' : 'rol.desactivado';
+  }
+
+  return EVENTOS_POR_ACCION[accion] ?? null;
+}
+
+export default RolesService;
@@ -0,0 +1,126 @@
+import config from '../config/config.js';
+import WebhooksRepository from '../models/webhook.repository.js';
+import { ConflictError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { direccionesPrivadas, generarSecretoWebhook } from '../utils/webhooks.js';
+
+/**
+ * Suscripciones de otros servicios a los eventos de roles. Las entregas las
+ * hace el despachador (services/despachador-webhooks.js); aquí solo se
+ * consultan y se reintentan a mano las que fallaron.
+ */
+class WebhooksService {
+  /**
+   * @param {WebhooksRepository} [repository]
+   */
+  constructor(repository = new WebhooksRepository()) {
+    this.repository = repository;
+  }
+
+  /**
+   * Servicio cuyas consultas usan la conexión o transacción indicada
+   * (ej. la de conOrganizacion)
+   */
+  static con(db) {
+    return new WebhooksService(new WebhooksRepository(db));
+  }
+
+  async listar() {
+    return this.repository.listar();
+  }
+
+  async obtener(id) {
+    const webhook = await this.repository.buscarPorId(id);
+
+    if (!webhook) {
+      throw new NotFoundError('webhook.no_encontrado');
+    }
+
+    return webhook;
+  }
+
+  /**
+   * Registra un webhook con un secreto nuevo para firmar sus entregas
+   *
+   * @returns {Promise<object>} El webhook con su secreto, que no se vuelve a mostrar
+   */
+  async crear(datos) {
+    return this.repository.crear({ ...(await webhookCompleto(datos)), secreto: generarSecretoWebhook() });
+  }
+
+  /**
+   * Reemplaza la configuración del webhook (PUT). El secreto se conserva.
+   */
+  async reemplazar(id, datos) {
+    const webhook = await this.repository.actualizar(id, await webhookCompleto(datos));
+
+    if (!webhook) {
+      throw new NotFoundError('webhook.no_encontrado');
+    }
+
+    return webhook;
+  }
+
+  async eliminar(id) {
+    if (!(await this.repository.eliminar(id))) {
+      throw new NotFoundError('webhook.no_encontrado');
+    }
+  }
+
+  /**
+   * @returns {Promise<{ data: object[], meta: object }>}
+   */
+  async listarEntregas(id, filtros = {}) {
+    await this.obtener(id);
+    return this.repository.listarEntregas(id, filtros);
+  }
+
+  /**
+   * Vuelve a encolar una entrega que agotó sus intentos
+   */
+  async reintentarEntrega(id, entregaId) {
+    const entrega = await this.repository.buscarEntrega(id, entregaId, { bloquear: true });
+
+    if (!entrega) {
+      throw new NotFoundError('webhook.entrega_no_encontrada');
+    }
+
+    if (entrega.estado !== 'fallida') {
+      throw new ConflictError('webhook.entrega_no_fallida', {
+        code: 'DELIVERY_NOT_FAILED',
+        details: { estado: entrega.estado }
+      });
+    }
+
+    return this.repository.reencolarEntrega(entregaId);
+  }
+}
+
+/**
+ * Completa un WebhookInput con los valores por defecto de los campos
+ * ausentes. En producción las entregas deben viajar cifradas: el cuerpo
+ * lleva los datos de los roles y la firma no impide leerlo. La URL no puede
+ * resolver a la red interna del servidor (ver direccionesPrivadas).
+ */
+async function webhookCompleto({ url, eventos, descripcion = null, activo = true }) {
+  if (config.perfil === 'production' && new URL(url).protocol !== 'https:') {
+    throw new ValidationError('webhook.url_insegura', {
+      code: 'INSECURE_WEBHOOK_URL',
+      details: { url }
+    });
+  }
+
+  if (!config.webhooks.permitirRedesPrivadas) {
+    const direcciones = await direccionesPrivadas(url);
+
+    if (direcciones.length > 0) {
+      throw new ValidationError('webhook.url_privada', {
+        code: 'PRIVATE_WEBHOOK_URL',
+        details: { url, direcciones }
+      });
+    }
+  }
+
+  return { url, eventos: [...new Set(eventos)], descripcion, activo };
+}
+
+export default WebhooksService;
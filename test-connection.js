@@ -1,8 +1,9 @@
-// Cargar variables de entorno
-import dotenv from 'dotenv';
-dotenv.config();
+import { crearConexion } from './config/conexion.js';
+import { cargarConfiguracionDeBase, cargarDelEntorno } from './config/entorno.js';
 
-import sql, { testConnection } from './config/db.js';
+// Solo valida las variables de la base, como migrate.js
+const { baseDeDatos } = cargarDelEntorno(cargarConfiguracionDeBase);
+const sql = crearConexion(baseDeDatos, 'plat-back:test-connection');
 
 async function main() {
   console.log('🔍 Probando conexión a Supabase...');
@@ -10,7 +11,8 @@ async function main() {
   
   try {
     // Probar conexión
-    await testConnection();
+    const [{ now }] = await sql`SELECT NOW()`;
+    console.log('Hora del servidor:', now.toISOString());
     
     // Probar una consulta simple
     const tables = await sql`
@@ -29,6 +31,7 @@ async function main() {
     process.exit(0);
   } catch (error) {
     console.error('\n❌ Error:', error.message);
+    await sql.end({ timeout: 5 });
     process.exit(1);
   }
 }
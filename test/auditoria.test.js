@@ -0,0 +1,158 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../app.js';
+import {
+  cerrarConexion,
+  crearRol,
+  crearUsuario,
+  limpiarBaseDeDatos,
+  prepararBaseDeDatos,
+  sql
+} from './helpers.js';
+
+let admin;
+let usuarioAdmin;
+
+before(prepararBaseDeDatos);
+
+beforeEach(async () => {
+  await limpiarBaseDeDatos();
+  ({ usuario: usuarioAdmin, authorization: admin } = await crearUsuario());
+});
+
+after(cerrarConexion);
+
+describe('Registro de auditoría de roles', () => {
+  test('registra actor, request, estados y diferencias de cada mutación', async () => {
+    const creado = await request(app)
+      .post('/api/roles')
+      .set('Authorization', admin)
+      .set('X-Request-Id', 'req-crear')
+      .send({ nombre: 'Editor' });
+    const id = creado.body.data.id;
+
+    await request(app)
+      .patch(`/api/roles/${id}`)
+      .set('Authorization', admin)
+      .type('application/merge-patch+json')
+      .send({ descripcion: 'Edita contenido' });
+    await request(app).delete(`/api/roles/${id}`).set('Authorization', admin);
+
+    const res = await request(app).get(`/api/roles/${id}/historial`).set('Authorization', admin);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.map((registro) => registro.accion), ['eliminar', 'actualizar', 'crear']);
+    assert.equal(res.body.meta.total, 3);
+
+    const [eliminar, actualizar, crear] = res.body.data;
+
+    assert.equal(crear.actor_id, usuarioAdmin.id);
+    assert.equal(crear.actor_email, usuarioAdmin.email);
+    assert.equal(crear.request_id, 'req-crear');
+    assert.equal(crear.antes, null);
+    assert.equal(crear.despues.nombre, 'Editor');
+
+    assert.deepEqual(actualizar.cambios.descripcion, { antes: null, despues: 'Edita contenido' });
+    assert.equal(actualizar.antes.descripcion, null);
+    assert.equal(actualizar.despues.descripcion, 'Edita contenido');
+
+    assert.deepEqual(eliminar.cambios.activo, { antes: true, despues: false });
+  });
+
+  test('registra los cambios de permisos del rol', async () => {
+    const rol = await crearRol({ nombre: 'Editor' });
+
+    await request(app)
+      .put(`/api/roles/${rol.id}/permisos`)
+      .set('Authorization', admin)
+      .send({ permisos: ['roles:read'] });
+
+    const res = await request(app).get(`/api/roles/${rol.id}/historial`).set('Authorization', admin);
+
+    assert.equal(res.body.data[0].accion, 'actualizar_permisos');
+    assert.deepEqual(res.body.data[0].cambios.permisos, { antes: [], despues: ['roles:read'] });
+  });
+
+  test('no deja registro si la mutación falla', async () => {
+    const rol = await crearRol({ nombre: 'Editor' });
+
+    const res = await request(app)
+      .put(`/api/roles/${rol.id}`)
+      .set('Authorization', admin)
+      .send({ nombre: 'Administrador' });
+    assert.equal(res.status, 409);
+
+    const [{ total }] = await sql`SELECT count(*)::int AS total FROM public.auditoria`;
+    assert.equal(total, 0);
+  });
+
+  test('el registro no se puede modificar ni eliminar', async () => {
+    const rol = await crearRol({ nombre: 'Editor' });
+    await request(app).delete(`/api/roles/${rol.id}`).set('Authorization', admin);
+
+    await assert.rejects(sql`UPDATE public.auditoria SET accion = 'crear'`, /no se puede modificar/);
+    await assert.rejects(sql`DELETE FROM public.auditoria`, /no se puede modificar/);
+  });
+
+  test('GET /api/roles/:id/historial responde 404 si el rol no existe ni tiene historial', async () => {
+    const res = await request(app).get('/api/roles/9999/historial').set('Authorization', admin);
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, 'NOT_FOUND');
+  });
+});
+
+describe('GET /api/auditoria', () => {
+  test('filtra por acción, actor y request', async () => {
+    const editor = await crearRol({ nombre: 'Editor' });
+    const lector = await crearRol({ nombre: 'Lector' });
+    const { usuario: otro, authorization: otroAdmin } = await crearUsuario({ email: 'otro@test.com' });
+
+    await request(app).delete(`/api/roles/${editor.id}`).set('Authorization', admin);
+    await request(app)
+      .delete(`/api/roles/${lector.id}`)
+      .set('Authorization', otroAdmin)
+      .set('X-Request-Id', 'req-lector');
+    await request(app).post(`/api/roles/${lector.id}/restaurar`).set('Authorization', otroAdmin);
+
+    const pedir = async (query) => {
+      const res = await request(app).get(`/api/auditoria?${query}`).set('Authorization', admin);
+      assert.equal(res.status, 200);
+      return res.body.data.map((registro) => [registro.accion, registro.entidad_id]);
+    };
+
+    assert.deepEqual(await pedir('accion=eliminar&sort=id'), [['eliminar', editor.id], ['eliminar', lector.id]]);
+    assert.deepEqual(await pedir(`actor_id=${otro.id}`), [['restaurar', lector.id], ['eliminar', lector.id]]);
+    assert.deepEqual(await pedir('request_id=req-lector'), [['eliminar', lector.id]]);
+    assert.deepEqual(await pedir(`entidad=rol&entidad_id=${editor.id}`), [['eliminar', editor.id]]);
+  });
+
+  test('exige el permiso auditoria:read', async () => {
+    await sql`
+      INSERT INTO public.roles (organizacion_id, nombre) VALUES (1, 'Solo roles');
+    `;
+    await sql`
+      INSERT INTO public.rol_permisos (rol_id, permiso_id)
+      SELECT r.id, p.id FROM public.roles r, public.permisos p
+      WHERE r.nombre = 'Solo roles' AND p.codigo = 'roles:read'
+    `;
+    const { authorization } = await crearUsuario({ email: 'roles@test.com', roles: ['Solo roles'] });
+
+    const global = await request(app).get('/api/auditoria').set('Authorization', authorization);
+    assert.equal(global.status, 403);
+    assert.deepEqual(global.body.details, { permisos: ['auditoria:read'] });
+
+    const historial = await request(app).get('/api/roles/1/historial').set('Authorization', authorization);
+    assert.equal(historial.status, 403);
+  });
+
+  test('rechaza filtros inválidos con 400', async () => {
+    const res = await request(app)
+      .get('/api/auditoria?accion=borrar&desde=ayer')
+      .set('Authorization', admin);
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.details.map((error) => error.campo).sort(), ['accion', 'desde']);
+  });
+});
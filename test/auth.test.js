@@ -0,0 +1,216 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../app.js';
+import {
+  cerrarConexion,
+  crearOrganizacion,
+  limpiarBaseDeDatos,
+  prepararBaseDeDatos,
+  sql
+} from './helpers.js';
+
+const CREDENCIALES = { email: 'ana.gomez@example.com', password: 's3cr3t0-seguro' };
+
+before(prepararBaseDeDatos);
+
+beforeEach(limpiarBaseDeDatos);
+
+after(cerrarConexion);
+
+/**
+ * Comprueba el formato común de las respuestas de error
+ */
+function assertError(res, status, code) {
+  assert.equal(res.status, status);
+  assert.equal(res.body.success, false);
+  assert.equal(res.body.code, code);
+}
+
+function registrar(datos = {}) {
+  return request(app).post('/api/auth/register').send({ nombre: 'Ana', ...CREDENCIALES, ...datos });
+}
+
+function login(credenciales = CREDENCIALES) {
+  return request(app).post('/api/auth/login').send(credenciales);
+}
+
+function renovar(refreshToken) {
+  return request(app).post('/api/auth/refresh').send({ refreshToken });
+}
+
+describe('POST /api/auth/register', () => {
+  test('registra al usuario y devuelve un par de tokens', async () => {
+    const res = await registrar({ email: 'Ana.Gomez@Example.com' });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.usuario.email, CREDENCIALES.email);
+    assert.equal(res.body.data.usuario.password_hash, undefined);
+    assert.equal(res.body.data.tokenType, 'Bearer');
+    assert.ok(res.body.data.accessToken);
+    assert.ok(res.body.data.refreshToken);
+  });
+
+  test('registra en la organización Principal aunque se indique otra', async () => {
+    const otra = await crearOrganizacion('Otra');
+
+    const res = await request(app)
+      .post('/api/auth/register')
+      .set('X-Organizacion-Id', String(otra.id))
+      .send({ nombre: 'Ana', ...CREDENCIALES });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.usuario.organizacion_id, 1);
+  });
+
+  test('rechaza un email ya registrado', async () => {
+    await registrar().expect(201);
+
+    assertError(await registrar({ email: CREDENCIALES.email.toUpperCase() }), 409, 'DUPLICATE_VALUE');
+  });
+
+  test('valida el cuerpo', async () => {
+    assertError(await registrar({ password: 'corta' }), 400, 'VALIDATION_ERROR');
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  beforeEach(() => registrar().expect(201));
+
+  test('inicia sesión con email y contraseña', async () => {
+    const res = await login({ ...CREDENCIALES, email: CREDENCIALES.email.toUpperCase() });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.usuario.email, CREDENCIALES.email);
+    assert.equal(res.body.data.usuario.password_hash, undefined);
+    assert.ok(res.body.data.accessToken);
+    assert.ok(res.body.data.refreshToken);
+  });
+
+  test('responde igual a una contraseña incorrecta y a un email inexistente', async () => {
+    const incorrecta = await login({ ...CREDENCIALES, password: 'otra-contraseña' });
+    const inexistente = await login({ ...CREDENCIALES, email: 'nadie@example.com' });
+
+    assertError(incorrecta, 401, 'INVALID_CREDENTIALS');
+    assertError(inexistente, 401, 'INVALID_CREDENTIALS');
+    assert.equal(inexistente.body.message, incorrecta.body.message);
+  });
+
+  test('rechaza a un usuario inactivo', async () => {
+    await sql`UPDATE public.usuarios SET activo = false WHERE email = ${CREDENCIALES.email}`;
+
+    assertError(await login(), 403, 'USER_INACTIVE');
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  test('rota el refresh token y emite un par nuevo', async () => {
+    const { body } = await registrar();
+
+    const res = await renovar(body.data.refreshToken);
+
+    assert.equal(res.status, 200);
+    assert.notEqual(res.body.data.refreshToken, body.data.refreshToken);
+    assert.ok(res.body.data.accessToken);
+
+    await request(app)
+      .get('/api/auth/profile')
+      .set('Authorization', `Bearer ${res.body.data.accessToken}`)
+      .expect(200);
+  });
+
+  test('reutilizar un refresh token rotado revoca toda la sesión', async () => {
+    const { body } = await registrar();
+    const rotado = await renovar(body.data.refreshToken);
+
+    assertError(await renovar(body.data.refreshToken), 401, 'REFRESH_TOKEN_REUSED');
+    // El emitido en la rotación también quedó revocado
+    assertError(await renovar(rotado.body.data.refreshToken), 401, 'REFRESH_TOKEN_REUSED');
+  });
+
+  test('rechaza un refresh token desconocido o expirado', async () => {
+    assertError(await renovar('no-es-un-token'), 401, 'INVALID_REFRESH_TOKEN');
+
+    const { body } = await registrar();
+    await sql`UPDATE public.refresh_tokens SET expira_en = CURRENT_TIMESTAMP - interval '1 minute'`;
+
+    assertError(await renovar(body.data.refreshToken), 401, 'INVALID_REFRESH_TOKEN');
+  });
+});
+
+describe('POST /api/auth/logout', () => {
+  test('revoca el access token y la sesión del refresh token', async () => {
+    const { body } = await registrar();
+    const otraSesion = await login();
+    const authorization = `Bearer ${body.data.accessToken}`;
+
+    await request(app)
+      .post('/api/auth/logout')
+      .set('Authorization', authorization)
+      .send({ refreshToken: body.data.refreshToken })
+      .expect(200);
+
+    assertError(await request(app).get('/api/auth/profile').set('Authorization', authorization), 401, 'INVALID_TOKEN');
+    assertError(await renovar(body.data.refreshToken), 401, 'REFRESH_TOKEN_REUSED');
+    assert.equal((await renovar(otraSesion.body.data.refreshToken)).status, 200);
+  });
+
+  test('con todas: true revoca todas las sesiones del usuario', async () => {
+    const { body } = await registrar();
+    const otraSesion = await login();
+
+    await request(app)
+      .post('/api/auth/logout')
+      .set('Authorization', `Bearer ${body.data.accessToken}`)
+      .send({ todas: true })
+      .expect(200);
+
+    assertError(await renovar(otraSesion.body.data.refreshToken), 401, 'REFRESH_TOKEN_REUSED');
+  });
+
+  test('borra los access tokens revocados que ya expiraron', async () => {
+    const { body } = await registrar();
+    const expirado = '00000000-0000-4000-8000-000000000000';
+    await sql`
+      INSERT INTO public.tokens_revocados (jti, expira_en)
+      VALUES (${expirado}, CURRENT_TIMESTAMP - interval '1 minute')
+    `;
+
+    await request(app)
+      .post('/api/auth/logout')
+      .set('Authorization', `Bearer ${body.data.accessToken}`)
+      .send({})
+      .expect(200);
+
+    const revocados = await sql`SELECT jti FROM public.tokens_revocados`;
+    assert.equal(revocados.length, 1);
+    assert.notEqual(revocados[0].jti, expirado);
+  });
+
+  test('requiere autenticación', async () => {
+    assertError(await request(app).post('/api/auth/logout'), 401, 'UNAUTHORIZED');
+  });
+});
+
+describe('GET /api/auth/profile', () => {
+  test('devuelve el usuario autenticado con sus roles', async () => {
+    const { body } = await registrar();
+    const usuario = body.data.usuario;
+    await sql`
+      INSERT INTO public.usuario_roles (usuario_id, rol_id)
+      SELECT ${usuario.id}, id FROM public.roles WHERE organizacion_id = 1 AND nombre = 'Consulta'
+    `;
+
+    const res = await request(app).get('/api/auth/profile').set('Authorization', `Bearer ${body.data.accessToken}`);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.id, usuario.id);
+    assert.equal(res.body.data.email, CREDENCIALES.email);
+    assert.equal(res.body.data.super_admin, false);
+    assert.deepEqual(res.body.data.roles.map((rol) => rol.nombre), ['Consulta']);
+  });
+
+  test('requiere autenticación', async () => {
+    assertError(await request(app).get('/api/auth/profile'), 401, 'UNAUTHORIZED');
+  });
+});
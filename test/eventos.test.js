@@ -0,0 +1,259 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import request from 'supertest';
+import config from '../config/config.js';
+import app from '../app.js';
+import { canalEventos } from '../services/canal-eventos.js';
+import {
+  cerrarConexion,
+  crearOrganizacion,
+  crearUsuario,
+  limpiarBaseDeDatos,
+  prepararBaseDeDatos,
+  sql
+} from './helpers.js';
+
+// Latidos frecuentes para no esperar el intervalo por defecto
+config.sse.latido = 50;
+
+let admin;
+let adminOtra;
+let servidor;
+let url;
+const abiertos = new Set();
+
+before(async () => {
+  await prepararBaseDeDatos();
+
+  servidor = http.createServer(app);
+  await new Promise((resolve) => servidor.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${servidor.address().port}/api/roles/stream`;
+});
+
+beforeEach(async () => {
+  await limpiarBaseDeDatos();
+  ({ authorization: admin } = await crearUsuario());
+  const otra = await crearOrganizacion('Otra');
+  ({ authorization: adminOtra } = await crearUsuario({ email: 'admin@otra.com', organizacion_id: otra.id }));
+});
+
+after(async () => {
+  abiertos.forEach((stream) => stream.cerrar());
+  await canalEventos.cerrar();
+  await new Promise((resolve) => servidor.close(resolve));
+  await cerrarConexion();
+});
+
+/**
+ * Abre GET /api/roles/stream y separa lo recibido en mensajes
+ * ({ id, evento, datos }) y comentarios. Se resuelve al llegar la primera
+ * línea, cuando la suscripción ya está activa.
+ */
+function abrirStream(headers = {}) {
+  return new Promise((resolve, reject) => {
+    const stream = {
+      res: null,
+      mensajes: [],
+      comentarios: [],
+      reintento: null,
+      terminado: false,
+      esperas: [],
+      cerrar: () => req.destroy()
+    };
+    let pendiente = '';
+
+    const avisar = () => {
+      stream.esperas = stream.esperas.filter((espera) => !espera());
+    };
+
+    const procesar = (bloque) => {
+      const mensaje = {};
+      for (const linea of bloque.split('\n')) {
+        if (linea.startsWith(':')) stream.comentarios.push(linea.slice(1).trim());
+        else if (linea.startsWith('retry: ')) stream.reintento = Number(linea.slice(7));
+        else if (linea.startsWith('id: ')) mensaje.id = linea.slice(4);
+        else if (linea.startsWith('event: ')) mensaje.evento = linea.slice(7);
+        else if (linea.startsWith('data: ')) mensaje.datos = JSON.parse(linea.slice(6));
+      }
+      if (mensaje.datos !== undefined) stream.mensajes.push(mensaje);
+    };
+
+    const req = http.get(url, { headers: { Authorization: admin, ...headers } }, (res) => {
+      stream.res = res;
+      res.setEncoding('utf8');
+      res.on('data', (parte) => {
+        pendiente += parte;
+        const bloques = pendiente.split('\n\n');
+        pendiente = bloques.pop();
+        bloques.forEach(procesar);
+        avisar();
+        resolve(stream);
+      });
+      res.on('end', () => {
+        stream.terminado = true;
+        abiertos.delete(stream);
+        avisar();
+      });
+    });
+
+    req.on('error', (error) => {
+      if (!stream.res) reject(error);
+    });
+    abiertos.add(stream);
+  });
+}
+
+/**
+ * Espera a que el stream cumpla la condición (o falla a los 2 s)
+ */
+function esperar(stream, condicion) {
+  return new Promise((resolve, reject) => {
+    const temporizador = setTimeout(() => reject(new Error('El stream no recibió lo esperado')), 2000);
+    const espera = () => {
+      if (!condicion(stream)) return false;
+      clearTimeout(temporizador);
+      resolve();
+      return true;
+    };
+
+    if (!espera()) stream.esperas.push(espera);
+  });
+}
+
+async function crearRolApi(nombre, authorization = admin) {
+  const res = await request(app).post('/api/roles').set('Authorization', authorization).send({ nombre });
+  assert.equal(res.status, 201);
+  return res.body.data;
+}
+
+describe('GET /api/roles/stream', () => {
+  test('envía los cambios de roles a medida que se confirman', async () => {
+    const stream = await abrirStream();
+
+    assert.equal(stream.res.statusCode, 200);
+    assert.match(stream.res.headers['content-type'], /^text\/event-stream/);
+    assert.equal(stream.res.headers['cache-control'], 'no-cache, no-transform');
+
+    const rol = await crearRolApi('Editor');
+    await request(app)
+      .delete(`/api/roles/${rol.id}`)
+      .set('Authorization', admin)
+      .expect(200);
+
+    await esperar(stream, ({ mensajes }) => mensajes.length === 2);
+
+    const [creado, desactivado] = stream.mensajes;
+    assert.equal(creado.evento, 'rol.creado');
+    assert.equal(creado.datos.id, creado.id);
+    assert.equal(creado.datos.entidad_id, rol.id);
+    assert.equal(creado.datos.organizacion_id, 1);
+    assert.equal(creado.datos.datos.despues.nombre, 'Editor');
+    assert.equal(desactivado.evento, 'rol.desactivado');
+    assert.ok(Number(desactivado.id) > Number(creado.id));
+
+    stream.cerrar();
+  });
+
+  test('solo recibe los eventos de su organización', async () => {
+    const stream = await abrirStream();
+
+    await crearRolApi('De la otra', adminOtra);
+    await crearRolApi('Propio');
+    await esperar(stream, ({ mensajes }) => mensajes.length === 1);
+
+    assert.equal(stream.mensajes[0].datos.datos.despues.nombre, 'Propio');
+
+    stream.cerrar();
+  });
+
+  test('con Last-Event-ID envía primero los eventos perdidos', async () => {
+    await crearRolApi('Primero');
+    await crearRolApi('Segundo');
+    await crearRolApi('De la otra', adminOtra);
+    const [primero] = await sql`SELECT id FROM public.eventos_outbox ORDER BY id LIMIT 1`;
+
+    const stream = await abrirStream({ 'Last-Event-ID': primero.id });
+    await crearRolApi('Tercero');
+    await esperar(stream, ({ mensajes }) => mensajes.length === 2);
+
+    assert.deepEqual(
+      stream.mensajes.map((mensaje) => mensaje.datos.datos.despues.nombre),
+      ['Segundo', 'Tercero']
+    );
+
+    stream.cerrar();
+  });
+
+  test('con Last-Event-ID incluye los eventos confirmados después aunque tengan un id menor', async () => {
+    let insertado;
+    let confirmar;
+    const hayEvento = new Promise((resolve) => { insertado = resolve; });
+    // Toma un id antes que 'Rápido' pero se confirma después
+    const demorada = sql.begin(async (tx) => {
+      await tx`
+        INSERT INTO public.eventos_outbox (organizacion_id, tipo, entidad, entidad_id, datos)
+        VALUES (1, 'rol.creado', 'rol', 999, ${tx.json({ despues: { nombre: 'Demorado' } })})
+      `;
+      insertado();
+      await new Promise((resolve) => { confirmar = resolve; });
+    });
+
+    await hayEvento;
+    await crearRolApi('Rápido');
+    const [rapido] = await sql`SELECT id FROM public.eventos_outbox ORDER BY id DESC LIMIT 1`;
+    confirmar();
+    await demorada;
+
+    const stream = await abrirStream({ 'Last-Event-ID': rapido.id });
+    await crearRolApi('Después');
+    await esperar(stream, ({ mensajes }) => mensajes.length === 2);
+
+    assert.deepEqual(
+      stream.mensajes.map((mensaje) => mensaje.datos.datos.despues.nombre),
+      ['Demorado', 'Después']
+    );
+
+    stream.cerrar();
+  });
+
+  test('envía el intervalo de reconexión y comentarios de latido', async () => {
+    const stream = await abrirStream();
+    assert.equal(stream.reintento, 3000);
+
+    await esperar(stream, ({ comentarios }) => comentarios.includes('latido'));
+
+    stream.cerrar();
+  });
+
+  test('rechaza un Last-Event-ID inválido', async () => {
+    const res = await request(app)
+      .get('/api/roles/stream')
+      .set('Authorization', admin)
+      .set('Last-Event-ID', 'abc');
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'INVALID_LAST_EVENT_ID');
+  });
+
+  test('requiere roles:read', async () => {
+    const { authorization } = await crearUsuario({ email: 'sin-roles@test.com', roles: [] });
+    const res = await request(app).get('/api/roles/stream').set('Authorization', authorization);
+
+    assert.equal(res.status, 403);
+  });
+
+  test('termina los streams al cerrarse el canal', async () => {
+    const stream = await abrirStream();
+
+    await canalEventos.cerrar();
+    await esperar(stream, ({ terminado }) => terminado);
+
+    // Un stream nuevo vuelve a escuchar
+    const nuevo = await abrirStream();
+    await crearRolApi('Después del cierre');
+    await esperar(nuevo, ({ mensajes }) => mensajes.length === 1);
+
+    nuevo.cerrar();
+  });
+});
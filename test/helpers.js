@@ -0,0 +1,95 @@
+import sql from '../config/db.js';
+import { migrar, sembrar } from '../db/migrator.js';
+import { firmarAccessToken } from '../utils/tokens.js';
+
+/**
+ * Aplica las migraciones pendientes sobre la base de pruebas
+ */
+export async function prepararBaseDeDatos() {
+  await migrar(sql);
+}
+
+/**
+ * Vacía todas las tablas (salvo el control de migraciones) y vuelve a
+ * ejecutar los seeds, así cada prueba parte de los roles por defecto.
+ */
+export async function limpiarBaseDeDatos() {
+  const tablas = await sql`
+    SELECT tablename
+    FROM pg_tables
+    WHERE schemaname = 'public' AND tablename <> 'schema_migraciones'
+  `;
+
+  await sql`
+    TRUNCATE ${sql(tablas.map((tabla) => `public.${tabla.tablename}`))}
+    RESTART IDENTITY CASCADE
+  `;
+  await sembrar(sql);
+}
+
+export async function cerrarConexion() {
+  await sql.end();
+}
+
+/**
+ * Crea una organización con los roles por defecto (vuelve a ejecutar los seeds)
+ */
+export async function crearOrganizacion(nombre) {
+  const [organizacion] = await sql`
+    INSERT INTO public.organizaciones (nombre) VALUES (${nombre}) RETURNING id, nombre
+  `;
+  await sembrar(sql);
+
+  return organizacion;
+}
+
+/**
+ * Crea un usuario con los roles indicados (por nombre, de su organización) y
+ * devuelve el header Authorization listo para usar con supertest
+ */
+export async function crearUsuario({
+  email = 'admin@test.com',
+  roles = ['Administrador'],
+  organizacion_id = 1,
+  super_admin = false
+} = {}) {
+  const [usuario] = await sql`
+    INSERT INTO public.usuarios (organizacion_id, nombre, email, super_admin)
+    VALUES (${organizacion_id}, 'Prueba', ${email}, ${super_admin})
+    RETURNING id, organizacion_id, nombre, email
+  `;
+
+  if (roles.length > 0) {
+    await sql`
+      INSERT INTO public.usuario_roles (usuario_id, rol_id)
+      SELECT ${usuario.id}, id FROM public.roles
+      WHERE organizacion_id = ${organizacion_id} AND nombre IN ${sql(roles)}
+    `;
+  }
+
+  return {
+    usuario,
+    authorization: `Bearer ${firmarAccessToken(usuario)}`
+  };
+}
+
+/**
+ * Inserta un rol directamente en la base, sin pasar por la API
+ */
+export async function crearRol({
+  nombre,
+  descripcion = null,
+  activo = true,
+  rol_padre_id = null,
+  organizacion_id = 1
+}) {
+  const [rol] = await sql`
+    INSERT INTO public.roles (organizacion_id, nombre, descripcion, activo, rol_padre_id)
+    VALUES (${organizacion_id}, ${nombre}, ${descripcion}, ${activo}, ${rol_padre_id})
+    RETURNING id, nombre, activo, rol_padre_id
+  `;
+
+  return rol;
+}
+
+export { sql };
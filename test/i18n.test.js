@@ -0,0 +1,157 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../app.js';
+import { swaggerSpec } from '../config/swagger.js';
+import { CATALOGOS, IDIOMA_POR_DEFECTO, traducir } from '../utils/i18n.js';
+import { cerrarConexion, crearUsuario, limpiarBaseDeDatos, prepararBaseDeDatos } from './helpers.js';
+
+let admin;
+
+before(prepararBaseDeDatos);
+
+beforeEach(async () => {
+  await limpiarBaseDeDatos();
+  ({ authorization: admin } = await crearUsuario());
+});
+
+after(cerrarConexion);
+
+const marcadores = (mensaje) => [...mensaje.matchAll(/\{(\w+)\}/g)].map(([, nombre]) => nombre).sort();
+
+describe('Idioma de los mensajes', () => {
+  test('sin Accept-Language responde en español', async () => {
+    const res = await request(app).get('/api/roles/999999').set('Authorization', admin);
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.message, 'Rol no encontrado');
+    assert.equal(res.headers['content-language'], 'es');
+    assert.match(res.headers.vary, /Accept-Language/);
+  });
+
+  test('responde en inglés si el cliente lo prefiere', async () => {
+    const res = await request(app)
+      .get('/api/roles/999999')
+      .set('Authorization', admin)
+      .set('Accept-Language', 'en-US,en;q=0.9,es;q=0.5');
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, 'NOT_FOUND');
+    assert.equal(res.body.message, 'Role not found');
+    assert.equal(res.headers['content-language'], 'en');
+  });
+
+  test('vuelve al español si no se acepta ningún idioma disponible', async () => {
+    const res = await request(app).get('/api/no-existe').set('Accept-Language', 'fr, de;q=0.8');
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.message, 'Ruta no encontrada');
+    assert.equal(res.headers['content-language'], 'es');
+  });
+
+  test('traduce los mensajes de éxito', async () => {
+    const res = await request(app)
+      .post('/api/roles')
+      .set('Authorization', admin)
+      .set('Accept-Language', 'en')
+      .send({ nombre: 'Editor' });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.message, 'Role created successfully');
+  });
+
+  test('traduce los errores de validación por campo', async () => {
+    const res = await request(app)
+      .get('/api/roles?sort=desconocido&limit=0')
+      .set('Authorization', admin)
+      .set('Accept-Language', 'en');
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, 'Invalid input data');
+    assert.deepEqual(res.body.details.map((error) => error.campo).sort(), ['limit', 'sort']);
+    assert.ok(res.body.details.some((error) => error.mensaje === 'Must be greater than or equal to 1'));
+    assert.ok(res.body.details.some((error) => /^Must be one of: .+ or .+$/.test(error.mensaje)));
+  });
+
+  test('traduce los mensajes de cada resultado de un lote', async () => {
+    const res = await request(app)
+      .post('/api/roles/bulk')
+      .set('Authorization', admin)
+      .set('Accept-Language', 'en')
+      .send({
+        dry_run: true,
+        operaciones: [
+          { accion: 'crear', datos: { nombre: 'Consulta' } },
+          { accion: 'actualizar', id: 999999, datos: { descripcion: 'x' } }
+        ]
+      });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.message, 'Dry run completed: no changes were applied');
+    assert.deepEqual(res.body.data.map((resultado) => resultado.error.message), [
+      'A role with that name already exists',
+      'Role not found'
+    ]);
+  });
+});
+
+describe('Catálogos de mensajes', () => {
+  test('cada mensaje traducido existe en español con los mismos parámetros', () => {
+    const espanol = CATALOGOS[IDIOMA_POR_DEFECTO];
+
+    for (const [idioma, catalogo] of Object.entries(CATALOGOS)) {
+      for (const [clave, mensaje] of Object.entries(catalogo)) {
+        assert.ok(Object.hasOwn(espanol, clave), `${idioma}: ${clave} no existe en español`);
+        assert.deepEqual(marcadores(mensaje), marcadores(espanol[clave]), `${idioma}: ${clave}`);
+      }
+    }
+  });
+
+  test('completa parámetros y usa el español para las claves sin traducir', () => {
+    assert.equal(traducir('en', 'rol.demasiadas_filas', { limite: 10 }), 'At most 10 rows are allowed per import');
+    assert.equal(traducir('es', 'validacion.enum', { valores: ['a', 'b', 'c'] }), 'Debe ser uno de: a, b o c');
+    assert.equal(traducir('fr', 'rol.no_encontrado'), 'Rol no encontrado');
+    assert.equal(traducir('en', 'clave.inexistente'), 'clave.inexistente');
+  });
+
+  test('los mensajes de los ejemplos de Swagger están en los catálogos', () => {
+    const plantillas = Object.values(CATALOGOS).flatMap((catalogo) => Object.values(catalogo)).map((mensaje) => (
+      new RegExp(`^${mensaje.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{\w+\}/g, '.+')}$`)
+    ));
+    const ejemplos = [];
+
+    // Los mensajes aparecen como valor de message/mensaje en los ejemplos, o
+    // como example de esas propiedades en los schemas
+    const recorrer = (valor) => {
+      if (valor === null || typeof valor !== 'object') return;
+
+      for (const [clave, item] of Object.entries(valor)) {
+        if (clave === 'message' || clave === 'mensaje') {
+          if (typeof item === 'string') ejemplos.push(item);
+          if (typeof item?.example === 'string') ejemplos.push(item.example);
+        }
+        recorrer(item);
+      }
+    };
+    recorrer(swaggerSpec);
+
+    assert.ok(ejemplos.length > 20);
+    for (const ejemplo of ejemplos) {
+      assert.ok(plantillas.some((plantilla) => plantilla.test(ejemplo)), `"${ejemplo}" no está en los catálogos`);
+    }
+  });
+
+  test('los ejemplos de las rutas se generan del catálogo en cada idioma', () => {
+    assert.doesNotMatch(JSON.stringify(swaggerSpec.paths), /"x-(mensaje|ejemplos?-de-)/);
+
+    const conflicto = swaggerSpec.paths['/api/roles'].post.responses['409'].content['application/json'].examples;
+    assert.equal(conflicto.es.value.message, traducir('es', 'rol.nombre_duplicado'));
+    assert.equal(conflicto.en.value.message, traducir('en', 'rol.nombre_duplicado'));
+
+    const lote = swaggerSpec.paths['/api/roles/bulk'].post.responses['409'].content['application/json'].examples;
+    assert.equal(lote.en.value.details.resultados[0].error.message, traducir('en', 'rol.nombre_duplicado'));
+
+    const creado = swaggerSpec.paths['/api/roles'].post.responses['201'].content['application/json'];
+    assert.equal(creado.schema.properties.message.example, traducir(IDIOMA_POR_DEFECTO, 'rol.creado'));
+  });
+});
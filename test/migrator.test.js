@@ -0,0 +1,161 @@
+import { after, afterEach, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { cargarMigraciones, estadoMigraciones, migrar, revertir, sembrar } from '../db/migrator.js';
+import { cerrarConexion, limpiarBaseDeDatos, prepararBaseDeDatos, sql } from './helpers.js';
+
+// Estas pruebas revierten el esquema completo: al terminar lo vuelven a crear.
+// Parten de la base vacía: revertir 0009_organizaciones falla si dos
+// organizaciones tienen roles con el mismo nombre.
+let todas;
+
+before(async () => {
+  await prepararBaseDeDatos();
+  await limpiarBaseDeDatos();
+  todas = (await cargarMigraciones()).map((migracion) => migracion.nombre);
+});
+
+after(async () => {
+  await prepararBaseDeDatos();
+  await limpiarBaseDeDatos();
+  await cerrarConexion();
+});
+
+const existeTabla = async (tabla) => {
+  const [{ existe }] = await sql`SELECT to_regclass(${tabla}) IS NOT NULL AS existe`;
+  return existe;
+};
+
+describe('Migraciones del proyecto', () => {
+  test('se revierten todas y se vuelven a aplicar', async () => {
+    const revertidas = await revertir(sql, todas.length);
+
+    assert.deepEqual(revertidas, [...todas].reverse());
+    assert.equal(await existeTabla('public.roles'), false);
+    assert.equal(await existeTabla('public.eventos_outbox'), false);
+    assert.ok((await estadoMigraciones(sql)).every((migracion) => !migracion.aplicada));
+
+    assert.deepEqual(await migrar(sql), todas);
+    await sembrar(sql);
+
+    const roles = await sql`SELECT nombre FROM public.roles WHERE organizacion_id = 1 ORDER BY nombre`;
+    assert.deepEqual(roles.map((rol) => rol.nombre), ['Administrador', 'Consulta']);
+
+    // Sin pendientes no hace nada
+    assert.deepEqual(await migrar(sql), []);
+  });
+});
+
+describe('Migrador', () => {
+  let directorio;
+
+  const escribir = (nombre, up, down = '') => fs.writeFile(
+    path.join(directorio, `${nombre}.sql`),
+    `-- Migración de prueba\n\n-- migrate:up\n${up}\n\n-- migrate:down\n${down}\n`
+  );
+
+  // Cada prueba parte sin migraciones registradas
+  before(() => revertir(sql, todas.length));
+
+  beforeEach(async () => {
+    directorio = await fs.mkdtemp(path.join(os.tmpdir(), 'migraciones-'));
+    await escribir('002_segunda', 'CREATE TABLE public.prueba_b (a_id INTEGER REFERENCES public.prueba_a (id));', 'DROP TABLE public.prueba_b;');
+    await escribir('001_primera', 'CREATE TABLE public.prueba_a (id INTEGER PRIMARY KEY);', 'DROP TABLE public.prueba_a;');
+  });
+
+  afterEach(async () => {
+    for (const tabla of ['public.prueba_b', 'public.prueba_a']) {
+      if (await existeTabla(tabla)) await sql`DROP TABLE ${sql(tabla)}`;
+    }
+    await sql`DELETE FROM public.schema_migraciones`;
+    await fs.rm(directorio, { recursive: true });
+  });
+
+  test('aplica las pendientes en orden de nombre', async () => {
+    assert.deepEqual(await migrar(sql, directorio), ['001_primera', '002_segunda']);
+    assert.equal(await existeTabla('public.prueba_b'), true);
+
+    await escribir('003_tercera', 'ALTER TABLE public.prueba_a ADD COLUMN nombre TEXT;');
+    assert.deepEqual(await migrar(sql, directorio), ['003_tercera']);
+  });
+
+  test('no registra una migración que falla y conserva las anteriores', async () => {
+    await escribir('003_rota', 'ALTER TABLE public.no_existe ADD COLUMN x INTEGER;');
+
+    await assert.rejects(migrar(sql, directorio), /no_existe/);
+
+    const estado = await estadoMigraciones(sql, directorio);
+    assert.deepEqual(estado.map(({ nombre, aplicada }) => [nombre, aplicada]), [
+      ['001_primera', true],
+      ['002_segunda', true],
+      ['003_rota', false]
+    ]);
+  });
+
+  test('revierte de la más nueva a la más vieja', async () => {
+    await migrar(sql, directorio);
+
+    assert.deepEqual(await revertir(sql, 1, directorio), ['002_segunda']);
+    assert.equal(await existeTabla('public.prueba_b'), false);
+    assert.equal(await existeTabla('public.prueba_a'), true);
+
+    assert.deepEqual(await revertir(sql, 5, directorio), ['001_primera']);
+    assert.equal(await existeTabla('public.prueba_a'), false);
+  });
+
+  test('status indica las pendientes, las faltantes y las modificadas', async () => {
+    await migrar(sql, directorio);
+    await escribir('003_pendiente', 'SELECT 1;');
+    await sql`INSERT INTO public.schema_migraciones (nombre) VALUES ('000_sin_archivo')`;
+    await escribir('002_segunda', 'CREATE TABLE public.prueba_b (id INTEGER);', 'DROP TABLE public.prueba_b;');
+
+    const estado = await estadoMigraciones(sql, directorio);
+
+    assert.deepEqual(estado.map(({ nombre, aplicada, faltante, modificada }) => ({ nombre, aplicada, faltante, modificada })), [
+      { nombre: '000_sin_archivo', aplicada: true, faltante: true, modificada: false },
+      { nombre: '001_primera', aplicada: true, faltante: false, modificada: false },
+      { nombre: '002_segunda', aplicada: true, faltante: false, modificada: true },
+      { nombre: '003_pendiente', aplicada: false, faltante: false, modificada: false }
+    ]);
+    assert.ok(estado[1].fecha_aplicacion instanceof Date);
+    assert.equal(estado[3].fecha_aplicacion, null);
+  });
+
+  test('no migra si cambió la sección up de una migración aplicada', async () => {
+    await migrar(sql, directorio);
+
+    // Los comentarios y la sección down no cuentan
+    await fs.writeFile(
+      path.join(directorio, '001_primera.sql'),
+      '-- Otro comentario\n-- migrate:up\nCREATE TABLE public.prueba_a (id INTEGER PRIMARY KEY);\n-- migrate:down\nDROP TABLE IF EXISTS public.prueba_a;\n'
+    );
+    await escribir('003_tercera', 'SELECT 1;');
+    assert.deepEqual(await migrar(sql, directorio), ['003_tercera']);
+
+    await escribir('001_primera', 'CREATE TABLE public.prueba_a (id BIGINT PRIMARY KEY);', 'DROP TABLE public.prueba_a;');
+    await escribir('004_cuarta', 'SELECT 1;');
+
+    await assert.rejects(migrar(sql, directorio), /001_primera cambiaron después de aplicarse/);
+    assert.equal((await estadoMigraciones(sql, directorio)).find(({ nombre }) => nombre === '004_cuarta').aplicada, false);
+  });
+
+  test('completa el checksum de las migraciones registradas sin él', async () => {
+    await migrar(sql, directorio);
+    await sql`UPDATE public.schema_migraciones SET checksum = NULL`;
+    await escribir('001_primera', 'CREATE TABLE public.prueba_a (id BIGINT PRIMARY KEY);', 'DROP TABLE public.prueba_a;');
+
+    // Sin checksum registrado no se puede saber si cambió
+    assert.deepEqual(await migrar(sql, directorio), []);
+
+    const registradas = await sql`SELECT checksum FROM public.schema_migraciones`;
+    assert.ok(registradas.every(({ checksum }) => /^[0-9a-f]{64}$/.test(checksum)));
+  });
+
+  test('rechaza un archivo sin las secciones up y down', async () => {
+    await fs.writeFile(path.join(directorio, '003_incompleta.sql'), 'CREATE TABLE public.prueba_c (id INTEGER);');
+
+    await assert.rejects(cargarMigraciones(directorio), /003_incompleta debe tener las secciones/);
+  });
+});
@@ -0,0 +1,146 @@
+import { after, afterEach, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../app.js';
+import config from '../config/config.js';
+import logger, { REDACTADO, redactar } from '../utils/logger.js';
+import {
+  cerrarConexion,
+  crearRol,
+  crearUsuario,
+  limpiarBaseDeDatos,
+  prepararBaseDeDatos
+} from './helpers.js';
+
+let admin;
+
+before(prepararBaseDeDatos);
+
+beforeEach(async () => {
+  await limpiarBaseDeDatos();
+  ({ authorization: admin } = await crearUsuario());
+});
+
+after(cerrarConexion);
+
+describe('X-Request-Id', () => {
+  test('genera un ID si el cliente no envía uno', async () => {
+    const res = await request(app).get('/api/roles').set('Authorization', admin);
+
+    assert.match(res.headers['x-request-id'], /^[0-9a-f-]{36}$/);
+  });
+
+  test('propaga el ID del cliente y descarta los inválidos', async () => {
+    const propagado = await request(app).get('/api/roles').set('Authorization', admin).set('X-Request-Id', 'abc-123');
+    assert.equal(propagado.headers['x-request-id'], 'abc-123');
+
+    const invalido = await request(app).get('/api/roles').set('Authorization', admin).set('X-Request-Id', 'a b');
+    assert.notEqual(invalido.headers['x-request-id'], 'a b');
+  });
+});
+
+describe('Logs estructurados', () => {
+  let lineas;
+  let original;
+
+  beforeEach(() => {
+    lineas = [];
+    original = { nivel: logger.nivel, salida: logger.salida, salidaErrores: logger.salidaErrores };
+    logger.nivel = 'info';
+    logger.salida = logger.salidaErrores = { write: (linea) => lineas.push(JSON.parse(linea)) };
+  });
+
+  afterEach(() => Object.assign(logger, original));
+
+  // La línea se escribe al terminar la respuesta, después de que supertest la recibe
+  const logDe = async (requestId) => {
+    await new Promise((resolve) => setImmediate(resolve));
+    return lineas.find((linea) => linea.request_id === requestId);
+  };
+
+  test('registra cada request en JSON con ruta, status y latencia', async () => {
+    const rol = await crearRol({ nombre: 'Editor' });
+
+    await request(app).get(`/api/roles/${rol.id}`).set('Authorization', admin).set('X-Request-Id', 'req-log');
+
+    const linea = await logDe('req-log');
+    assert.equal(linea.level, 'info');
+    assert.equal(linea.msg, 'Request HTTP');
+    assert.equal(linea.method, 'GET');
+    assert.equal(linea.route, '/api/roles/:id');
+    assert.equal(linea.url, `/api/roles/${rol.id}`);
+    assert.equal(linea.status, 200);
+    assert.equal(typeof linea.duration_ms, 'number');
+    assert.equal(typeof linea.usuario_id, 'number');
+    assert.ok(Date.parse(linea.time));
+  });
+
+  test('usa warn para los errores del cliente y no registra la URL como ruta', async () => {
+    await request(app).get('/no-existe/123').set('X-Request-Id', 'req-404');
+
+    const linea = await logDe('req-404');
+    assert.equal(linea.level, 'warn');
+    assert.equal(linea.status, 404);
+    assert.equal(linea.route, 'desconocida');
+  });
+
+  test('redacta los secretos de la URL', async () => {
+    await request(app).get('/api/roles?token=secreto&q=ana').set('Authorization', admin).set('X-Request-Id', 'req-token');
+
+    const linea = await logDe('req-token');
+    assert.equal(linea.url, `/api/roles?token=${encodeURIComponent(REDACTADO)}&q=ana`);
+    assert.ok(!JSON.stringify(lineas).includes('secreto'));
+  });
+
+  test('redactar oculta campos sensibles a cualquier profundidad', () => {
+    const redactado = redactar({
+      email: 'ana@test.com',
+      password: 'clave',
+      headers: { Authorization: 'Bearer abc', 'content-type': 'application/json' },
+      sesiones: [{ refreshToken: 'xyz', id: 1 }],
+      error: new Error('falló')
+    });
+
+    assert.equal(redactado.email, 'ana@test.com');
+    assert.equal(redactado.password, REDACTADO);
+    assert.deepEqual(redactado.headers, { Authorization: REDACTADO, 'content-type': 'application/json' });
+    assert.deepEqual(redactado.sesiones, [{ refreshToken: REDACTADO, id: 1 }]);
+    assert.equal(redactado.error.message, 'falló');
+  });
+});
+
+describe('GET /metrics', () => {
+  afterEach(() => {
+    config.metricas.token = null;
+  });
+
+  test('expone contadores, latencias y el estado del pool en formato Prometheus', async () => {
+    const rol = await crearRol({ nombre: 'Editor' });
+    await request(app).get(`/api/roles/${rol.id}`).set('Authorization', admin);
+
+    const res = await request(app).get('/metrics');
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-type'], /^text\/plain;.*version=0\.0\.4/);
+    assert.match(res.text, /^# TYPE http_requests_total counter$/m);
+    assert.match(res.text, /^http_requests_total\{method="GET",route="\/api\/roles\/:id",status="200"\} \d+$/m);
+    assert.match(res.text, /^http_request_duration_seconds_bucket\{method="GET",route="\/api\/roles\/:id",le="\+Inf"\} \d+$/m);
+    assert.match(res.text, /^http_request_duration_seconds_count\{method="GET",route="\/api\/roles\/:id"\} \d+$/m);
+    assert.match(res.text, /^db_up 1$/m);
+    assert.match(res.text, new RegExp(`^db_pool_max_connections ${config.baseDeDatos.poolMax}$`, 'm'));
+    assert.match(res.text, /^db_pool_connections\{state="idle"\} [1-9]\d*$/m);
+  });
+
+  test('requiere METRICS_TOKEN cuando está configurada', async () => {
+    config.metricas.token = 'metricas-secretas';
+
+    const sinToken = await request(app).get('/metrics');
+    assert.equal(sinToken.status, 401);
+
+    const otroToken = await request(app).get('/metrics').set('Authorization', 'Bearer otro');
+    assert.equal(otroToken.status, 401);
+
+    const conToken = await request(app).get('/metrics').set('Authorization', 'Bearer metricas-secretas');
+    assert.equal(conToken.status, 200);
+  });
+});
@@ -0,0 +1,227 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../app.js';
+import { conOrganizacion } from '../config/db.js';
+import {
+  cerrarConexion,
+  crearOrganizacion,
+  crearRol,
+  crearUsuario,
+  limpiarBaseDeDatos,
+  prepararBaseDeDatos,
+  sql
+} from './helpers.js';
+
+let admin;
+let otra;
+let adminOtra;
+
+before(prepararBaseDeDatos);
+
+beforeEach(async () => {
+  await limpiarBaseDeDatos();
+  ({ authorization: admin } = await crearUsuario());
+  otra = await crearOrganizacion('Otra');
+  ({ authorization: adminOtra } = await crearUsuario({ email: 'admin@otra.com', organizacion_id: otra.id }));
+});
+
+after(cerrarConexion);
+
+const nombres = (res) => res.body.data.map((rol) => rol.nombre).sort();
+
+describe('Aislamiento de roles por organización', () => {
+  test('cada organización ve solo sus roles', async () => {
+    const ajeno = await crearRol({ nombre: 'Editor', organizacion_id: otra.id });
+
+    const propios = await request(app).get('/api/roles').set('Authorization', admin);
+    assert.deepEqual(nombres(propios), ['Administrador', 'Consulta']);
+
+    const deOtra = await request(app).get('/api/roles').set('Authorization', adminOtra);
+    assert.deepEqual(nombres(deOtra), ['Administrador', 'Consulta', 'Editor']);
+    assert.ok(deOtra.body.data.every((rol) => rol.organizacion_id === otra.id));
+
+    const porId = await request(app).get(`/api/roles/${ajeno.id}`).set('Authorization', admin);
+    assert.equal(porId.status, 404);
+
+    const modificar = await request(app).delete(`/api/roles/${ajeno.id}`).set('Authorization', admin);
+    assert.equal(modificar.status, 404);
+  });
+
+  test('el nombre es único dentro de cada organización', async () => {
+    await crearRol({ nombre: 'Editor', organizacion_id: otra.id });
+
+    const creado = await request(app).post('/api/roles').set('Authorization', admin).send({ nombre: 'Editor' });
+    assert.equal(creado.status, 201);
+    assert.equal(creado.body.data.organizacion_id, 1);
+
+    const repetido = await request(app).post('/api/roles').set('Authorization', admin).send({ nombre: 'Editor' });
+    assert.equal(repetido.status, 409);
+    assert.equal(repetido.body.code, 'DUPLICATE_VALUE');
+  });
+
+  test('no se puede usar como padre un rol de otra organización', async () => {
+    const ajeno = await crearRol({ nombre: 'Editor', organizacion_id: otra.id });
+
+    const res = await request(app)
+      .post('/api/roles')
+      .set('Authorization', admin)
+      .send({ nombre: 'Hijo', rol_padre_id: ajeno.id });
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.message, 'Rol padre no encontrado');
+  });
+
+  test('la auditoría solo muestra los cambios de la organización', async () => {
+    await request(app).post('/api/roles').set('Authorization', adminOtra).send({ nombre: 'Editor' });
+
+    const propia = await request(app).get('/api/auditoria').set('Authorization', admin);
+    assert.equal(propia.body.meta.total, 0);
+
+    const deOtra = await request(app).get('/api/auditoria').set('Authorization', adminOtra);
+    assert.equal(deOtra.body.meta.total, 1);
+    assert.equal(deOtra.body.data[0].organizacion_id, otra.id);
+  });
+
+  test('row-level security limita las consultas aunque no filtren por organización', async () => {
+    const visibles = await conOrganizacion({ id: otra.id }, (tx) => tx`
+      SELECT DISTINCT organizacion_id FROM public.roles
+    `);
+    assert.deepEqual(visibles.map((fila) => fila.organizacion_id), [otra.id]);
+
+    await assert.rejects(
+      conOrganizacion({ id: otra.id }, (tx) => tx`
+        INSERT INTO public.roles (organizacion_id, nombre) VALUES (1, 'Intruso')
+      `),
+      /row-level security/
+    );
+  });
+});
+
+describe('Aislamiento de usuarios por organización', () => {
+  test('lista solo los usuarios de la organización', async () => {
+    const res = await request(app).get('/api/usuarios').set('Authorization', admin);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.map((usuario) => usuario.email), ['admin@test.com']);
+  });
+
+  test('no asigna roles de otra organización', async () => {
+    const { usuario } = await crearUsuario({ email: 'nuevo@test.com', roles: [] });
+    const ajeno = await crearRol({ nombre: 'Editor', organizacion_id: otra.id });
+
+    const res = await request(app)
+      .post(`/api/usuarios/${usuario.id}/roles`)
+      .set('Authorization', admin)
+      .send({ roles: [ajeno.id] });
+
+    assert.equal(res.status, 404);
+    assert.deepEqual(res.body.details, { roles: [ajeno.id] });
+  });
+
+  test('invalida el token de un usuario que cambió de organización', async () => {
+    const { usuario, authorization } = await crearUsuario({ email: 'movido@test.com' });
+    await sql`UPDATE public.usuarios SET organizacion_id = ${otra.id} WHERE id = ${usuario.id}`;
+
+    const res = await request(app).get('/api/roles').set('Authorization', authorization);
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, 'INVALID_TOKEN');
+  });
+});
+
+describe('Catálogo de permisos compartido', () => {
+  test('el administrador de una organización no modifica el catálogo de las demás', async () => {
+    const [permiso] = await sql`SELECT id FROM public.permisos WHERE codigo = 'roles:read'`;
+
+    const eliminar = await request(app).delete(`/api/permisos/${permiso.id}`).set('Authorization', adminOtra);
+    assert.equal(eliminar.status, 403);
+    assert.equal(eliminar.body.code, 'SUPER_ADMIN_REQUIRED');
+
+    const actualizar = await request(app)
+      .put(`/api/permisos/${permiso.id}`)
+      .set('Authorization', adminOtra)
+      .send({ descripcion: 'Cambiada' });
+    assert.equal(actualizar.status, 403);
+
+    const crear = await request(app)
+      .post('/api/permisos')
+      .set('Authorization', adminOtra)
+      .send({ codigo: 'reportes:read' });
+    assert.equal(crear.status, 403);
+
+    // La organización 1 conserva sus permisos
+    const roles = await request(app).get('/api/roles').set('Authorization', admin);
+    assert.equal(roles.status, 200);
+  });
+
+  test('un super administrador modifica el catálogo', async () => {
+    const { authorization } = await crearUsuario({ email: 'super@test.com', super_admin: true });
+
+    const creado = await request(app)
+      .post('/api/permisos')
+      .set('Authorization', authorization)
+      .send({ codigo: 'reportes:read' });
+    assert.equal(creado.status, 201);
+
+    const eliminado = await request(app)
+      .delete(`/api/permisos/${creado.body.data.id}`)
+      .set('Authorization', authorization);
+    assert.equal(eliminado.status, 200);
+  });
+});
+
+describe('Header X-Organizacion-Id', () => {
+  test('un usuario común solo puede indicar su propia organización', async () => {
+    const propia = await request(app).get('/api/roles').set('Authorization', admin).set('X-Organizacion-Id', '1');
+    assert.equal(propia.status, 200);
+
+    const ajena = await request(app)
+      .get('/api/roles')
+      .set('Authorization', admin)
+      .set('X-Organizacion-Id', String(otra.id));
+    assert.equal(ajena.status, 403);
+    assert.equal(ajena.body.code, 'ORGANIZATION_FORBIDDEN');
+  });
+
+  test('un super administrador lee todas las organizaciones con "*"', async () => {
+    const { authorization } = await crearUsuario({ email: 'super@test.com', super_admin: true });
+
+    const todas = await request(app)
+      .get('/api/roles?limit=100')
+      .set('Authorization', authorization)
+      .set('X-Organizacion-Id', '*');
+
+    assert.equal(todas.status, 200);
+    assert.deepEqual(
+      [...new Set(todas.body.data.map((rol) => rol.organizacion_id))].sort(),
+      [1, otra.id]
+    );
+
+    const escritura = await request(app)
+      .post('/api/roles')
+      .set('Authorization', authorization)
+      .set('X-Organizacion-Id', '*')
+      .send({ nombre: 'Editor' });
+    assert.equal(escritura.status, 400);
+    assert.equal(escritura.body.code, 'ORGANIZATION_REQUIRED');
+  });
+
+  test('un super administrador opera sobre otra organización indicándola', async () => {
+    const { authorization } = await crearUsuario({ email: 'super@test.com', super_admin: true });
+
+    const creado = await request(app)
+      .post('/api/roles')
+      .set('Authorization', authorization)
+      .set('X-Organizacion-Id', String(otra.id))
+      .send({ nombre: 'Editor' });
+    assert.equal(creado.status, 201);
+    assert.equal(creado.body.data.organizacion_id, otra.id);
+
+    const inexistente = await request(app)
+      .get('/api/roles')
+      .set('Authorization', authorization)
+      .set('X-Organizacion-Id', '999');
+    assert.equal(inexistente.status, 404);
+  });
+});
@@ -0,0 +1,181 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../app.js';
+import {
+  cerrarConexion,
+  crearOrganizacion,
+  crearUsuario,
+  limpiarBaseDeDatos,
+  prepararBaseDeDatos,
+  sql
+} from './helpers.js';
+
+// El catálogo es común a todas las organizaciones: solo un super
+// administrador (con el permiso correspondiente) lo modifica
+let admin;
+let superAdmin;
+
+before(prepararBaseDeDatos);
+
+beforeEach(async () => {
+  await limpiarBaseDeDatos();
+  ({ authorization: admin } = await crearUsuario());
+  ({ authorization: superAdmin } = await crearUsuario({ email: 'super@test.com', super_admin: true }));
+});
+
+after(cerrarConexion);
+
+/**
+ * Comprueba el formato común de las respuestas de error
+ */
+function assertError(res, status, code) {
+  assert.equal(res.status, status);
+  assert.equal(res.body.success, false);
+  assert.equal(res.body.code, code);
+}
+
+function crearPermiso(datos, authorization = superAdmin) {
+  return request(app).post('/api/permisos').set('Authorization', authorization).send(datos);
+}
+
+describe('GET /api/permisos', () => {
+  test('lista el catálogo ordenado por código', async () => {
+    const res = await request(app).get('/api/permisos').set('Authorization', admin);
+
+    assert.equal(res.status, 200);
+    const codigos = res.body.data.map((permiso) => permiso.codigo);
+    assert.ok(codigos.includes('roles:read'));
+    assert.deepEqual(codigos, [...codigos].sort());
+  });
+
+  test('filtra por recurso', async () => {
+    const res = await request(app).get('/api/permisos?recurso=permisos').set('Authorization', admin);
+
+    assert.deepEqual(
+      res.body.data.map((permiso) => permiso.codigo),
+      ['permisos:create', 'permisos:delete', 'permisos:read', 'permisos:update']
+    );
+  });
+
+  test('obtiene un permiso por id o responde 404', async () => {
+    const [permiso] = await sql`SELECT id FROM public.permisos WHERE codigo = 'roles:read'`;
+
+    const encontrado = await request(app).get(`/api/permisos/${permiso.id}`).set('Authorization', admin);
+    assert.equal(encontrado.status, 200);
+    assert.equal(encontrado.body.data.codigo, 'roles:read');
+
+    assertError(await request(app).get('/api/permisos/9999').set('Authorization', admin), 404, 'NOT_FOUND');
+  });
+
+  test('requiere permisos:read', async () => {
+    const { authorization } = await crearUsuario({ email: 'sin-roles@test.com', roles: [] });
+
+    assertError(await request(app).get('/api/permisos').set('Authorization', authorization), 403, 'FORBIDDEN');
+  });
+});
+
+describe('POST /api/permisos', () => {
+  test('agrega un permiso al catálogo', async () => {
+    const res = await crearPermiso({ codigo: 'reportes:read', descripcion: 'Consultar reportes' });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.codigo, 'reportes:read');
+    assert.equal(res.body.data.descripcion, 'Consultar reportes');
+  });
+
+  test('rechaza un código duplicado', async () => {
+    const res = await crearPermiso({ codigo: 'roles:read' });
+
+    assertError(res, 409, 'DUPLICATE_VALUE');
+    assert.equal(res.body.message, 'Ya existe un permiso con ese código');
+    assert.deepEqual(res.body.details, { restriccion: 'permisos_codigo_key' });
+  });
+
+  test('valida el formato del código', async () => {
+    assertError(await crearPermiso({ codigo: 'Reportes' }), 400, 'VALIDATION_ERROR');
+  });
+});
+
+describe('PUT /api/permisos/:id', () => {
+  test('actualiza la descripción sin cambiar el código', async () => {
+    const [permiso] = await sql`SELECT id FROM public.permisos WHERE codigo = 'roles:read'`;
+
+    const res = await request(app)
+      .put(`/api/permisos/${permiso.id}`)
+      .set('Authorization', superAdmin)
+      .send({ descripcion: 'Leer roles' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.codigo, 'roles:read');
+    assert.equal(res.body.data.descripcion, 'Leer roles');
+  });
+
+  test('responde 404 si el permiso no existe', async () => {
+    const res = await request(app)
+      .put('/api/permisos/9999')
+      .set('Authorization', superAdmin)
+      .send({ descripcion: 'Nada' });
+
+    assertError(res, 404, 'NOT_FOUND');
+  });
+});
+
+describe('DELETE /api/permisos/:id', () => {
+  test('elimina el permiso y lo retira de los roles de todas las organizaciones', async () => {
+    await crearOrganizacion('Otra');
+    const { body: { data: permiso } } = await crearPermiso({ codigo: 'reportes:read' });
+    // El Administrador de cada organización
+    await sql`
+      INSERT INTO public.rol_permisos (rol_id, permiso_id)
+      SELECT id, ${permiso.id} FROM public.roles WHERE nombre = 'Administrador'
+    `;
+    const asignados = () => sql`SELECT rol_id FROM public.rol_permisos WHERE permiso_id = ${permiso.id}`;
+    assert.equal((await asignados()).length, 2);
+
+    const res = await request(app).delete(`/api/permisos/${permiso.id}`).set('Authorization', superAdmin);
+    assert.equal(res.status, 200);
+
+    assert.equal((await asignados()).length, 0);
+    assertError(await request(app).get(`/api/permisos/${permiso.id}`).set('Authorization', admin), 404, 'NOT_FOUND');
+  });
+
+  test('responde 404 si el permiso no existe', async () => {
+    assertError(await request(app).delete('/api/permisos/9999').set('Authorization', superAdmin), 404, 'NOT_FOUND');
+  });
+});
+
+describe('Escrituras del catálogo', () => {
+  test('el administrador de una organización no puede crear, modificar ni eliminar', async () => {
+    const otra = await crearOrganizacion('Otra');
+    const { authorization: adminOtra } = await crearUsuario({ email: 'admin@otra.com', organizacion_id: otra.id });
+    const [permiso] = await sql`SELECT id FROM public.permisos WHERE codigo = 'roles:read'`;
+
+    for (const authorization of [admin, adminOtra]) {
+      assertError(await crearPermiso({ codigo: 'reportes:read' }, authorization), 403, 'SUPER_ADMIN_REQUIRED');
+
+      const actualizar = await request(app)
+        .put(`/api/permisos/${permiso.id}`)
+        .set('Authorization', authorization)
+        .send({ descripcion: 'Cambiada' });
+      assertError(actualizar, 403, 'SUPER_ADMIN_REQUIRED');
+
+      const eliminar = await request(app).delete(`/api/permisos/${permiso.id}`).set('Authorization', authorization);
+      assertError(eliminar, 403, 'SUPER_ADMIN_REQUIRED');
+    }
+
+    const [intacto] = await sql`SELECT descripcion FROM public.permisos WHERE id = ${permiso.id}`;
+    assert.equal(intacto.descripcion, 'Consultar roles');
+
+    // Ambas organizaciones leen el mismo catálogo
+    const propio = await request(app).get('/api/permisos').set('Authorization', admin);
+    const ajeno = await request(app).get('/api/permisos').set('Authorization', adminOtra);
+    assert.deepEqual(ajeno.body.data, propio.body.data);
+  });
+
+  test('un super administrador también necesita el permiso de la acción', async () => {
+    const { authorization } = await crearUsuario({ email: 'super-lector@test.com', roles: ['Consulta'], super_admin: true });
+
+    assertError(await crearPermiso({ codigo: 'reportes:read' }, authorization), 403, 'FORBIDDEN');
+  });
+});
@@ -0,0 +1,176 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import request from 'supertest';
+import config from '../config/config.js';
+import { errorHandler } from '../middlewares/error.middleware.js';
+import { limitarSolicitudes } from '../middlewares/rate-limit.middleware.js';
+import { MemoriaStore } from '../utils/rate-limit-store.js';
+import { cerrarConexion, crearUsuario, limpiarBaseDeDatos, prepararBaseDeDatos } from './helpers.js';
+
+// El perfil test desactiva los límites; la app los lee de config al importarse
+Object.assign(config.rateLimit, { habilitado: true, autenticacion: 2, creacionRoles: 2 });
+config.servidor.bodyLimit = '1kb';
+const { default: app } = await import('../app.js');
+
+/**
+ * App mínima con los limitadores indicados; el header X-Usuario simula un
+ * usuario autenticado
+ */
+function appCon(...limitadores) {
+  const prueba = express();
+  prueba.use((req, res, next) => {
+    if (req.get('X-Usuario')) req.usuario = { id: Number(req.get('X-Usuario')) };
+    next();
+  });
+  prueba.all('/', ...limitadores, (req, res) => res.json({ ok: true }));
+  prueba.use(errorHandler);
+  return prueba;
+}
+
+const esperar = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('limitarSolicitudes', () => {
+  test('informa el cupo y responde 429 con Retry-After al superarlo', async () => {
+    const prueba = appCon(limitarSolicitudes({ nombre: 'prueba', limite: 2, ventana: 60_000, store: new MemoriaStore() }));
+
+    const primera = await request(prueba).get('/');
+    assert.equal(primera.status, 200);
+    assert.equal(primera.headers['ratelimit-policy'], '2;w=60');
+    assert.equal(primera.headers['ratelimit-limit'], '2');
+    assert.equal(primera.headers['ratelimit-remaining'], '1');
+    assert.ok(Number(primera.headers['ratelimit-reset']) <= 60);
+
+    const segunda = await request(prueba).get('/');
+    assert.equal(segunda.headers['ratelimit-remaining'], '0');
+
+    const tercera = await request(prueba).get('/');
+    assert.equal(tercera.status, 429);
+    assert.equal(tercera.body.code, 'RATE_LIMITED');
+    assert.equal(tercera.body.details.limite, 2);
+    assert.equal(tercera.headers['retry-after'], String(tercera.body.details.reintentar_en_s));
+  });
+
+  test('renueva el cupo al terminar la ventana', async () => {
+    const prueba = appCon(limitarSolicitudes({ nombre: 'prueba', limite: 1, ventana: 50, store: new MemoriaStore() }));
+
+    assert.equal((await request(prueba).get('/')).status, 200);
+    assert.equal((await request(prueba).get('/')).status, 429);
+
+    await esperar(60);
+    assert.equal((await request(prueba).get('/')).status, 200);
+  });
+
+  test('cuenta por usuario autenticado y por IP a los anónimos', async () => {
+    const prueba = appCon(limitarSolicitudes({ nombre: 'prueba', limite: 1, ventana: 60_000, store: new MemoriaStore() }));
+
+    assert.equal((await request(prueba).get('/').set('X-Usuario', '1')).status, 200);
+    assert.equal((await request(prueba).get('/').set('X-Usuario', '2')).status, 200);
+    assert.equal((await request(prueba).get('/')).status, 200);
+    assert.equal((await request(prueba).get('/').set('X-Usuario', '1')).status, 429);
+    assert.equal((await request(prueba).get('/')).status, 429);
+  });
+
+  test('omite las requests indicadas y con límite 0 no limita', async () => {
+    const soloEscrituras = appCon(limitarSolicitudes({
+      nombre: 'prueba',
+      limite: 1,
+      ventana: 60_000,
+      omitir: (req) => req.method === 'GET',
+      store: new MemoriaStore()
+    }));
+
+    for (let i = 0; i < 3; i++) assert.equal((await request(soloEscrituras).get('/')).status, 200);
+    assert.equal((await request(soloEscrituras).post('/')).status, 200);
+    assert.equal((await request(soloEscrituras).post('/')).status, 429);
+
+    const desactivado = appCon(limitarSolicitudes({ nombre: 'prueba', limite: 0, ventana: 60_000 }));
+    for (let i = 0; i < 3; i++) assert.equal((await request(desactivado).get('/')).status, 200);
+  });
+
+  test('con varios limitadores informa el más cercano a agotarse', async () => {
+    const store = new MemoriaStore();
+    const prueba = appCon(
+      limitarSolicitudes({ nombre: 'amplio', limite: 100, ventana: 60_000, store }),
+      limitarSolicitudes({ nombre: 'estricto', limite: 5, ventana: 60_000, store }),
+      limitarSolicitudes({ nombre: 'intermedio', limite: 50, ventana: 60_000, store })
+    );
+
+    const res = await request(prueba).get('/');
+    assert.equal(res.headers['ratelimit-limit'], '5');
+    assert.equal(res.headers['ratelimit-remaining'], '4');
+  });
+
+  test('si el store falla deja pasar la request', async () => {
+    const roto = { incrementar: async () => { throw new Error('store caído'); } };
+    const prueba = appCon(limitarSolicitudes({ nombre: 'prueba', limite: 1, ventana: 60_000, store: roto }));
+
+    assert.equal((await request(prueba).get('/')).status, 200);
+    assert.equal((await request(prueba).get('/')).status, 200);
+  });
+});
+
+describe('MemoriaStore', () => {
+  test('descarta los contadores de ventanas vencidas', async () => {
+    const store = new MemoriaStore();
+    await store.incrementar('vencida', 10);
+    await store.incrementar('vigente', 60_000);
+
+    await esperar(20);
+    store.limpiar();
+
+    assert.deepEqual([...store.contadores.keys()], ['vigente']);
+  });
+});
+
+describe('Límites de la API', () => {
+  let admin;
+
+  before(prepararBaseDeDatos);
+
+  beforeEach(async () => {
+    await limpiarBaseDeDatos();
+    ({ authorization: admin } = await crearUsuario());
+  });
+
+  after(cerrarConexion);
+
+  test('POST /api/roles tiene un cupo propio por usuario', async () => {
+    for (const nombre of ['Uno', 'Dos']) {
+      const res = await request(app).post('/api/roles').set('Authorization', admin).send({ nombre });
+      assert.equal(res.status, 201);
+    }
+
+    const excedida = await request(app).post('/api/roles').set('Authorization', admin).send({ nombre: 'Tres' });
+    assert.equal(excedida.status, 429);
+    assert.equal(excedida.body.code, 'RATE_LIMITED');
+    assert.ok(Number(excedida.headers['retry-after']) > 0);
+
+    const lectura = await request(app).get('/api/roles').set('Authorization', admin);
+    assert.equal(lectura.status, 200);
+  });
+
+  test('el login se limita por IP', async () => {
+    const credenciales = { email: 'nadie@test.com', password: 'incorrecta' };
+
+    for (let i = 0; i < 2; i++) {
+      const res = await request(app).post('/api/auth/login').send(credenciales);
+      assert.equal(res.status, 401);
+    }
+
+    const excedida = await request(app).post('/api/auth/login').send(credenciales);
+    assert.equal(excedida.status, 429);
+  });
+
+  test('rechaza los cuerpos más grandes que BODY_LIMIT con 413', async () => {
+    const res = await request(app)
+      .patch('/api/roles/1')
+      .set('Authorization', admin)
+      .set('Content-Type', 'application/merge-patch+json')
+      .send(JSON.stringify({ descripcion: 'x'.repeat(2048) }));
+
+    assert.equal(res.status, 413);
+    assert.equal(res.body.code, 'PAYLOAD_TOO_LARGE');
+    assert.equal(res.body.details.limite_bytes, 1024);
+  });
+});
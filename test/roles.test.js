@@ -0,0 +1,1113 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../app.js';
+import {
+  cerrarConexion,
+  crearRol,
+  crearUsuario,
+  limpiarBaseDeDatos,
+  prepararBaseDeDatos,
+  sql
+} from './helpers.js';
+
+let admin;
+
+before(prepararBaseDeDatos);
+
+beforeEach(async () => {
+  await limpiarBaseDeDatos();
+  ({ authorization: admin } = await crearUsuario());
+});
+
+after(cerrarConexion);
+
+/**
+ * Comprueba el formato común de las respuestas de error
+ */
+function assertError(res, status, code) {
+  assert.equal(res.status, status);
+  assert.equal(res.body.success, false);
+  assert.equal(res.body.code, code);
+  assert.equal(res.body.requestId, res.headers['x-request-id']);
+}
+
+describe('Autenticación y permisos', () => {
+  test('sin token responde 401', async () => {
+    const res = await request(app).get('/api/roles');
+
+    assertError(res, 401, 'UNAUTHORIZED');
+    assert.equal(res.headers['www-authenticate'], 'Bearer');
+  });
+
+  test('con un token inválido responde 401', async () => {
+    const res = await request(app).get('/api/roles').set('Authorization', 'Bearer no-es-un-jwt');
+
+    assertError(res, 401, 'INVALID_TOKEN');
+  });
+
+  test('sin el permiso requerido responde 403 e indica cuál falta', async () => {
+    const { authorization } = await crearUsuario({ email: 'lector@test.com', roles: ['Consulta'] });
+
+    const lectura = await request(app).get('/api/roles').set('Authorization', authorization);
+    assert.equal(lectura.status, 200);
+
+    const res = await request(app)
+      .post('/api/roles')
+      .set('Authorization', authorization)
+      .send({ nombre: 'Nuevo' });
+
+    assertError(res, 403, 'FORBIDDEN');
+    assert.deepEqual(res.body.details, { permisos: ['roles:create'] });
+  });
+});
+
+describe('GET /api/roles', () => {
+  test('lista los roles', async () => {
+    const res = await request(app).get('/api/roles').set('Authorization', admin);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.map((rol) => rol.nombre).sort(), ['Administrador', 'Consulta']);
+  });
+
+  test('filtra por activo', async () => {
+    await crearRol({ nombre: 'Inactivo', activo: false });
+
+    const res = await request(app).get('/api/roles?activo=false').set('Authorization', admin);
+
+    assert.deepEqual(res.body.data.map((rol) => rol.nombre), ['Inactivo']);
+    assert.equal(res.body.meta.total, 1);
+  });
+
+  test('pagina por cursor hacia adelante y hacia atrás', async () => {
+    for (const nombre of ['C', 'D', 'E']) {
+      await crearRol({ nombre });
+    }
+
+    const pedir = (query) => request(app).get(`/api/roles?sort=nombre&limit=2${query}`).set('Authorization', admin);
+    const nombres = (res) => res.body.data.map((rol) => rol.nombre);
+
+    const primera = await pedir('');
+    assert.deepEqual(nombres(primera), ['Administrador', 'C']);
+    assert.equal(primera.body.meta.total, 5);
+    assert.equal(primera.body.meta.limit, 2);
+    assert.equal(primera.body.meta.cursor_anterior, null);
+
+    const segunda = await pedir(`&cursor=${primera.body.meta.cursor_siguiente}`);
+    assert.deepEqual(nombres(segunda), ['Consulta', 'D']);
+
+    const tercera = await pedir(`&cursor=${segunda.body.meta.cursor_siguiente}`);
+    assert.deepEqual(nombres(tercera), ['E']);
+    assert.equal(tercera.body.meta.cursor_siguiente, null);
+
+    const volver = await pedir(`&cursor=${tercera.body.meta.cursor_anterior}`);
+    assert.deepEqual(nombres(volver), ['Consulta', 'D']);
+
+    const inicio = await pedir(`&cursor=${volver.body.meta.cursor_anterior}`);
+    assert.deepEqual(nombres(inicio), ['Administrador', 'C']);
+    assert.equal(inicio.body.meta.cursor_anterior, null);
+  });
+
+  test('ordena por fecha de creación descendente por defecto', async () => {
+    // Roles creados en la misma transacción comparten fecha_creacion: desempata el id
+    await sql`INSERT INTO public.roles (organizacion_id, nombre) VALUES (1, 'X'), (1, 'Y'), (1, 'Z')`;
+
+    const primera = await request(app).get('/api/roles?limit=2').set('Authorization', admin);
+    assert.equal(primera.body.meta.sort, '-fecha_creacion');
+    assert.deepEqual(primera.body.data.map((rol) => rol.nombre), ['Z', 'Y']);
+
+    const segunda = await request(app)
+      .get(`/api/roles?limit=2&cursor=${primera.body.meta.cursor_siguiente}`)
+      .set('Authorization', admin);
+    assert.deepEqual(segunda.body.data.map((rol) => rol.nombre), ['X', 'Consulta']);
+  });
+
+  test('rechaza un cursor inválido o de otro ordenamiento', async () => {
+    const primera = await request(app).get('/api/roles?sort=nombre&limit=1').set('Authorization', admin);
+
+    const otroSort = await request(app)
+      .get(`/api/roles?sort=-nombre&cursor=${primera.body.meta.cursor_siguiente}`)
+      .set('Authorization', admin);
+    assertError(otroSort, 400, 'INVALID_CURSOR');
+
+    const basura = await request(app).get('/api/roles?cursor=no-es-un-cursor').set('Authorization', admin);
+    assertError(basura, 400, 'INVALID_CURSOR');
+  });
+
+  test('rechaza campos de orden fuera de la lista blanca y limit mayor al máximo', async () => {
+    const res = await request(app)
+      .get('/api/roles?sort=descripcion&limit=101')
+      .set('Authorization', admin);
+
+    assertError(res, 400, 'VALIDATION_ERROR');
+    assert.deepEqual(res.body.details.map((error) => error.campo).sort(), ['limit', 'sort']);
+  });
+
+  test('devuelve la jerarquía con vista=arbol', async () => {
+    const padre = await crearRol({ nombre: 'Padre' });
+    await crearRol({ nombre: 'Hijo', rol_padre_id: padre.id });
+
+    const res = await request(app).get('/api/roles?vista=arbol').set('Authorization', admin);
+
+    assert.equal(res.status, 200);
+    const nodo = res.body.data.find((rol) => rol.nombre === 'Padre');
+    assert.deepEqual(nodo.hijos.map((rol) => rol.nombre), ['Hijo']);
+  });
+
+  test('busca con q sin distinguir acentos ni mayúsculas, en nombre y descripción', async () => {
+    await crearRol({ nombre: 'Administración' });
+    await crearRol({ nombre: 'Ventas', descripcion: 'Gestión de CAMIÓN y reparto' });
+    await crearRol({ nombre: 'Descuento 100%' });
+
+    const buscar = async (q) => {
+      const res = await request(app)
+        .get(`/api/roles?sort=nombre&q=${encodeURIComponent(q)}`)
+        .set('Authorization', admin);
+      assert.equal(res.status, 200);
+      return res.body.data.map((rol) => rol.nombre);
+    };
+
+    assert.deepEqual(await buscar('ADMINISTRACION'), ['Administración']);
+    assert.deepEqual(await buscar('camion'), ['Ventas']);
+    // Los comodines de LIKE se buscan literalmente
+    assert.deepEqual(await buscar('0%'), ['Descuento 100%']);
+    assert.deepEqual(await buscar('_'), []);
+  });
+
+  test('obtiene varios roles con ids separados por coma', async () => {
+    const uno = await crearRol({ nombre: 'Uno' });
+    await crearRol({ nombre: 'Dos' });
+    const tres = await crearRol({ nombre: 'Tres' });
+
+    const res = await request(app)
+      .get(`/api/roles?sort=id&ids=${uno.id},${tres.id}`)
+      .set('Authorization', admin);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.map((rol) => rol.nombre), ['Uno', 'Tres']);
+    assert.equal(res.body.meta.total, 2);
+
+    const invalido = await request(app).get('/api/roles?ids=1,abc').set('Authorization', admin);
+    assertError(invalido, 400, 'VALIDATION_ERROR');
+  });
+
+  test('filtra por rangos de fecha de creación y actualización', async () => {
+    await sql`
+      INSERT INTO public.roles (organizacion_id, nombre, fecha_creacion, fecha_actualizacion)
+      VALUES
+        (1, 'Viejo', '2020-01-01T00:00:00Z', '2020-01-01T00:00:00Z'),
+        (1, 'Medio', '2022-06-15T12:00:00Z', '2024-03-01T00:00:00Z')
+    `;
+
+    const pedir = async (query) => {
+      const res = await request(app).get(`/api/roles?sort=nombre&${query}`).set('Authorization', admin);
+      assert.equal(res.status, 200);
+      return res.body.data.map((rol) => rol.nombre);
+    };
+
+    assert.deepEqual(await pedir('creado_hasta=2022-06-15T12:00:00Z'), ['Medio', 'Viejo']);
+    assert.deepEqual(
+      await pedir('creado_desde=2021-01-01T00:00:00Z&creado_hasta=2023-01-01T00:00:00Z'),
+      ['Medio']
+    );
+    assert.deepEqual(
+      await pedir('actualizado_desde=2024-01-01T00:00:00Z&actualizado_hasta=2024-12-31T23:59:59Z'),
+      ['Medio']
+    );
+
+    const invalido = await request(app).get('/api/roles?creado_desde=ayer').set('Authorization', admin);
+    assertError(invalido, 400, 'VALIDATION_ERROR');
+  });
+
+  test('aplica los filtros también a la vista de árbol', async () => {
+    const padre = await crearRol({ nombre: 'Padre' });
+    await crearRol({ nombre: 'Hijo', rol_padre_id: padre.id });
+
+    const res = await request(app).get('/api/roles?vista=arbol&q=hijo').set('Authorization', admin);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.map((rol) => rol.nombre), ['Hijo']);
+  });
+
+  test('rechaza parámetros de query inválidos con 400', async () => {
+    const res = await request(app).get('/api/roles?limit=abc&activo=quizas').set('Authorization', admin);
+
+    assertError(res, 400, 'VALIDATION_ERROR');
+    assert.deepEqual(res.body.details.map((error) => error.campo).sort(), ['activo', 'limit']);
+  });
+});
+
+describe('GET /api/roles/:id', () => {
+  test('devuelve el rol', async () => {
+    const res = await request(app).get('/api/roles/1').set('Authorization', admin);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.nombre, 'Administrador');
+  });
+
+  test('responde 404 si no existe', async () => {
+    const res = await request(app).get('/api/roles/999').set('Authorization', admin);
+
+    assertError(res, 404, 'NOT_FOUND');
+  });
+
+  test('responde 400 si el id no es un entero', async () => {
+    const res = await request(app).get('/api/roles/abc').set('Authorization', admin);
+
+    assertError(res, 400, 'VALIDATION_ERROR');
+  });
+});
+
+describe('ETag y concurrencia optimista', () => {
+  test('GET /api/roles/:id devuelve el ETag de la versión y 304 si no cambió', async () => {
+    const rol = await crearRol({ nombre: 'Editor' });
+
+    const res = await request(app).get(`/api/roles/${rol.id}`).set('Authorization', admin);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.etag, '"v1"');
+    assert.equal(res.body.data.version, 1);
+
+    const repetido = await request(app)
+      .get(`/api/roles/${rol.id}`)
+      .set('Authorization', admin)
+      .set('If-None-Match', '"v1"');
+
+    assert.equal(repetido.status, 304);
+  });
+
+  test('GET /api/roles responde 304 si la página no cambió', async () => {
+    const res = await request(app).get('/api/roles').set('Authorization', admin);
+
+    const repetido = await request(app)
+      .get('/api/roles')
+      .set('Authorization', admin)
+      .set('If-None-Match', res.headers.etag);
+
+    assert.equal(repetido.status, 304);
+  });
+
+  test('PUT con If-Match vigente actualiza e incrementa la versión', async () => {
+    const rol = await crearRol({ nombre: 'Editor' });
+
+    const res = await request(app)
+      .put(`/api/roles/${rol.id}`)
+      .set('Authorization', admin)
+      .set('If-Match', '"v1"')
+      .send({ nombre: 'Editor', descripcion: 'Edita contenido' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.etag, '"v2"');
+    assert.equal(res.body.data.version, 2);
+  });
+
+  test('PUT con If-Match desactualizado responde 412 y no modifica el rol', async () => {
+    const rol = await crearRol({ nombre: 'Editor' });
+    await request(app).put(`/api/roles/${rol.id}`).set('Authorization', admin).send({ nombre: 'Editor', descripcion: 'Primera' });
+
+    const res = await request(app)
+      .put(`/api/roles/${rol.id}`)
+      .set('Authorization', admin)
+      .set('If-Match', '"v1"')
+      .send({ nombre: 'Editor', descripcion: 'Segunda' });
+
+    assertError(res, 412, 'PRECONDITION_FAILED');
+    assert.deepEqual(res.body.details, { version_actual: 2 });
+
+    const [actual] = await sql`SELECT descripcion, version FROM public.roles WHERE id = ${rol.id}`;
+    assert.deepEqual({ ...actual }, { descripcion: 'Primera', version: 2 });
+  });
+
+  test('DELETE con If-Match desactualizado responde 412', async () => {
+    const rol = await crearRol({ nombre: 'Editor' });
+
+    const res = await request(app)
+      .delete(`/api/roles/${rol.id}`)
+      .set('Authorization', admin)
+      .set('If-Match', '"v7", W/"v1"');
+
+    assertError(res, 412, 'PRECONDITION_FAILED');
+
+    const vigente = await request(app)
+      .delete(`/api/roles/${rol.id}`)
+      .set('Authorization', admin)
+      .set('If-Match', '"v7", "v1"');
+
+    assert.equal(vigente.status, 200);
+  });
+
+  test('POST devuelve el ETag de la versión, que sirve para If-Match', async () => {
+    const creado = await request(app).post('/api/roles').set('Authorization', admin).send({ nombre: 'Editor' });
+
+    assert.equal(creado.status, 201);
+    assert.equal(creado.headers.etag, '"v1"');
+    assert.equal(creado.headers.location, `/api/roles/${creado.body.data.id}`);
+
+    const res = await request(app)
+      .patch(creado.headers.location)
+      .set('Authorization', admin)
+      .set('If-Match', creado.headers.etag)
+      .type('application/merge-patch+json')
+      .send({ descripcion: 'Edita contenido' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.etag, '"v2"');
+  });
+
+  test('restaurar con If-Match desactualizado responde 412', async () => {
+    const rol = await crearRol({ nombre: 'Editor' });
+    const eliminado = await request(app).delete(`/api/roles/${rol.id}`).set('Authorization', admin);
+
+    const res = await request(app)
+      .post(`/api/roles/${rol.id}/restaurar`)
+      .set('Authorization', admin)
+      .set('If-Match', '"v1"');
+
+    assertError(res, 412, 'PRECONDITION_FAILED');
+
+    const vigente = await request(app)
+      .post(`/api/roles/${rol.id}/restaurar`)
+      .set('Authorization', admin)
+      .set('If-Match', eliminado.headers.etag);
+
+    assert.equal(vigente.status, 200);
+    assert.equal(vigente.body.data.activo, true);
+  });
+});
+
+describe('POST /api/roles', () => {
+  test('crea el rol y normaliza el nombre', async () => {
+    const res = await request(app)
+      .post('/api/roles')
+      .set('Authorization', admin)
+      .send({ nombre: '  Editor  ', descripcion: 'Edita contenido' });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.nombre, 'Editor');
+    assert.equal(res.body.data.activo, true);
+    assert.equal(res.body.data.rol_padre_id, null);
+  });
+
+  test('crea el rol con un padre', async () => {
+    const res = await request(app)
+      .post('/api/roles')
+      .set('Authorization', admin)
+      .send({ nombre: 'Auditor', rol_padre_id: 2 });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.rol_padre_id, 2);
+  });
+
+  test('responde 400 si falta el nombre', async () => {
+    const res = await request(app)
+      .post('/api/roles')
+      .set('Authorization', admin)
+      .send({ descripcion: 'Sin nombre' });
+
+    assertError(res, 400, 'VALIDATION_ERROR');
+    assert.equal(res.body.details[0].campo, 'nombre');
+  });
+
+  test('responde 400 si el body no es JSON válido', async () => {
+    const res = await request(app)
+      .post('/api/roles')
+      .set('Authorization', admin)
+      .set('Content-Type', 'application/json')
+      .send('{"nombre":');
+
+    assertError(res, 400, 'INVALID_JSON');
+  });
+
+  test('responde 404 si el rol padre no existe', async () => {
+    const res = await request(app)
+      .post('/api/roles')
+      .set('Authorization', admin)
+      .send({ nombre: 'Huérfano', rol_padre_id: 999 });
+
+    assertError(res, 404, 'NOT_FOUND');
+    assert.equal(res.body.message, 'Rol padre no encontrado');
+  });
+
+  test('responde 409 si el nombre ya existe', async () => {
+    const res = await request(app)
+      .post('/api/roles')
+      .set('Authorization', admin)
+      .send({ nombre: 'Administrador' });
+
+    assertError(res, 409, 'DUPLICATE_VALUE');
+    assert.equal(res.body.message, 'Ya existe un rol con ese nombre');
+  });
+});
+
+describe('PUT /api/roles/:id', () => {
+  test('reemplaza el rol: los campos que no se envían vuelven a su valor por defecto', async () => {
+    const padre = await crearRol({ nombre: 'Padre' });
+    const rol = await crearRol({ nombre: 'Editor', descripcion: 'Edita contenido', rol_padre_id: padre.id });
+
+    const res = await request(app)
+      .put(`/api/roles/${rol.id}`)
+      .set('Authorization', admin)
+      .send({ nombre: ' Editor jefe ' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.nombre, 'Editor jefe');
+    assert.equal(res.body.data.descripcion, null);
+    assert.equal(res.body.data.rol_padre_id, null);
+    assert.equal(res.body.data.activo, true);
+  });
+
+  test('no modifica la versión si el rol queda igual', async () => {
+    const rol = await crearRol({ nombre: 'Editor', descripcion: 'Edita contenido' });
+
+    const res = await request(app)
+      .put(`/api/roles/${rol.id}`)
+      .set('Authorization', admin)
+      .send({ nombre: 'Editor', descripcion: 'Edita contenido' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.etag, '"v1"');
+  });
+
+  test('responde 400 si falta el nombre', async () => {
+    const res = await request(app)
+      .put('/api/roles/2')
+      .set('Authorization', admin)
+      .send({ descripcion: 'Solo lectura de todo' });
+
+    assertError(res, 400, 'VALIDATION_ERROR');
+    assert.equal(res.body.details[0].campo, 'nombre');
+  });
+
+  test('responde 404 si no existe', async () => {
+    const res = await request(app)
+      .put('/api/roles/999')
+      .set('Authorization', admin)
+      .send({ nombre: 'Nada' });
+
+    assertError(res, 404, 'NOT_FOUND');
+  });
+
+  test('responde 409 si el nombre ya lo usa otro rol', async () => {
+    const res = await request(app)
+      .put('/api/roles/2')
+      .set('Authorization', admin)
+      .send({ nombre: 'Administrador' });
+
+    assertError(res, 409, 'DUPLICATE_VALUE');
+  });
+});
+
+describe('PATCH /api/roles/:id con JSON Merge Patch', () => {
+  const mergePatch = (id, datos) => request(app)
+    .patch(`/api/roles/${id}`)
+    .set('Authorization', admin)
+    .type('application/merge-patch+json')
+    .send(datos);
+
+  test('modifica solo los campos enviados', async () => {
+    const res = await mergePatch(2, { descripcion: 'Solo lectura de todo' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.nombre, 'Consulta');
+    assert.equal(res.body.data.descripcion, 'Solo lectura de todo');
+  });
+
+  test('null vacía la descripción y un texto vacío se guarda tal cual', async () => {
+    const rol = await crearRol({ nombre: 'Editor', descripcion: 'Edita contenido' });
+
+    const vacia = await mergePatch(rol.id, { descripcion: '' });
+    assert.equal(vacia.body.data.descripcion, '');
+
+    const nula = await mergePatch(rol.id, { descripcion: null });
+    assert.equal(nula.body.data.descripcion, null);
+    assert.equal(nula.body.data.nombre, 'Editor');
+  });
+
+  test('responde 400 si el body está vacío o intenta vaciar el nombre', async () => {
+    assertError(await mergePatch(2, {}), 400, 'VALIDATION_ERROR');
+    assertError(await mergePatch(2, { nombre: null }), 400, 'VALIDATION_ERROR');
+  });
+
+  test('responde 409 si el nuevo padre generaría un ciclo', async () => {
+    const padre = await crearRol({ nombre: 'Padre' });
+    const hijo = await crearRol({ nombre: 'Hijo', rol_padre_id: padre.id });
+
+    assertError(await mergePatch(padre.id, { rol_padre_id: hijo.id }), 409, 'ROLE_HIERARCHY_CYCLE');
+    assertError(await mergePatch(padre.id, { rol_padre_id: padre.id }), 409, 'ROLE_HIERARCHY_CYCLE');
+  });
+
+  test('responde 415 si el body no es un patch', async () => {
+    const res = await request(app)
+      .patch('/api/roles/2')
+      .set('Authorization', admin)
+      .send({ descripcion: 'JSON común' });
+
+    assertError(res, 415, 'UNSUPPORTED_MEDIA_TYPE');
+  });
+});
+
+describe('PATCH /api/roles/:id con JSON Patch', () => {
+  const jsonPatch = (id, operaciones) => request(app)
+    .patch(`/api/roles/${id}`)
+    .set('Authorization', admin)
+    .type('application/json-patch+json')
+    .send(operaciones);
+
+  test('aplica las operaciones en orden', async () => {
+    const padre = await crearRol({ nombre: 'Padre' });
+    const rol = await crearRol({ nombre: 'Editor', descripcion: 'Edita contenido', rol_padre_id: padre.id });
+
+    const res = await jsonPatch(rol.id, [
+      { op: 'test', path: '/nombre', value: 'Editor' },
+      { op: 'copy', from: '/nombre', path: '/descripcion' },
+      { op: 'replace', path: '/nombre', value: 'Redactor' },
+      { op: 'remove', path: '/rol_padre_id' }
+    ]);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.nombre, 'Redactor');
+    assert.equal(res.body.data.descripcion, 'Editor');
+    assert.equal(res.body.data.rol_padre_id, null);
+  });
+
+  test('responde 409 si una operación test no se cumple y no modifica nada', async () => {
+    const rol = await crearRol({ nombre: 'Editor' });
+
+    const res = await jsonPatch(rol.id, [
+      { op: 'replace', path: '/descripcion', value: 'Nueva' },
+      { op: 'test', path: '/nombre', value: 'Otro' }
+    ]);
+
+    assertError(res, 409, 'PATCH_TEST_FAILED');
+    assert.deepEqual(res.body.details, { operacion: 1, path: '/nombre' });
+
+    const [actual] = await sql`SELECT descripcion, version FROM public.roles WHERE id = ${rol.id}`;
+    assert.deepEqual({ ...actual }, { descripcion: null, version: 1 });
+  });
+
+  test('responde 400 si el resultado no es un rol válido', async () => {
+    const res = await jsonPatch(2, [{ op: 'remove', path: '/nombre' }]);
+
+    assertError(res, 400, 'VALIDATION_ERROR');
+    assert.equal(res.body.details[0].campo, 'nombre');
+  });
+
+  test('responde 400 si la operación no aplica a un campo del rol', async () => {
+    assertError(await jsonPatch(2, [{ op: 'replace', path: '/id', value: 5 }]), 400, 'VALIDATION_ERROR');
+    assertError(await jsonPatch(2, [{ op: 'add', path: '/descripcion' }]), 400, 'INVALID_PATCH');
+  });
+});
+
+describe('DELETE /api/roles/:id', () => {
+  test('desactiva el rol sin borrarlo', async () => {
+    const rol = await crearRol({ nombre: 'Temporal' });
+
+    const res = await request(app).delete(`/api/roles/${rol.id}`).set('Authorization', admin);
+    assert.equal(res.status, 200);
+
+    const [guardado] = await sql`SELECT activo FROM public.roles WHERE id = ${rol.id}`;
+    assert.equal(guardado.activo, false);
+  });
+
+  test('responde 404 si no existe', async () => {
+    const res = await request(app).delete('/api/roles/999').set('Authorization', admin);
+
+    assertError(res, 404, 'NOT_FOUND');
+  });
+
+  test('responde 409 si el rol ya estaba eliminado', async () => {
+    const rol = await crearRol({ nombre: 'Temporal', activo: false });
+
+    const res = await request(app).delete(`/api/roles/${rol.id}`).set('Authorization', admin);
+
+    assertError(res, 409, 'ROLE_ALREADY_INACTIVE');
+  });
+
+  test('responde 409 si usuarios tienen el rol y no se indica reasignar_a', async () => {
+    const rol = await crearRol({ nombre: 'Editor' });
+    const { usuario } = await crearUsuario({ email: 'editor@test.com', roles: ['Editor'] });
+
+    const res = await request(app).delete(`/api/roles/${rol.id}`).set('Authorization', admin);
+
+    assertError(res, 409, 'ROLE_IN_USE');
+    assert.deepEqual(res.body.details, { usuarios: [usuario.id] });
+
+    const [guardado] = await sql`SELECT activo FROM public.roles WHERE id = ${rol.id}`;
+    assert.equal(guardado.activo, true);
+  });
+
+  test('pasa los usuarios al rol indicado en reasignar_a', async () => {
+    const rol = await crearRol({ nombre: 'Editor' });
+    const { usuario } = await crearUsuario({ email: 'editor@test.com', roles: ['Editor'] });
+
+    const res = await request(app).delete(`/api/roles/${rol.id}?reasignar_a=2`).set('Authorization', admin);
+    assert.equal(res.status, 200);
+
+    const asignados = await sql`SELECT rol_id FROM public.usuario_roles WHERE usuario_id = ${usuario.id}`;
+    assert.deepEqual(asignados.map((asignacion) => asignacion.rol_id), [2]);
+  });
+
+  test('rechaza reasignar a un rol inactivo o inexistente', async () => {
+    const rol = await crearRol({ nombre: 'Editor' });
+    const inactivo = await crearRol({ nombre: 'Inactivo', activo: false });
+    await crearUsuario({ email: 'editor@test.com', roles: ['Editor'] });
+
+    const aInactivo = await request(app)
+      .delete(`/api/roles/${rol.id}?reasignar_a=${inactivo.id}`)
+      .set('Authorization', admin);
+    assertError(aInactivo, 400, 'INACTIVE_ROLES');
+
+    const aInexistente = await request(app)
+      .delete(`/api/roles/${rol.id}?reasignar_a=999`)
+      .set('Authorization', admin);
+    assertError(aInexistente, 404, 'NOT_FOUND');
+  });
+});
+
+describe('Desactivar un rol en uso con PATCH', () => {
+  test('responde 409 salvo que se indique reasignar_a', async () => {
+    const rol = await crearRol({ nombre: 'Editor' });
+    await crearUsuario({ email: 'editor@test.com', roles: ['Editor'] });
+
+    const rechazado = await request(app)
+      .patch(`/api/roles/${rol.id}`)
+      .set('Authorization', admin)
+      .type('application/merge-patch+json')
+      .send({ activo: false });
+    assertError(rechazado, 409, 'ROLE_IN_USE');
+
+    const reasignado = await request(app)
+      .patch(`/api/roles/${rol.id}?reasignar_a=2`)
+      .set('Authorization', admin)
+      .type('application/merge-patch+json')
+      .send({ activo: false });
+    assert.equal(reasignado.status, 200);
+    assert.equal(reasignado.body.data.activo, false);
+  });
+});
+
+describe('POST /api/roles/:id/restaurar', () => {
+  test('vuelve a activar un rol eliminado', async () => {
+    const rol = await crearRol({ nombre: 'Temporal' });
+    await request(app).delete(`/api/roles/${rol.id}`).set('Authorization', admin);
+
+    const res = await request(app).post(`/api/roles/${rol.id}/restaurar`).set('Authorization', admin);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.activo, true);
+  });
+
+  test('responde 409 si el rol no está eliminado', async () => {
+    const res = await request(app).post('/api/roles/2/restaurar').set('Authorization', admin);
+
+    assertError(res, 409, 'ROLE_ALREADY_ACTIVE');
+  });
+
+  test('responde 404 si no existe', async () => {
+    const res = await request(app).post('/api/roles/999/restaurar').set('Authorization', admin);
+
+    assertError(res, 404, 'NOT_FOUND');
+  });
+});
+
+describe('DELETE /api/roles/:id/permanente', () => {
+  test('borra un rol eliminado junto con sus permisos', async () => {
+    const rol = await crearRol({ nombre: 'Temporal', activo: false });
+    await sql`
+      INSERT INTO public.rol_permisos (rol_id, permiso_id)
+      SELECT ${rol.id}, id FROM public.permisos WHERE codigo = 'roles:read'
+    `;
+
+    const res = await request(app).delete(`/api/roles/${rol.id}/permanente`).set('Authorization', admin);
+    assert.equal(res.status, 200);
+
+    const restantes = await sql`SELECT id FROM public.roles WHERE id = ${rol.id}`;
+    assert.equal(restantes.length, 0);
+
+    // El historial sobrevive al rol
+    const historial = await request(app).get(`/api/roles/${rol.id}/historial`).set('Authorization', admin);
+    assert.equal(historial.status, 200);
+    assert.equal(historial.body.data[0].accion, 'eliminar_definitivo');
+  });
+
+  test('responde 409 si el rol sigue activo o tiene hijos', async () => {
+    const activo = await crearRol({ nombre: 'Activo' });
+    const padre = await crearRol({ nombre: 'Padre', activo: false });
+    const hijo = await crearRol({ nombre: 'Hijo', rol_padre_id: padre.id });
+
+    const resActivo = await request(app).delete(`/api/roles/${activo.id}/permanente`).set('Authorization', admin);
+    assertError(resActivo, 409, 'ROLE_ACTIVE');
+
+    const resPadre = await request(app).delete(`/api/roles/${padre.id}/permanente`).set('Authorization', admin);
+    assertError(resPadre, 409, 'ROLE_HAS_CHILDREN');
+    assert.deepEqual(resPadre.body.details, { roles: [hijo.id] });
+  });
+
+  test('exige reasignar a los usuarios que conservan el rol', async () => {
+    const rol = await crearRol({ nombre: 'Temporal', activo: false });
+    const { usuario } = await crearUsuario({ email: 'temporal@test.com', roles: ['Temporal'] });
+
+    const rechazado = await request(app).delete(`/api/roles/${rol.id}/permanente`).set('Authorization', admin);
+    assertError(rechazado, 409, 'ROLE_IN_USE');
+
+    const res = await request(app)
+      .delete(`/api/roles/${rol.id}/permanente?reasignar_a=2`)
+      .set('Authorization', admin);
+    assert.equal(res.status, 200);
+
+    const asignados = await sql`SELECT rol_id FROM public.usuario_roles WHERE usuario_id = ${usuario.id}`;
+    assert.deepEqual(asignados.map((asignacion) => asignacion.rol_id), [2]);
+  });
+
+  test('requiere el permiso roles:purge', async () => {
+    const { authorization } = await crearUsuario({ email: 'consulta@test.com', roles: ['Consulta'] });
+    const rol = await crearRol({ nombre: 'Temporal', activo: false });
+
+    const res = await request(app).delete(`/api/roles/${rol.id}/permanente`).set('Authorization', authorization);
+
+    assertError(res, 403, 'FORBIDDEN');
+    assert.deepEqual(res.body.details, { permisos: ['roles:purge'] });
+  });
+});
+
+describe('Permisos de un rol', () => {
+  test('GET /api/roles/:id/permisos lista los permisos propios', async () => {
+    const res = await request(app).get('/api/roles/2/permisos').set('Authorization', admin);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.data.map((permiso) => permiso.codigo),
+      ['auditoria:read', 'permisos:read', 'roles:read', 'usuarios:read', 'webhooks:read']
+    );
+  });
+
+  test('GET /api/roles/:id/permisos responde 404 si el rol no existe', async () => {
+    const res = await request(app).get('/api/roles/999/permisos').set('Authorization', admin);
+
+    assertError(res, 404, 'NOT_FOUND');
+  });
+
+  test('PUT /api/roles/:id/permisos reemplaza el conjunto', async () => {
+    const res = await request(app)
+      .put('/api/roles/2/permisos')
+      .set('Authorization', admin)
+      .send({ permisos: ['roles:read', 'roles:update', 'roles:read'] });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.map((permiso) => permiso.codigo), ['roles:read', 'roles:update']);
+  });
+
+  test('PUT /api/roles/:id/permisos responde 400 con los códigos inexistentes', async () => {
+    const res = await request(app)
+      .put('/api/roles/2/permisos')
+      .set('Authorization', admin)
+      .send({ permisos: ['roles:read', 'roles:volar'] });
+
+    assertError(res, 400, 'UNKNOWN_PERMISSIONS');
+    assert.deepEqual(res.body.details, { permisos: ['roles:volar'] });
+
+    // El rechazo no debe dejar el rol a medio actualizar
+    const actuales = await request(app).get('/api/roles/2/permisos').set('Authorization', admin);
+    assert.equal(actuales.body.data.length, 5);
+  });
+
+  test('PUT /api/roles/:id/permisos responde 404 si el rol no existe', async () => {
+    const res = await request(app)
+      .put('/api/roles/999/permisos')
+      .set('Authorization', admin)
+      .send({ permisos: [] });
+
+    assertError(res, 404, 'NOT_FOUND');
+  });
+
+  test('GET /api/roles/:id/permisos/efectivos incluye los heredados de ancestros activos', async () => {
+    const hijo = await crearRol({ nombre: 'Hijo', rol_padre_id: 2 });
+
+    const res = await request(app)
+      .get(`/api/roles/${hijo.id}/permisos/efectivos`)
+      .set('Authorization', admin);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.length, 5);
+    assert.ok(res.body.data.every((permiso) => permiso.heredado && permiso.otorgado_por.id === 2));
+
+    await sql`UPDATE public.roles SET activo = false WHERE id = 2`;
+
+    const sinHerencia = await request(app)
+      .get(`/api/roles/${hijo.id}/permisos/efectivos`)
+      .set('Authorization', admin);
+
+    assert.deepEqual(sinHerencia.body.data, []);
+  });
+
+  test('GET /api/roles/:id/permisos/efectivos responde 404 si el rol no existe', async () => {
+    const res = await request(app).get('/api/roles/999/permisos/efectivos').set('Authorization', admin);
+
+    assertError(res, 404, 'NOT_FOUND');
+  });
+});
+
+describe('POST /api/roles/bulk', () => {
+  const lote = (body) => request(app).post('/api/roles/bulk').set('Authorization', admin).send(body);
+
+  test('aplica crear, actualizar y desactivar en una transacción', async () => {
+    const editar = await crearRol({ nombre: 'Editar' });
+    const desactivar = await crearRol({ nombre: 'Desactivar' });
+
+    const res = await lote({
+      operaciones: [
+        { accion: 'crear', datos: { nombre: 'Nuevo' } },
+        { accion: 'actualizar', id: editar.id, datos: { descripcion: 'Editado' } },
+        { accion: 'desactivar', id: desactivar.id }
+      ]
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.dry_run, false);
+    assert.deepEqual(res.body.data.map((resultado) => resultado.estado), ['ok', 'ok', 'ok']);
+    assert.equal(res.body.data[0].data.nombre, 'Nuevo');
+
+    const roles = await sql`
+      SELECT nombre, descripcion, activo FROM public.roles
+      WHERE nombre IN ('Nuevo', 'Editar', 'Desactivar')
+      ORDER BY nombre
+    `;
+    assert.deepEqual(roles.map((rol) => [rol.nombre, rol.descripcion, rol.activo]), [
+      ['Desactivar', null, false],
+      ['Editar', 'Editado', true],
+      ['Nuevo', null, true]
+    ]);
+  });
+
+  test('no aplica nada si una operación falla e informa cada resultado', async () => {
+    const res = await lote({
+      operaciones: [
+        { accion: 'crear', datos: { nombre: 'Nuevo' } },
+        { accion: 'crear', datos: { nombre: 'Consulta' } },
+        { accion: 'desactivar', id: 999 }
+      ]
+    });
+
+    assertError(res, 409, 'BULK_OPERATIONS_FAILED');
+    const { resultados } = res.body.details;
+    assert.deepEqual(resultados.map((resultado) => resultado.estado), ['ok', 'error', 'error']);
+    assert.equal(resultados[1].error.code, 'DUPLICATE_VALUE');
+    assert.equal(resultados[2].error.code, 'NOT_FOUND');
+
+    const nuevos = await sql`SELECT id FROM public.roles WHERE nombre = 'Nuevo'`;
+    assert.equal(nuevos.length, 0);
+
+    const [{ total }] = await sql`SELECT count(*)::int AS total FROM public.auditoria`;
+    assert.equal(total, 0);
+  });
+
+  test('dry_run informa los conflictos sin confirmar cambios', async () => {
+    const res = await lote({
+      dry_run: true,
+      operaciones: [
+        { accion: 'crear', datos: { nombre: 'Nuevo' } },
+        { accion: 'crear', datos: { nombre: 'Nuevo' } }
+      ]
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.dry_run, true);
+    assert.equal(res.body.data[0].estado, 'ok');
+    assert.equal(res.body.data[1].estado, 'error');
+    assert.equal(res.body.data[1].error.code, 'DUPLICATE_VALUE');
+
+    const nuevos = await sql`SELECT id FROM public.roles WHERE nombre = 'Nuevo'`;
+    assert.equal(nuevos.length, 0);
+  });
+
+  test('valida la forma de cada operación según su acción', async () => {
+    const res = await lote({
+      operaciones: [
+        { accion: 'actualizar', datos: { nombre: 'Sin id' } },
+        { accion: 'borrar', id: 1 }
+      ]
+    });
+
+    assertError(res, 400, 'VALIDATION_ERROR');
+    assert.deepEqual(
+      res.body.details.map((error) => error.campo).sort(),
+      ['operaciones.0.id', 'operaciones.1.accion']
+    );
+  });
+});
+
+/**
+ * Parser de supertest que deja el cuerpo como texto (para las respuestas CSV)
+ */
+function leerTexto(respuesta, fin) {
+  let texto = '';
+  respuesta.setEncoding('utf8');
+  respuesta.on('data', (parte) => { texto += parte; });
+  respuesta.on('end', () => fin(null, texto));
+}
+
+describe('GET /api/roles/export', () => {
+  test('exporta JSON con los mismos filtros que el listado', async () => {
+    await crearRol({ nombre: 'Inactivo', activo: false });
+
+    const res = await request(app).get('/api/roles/export?activo=true').set('Authorization', admin);
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-type'], /application\/json/);
+    assert.match(res.headers['content-disposition'], /attachment; filename="roles-.*\.json"/);
+    assert.deepEqual(res.body.map((rol) => rol.nombre), ['Administrador', 'Consulta']);
+  });
+
+  test('exporta un array vacío si ningún rol cumple los filtros', async () => {
+    const res = await request(app).get('/api/roles/export?q=nada').set('Authorization', admin);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, []);
+  });
+
+  test('exporta CSV escapando comas, comillas y fórmulas', async () => {
+    await crearRol({ nombre: 'Editor', descripcion: 'Edita, revisa y "publica"' });
+    await crearRol({ nombre: '=HYPERLINK("x")' });
+
+    const res = await request(app)
+      .get('/api/roles/export?format=csv')
+      .set('Authorization', admin)
+      .parse(leerTexto);
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-type'], /text\/csv/);
+
+    const lineas = res.body.replace(/^\uFEFF/, '').trimEnd().split('\r\n');
+    assert.equal(lineas[0], 'id,nombre,descripcion,activo,rol_padre_id,fecha_creacion,fecha_actualizacion');
+    assert.equal(lineas.length, 5);
+    assert.match(lineas[3], /^3,Editor,"Edita, revisa y ""publica""",true,,/);
+    assert.match(lineas[4], /^4,"'=HYPERLINK\(""x""\)",,true,,/);
+  });
+});
+
+describe('POST /api/roles/import', () => {
+  test('acepta un JSON de 1000 filas más grande que BODY_LIMIT', async () => {
+    const filas = Array.from({ length: 1000 }, (_, i) => ({
+      nombre: `Importado ${String(i).padStart(4, '0')}`,
+      descripcion: 'Rol importado desde un archivo JSON generado por la prueba de carga'
+    }));
+    assert.ok(JSON.stringify(filas).length > 100 * 1024);
+
+    const res = await request(app)
+      .post('/api/roles/import')
+      .set('Authorization', admin)
+      .send(filas);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.resumen.creados, 1000);
+  });
+
+  test('sin token responde 401 sin leer el cuerpo', async () => {
+    // Si se parseara, un cuerpo mayor a 1 MB respondería 413 y uno mal formado 400
+    const grande = await request(app)
+      .post('/api/roles/import')
+      .set('Content-Type', 'application/json')
+      .send(`[${'"x",'.repeat(600 * 1024)}"x"]`);
+    assertError(grande, 401, 'UNAUTHORIZED');
+
+    const malFormado = await request(app)
+      .post('/api/roles/import/')
+      .set('Content-Type', 'application/json')
+      .send('[{"nombre":');
+    assertError(malFormado, 401, 'UNAUTHORIZED');
+  });
+
+  test('importa un CSV haciendo upsert por nombre y reporta cada fila', async () => {
+    await crearRol({ nombre: 'Editor', descripcion: 'Anterior' });
+
+    const csv = [
+      'id,nombre,descripcion,activo,rol_padre_id',
+      ',Editor,"Edita, revisa",,',
+      ',Revisor,,false,2',
+      ',Consulta,Acceso de solo lectura,,',
+      ',,Sin nombre,,',
+      ',Huérfano,,,999'
+    ].join('\r\n');
+
+    const res = await request(app)
+      .post('/api/roles/import')
+      .set('Authorization', admin)
+      .set('Content-Type', 'text/csv')
+      .send(csv);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.resumen, {
+      total: 5,
+      creados: 1,
+      actualizados: 1,
+      sin_cambios: 1,
+      rechazados: 2
+    });
+    assert.deepEqual(
+      res.body.data.filas.map((fila) => [fila.fila, fila.estado]),
+      [[2, 'actualizado'], [3, 'creado'], [4, 'sin_cambios'], [5, 'rechazado'], [6, 'rechazado']]
+    );
+    assert.equal(res.body.data.filas[3].errores[0].campo, 'nombre');
+    assert.equal(res.body.data.filas[4].errores[0].code, 'NOT_FOUND');
+
+    const roles = await sql`
+      SELECT nombre, descripcion, activo, rol_padre_id FROM public.roles
+      WHERE nombre IN ('Editor', 'Revisor')
+      ORDER BY nombre
+    `;
+    assert.deepEqual(roles.map((rol) => ({ ...rol })), [
+      { nombre: 'Editor', descripcion: 'Edita, revisa', activo: true, rol_padre_id: null },
+      { nombre: 'Revisor', descripcion: null, activo: false, rol_padre_id: 2 }
+    ]);
+  });
+
+  test('importa un array JSON validando cada elemento contra RolInput', async () => {
+    const res = await request(app)
+      .post('/api/roles/import')
+      .set('Authorization', admin)
+      .send([
+        { nombre: 'Editor', descripcion: 'Edita contenido' },
+        { nombre: 'Revisor', activo: 'si' }
+      ]);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.filas.map((fila) => fila.estado), ['creado', 'rechazado']);
+    assert.deepEqual(res.body.data.filas[1].errores, [
+      { ubicacion: 'fila', campo: 'activo', mensaje: 'Debe ser de tipo boolean' }
+    ]);
+  });
+
+  test('lo exportado en CSV se puede volver a importar sin cambios', async () => {
+    await crearRol({ nombre: '-Negativo', descripcion: 'Con "comillas", y comas' });
+
+    const exportado = await request(app)
+      .get('/api/roles/export?format=csv')
+      .set('Authorization', admin)
+      .parse(leerTexto);
+
+    const res = await request(app)
+      .post('/api/roles/import')
+      .set('Authorization', admin)
+      .set('Content-Type', 'text/csv')
+      .send(exportado.body);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.filas.map((fila) => fila.estado), ['sin_cambios', 'sin_cambios', 'sin_cambios']);
+  });
+
+  test('rechaza un CSV sin columna nombre o mal formado', async () => {
+    const sinNombre = await request(app)
+      .post('/api/roles/import')
+      .set('Authorization', admin)
+      .set('Content-Type', 'text/csv')
+      .send('descripcion\nAlgo');
+    assertError(sinNombre, 400, 'INVALID_CSV');
+
+    const malFormado = await request(app)
+      .post('/api/roles/import')
+      .set('Authorization', admin)
+      .set('Content-Type', 'text/csv')
+      .send('nombre\n"Sin cerrar');
+    assertError(malFormado, 400, 'INVALID_CSV');
+  });
+});
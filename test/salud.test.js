@@ -0,0 +1,134 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import request from 'supertest';
+import app from '../app.js';
+import { apagarServidor, estaApagando } from '../utils/apagado.js';
+import { cerrarConexion, prepararBaseDeDatos, sql } from './helpers.js';
+
+before(prepararBaseDeDatos);
+
+after(cerrarConexion);
+
+describe('GET /health/live', () => {
+  test('responde 200 sin autenticación', async () => {
+    const res = await request(app).get('/health/live');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.estado, 'ok');
+    assert.equal(typeof res.body.data.uptime_s, 'number');
+  });
+});
+
+describe('GET /health/ready', () => {
+  test('informa la latencia de la base y el estado de las migraciones', async () => {
+    const res = await request(app).get('/health/ready');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.estado, 'listo');
+    assert.equal(res.body.data.base_de_datos.conectada, true);
+    assert.equal(typeof res.body.data.base_de_datos.latencia_ms, 'number');
+    assert.deepEqual(res.body.data.migraciones, { pendientes: [], faltantes: [] });
+  });
+
+  test('responde 503 si hay migraciones pendientes', async () => {
+    const [ultima] = await sql`
+      DELETE FROM public.schema_migraciones
+      WHERE nombre = (SELECT max(nombre) FROM public.schema_migraciones)
+      RETURNING nombre, fecha_aplicacion
+    `;
+
+    try {
+      const res = await request(app).get('/health/ready');
+
+      assert.equal(res.status, 503);
+      assert.equal(res.body.code, 'NOT_READY');
+      assert.deepEqual(res.body.details.migraciones.pendientes, [ultima.nombre]);
+    } finally {
+      await sql`INSERT INTO public.schema_migraciones ${sql(ultima)}`;
+    }
+  });
+
+  test('sin la tabla de control responde 503 sin crearla', async () => {
+    await sql`ALTER TABLE public.schema_migraciones RENAME TO schema_migraciones_respaldo`;
+
+    try {
+      const res = await request(app).get('/health/ready');
+
+      assert.equal(res.status, 503);
+      assert.equal(res.body.code, 'NOT_READY');
+      assert.ok(res.body.details.migraciones.pendientes.length > 0);
+
+      const [{ existe }] = await sql`SELECT to_regclass('public.schema_migraciones') IS NOT NULL AS existe`;
+      assert.equal(existe, false);
+    } finally {
+      await sql`ALTER TABLE public.schema_migraciones_respaldo RENAME TO schema_migraciones`;
+    }
+  });
+
+  test('sin la columna checksum responde 503 sin agregarla', async () => {
+    await sql`ALTER TABLE public.schema_migraciones RENAME COLUMN checksum TO checksum_respaldo`;
+
+    try {
+      const res = await request(app).get('/health/ready');
+
+      assert.equal(res.status, 503);
+      assert.equal(res.body.code, 'NOT_READY');
+
+      const columnas = await sql`
+        SELECT column_name FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = 'schema_migraciones' AND column_name = 'checksum'
+      `;
+      assert.equal(columnas.length, 0);
+    } finally {
+      await sql`ALTER TABLE public.schema_migraciones RENAME COLUMN checksum_respaldo TO checksum`;
+    }
+  });
+});
+
+// Va al final: después de apagarServidor la aplicación queda marcada como apagándose
+describe('Apagado ordenado', () => {
+  test('termina las requests en curso, rechaza conexiones nuevas y después cierra los recursos', async () => {
+    let liberar;
+    const eventos = [];
+    const lenta = express();
+    lenta.get('/lenta', async (req, res) => {
+      res.on('finish', () => eventos.push('respuesta'));
+      await new Promise((resolve) => { liberar = resolve; });
+      res.json({ terminada: true });
+    });
+
+    const servidor = lenta.listen(0);
+    await new Promise((resolve) => servidor.once('listening', resolve));
+    const url = `http://127.0.0.1:${servidor.address().port}`;
+
+    const enCurso = fetch(`${url}/lenta`);
+    while (!liberar) await new Promise((resolve) => setImmediate(resolve));
+
+    const apagado = apagarServidor(servidor, {
+      plazo: 5000,
+      alCerrar: async () => { eventos.push('alCerrar'); }
+    });
+
+    assert.equal(estaApagando(), true);
+    await assert.rejects(fetch(`${url}/lenta`));
+
+    liberar();
+    const res = await enCurso;
+    assert.deepEqual(await res.json(), { terminada: true });
+
+    await apagado;
+    assert.deepEqual(eventos, ['respuesta', 'alCerrar']);
+  });
+
+  test('/health/ready responde 503 mientras el servidor se apaga', async () => {
+    const res = await request(app).get('/health/ready');
+
+    assert.equal(res.status, 503);
+    assert.equal(res.body.code, 'NOT_READY');
+    assert.deepEqual(res.body.details, { apagando: true });
+
+    const vivo = await request(app).get('/health/live');
+    assert.equal(vivo.status, 200);
+  });
+});
@@ -0,0 +1,236 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import app from '../app.js';
+import {
+  cerrarConexion,
+  crearOrganizacion,
+  crearUsuario,
+  limpiarBaseDeDatos,
+  prepararBaseDeDatos
+} from './helpers.js';
+
+let admin;
+
+before(prepararBaseDeDatos);
+
+beforeEach(async () => {
+  await limpiarBaseDeDatos();
+  ({ authorization: admin } = await crearUsuario());
+});
+
+after(cerrarConexion);
+
+/**
+ * Comprueba el formato común de las respuestas de error
+ */
+function assertError(res, status, code) {
+  assert.equal(res.status, status);
+  assert.equal(res.body.success, false);
+  assert.equal(res.body.code, code);
+}
+
+const emails = (res) => res.body.data.map((usuario) => usuario.email);
+
+describe('GET /api/usuarios', () => {
+  test('pagina por cursor hacia adelante y hacia atrás', async () => {
+    for (const email of ['b@test.com', 'c@test.com', 'd@test.com']) {
+      await crearUsuario({ email, roles: [] });
+    }
+
+    const pedir = (query) => request(app).get(`/api/usuarios?sort=email&limit=2${query}`).set('Authorization', admin);
+
+    const primera = await pedir('');
+    assert.equal(primera.status, 200);
+    assert.deepEqual(emails(primera), ['admin@test.com', 'b@test.com']);
+    assert.equal(primera.body.meta.total, 4);
+    assert.equal(primera.body.meta.sort, 'email');
+    assert.equal(primera.body.meta.cursor_anterior, null);
+    assert.deepEqual(primera.body.data[0].roles.map((rol) => rol.nombre), ['Administrador']);
+
+    const segunda = await pedir(`&cursor=${primera.body.meta.cursor_siguiente}`);
+    assert.deepEqual(emails(segunda), ['c@test.com', 'd@test.com']);
+    assert.equal(segunda.body.meta.cursor_siguiente, null);
+
+    const volver = await pedir(`&cursor=${segunda.body.meta.cursor_anterior}`);
+    assert.deepEqual(emails(volver), ['admin@test.com', 'b@test.com']);
+  });
+
+  test('aplica los filtros a la página y al total', async () => {
+    await crearUsuario({ email: 'lector@test.com', roles: ['Consulta'] });
+    await crearUsuario({ email: 'otro@test.com', roles: ['Consulta'] });
+
+    const res = await request(app)
+      .get('/api/usuarios?rol_id=2&limit=1&sort=email')
+      .set('Authorization', admin);
+
+    assert.deepEqual(emails(res), ['lector@test.com']);
+    assert.equal(res.body.meta.total, 2);
+    assert.notEqual(res.body.meta.cursor_siguiente, null);
+  });
+
+  test('rechaza un cursor inválido y campos de orden no permitidos', async () => {
+    const cursor = await request(app).get('/api/usuarios?cursor=no-es-un-cursor').set('Authorization', admin);
+    assertError(cursor, 400, 'INVALID_CURSOR');
+
+    const sort = await request(app).get('/api/usuarios?sort=apellido').set('Authorization', admin);
+    assertError(sort, 400, 'VALIDATION_ERROR');
+  });
+
+  test('rechaza un cursor con valores que no corresponden al tipo de la columna', async () => {
+    await crearUsuario({ email: 'b@test.com', roles: [] });
+
+    const pedir = (sort, cursor) => request(app)
+      .get(`/api/usuarios?sort=${sort}&limit=1${cursor ? `&cursor=${cursor}` : ''}`)
+      .set('Authorization', admin);
+    const adulterar = (cursor, v) => Buffer.from(JSON.stringify({
+      ...JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8')),
+      v
+    })).toString('base64url');
+
+    // timestamptz: el cursor legítimo sirve, uno con otro valor en la fecha no
+    const porFecha = await pedir('fecha_creacion');
+    const legitimo = porFecha.body.meta.cursor_siguiente;
+    assert.equal((await pedir('fecha_creacion', legitimo)).status, 200);
+    const [fecha, id] = JSON.parse(Buffer.from(legitimo, 'base64url').toString('utf8')).v;
+
+    for (const v of [['abc', id], ['2024-02-31 10:00:00+00', id], [123, id], [fecha, 'abc'], [fecha, 1.5], [fecha, 2 ** 31]]) {
+      assertError(await pedir('fecha_creacion', adulterar(legitimo, v)), 400, 'INVALID_CURSOR');
+    }
+
+    // integer
+    const porId = (await pedir('id')).body.meta.cursor_siguiente;
+    assert.equal((await pedir('id', porId)).status, 200);
+    for (const v of [['abc', 1], ['1.5', 1], ['99999999999', 1], [null, 1]]) {
+      assertError(await pedir('id', adulterar(porId, v)), 400, 'INVALID_CURSOR');
+    }
+
+    // text: cualquier string salvo el carácter nulo
+    const porEmail = (await pedir('email')).body.meta.cursor_siguiente;
+    assert.equal((await pedir('email', adulterar(porEmail, ['zzz', 1]))).status, 200);
+    for (const v of [[5, 1], ['a\u0000b', 1]]) {
+      assertError(await pedir('email', adulterar(porEmail, v)), 400, 'INVALID_CURSOR');
+    }
+  });
+});
+
+describe('POST /api/usuarios', () => {
+  test('crea un usuario con sus roles', async () => {
+    const res = await request(app)
+      .post('/api/usuarios')
+      .set('Authorization', admin)
+      .send({ nombre: ' Ana ', email: 'Ana@Test.com', roles: [2, 2] });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.nombre, 'Ana');
+    assert.equal(res.body.data.email, 'ana@test.com');
+    assert.equal(res.body.data.activo, true);
+    assert.equal(res.body.data.organizacion_id, 1);
+    assert.deepEqual(res.body.data.roles.map((rol) => rol.nombre), ['Consulta']);
+
+    const leido = await request(app).get(`/api/usuarios/${res.body.data.id}`).set('Authorization', admin);
+    assert.equal(leido.status, 200);
+    assert.equal(leido.body.data.email, 'ana@test.com');
+  });
+
+  test('rechaza un email ya registrado', async () => {
+    const res = await request(app)
+      .post('/api/usuarios')
+      .set('Authorization', admin)
+      .send({ nombre: 'Otro', email: 'ADMIN@test.com' });
+
+    assertError(res, 409, 'DUPLICATE_VALUE');
+  });
+
+  test('rechaza roles inexistentes', async () => {
+    const res = await request(app)
+      .post('/api/usuarios')
+      .set('Authorization', admin)
+      .send({ nombre: 'Ana', email: 'ana@test.com', roles: [999] });
+
+    assertError(res, 404, 'NOT_FOUND');
+    assert.deepEqual(res.body.details.roles, [999]);
+  });
+
+  test('valida el cuerpo', async () => {
+    const res = await request(app).post('/api/usuarios').set('Authorization', admin).send({ nombre: 'Ana' });
+
+    assertError(res, 400, 'VALIDATION_ERROR');
+  });
+});
+
+describe('PUT /api/usuarios/:id', () => {
+  test('actualiza solo los campos enviados', async () => {
+    const { usuario } = await crearUsuario({ email: 'ana@test.com', roles: [] });
+
+    const res = await request(app)
+      .put(`/api/usuarios/${usuario.id}`)
+      .set('Authorization', admin)
+      .send({ apellido: 'Gómez', email: 'Ana.Gomez@test.com' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.nombre, 'Prueba');
+    assert.equal(res.body.data.apellido, 'Gómez');
+    assert.equal(res.body.data.email, 'ana.gomez@test.com');
+  });
+
+  test('rechaza el email de otro usuario', async () => {
+    const { usuario } = await crearUsuario({ email: 'ana@test.com', roles: [] });
+
+    const res = await request(app)
+      .put(`/api/usuarios/${usuario.id}`)
+      .set('Authorization', admin)
+      .send({ email: 'admin@test.com' });
+
+    assertError(res, 409, 'DUPLICATE_VALUE');
+  });
+});
+
+describe('DELETE /api/usuarios/:id', () => {
+  test('desactiva al usuario sin borrarlo', async () => {
+    const { usuario, authorization } = await crearUsuario({ email: 'ana@test.com', roles: ['Consulta'] });
+
+    const res = await request(app).delete(`/api/usuarios/${usuario.id}`).set('Authorization', admin);
+    assert.equal(res.status, 200);
+
+    const leido = await request(app).get(`/api/usuarios/${usuario.id}`).set('Authorization', admin);
+    assert.equal(leido.body.data.activo, false);
+
+    // Sus tokens dejan de valer
+    const propio = await request(app).get('/api/auth/profile').set('Authorization', authorization);
+    assertError(propio, 401, 'INVALID_TOKEN');
+  });
+
+  test('responde 409 si el usuario ya está inactivo', async () => {
+    const { usuario } = await crearUsuario({ email: 'ana@test.com', roles: [] });
+    await request(app).delete(`/api/usuarios/${usuario.id}`).set('Authorization', admin);
+
+    const res = await request(app).delete(`/api/usuarios/${usuario.id}`).set('Authorization', admin);
+    assertError(res, 409, 'USER_ALREADY_INACTIVE');
+    assert.equal(res.body.message, 'El usuario ya está eliminado');
+  });
+});
+
+describe('Usuarios inexistentes', () => {
+  test('GET, PUT y DELETE responden 404', async () => {
+    const leer = await request(app).get('/api/usuarios/999').set('Authorization', admin);
+    assertError(leer, 404, 'NOT_FOUND');
+
+    const actualizar = await request(app).put('/api/usuarios/999').set('Authorization', admin).send({ nombre: 'X' });
+    assertError(actualizar, 404, 'NOT_FOUND');
+
+    const eliminar = await request(app).delete('/api/usuarios/999').set('Authorization', admin);
+    assertError(eliminar, 404, 'NOT_FOUND');
+  });
+
+  test('los usuarios de otra organización no existen para esta', async () => {
+    const otra = await crearOrganizacion('Otra');
+    const { usuario } = await crearUsuario({ email: 'ajeno@otra.com', organizacion_id: otra.id });
+
+    const leer = await request(app).get(`/api/usuarios/${usuario.id}`).set('Authorization', admin);
+    assertError(leer, 404, 'NOT_FOUND');
+
+    const eliminar = await request(app).delete(`/api/usuarios/${usuario.id}`).set('Authorization', admin);
+    assertError(eliminar, 404, 'NOT_FOUND');
+  });
+});
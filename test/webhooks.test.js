@@ -0,0 +1,409 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import request from 'supertest';
+import app from '../app.js';
+import config from '../config/config.js';
+import DespachadorWebhooks, { esperaDeReintento } from '../services/despachador-webhooks.js';
+import { verificarFirmaWebhook } from '../utils/webhooks.js';
+import {
+  cerrarConexion,
+  crearOrganizacion,
+  crearRol,
+  crearUsuario,
+  limpiarBaseDeDatos,
+  prepararBaseDeDatos,
+  sql
+} from './helpers.js';
+
+let admin;
+let otra;
+let adminOtra;
+
+// Receptor de prueba: guarda cada request y responde con `estado`
+const receptor = {
+  servidor: null,
+  url: null,
+  recibidas: [],
+  estado: 200
+};
+
+before(async () => {
+  await prepararBaseDeDatos();
+
+  receptor.servidor = http.createServer((req, res) => {
+    let cuerpo = '';
+    req.setEncoding('utf8');
+    req.on('data', (parte) => { cuerpo += parte; });
+    req.on('end', () => {
+      receptor.recibidas.push({ headers: req.headers, cuerpo });
+      res.writeHead(receptor.estado).end();
+    });
+  });
+
+  await new Promise((resolve) => receptor.servidor.listen(0, '127.0.0.1', resolve));
+  receptor.url = `http://127.0.0.1:${receptor.servidor.address().port}/eventos`;
+});
+
+beforeEach(async () => {
+  await limpiarBaseDeDatos();
+  ({ authorization: admin } = await crearUsuario());
+  otra = await crearOrganizacion('Otra');
+  ({ authorization: adminOtra } = await crearUsuario({ email: 'admin@otra.com', organizacion_id: otra.id }));
+  receptor.recibidas = [];
+  receptor.estado = 200;
+});
+
+after(async () => {
+  await new Promise((resolve) => receptor.servidor.close(resolve));
+  await cerrarConexion();
+});
+
+function nuevoDespachador(opciones = {}) {
+  return new DespachadorWebhooks({ timeout: 2000, maxIntentos: 3, esperaBase: 30, ...opciones });
+}
+
+async function registrarWebhook(datos = {}, authorization = admin) {
+  const res = await request(app)
+    .post('/api/webhooks')
+    .set('Authorization', authorization)
+    .send({ url: receptor.url, eventos: ['rol.creado', 'rol.desactivado'], ...datos });
+
+  assert.equal(res.status, 201);
+  return res.body.data;
+}
+
+// Simula que pasó el tiempo de espera de los reintentos
+async function vencerReintentos() {
+  await sql`UPDATE public.webhook_entregas SET proximo_intento = CURRENT_TIMESTAMP WHERE estado = 'pendiente'`;
+}
+
+describe('Administración de webhooks', () => {
+  test('el secreto solo se muestra al crear el webhook', async () => {
+    const webhook = await registrarWebhook({ descripcion: 'Inventario' });
+
+    assert.match(webhook.secreto, /^whsec_/);
+    assert.deepEqual(webhook.eventos, ['rol.creado', 'rol.desactivado']);
+    assert.equal(webhook.activo, true);
+
+    const obtenido = await request(app).get(`/api/webhooks/${webhook.id}`).set('Authorization', admin);
+    assert.equal(obtenido.status, 200);
+    assert.equal(obtenido.body.data.descripcion, 'Inventario');
+    assert.equal(obtenido.body.data.secreto, undefined);
+
+    const lista = await request(app).get('/api/webhooks').set('Authorization', admin);
+    assert.deepEqual(lista.body.data.map((item) => item.id), [webhook.id]);
+    assert.equal(lista.body.data[0].secreto, undefined);
+  });
+
+  test('actualiza la configuración conservando el secreto y elimina el webhook', async () => {
+    const webhook = await registrarWebhook();
+
+    const actualizado = await request(app)
+      .put(`/api/webhooks/${webhook.id}`)
+      .set('Authorization', admin)
+      .send({ url: receptor.url, eventos: ['rol.eliminado', 'rol.eliminado'], activo: false });
+
+    assert.equal(actualizado.status, 200);
+    assert.deepEqual(actualizado.body.data.eventos, ['rol.eliminado']);
+    assert.equal(actualizado.body.data.activo, false);
+    assert.equal(actualizado.body.data.descripcion, null);
+
+    const [{ secreto }] = await sql`SELECT secreto FROM public.webhooks WHERE id = ${webhook.id}`;
+    assert.equal(secreto, webhook.secreto);
+
+    const eliminado = await request(app).delete(`/api/webhooks/${webhook.id}`).set('Authorization', admin);
+    assert.equal(eliminado.status, 200);
+
+    const res = await request(app).get(`/api/webhooks/${webhook.id}`).set('Authorization', admin);
+    assert.equal(res.status, 404);
+    assert.equal(res.body.message, 'Webhook no encontrado');
+  });
+
+  test('valida la URL y los tipos de evento', async () => {
+    const res = await request(app)
+      .post('/api/webhooks')
+      .set('Authorization', admin)
+      .send({ url: 'ftp://example.com', eventos: ['rol.inventado'] });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.details.map((error) => error.campo).sort(), ['eventos.0', 'url']);
+
+    const sinEventos = await request(app)
+      .post('/api/webhooks')
+      .set('Authorization', admin)
+      .send({ url: receptor.url, eventos: [] });
+
+    assert.equal(sinEventos.status, 400);
+  });
+
+  test('fuera de las pruebas rechaza las URL que resuelven a direcciones privadas', async () => {
+    const webhook = await registrarWebhook();
+    config.webhooks.permitirRedesPrivadas = false;
+
+    try {
+      const casos = [
+        [receptor.url, '127.0.0.1'],
+        ['http://localhost:8080/eventos', '127.0.0.1'],
+        ['http://169.254.169.254/latest/meta-data', '169.254.169.254'],
+        ['http://10.0.0.5/eventos', '10.0.0.5'],
+        ['http://[::1]/eventos', '::1']
+      ];
+
+      for (const [url, direccion] of casos) {
+        const res = await request(app)
+          .post('/api/webhooks')
+          .set('Authorization', admin)
+          .send({ url, eventos: ['rol.creado'] });
+
+        assert.equal(res.status, 400, url);
+        assert.equal(res.body.code, 'PRIVATE_WEBHOOK_URL');
+        assert.deepEqual(res.body.details, { url, direcciones: [direccion] });
+      }
+
+      const actualizado = await request(app)
+        .put(`/api/webhooks/${webhook.id}`)
+        .set('Authorization', admin)
+        .send({ url: 'http://192.168.1.10/eventos', eventos: ['rol.creado'] });
+      assert.equal(actualizado.status, 400);
+      assert.equal(actualizado.body.code, 'PRIVATE_WEBHOOK_URL');
+
+      const publica = await request(app)
+        .post('/api/webhooks')
+        .set('Authorization', admin)
+        .send({ url: 'http://93.184.215.14/eventos', eventos: ['rol.creado'] });
+      assert.equal(publica.status, 201);
+    } finally {
+      config.webhooks.permitirRedesPrivadas = true;
+    }
+  });
+
+  test('requiere los permisos de webhooks', async () => {
+    const { authorization: consulta } = await crearUsuario({ email: 'consulta@test.com', roles: ['Consulta'] });
+
+    const lectura = await request(app).get('/api/webhooks').set('Authorization', consulta);
+    assert.equal(lectura.status, 200);
+
+    const escritura = await request(app)
+      .post('/api/webhooks')
+      .set('Authorization', consulta)
+      .send({ url: receptor.url, eventos: ['rol.creado'] });
+    assert.equal(escritura.status, 403);
+  });
+
+  test('cada organización ve solo sus webhooks', async () => {
+    const propio = await registrarWebhook();
+
+    const res = await request(app).get(`/api/webhooks/${propio.id}`).set('Authorization', adminOtra);
+    assert.equal(res.status, 404);
+
+    const lista = await request(app).get('/api/webhooks').set('Authorization', adminOtra);
+    assert.deepEqual(lista.body.data, []);
+  });
+});
+
+describe('Outbox de eventos de roles', () => {
+  test('cada mutación de un rol registra su evento', async () => {
+    const creado = await request(app).post('/api/roles').set('Authorization', admin).send({ nombre: 'Editor' });
+    const id = creado.body.data.id;
+
+    await request(app)
+      .patch(`/api/roles/${id}`)
+      .set('Authorization', admin)
+      .type('application/merge-patch+json')
+      .send({ descripcion: 'Edita' });
+    await request(app).delete(`/api/roles/${id}`).set('Authorization', admin);
+    await request(app).post(`/api/roles/${id}/restaurar`).set('Authorization', admin);
+
+    const eventos = await sql`
+      SELECT tipo, entidad_id, datos, request_id FROM public.eventos_outbox ORDER BY id
+    `;
+
+    assert.deepEqual(eventos.map((evento) => evento.tipo), [
+      'rol.creado',
+      'rol.actualizado',
+      'rol.desactivado',
+      'rol.restaurado'
+    ]);
+    assert.ok(eventos.every((evento) => evento.entidad_id === id));
+    assert.deepEqual(eventos[1].datos.cambios.descripcion, { antes: null, despues: 'Edita' });
+    assert.equal(eventos[0].request_id, creado.headers['x-request-id']);
+  });
+
+  test('una operación revertida no deja eventos', async () => {
+    const res = await request(app)
+      .post('/api/roles/bulk')
+      .set('Authorization', admin)
+      .send({ dry_run: true, operaciones: [{ accion: 'crear', datos: { nombre: 'Editor' } }] });
+
+    assert.equal(res.status, 200);
+
+    const [{ total }] = await sql`SELECT count(*)::int AS total FROM public.eventos_outbox`;
+    assert.equal(total, 0);
+  });
+});
+
+describe('Despachador de webhooks', () => {
+  test('entrega los eventos suscriptos con una firma verificable', async () => {
+    const webhook = await registrarWebhook();
+    const rol = await crearRol({ nombre: 'Editor' });
+
+    await request(app).post('/api/roles').set('Authorization', admin).send({ nombre: 'Soporte' });
+    // rol.actualizado no está entre los eventos del webhook
+    await request(app)
+      .patch(`/api/roles/${rol.id}`)
+      .set('Authorization', admin)
+      .type('application/merge-patch+json')
+      .send({ descripcion: 'x' });
+
+    const { eventos, entregas } = await nuevoDespachador().procesar();
+
+    assert.equal(eventos, 2);
+    assert.deepEqual(entregas, ['entregada']);
+    assert.equal(receptor.recibidas.length, 1);
+
+    const [{ headers, cuerpo }] = receptor.recibidas;
+    const evento = JSON.parse(cuerpo);
+
+    assert.equal(headers['content-type'], 'application/json');
+    assert.equal(headers['x-webhook-evento'], 'rol.creado');
+    assert.equal(headers['x-webhook-id'], evento.id);
+    assert.equal(evento.tipo, 'rol.creado');
+    assert.equal(evento.organizacion_id, 1);
+    assert.equal(evento.datos.despues.nombre, 'Soporte');
+    assert.ok(verificarFirmaWebhook(webhook.secreto, {
+      timestamp: headers['x-webhook-timestamp'],
+      firma: headers['x-webhook-firma'],
+      cuerpo
+    }));
+    assert.ok(!verificarFirmaWebhook(webhook.secreto, {
+      timestamp: headers['x-webhook-timestamp'],
+      firma: headers['x-webhook-firma'],
+      cuerpo: cuerpo.replace('Soporte', 'Otro')
+    }));
+
+    const res = await request(app).get(`/api/webhooks/${webhook.id}/entregas`).set('Authorization', admin);
+    assert.equal(res.body.data[0].estado, 'entregada');
+    assert.equal(res.body.data[0].evento_tipo, 'rol.creado');
+    assert.equal(res.body.data[0].ultimo_status, 200);
+
+    // Una segunda pasada no vuelve a enviar nada
+    assert.deepEqual(await nuevoDespachador().procesar(), { eventos: 0, entregas: [] });
+  });
+
+  test('solo entrega los eventos de la organización del webhook', async () => {
+    await registrarWebhook({}, adminOtra);
+
+    await request(app).post('/api/roles').set('Authorization', admin).send({ nombre: 'Editor' });
+    await nuevoDespachador().procesar();
+
+    assert.equal(receptor.recibidas.length, 0);
+  });
+
+  test('reintenta con espera exponencial y deja la entrega como fallida al agotar los intentos', async () => {
+    const webhook = await registrarWebhook();
+    await request(app).post('/api/roles').set('Authorization', admin).send({ nombre: 'Editor' });
+    receptor.estado = 503;
+
+    const despachador = nuevoDespachador();
+    assert.deepEqual((await despachador.procesar()).entregas, ['reintento']);
+
+    const [entrega] = await sql`
+      SELECT id, intentos, ultimo_status, ultimo_error,
+        extract(epoch FROM proximo_intento - CURRENT_TIMESTAMP) AS espera
+      FROM public.webhook_entregas
+    `;
+    assert.equal(entrega.intentos, 1);
+    assert.equal(entrega.ultimo_status, 503);
+    assert.equal(entrega.ultimo_error, 'HTTP 503');
+    assert.ok(Number(entrega.espera) > 25 && Number(entrega.espera) <= 30);
+
+    // Antes de que venza la espera no se reintenta
+    assert.deepEqual((await despachador.procesar()).entregas, []);
+
+    await vencerReintentos();
+    assert.deepEqual((await despachador.procesar()).entregas, ['reintento']);
+    await vencerReintentos();
+    assert.deepEqual((await despachador.procesar()).entregas, ['fallida']);
+
+    // Todos los intentos llevan el mismo id de evento
+    assert.equal(receptor.recibidas.length, 3);
+    assert.equal(new Set(receptor.recibidas.map((recibida) => recibida.headers['x-webhook-id'])).size, 1);
+
+    const fallidas = await request(app)
+      .get(`/api/webhooks/${webhook.id}/entregas?estado=fallida`)
+      .set('Authorization', admin);
+    assert.equal(fallidas.status, 200);
+    assert.equal(fallidas.body.meta.total, 1);
+    assert.equal(fallidas.body.data[0].intentos, 3);
+
+    // Reintento manual
+    receptor.estado = 204;
+    const reintento = await request(app)
+      .post(`/api/webhooks/${webhook.id}/entregas/${entrega.id}/reintentar`)
+      .set('Authorization', admin);
+    assert.equal(reintento.status, 200);
+    assert.equal(reintento.body.data.estado, 'pendiente');
+    assert.equal(reintento.body.data.intentos, 0);
+
+    assert.deepEqual((await despachador.procesar()).entregas, ['entregada']);
+
+    const repetido = await request(app)
+      .post(`/api/webhooks/${webhook.id}/entregas/${entrega.id}/reintentar`)
+      .set('Authorization', admin);
+    assert.equal(repetido.status, 409);
+    assert.equal(repetido.body.code, 'DELIVERY_NOT_FAILED');
+  });
+
+  test('un receptor que no responde a tiempo cuenta como intento fallido', async () => {
+    await registrarWebhook();
+    await request(app).post('/api/roles').set('Authorization', admin).send({ nombre: 'Editor' });
+
+    const lento = http.createServer(() => {});
+    await new Promise((resolve) => lento.listen(0, '127.0.0.1', resolve));
+    await sql`UPDATE public.webhooks SET url = ${`http://127.0.0.1:${lento.address().port}/`}`;
+
+    try {
+      const { entregas } = await nuevoDespachador({ timeout: 200 }).procesar();
+      assert.deepEqual(entregas, ['reintento']);
+
+      const [entrega] = await sql`SELECT ultimo_status, ultimo_error FROM public.webhook_entregas`;
+      assert.equal(entrega.ultimo_status, null);
+      assert.equal(entrega.ultimo_error, 'Sin respuesta en 200 ms');
+    } finally {
+      lento.closeAllConnections();
+      await new Promise((resolve) => lento.close(resolve));
+    }
+  });
+
+  test('no envía a una URL que pasó a resolver a una dirección privada', async () => {
+    await registrarWebhook();
+    await request(app).post('/api/roles').set('Authorization', admin).send({ nombre: 'Editor' });
+
+    const { entregas } = await nuevoDespachador({ permitirRedesPrivadas: false }).procesar();
+    assert.deepEqual(entregas, ['reintento']);
+    assert.equal(receptor.recibidas.length, 0);
+
+    const [entrega] = await sql`SELECT ultimo_status, ultimo_error FROM public.webhook_entregas`;
+    assert.equal(entrega.ultimo_status, null);
+    assert.equal(entrega.ultimo_error, 'La URL resuelve a una dirección privada (127.0.0.1)');
+  });
+
+  test('un webhook inactivo no recibe eventos', async () => {
+    const webhook = await registrarWebhook();
+    await request(app)
+      .put(`/api/webhooks/${webhook.id}`)
+      .set('Authorization', admin)
+      .send({ url: receptor.url, eventos: ['rol.creado'], activo: false });
+
+    await request(app).post('/api/roles').set('Authorization', admin).send({ nombre: 'Editor' });
+    await nuevoDespachador().procesar();
+
+    assert.equal(receptor.recibidas.length, 0);
+  });
+
+  test('la espera entre reintentos se duplica hasta un máximo de una hora', () => {
+    assert.deepEqual([1, 2, 3, 4].map((intentos) => esperaDeReintento(intentos, 30)), [30, 60, 120, 240]);
+    assert.equal(esperaDeReintento(20, 30), 3600);
+  });
+});
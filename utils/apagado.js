@@ -0,0 +1,44 @@
+import logger from './logger.js';
+
+let apagando = false;
+
+/**
+ * Indica si el servidor está cerrándose; /health/ready responde 503 desde
+ * ese momento para que el balanceador deje de enviarle tráfico.
+ */
+export function estaApagando() {
+  return apagando;
+}
+
+/**
+ * Cierra el servidor HTTP de forma ordenada: deja de aceptar conexiones,
+ * espera a que terminen las requests en curso y después ejecuta alCerrar
+ * (por ejemplo, cerrar el pool de la base). Si las requests no terminan en
+ * el plazo, corta las conexiones que quedan.
+ *
+ * @param {import('http').Server} servidor
+ * @param {object} [opciones]
+ * @param {() => Promise<void>} [opciones.alCerrar]
+ * @param {number} [opciones.plazo=10000] Milisegundos de espera antes de cortar
+ * @returns {Promise<void>} Se resuelve cuando terminó alCerrar
+ */
+export async function apagarServidor(servidor, { alCerrar = async () => {}, plazo = 10_000 } = {}) {
+  apagando = true;
+
+  const corte = setTimeout(() => {
+    logger.warn('Se cortan las requests que no terminaron en el plazo de apagado', { plazo_ms: plazo });
+    servidor.closeAllConnections();
+  }, plazo);
+
+  try {
+    // close() espera las requests en curso; las conexiones keep-alive
+    // inactivas se cierran enseguida
+    await new Promise((resolve, reject) => {
+      servidor.close((error) => (error ? reject(error) : resolve()));
+    });
+  } finally {
+    clearTimeout(corte);
+  }
+
+  await alCerrar();
+}
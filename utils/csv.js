@@ -0,0 +1,116 @@
+import { ValidationError } from './errors.js';
+
+// Excel interpreta como fórmula una celda que empieza con estos caracteres
+const INICIO_FORMULA = /^[=+\-@\t\r]/;
+const PROTECCION_FORMULA = /^'(?=[=+\-@\t\r])/;
+
+/**
+ * Convierte un valor en una celda CSV (RFC 4180). Los textos que una planilla
+ * ejecutaría como fórmula se exportan con un apóstrofo adelante.
+ */
+export function celdaCsv(valor) {
+  if (valor === null || valor === undefined) return '';
+
+  let texto = valor instanceof Date ? valor.toISOString() : String(valor);
+
+  if (typeof valor === 'string' && INICIO_FORMULA.test(texto)) {
+    texto = `'${texto}`;
+  }
+
+  return /[",\r\n;]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+/**
+ * Arma una línea CSV (terminada en CRLF) con los valores indicados
+ */
+export function filaCsv(valores) {
+  return `${valores.map(celdaCsv).join(',')}\r\n`;
+}
+
+/**
+ * Parsea un CSV con encabezado y devuelve un objeto por fila.
+ *
+ * Admite campos entre comillas con comas, comillas dobles ("") y saltos de
+ * línea, finales de línea LF o CRLF, BOM inicial y separador ";" (el que usa
+ * Excel en configuración regional en español), que se detecta en el encabezado.
+ * El apóstrofo que agrega celdaCsv delante de una fórmula se quita.
+ *
+ * @param {string} texto
+ * @returns {{ columnas: string[], filas: { linea: number, valores: Record<string, string> }[] }}
+ *   linea es el número de línea del archivo donde empieza la fila
+ */
+export function parsearCsv(texto) {
+  const contenido = texto.replace(/^\uFEFF/, '');
+  const primeraLinea = contenido.split(/\r?\n/, 1)[0];
+  const separador = primeraLinea.includes(';') && !primeraLinea.includes(',') ? ';' : ',';
+
+  const registros = [];
+  let registro = [];
+  let campo = '';
+  let entreComillas = false;
+  let linea = 1;
+  let lineaDelRegistro = 1;
+
+  for (let i = 0; i < contenido.length; i++) {
+    const caracter = contenido[i];
+
+    if (entreComillas) {
+      if (caracter === '"' && contenido[i + 1] === '"') {
+        campo += '"';
+        i++;
+      } else if (caracter === '"') {
+        entreComillas = false;
+      } else {
+        if (caracter === '\n') linea++;
+        campo += caracter;
+      }
+    } else if (caracter === '"' && campo === '') {
+      entreComillas = true;
+    } else if (caracter === separador) {
+      registro.push(campo);
+      campo = '';
+    } else if (caracter === '\n' || caracter === '\r') {
+      if (caracter === '\r' && contenido[i + 1] === '\n') i++;
+      registro.push(campo);
+      registros.push({ linea: lineaDelRegistro, campos: registro });
+      registro = [];
+      campo = '';
+      linea++;
+      lineaDelRegistro = linea;
+    } else {
+      campo += caracter;
+    }
+  }
+
+  if (entreComillas) {
+    throw new ValidationError('csv.comillas_sin_cerrar', {
+      code: 'INVALID_CSV',
+      parametros: { linea: lineaDelRegistro }
+    });
+  }
+
+  if (campo !== '' || registro.length > 0) {
+    registro.push(campo);
+    registros.push({ linea: lineaDelRegistro, campos: registro });
+  }
+
+  // Las líneas vacías (típicas al final del archivo) no son filas
+  const noVacios = registros.filter(({ campos }) => campos.length > 1 || campos[0] !== '');
+
+  if (noVacios.length === 0) {
+    throw new ValidationError('csv.sin_encabezado', { code: 'INVALID_CSV' });
+  }
+
+  const [encabezado, ...datos] = noVacios;
+  const columnas = encabezado.campos.map((columna) => columna.trim());
+
+  return {
+    columnas,
+    filas: datos.map(({ linea: numero, campos }) => ({
+      linea: numero,
+      valores: Object.fromEntries(
+        columnas.map((columna, i) => [columna, (campos[i] ?? '').replace(PROTECCION_FORMULA, '')])
+      )
+    }))
+  };
+}
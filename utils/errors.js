@@ -0,0 +1,129 @@
+import { IDIOMA_POR_DEFECTO, Mensaje } from './i18n.js';
+
+/**
+ * Errores de dominio de la API.
+ *
+ * Los controladores y middlewares lanzan estas clases y el errorHandler
+ * (middlewares/error.middleware.js) las traduce a la respuesta HTTP con el
+ * formato { success, code, message, details?, requestId }. El mensaje se
+ * indica con su clave del catálogo (locales/) y se responde en el idioma de
+ * la request; error.message queda en español para los logs.
+ */
+export class AppError extends Error {
+  /**
+   * @param {string} clave Clave del mensaje para el cliente (ej. 'rol.no_encontrado')
+   * @param {object} [options]
+   * @param {number} [options.status=500] Status HTTP
+   * @param {string} [options.code='INTERNAL_ERROR'] Código estable para el cliente
+   * @param {*} [options.details] Información adicional (campos, IDs involucrados, etc.)
+   * @param {object} [options.parametros] Valores de los {marcadores} del mensaje
+   */
+  constructor(clave, { status = 500, code = 'INTERNAL_ERROR', details, parametros } = {}) {
+    const mensaje = new Mensaje(clave, parametros);
+
+    super(mensaje.traducir(IDIOMA_POR_DEFECTO));
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.mensaje = mensaje;
+  }
+}
+
+export class ValidationError extends AppError {
+  constructor(clave = 'error.validacion', { code = 'VALIDATION_ERROR', ...opciones } = {}) {
+    super(clave, { ...opciones, status: 400, code });
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(clave = 'error.no_autenticado', { code = 'UNAUTHORIZED', ...opciones } = {}) {
+    super(clave, { ...opciones, status: 401, code });
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(clave = 'error.sin_permisos', { code = 'FORBIDDEN', ...opciones } = {}) {
+    super(clave, { ...opciones, status: 403, code });
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(clave = 'error.no_encontrado', { code = 'NOT_FOUND', ...opciones } = {}) {
+    super(clave, { ...opciones, status: 404, code });
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(clave = 'error.conflicto', { code = 'CONFLICT', ...opciones } = {}) {
+    super(clave, { ...opciones, status: 409, code });
+  }
+}
+
+export class PreconditionFailedError extends AppError {
+  constructor(clave = 'error.precondicion', { code = 'PRECONDITION_FAILED', ...opciones } = {}) {
+    super(clave, { ...opciones, status: 412, code });
+  }
+}
+
+export class UnsupportedMediaTypeError extends AppError {
+  constructor(clave = 'error.tipo_de_contenido', { code = 'UNSUPPORTED_MEDIA_TYPE', ...opciones } = {}) {
+    super(clave, { ...opciones, status: 415, code });
+  }
+}
+
+export class PayloadTooLargeError extends AppError {
+  constructor(clave = 'error.cuerpo_demasiado_grande', { code = 'PAYLOAD_TOO_LARGE', ...opciones } = {}) {
+    super(clave, { ...opciones, status: 413, code });
+  }
+}
+
+export class TooManyRequestsError extends AppError {
+  constructor(clave = 'error.demasiadas_solicitudes', { code = 'RATE_LIMITED', ...opciones } = {}) {
+    super(clave, { ...opciones, status: 429, code });
+  }
+}
+
+export class ServiceUnavailableError extends AppError {
+  constructor(clave = 'error.servicio_no_disponible', { code = 'SERVICE_UNAVAILABLE', ...opciones } = {}) {
+    super(clave, { ...opciones, status: 503, code });
+  }
+}
+
+/**
+ * Mensajes específicos para violaciones de restricciones conocidas
+ */
+const MENSAJES_RESTRICCIONES = {
+  roles_organizacion_nombre_key: 'rol.nombre_duplicado',
+  usuarios_email_key: 'usuario.email_duplicado',
+  permisos_codigo_key: 'permiso.codigo_duplicado'
+};
+
+/**
+ * Traduce los errores de Postgres más comunes a errores de dominio.
+ * Devuelve null si el código no corresponde a un error del cliente.
+ */
+export function desdePostgres(error) {
+  switch (error.code) {
+    case '23505': // unique_violation
+      return new ConflictError(
+        MENSAJES_RESTRICCIONES[error.constraint_name] ?? 'error.valor_duplicado',
+        { code: 'DUPLICATE_VALUE', details: { restriccion: error.constraint_name } }
+      );
+    case '23503': // foreign_key_violation
+      return new ConflictError(
+        'error.referencia_invalida',
+        { code: 'FOREIGN_KEY_VIOLATION', details: { restriccion: error.constraint_name } }
+      );
+    case '22P02': // invalid_text_representation
+    case '22003': // numeric_value_out_of_range
+      return new ValidationError('error.formato_invalido', { code: 'INVALID_INPUT' });
+    case '23502': // not_null_violation
+      return new ValidationError('error.campo_faltante', {
+        code: 'INVALID_INPUT',
+        details: { campo: error.column_name }
+      });
+    default:
+      return null;
+  }
+}
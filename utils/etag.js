@@ -0,0 +1,32 @@
+/**
+ * ETags de recursos versionados (columna version) para control de
+ * concurrencia optimista: el cliente guarda el ETag de un GET y lo envía en
+ * If-Match al modificar; si otro cambió el recurso en el medio, responde 412.
+ */
+
+/**
+ * ETag fuerte para una versión (ej. 3 -> "v3")
+ */
+export function etagDeVersion(version) {
+  return `"v${version}"`;
+}
+
+/**
+ * Interpreta el header If-Match.
+ *
+ * @param {string} [header]
+ * @returns {number[]|undefined} Versiones aceptadas, o undefined si no hay
+ *   precondición (sin header o "*"). Los ETags débiles (W/) o con otro formato
+ *   no coinciden nunca: If-Match usa comparación fuerte.
+ */
+export function versionesDeIfMatch(header) {
+  if (!header) return undefined;
+
+  const etiquetas = header.split(',').map((etiqueta) => etiqueta.trim());
+  if (etiquetas.includes('*')) return undefined;
+
+  return etiquetas
+    .map((etiqueta) => /^"v(\d+)"$/.exec(etiqueta))
+    .filter(Boolean)
+    .map(([, version]) => Number(version));
+}
@@ -0,0 +1,81 @@
+import en from '../locales/en.js';
+import es from '../locales/es.js';
+
+/**
+ * Catálogos de mensajes por idioma (locales/). Los mensajes se identifican
+ * con claves estables ('rol.no_encontrado') y se traducen recién al armar
+ * la respuesta, según el idioma de la request.
+ */
+export const CATALOGOS = { es, en };
+
+export const IDIOMA_POR_DEFECTO = 'es';
+
+// El orden importa: ante Accept-Language: * se elige el primero
+export const IDIOMAS = Object.keys(CATALOGOS);
+
+/**
+ * Mensaje de una clave en un idioma, con los {parametros} reemplazados.
+ * Si el idioma no tiene la clave se usa el español; si ninguno la tiene,
+ * la clave misma. Los arrays se enumeran como alternativas ("a, b o c").
+ *
+ * @param {string} [idioma]
+ * @param {string} clave
+ * @param {object} [parametros]
+ * @returns {string}
+ */
+export function traducir(idioma, clave, parametros = {}) {
+  const idiomaUsado = CATALOGOS[idioma]?.[clave] !== undefined ? idioma : IDIOMA_POR_DEFECTO;
+  const plantilla = CATALOGOS[idiomaUsado][clave] ?? clave;
+
+  return plantilla.replace(/\{(\w+)\}/g, (marcador, nombre) => {
+    if (!Object.hasOwn(parametros, nombre)) return marcador;
+
+    const valor = parametros[nombre];
+    return Array.isArray(valor)
+      ? new Intl.ListFormat(idiomaUsado, { type: 'disjunction' }).format(valor.map(String))
+      : String(valor);
+  });
+}
+
+/**
+ * Mensaje pendiente de traducir, para los textos que viajan dentro de los
+ * datos de una respuesta (errores por campo, resultados de lotes e
+ * importaciones). localizar() lo traduce al idioma de la request; si se
+ * serializa sin traducir queda en español.
+ */
+export class Mensaje {
+  /**
+   * @param {string} clave
+   * @param {object} [parametros]
+   */
+  constructor(clave, parametros = {}) {
+    this.clave = clave;
+    this.parametros = parametros;
+  }
+
+  traducir(idioma) {
+    return traducir(idioma, this.clave, this.parametros);
+  }
+
+  toString() {
+    return this.traducir(IDIOMA_POR_DEFECTO);
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+}
+
+/**
+ * Copia un valor traduciendo los Mensaje que contenga, a cualquier profundidad
+ */
+export function localizar(valor, idioma) {
+  if (valor instanceof Mensaje) return valor.traducir(idioma);
+  if (Array.isArray(valor)) return valor.map((item) => localizar(item, idioma));
+
+  if (valor !== null && typeof valor === 'object' && Object.getPrototypeOf(valor) === Object.prototype) {
+    return Object.fromEntries(Object.entries(valor).map(([clave, item]) => [clave, localizar(item, idioma)]));
+  }
+
+  return valor;
+}
@@ -1,2 +1,3 @@
 ﻿// Utilities module
-module.exports = {};
+export * from './tokens.js';
+export * from './errors.js';
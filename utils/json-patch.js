@@ -0,0 +1,187 @@
+import { isDeepStrictEqual } from 'node:util';
+import { ConflictError, ValidationError } from './errors.js';
+
+/**
+ * Aplicación de JSON Patch (RFC 6902) y JSON Merge Patch (RFC 7396) sobre
+ * documentos JSON planos (objetos, arrays y valores primitivos).
+ */
+
+/**
+ * Separa un JSON Pointer (RFC 6901) en sus segmentos: '/a~1b/0' -> ['a/b', '0']
+ */
+function segmentosDePuntero(puntero) {
+  if (puntero === '') return [];
+
+  if (!puntero.startsWith('/')) {
+    throw new ValidationError('patch.ruta_invalida', { code: 'INVALID_PATCH', parametros: { ruta: puntero } });
+  }
+
+  return puntero.slice(1).split('/').map((segmento) => segmento.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Recorre el documento hasta el contenedor del último segmento del puntero
+ */
+function ubicar(documento, puntero) {
+  const segmentos = segmentosDePuntero(puntero);
+  const clave = segmentos.pop();
+  let contenedor = documento;
+
+  for (const segmento of segmentos) {
+    contenedor = contenedor !== null && typeof contenedor === 'object' && Object.hasOwn(contenedor, segmento)
+      ? contenedor[segmento]
+      : undefined;
+
+    if (contenedor === null || typeof contenedor !== 'object') {
+      throw new ValidationError('patch.ruta_inexistente', { code: 'INVALID_PATCH', parametros: { ruta: puntero } });
+    }
+  }
+
+  return { contenedor, clave };
+}
+
+/**
+ * Índice de un array según el segmento de un puntero; '-' es el final
+ */
+function indiceDeArray(array, clave, puntero, { agregar = false } = {}) {
+  const limite = agregar ? array.length : array.length - 1;
+  const indice = clave === '-' && agregar ? array.length : Number(clave);
+
+  if (!/^(0|[1-9]\d*|-)$/.test(clave) || !Number.isInteger(indice) || indice > limite) {
+    throw new ValidationError('patch.indice_fuera_de_rango', { code: 'INVALID_PATCH', parametros: { ruta: puntero } });
+  }
+
+  return indice;
+}
+
+function leer(documento, puntero) {
+  if (puntero === '') return documento;
+
+  const { contenedor, clave } = ubicar(documento, puntero);
+
+  if (Array.isArray(contenedor)) return contenedor[indiceDeArray(contenedor, clave, puntero)];
+
+  if (!Object.hasOwn(contenedor, clave)) {
+    throw new ValidationError('patch.ruta_inexistente', { code: 'INVALID_PATCH', parametros: { ruta: puntero } });
+  }
+
+  return contenedor[clave];
+}
+
+function agregar(documento, puntero, valor) {
+  if (puntero === '') return valor;
+
+  const { contenedor, clave } = ubicar(documento, puntero);
+
+  if (Array.isArray(contenedor)) {
+    contenedor.splice(indiceDeArray(contenedor, clave, puntero, { agregar: true }), 0, valor);
+  } else {
+    contenedor[clave] = valor;
+  }
+
+  return documento;
+}
+
+function quitar(documento, puntero) {
+  const { contenedor, clave } = ubicar(documento, puntero);
+
+  if (Array.isArray(contenedor)) {
+    contenedor.splice(indiceDeArray(contenedor, clave, puntero), 1);
+  } else if (Object.hasOwn(contenedor, clave)) {
+    delete contenedor[clave];
+  } else {
+    throw new ValidationError('patch.ruta_inexistente', { code: 'INVALID_PATCH', parametros: { ruta: puntero } });
+  }
+
+  return documento;
+}
+
+/**
+ * Aplica las operaciones de un JSON Patch en orden y devuelve el documento
+ * resultante, sin modificar el original. Si una operación falla no se
+ * aplica ninguna.
+ *
+ * @param {*} documento
+ * @param {{ op: string, path: string, value?: *, from?: string }[]} operaciones
+ * @returns {*}
+ * @throws {ValidationError} INVALID_PATCH si una ruta no existe o la operación es inválida
+ * @throws {ConflictError} PATCH_TEST_FAILED si falla una operación test
+ */
+export function aplicarJsonPatch(documento, operaciones) {
+  let resultado = structuredClone(documento);
+
+  for (const [indice, operacion] of operaciones.entries()) {
+    const { op, path, value, from } = operacion;
+
+    if (['add', 'replace', 'test'].includes(op) && !Object.hasOwn(operacion, 'value')) {
+      throw new ValidationError('patch.requiere_value', { code: 'INVALID_PATCH', parametros: { op } });
+    }
+
+    if (['move', 'copy'].includes(op) && typeof from !== 'string') {
+      throw new ValidationError('patch.requiere_from', { code: 'INVALID_PATCH', parametros: { op } });
+    }
+
+    switch (op) {
+      case 'add':
+        resultado = agregar(resultado, path, structuredClone(value));
+        break;
+      case 'remove':
+        resultado = quitar(resultado, path);
+        break;
+      case 'replace':
+        leer(resultado, path);
+        resultado = agregar(path === '' ? resultado : quitar(resultado, path), path, structuredClone(value));
+        break;
+      case 'move': {
+        if (path.startsWith(`${from}/`)) {
+          throw new ValidationError('patch.mover_dentro_de_si_mismo', { code: 'INVALID_PATCH' });
+        }
+
+        const valor = leer(resultado, from);
+        resultado = agregar(quitar(resultado, from), path, valor);
+        break;
+      }
+      case 'copy':
+        resultado = agregar(resultado, path, structuredClone(leer(resultado, from)));
+        break;
+      case 'test':
+        if (!isDeepStrictEqual(leer(resultado, path), value)) {
+          throw new ConflictError('patch.test_fallido', {
+            code: 'PATCH_TEST_FAILED',
+            details: { operacion: indice, path },
+            parametros: { ruta: path }
+          });
+        }
+        break;
+      default:
+        throw new ValidationError('patch.operacion_no_admitida', { code: 'INVALID_PATCH', parametros: { op } });
+    }
+  }
+
+  return resultado;
+}
+
+/**
+ * Aplica un JSON Merge Patch: los campos del patch reemplazan a los del
+ * documento, null elimina el campo y los objetos se combinan recursivamente.
+ *
+ * @param {*} documento
+ * @param {*} patch
+ * @returns {*}
+ */
+export function aplicarMergePatch(documento, patch) {
+  if (patch === null || typeof patch !== 'object' || Array.isArray(patch)) {
+    return structuredClone(patch);
+  }
+
+  const resultado = documento !== null && typeof documento === 'object' && !Array.isArray(documento)
+    ? { ...documento }
+    : {};
+
+  for (const [clave, valor] of Object.entries(patch)) {
+    if (valor === null) delete resultado[clave];
+    else resultado[clave] = aplicarMergePatch(resultado[clave], valor);
+  }
+
+  return resultado;
+}
@@ -0,0 +1,96 @@
+import config from '../config/config.js';
+
+const NIVELES = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Campos cuyo valor nunca se escribe en los logs
+const CAMPOS_SENSIBLES = /pass(word)?|secret|token|authorization|cookie|api[-_]?key/i;
+
+export const REDACTADO = '[REDACTADO]';
+
+/**
+ * Copia un valor reemplazando los campos sensibles (contraseñas, tokens,
+ * headers de autorización...) por [REDACTADO], a cualquier profundidad.
+ * Los Error se convierten en { name, message, code, stack }.
+ */
+export function redactar(valor, vistos = new WeakSet()) {
+  if (valor instanceof Error) {
+    return redactar({ name: valor.name, message: valor.message, code: valor.code, stack: valor.stack }, vistos);
+  }
+
+  if (valor === null || typeof valor !== 'object' || valor instanceof Date) return valor;
+
+  if (vistos.has(valor)) return '[Circular]';
+  vistos.add(valor);
+
+  if (Array.isArray(valor)) return valor.map((item) => redactar(item, vistos));
+
+  return Object.fromEntries(
+    Object.entries(valor).map(([clave, item]) => [
+      clave,
+      CAMPOS_SENSIBLES.test(clave) ? REDACTADO : redactar(item, vistos)
+    ])
+  );
+}
+
+/**
+ * Quita de una URL los valores de los parámetros de query sensibles
+ * (/api/auth/reset?token=abc -> /api/auth/reset?token=[REDACTADO])
+ */
+export function redactarUrl(url) {
+  const inicioQuery = url.indexOf('?');
+  if (inicioQuery === -1) return url;
+
+  const parametros = new URLSearchParams(url.slice(inicioQuery + 1));
+  for (const clave of new Set(parametros.keys())) {
+    if (CAMPOS_SENSIBLES.test(clave)) parametros.set(clave, REDACTADO);
+  }
+
+  return `${url.slice(0, inicioQuery)}?${parametros}`;
+}
+
+/**
+ * Logger estructurado: escribe una línea JSON por evento
+ * ({ time, level, msg, ...campos }) con los campos sensibles redactados.
+ *
+ * El nivel mínimo se toma de LOG_LEVEL (debug, info, warn, error o silent;
+ * el valor por defecto depende del perfil, ver config/config.js). Los errores
+ * van a stderr y el resto a stdout.
+ */
+export class Logger {
+  constructor({ nivel = 'info', salida = process.stdout, salidaErrores = process.stderr } = {}) {
+    if (!Object.hasOwn(NIVELES, nivel)) {
+      throw new Error(`Nivel de log inválido: ${nivel}`);
+    }
+
+    this.nivel = nivel;
+    this.salida = salida;
+    this.salidaErrores = salidaErrores;
+  }
+
+  escribir(nivel, mensaje, campos = {}) {
+    if (NIVELES[nivel] < NIVELES[this.nivel]) return;
+
+    const linea = JSON.stringify({ time: new Date().toISOString(), level: nivel, msg: mensaje, ...redactar(campos) });
+    (nivel === 'error' ? this.salidaErrores : this.salida).write(`${linea}\n`);
+  }
+
+  debug(mensaje, campos) {
+    this.escribir('debug', mensaje, campos);
+  }
+
+  info(mensaje, campos) {
+    this.escribir('info', mensaje, campos);
+  }
+
+  warn(mensaje, campos) {
+    this.escribir('warn', mensaje, campos);
+  }
+
+  error(mensaje, campos) {
+    this.escribir('error', mensaje, campos);
+  }
+}
+
+const logger = new Logger({ nivel: config.logs.nivel });
+
+export default logger;
@@ -0,0 +1,185 @@
+/**
+ * Métricas en memoria con salida en el formato de texto de Prometheus
+ * (https://prometheus.io/docs/instrumenting/exposition_formats/).
+ */
+
+// Límites de los buckets de latencia, en segundos
+export const BUCKETS_LATENCIA = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escaparValor(valor) {
+  return String(valor).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatearEtiquetas(etiquetas) {
+  const pares = Object.entries(etiquetas).map(([clave, valor]) => `${clave}="${escaparValor(valor)}"`);
+  return pares.length > 0 ? `{${pares.join(',')}}` : '';
+}
+
+function formatearNumero(valor) {
+  if (valor === Infinity) return '+Inf';
+  if (valor === -Infinity) return '-Inf';
+  return String(valor);
+}
+
+function encabezado(nombre, ayuda, tipo) {
+  return [`# HELP ${nombre} ${ayuda}`, `# TYPE ${nombre} ${tipo}`];
+}
+
+/**
+ * Contador o gauge con etiquetas; cada combinación de etiquetas es una serie
+ */
+class Serie {
+  constructor(nombre, ayuda, tipo) {
+    this.nombre = nombre;
+    this.ayuda = ayuda;
+    this.tipo = tipo;
+    this.valores = new Map();
+  }
+
+  sumar(etiquetas = {}, cantidad = 1) {
+    const clave = formatearEtiquetas(etiquetas);
+    this.valores.set(clave, (this.valores.get(clave) ?? 0) + cantidad);
+  }
+
+  formato() {
+    return [
+      ...encabezado(this.nombre, this.ayuda, this.tipo),
+      ...[...this.valores].map(([etiquetas, valor]) => `${this.nombre}${etiquetas} ${formatearNumero(valor)}`)
+    ];
+  }
+}
+
+export class Contador extends Serie {
+  constructor(nombre, ayuda) {
+    super(nombre, ayuda, 'counter');
+  }
+
+  incrementar(etiquetas, cantidad) {
+    this.sumar(etiquetas, cantidad);
+  }
+}
+
+export class Gauge extends Serie {
+  constructor(nombre, ayuda) {
+    super(nombre, ayuda, 'gauge');
+  }
+
+  incrementar(etiquetas) {
+    this.sumar(etiquetas, 1);
+  }
+
+  decrementar(etiquetas) {
+    this.sumar(etiquetas, -1);
+  }
+}
+
+export class Histograma {
+  constructor(nombre, ayuda, buckets = BUCKETS_LATENCIA) {
+    this.nombre = nombre;
+    this.ayuda = ayuda;
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.series = new Map();
+  }
+
+  observar(etiquetas, valor) {
+    const clave = formatearEtiquetas(etiquetas);
+    let serie = this.series.get(clave);
+
+    if (!serie) {
+      serie = { etiquetas, conteos: this.buckets.map(() => 0), suma: 0, total: 0 };
+      this.series.set(clave, serie);
+    }
+
+    this.buckets.forEach((limite, i) => {
+      if (valor <= limite) serie.conteos[i]++;
+    });
+    serie.suma += valor;
+    serie.total++;
+  }
+
+  formato() {
+    const lineas = encabezado(this.nombre, this.ayuda, 'histogram');
+
+    for (const [clave, { etiquetas, conteos, suma, total }] of this.series) {
+      this.buckets.forEach((limite, i) => {
+        lineas.push(`${this.nombre}_bucket${formatearEtiquetas({ ...etiquetas, le: limite })} ${conteos[i]}`);
+      });
+      lineas.push(`${this.nombre}_bucket${formatearEtiquetas({ ...etiquetas, le: '+Inf' })} ${total}`);
+      lineas.push(`${this.nombre}_sum${clave} ${suma}`);
+      lineas.push(`${this.nombre}_count${clave} ${total}`);
+    }
+
+    return lineas;
+  }
+}
+
+/**
+ * Conjunto de métricas de la aplicación. Las métricas que se calculan al
+ * momento de leerlas (por ejemplo, el estado del pool) se agregan como
+ * recolectores: funciones async que devuelven líneas en formato Prometheus.
+ */
+export class Registro {
+  constructor() {
+    this.metricas = [];
+    this.recolectores = [];
+  }
+
+  registrar(metrica) {
+    this.metricas.push(metrica);
+    return metrica;
+  }
+
+  recolector(fn) {
+    this.recolectores.push(fn);
+  }
+
+  async formato() {
+    const extras = await Promise.all(this.recolectores.map((fn) => fn()));
+    const lineas = [...this.metricas.flatMap((metrica) => metrica.formato()), ...extras.flat()];
+    return `${lineas.join('\n')}\n`;
+  }
+}
+
+/**
+ * Líneas en formato Prometheus de una métrica calculada al momento de leerla
+ *
+ * @param {string} nombre
+ * @param {string} ayuda
+ * @param {'gauge'|'counter'} tipo
+ * @param {{ etiquetas?: object, valor: number }[]} series
+ */
+export function lineasDeMetrica(nombre, ayuda, tipo, series) {
+  return [
+    ...encabezado(nombre, ayuda, tipo),
+    ...series.map(({ etiquetas = {}, valor }) => `${nombre}${formatearEtiquetas(etiquetas)} ${formatearNumero(valor)}`)
+  ];
+}
+
+export const registro = new Registro();
+
+export const solicitudesHttp = registro.registrar(
+  new Contador('http_requests_total', 'Requests HTTP atendidas')
+);
+
+export const duracionHttp = registro.registrar(
+  new Histograma('http_request_duration_seconds', 'Latencia de las requests HTTP en segundos')
+);
+
+export const solicitudesEnCurso = registro.registrar(
+  new Gauge('http_requests_in_flight', 'Requests HTTP en curso')
+);
+solicitudesEnCurso.sumar({}, 0);
+
+// resultado: entregada, reintento o fallida (ver services/despachador-webhooks.js)
+export const entregasWebhooks = registro.registrar(
+  new Contador('webhook_deliveries_total', 'Intentos de entrega de webhooks por resultado')
+);
+
+registro.recolector(() => [
+  ...lineasDeMetrica('process_uptime_seconds', 'Tiempo desde que inició el proceso', 'gauge', [
+    { valor: process.uptime() }
+  ]),
+  ...lineasDeMetrica('process_resident_memory_bytes', 'Memoria residente del proceso', 'gauge', [
+    { valor: process.memoryUsage.rss() }
+  ])
+]);
@@ -0,0 +1,199 @@
+import { ValidationError } from './errors.js';
+
+export const LIMITE_POR_DEFECTO = 50;
+export const LIMITE_MAXIMO = 100;
+
+/**
+ * Interpreta un valor de sort ("nombre" ascendente, "-nombre" descendente)
+ * contra la lista blanca de campos ordenables
+ */
+function parsearSort(sort, campos) {
+  const descendente = sort.startsWith('-');
+  const campo = descendente ? sort.slice(1) : sort;
+
+  if (!Object.hasOwn(campos, campo)) {
+    throw new ValidationError('paginacion.sort_no_permitido', {
+      code: 'INVALID_SORT',
+      details: { sort, permitidos: Object.keys(campos) }
+    });
+  }
+
+  return { campo, tipo: campos[campo], descendente };
+}
+
+export function codificarCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+// Un timestamptz como lo devuelve Postgres en texto (DateStyle ISO), ej.
+// "2024-05-01 12:34:56.123456+00"
+const TIMESTAMPTZ = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2}):(\d{2})(\.\d{1,6})?(Z|[+-]\d{2}(:?\d{2}){0,2})$/;
+
+// Rango de los tipos enteros de las columnas por las que se pagina
+const MAXIMOS_ENTEROS = {
+  smallint: 32767n,
+  integer: 2147483647n,
+  bigint: 9223372036854775807n
+};
+
+function esEntero(valor, tipo) {
+  if (!['number', 'string'].includes(typeof valor) || !/^-?\d{1,19}$/.test(String(valor))) {
+    return false;
+  }
+  const numero = BigInt(valor);
+  return numero <= MAXIMOS_ENTEROS[tipo] && numero >= -MAXIMOS_ENTEROS[tipo] - 1n;
+}
+
+function esTimestamptz(valor) {
+  const partes = typeof valor === 'string' && TIMESTAMPTZ.exec(valor);
+  if (!partes) return false;
+
+  const [anio, mes, dia, hora, minuto, segundo] = partes.slice(1, 7).map(Number);
+  // Date.UTC corre al mes siguiente un día que no existe (ej. 31 de febrero)
+  const fecha = new Date(Date.UTC(anio, mes - 1, dia));
+  return fecha.getUTCMonth() === mes - 1 && fecha.getUTCDate() === dia
+    && hora < 24 && minuto < 60 && segundo < 60;
+}
+
+/**
+ * Indica si un valor del cursor se puede convertir al tipo SQL de su columna.
+ * El cursor llega del cliente: sin esto, un valor adulterado haría fallar la
+ * conversión en Postgres y la request terminaría en un 500.
+ */
+function valorValido(valor, tipo) {
+  if (Object.hasOwn(MAXIMOS_ENTEROS, tipo)) return esEntero(valor, tipo);
+  if (tipo === 'timestamptz') return esTimestamptz(valor);
+  // Postgres no admite el carácter nulo en un text
+  return typeof valor === 'string' && !valor.includes('\0');
+}
+
+/**
+ * Decodifica un cursor y verifica que corresponda al ordenamiento actual:
+ * un cursor generado con otro sort apuntaría a una posición sin sentido.
+ * Los valores (campo, id) se validan contra los tipos de sus columnas.
+ *
+ * @param {string} cursor Cursor recibido del cliente
+ * @param {string} sort Ordenamiento pedido
+ * @param {[string, string]} tipos Tipo SQL del campo de orden y del id
+ */
+export function decodificarCursor(cursor, sort, [tipoCampo, tipoId]) {
+  let datos;
+
+  try {
+    datos = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    datos = null;
+  }
+
+  const valido = datos
+    && datos.s === sort
+    && ['siguiente', 'anterior'].includes(datos.d)
+    && Array.isArray(datos.v)
+    && datos.v.length === 2
+    && valorValido(datos.v[0], tipoCampo)
+    && esEntero(datos.v[1], tipoId);
+
+  if (!valido) {
+    throw new ValidationError('paginacion.cursor_invalido', { code: 'INVALID_CURSOR' });
+  }
+
+  return datos;
+}
+
+/**
+ * Pagina una consulta por keyset (cursor) en lugar de offset: cada página se
+ * pide a partir de la última fila vista, por lo que el costo no crece con la
+ * página y las inserciones concurrentes no desplazan los resultados.
+ *
+ * El orden siempre desempata por id, así la posición de cada fila es única.
+ * El cursor es opaco para el cliente (base64url de JSON) y guarda el sort,
+ * la dirección y los valores (campo, id) de la fila de borde.
+ *
+ * @param {import('postgres').Sql} db Cliente o transacción de postgres
+ * @param {object} opciones
+ * @param {string} opciones.tabla Tabla a consultar (ej. 'public.roles')
+ * @param {*} opciones.columnas Fragmento con las columnas a devolver
+ * @param {Array} [opciones.condiciones] Fragmentos de filtro, se combinan con AND
+ * @param {Record<string, string>} opciones.campos Columnas por las que se permite
+ *   ordenar y su tipo SQL (ej. { nombre: 'text', fecha_creacion: 'timestamptz' })
+ * @param {string} opciones.sort Ordenamiento pedido ("campo" o "-campo")
+ * @param {string} [opciones.cursor] Cursor recibido del cliente
+ * @param {number} [opciones.limit] Tamaño de página
+ * @returns {Promise<{ data: object[], meta: object }>}
+ */
+export async function paginar(db, {
+  tabla,
+  columnas,
+  condiciones = [],
+  campos,
+  sort,
+  cursor,
+  limit = LIMITE_POR_DEFECTO
+}) {
+  const { campo, tipo, descendente } = parsearSort(sort, campos);
+  const tamano = Math.min(limit, LIMITE_MAXIMO);
+  // El id es integer salvo que campos indique otro tipo (ej. bigint)
+  const tipoId = campos.id ?? 'integer';
+  const posicion = cursor ? decodificarCursor(cursor, sort, [tipo, tipoId]) : null;
+  const haciaAtras = posicion?.d === 'anterior';
+
+  const filtros = condiciones.length > 0
+    ? condiciones.reduce((acc, condicion) => db`${acc} AND ${condicion}`)
+    : db`true`;
+
+  // Hacia atrás se recorre en el orden inverso y luego se da vuelta la página
+  const ascendente = descendente === haciaAtras;
+  const columna = db(campo);
+
+  // El valor viaja como texto y se convierte en SQL: si postgres.js lo
+  // serializara según el tipo de la columna pasaría por Date y perdería
+  // los microsegundos de un timestamptz
+  const valor = posicion && db`CAST(${String(posicion.v[0])}::text AS ${db.unsafe(tipo)})`;
+
+  const desde = posicion
+    ? ascendente
+      ? db`(${columna}, id) > (${valor}, ${posicion.v[1]})`
+      : db`(${columna}, id) < (${valor}, ${posicion.v[1]})`
+    : db`true`;
+
+  const direccion = ascendente ? db`ASC` : db`DESC`;
+
+  const [filas, [{ total }]] = await Promise.all([
+    db`
+      SELECT ${columnas}, ${columna}::text AS cursor_valor
+      FROM ${db(tabla)}
+      WHERE ${filtros} AND ${desde}
+      ORDER BY ${columna} ${direccion}, id ${direccion}
+      LIMIT ${tamano + 1}
+    `,
+    db`
+      SELECT count(*)::int AS total
+      FROM ${db(tabla)}
+      WHERE ${filtros}
+    `
+  ]);
+
+  const hayMas = filas.length > tamano;
+  const pagina = filas.slice(0, tamano);
+  if (haciaAtras) pagina.reverse();
+
+  const cursorDe = (fila, d) => fila && codificarCursor({ s: sort, d, v: [fila.cursor_valor, fila.id] });
+  const primera = pagina[0];
+  const ultima = pagina[pagina.length - 1];
+
+  // Si se llegó con un cursor, del otro lado hay al menos la fila de la que se partió
+  const haySiguiente = haciaAtras ? Boolean(posicion) : hayMas;
+  const hayAnterior = haciaAtras ? hayMas : Boolean(posicion);
+
+  return {
+    data: pagina.map(({ cursor_valor, ...fila }) => fila),
+    meta: {
+      total,
+      limit: tamano,
+      limite_maximo: LIMITE_MAXIMO,
+      sort,
+      cursor_siguiente: haySiguiente ? cursorDe(ultima, 'siguiente') ?? null : null,
+      cursor_anterior: hayAnterior ? cursorDe(primera, 'anterior') ?? null : null
+    }
+  };
+}
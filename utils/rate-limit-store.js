@@ -0,0 +1,60 @@
+/**
+ * Stores de contadores para el rate limiting (middlewares/rate-limit.middleware.js).
+ *
+ * Un store implementa:
+ *
+ *   incrementar(clave, ventana) -> Promise<{ total: number, reinicio: number }>
+ *     Suma una request a la clave en la ventana actual de `ventana`
+ *     milisegundos y devuelve las requests acumuladas en ella y el instante
+ *     (epoch en ms) en que la ventana termina.
+ *
+ *   reiniciar(clave) -> Promise<void>
+ *     Descarta el contador de la clave.
+ *
+ * MemoriaStore guarda los contadores en el proceso: con varias instancias
+ * detrás de un balanceador cada una cuenta por separado. Un store compartido
+ * (por ejemplo, una tabla de Postgres con INSERT ... ON CONFLICT DO UPDATE)
+ * solo necesita implementar los mismos dos métodos.
+ */
+export class MemoriaStore {
+  /**
+   * @param {object} [opciones]
+   * @param {number} [opciones.intervaloLimpieza=60000] Cada cuántos ms se
+   *   descartan las ventanas vencidas
+   */
+  constructor({ intervaloLimpieza = 60_000 } = {}) {
+    this.contadores = new Map();
+
+    // unref: la limpieza no mantiene vivo el proceso (apagado, pruebas)
+    this.limpieza = setInterval(() => this.limpiar(), intervaloLimpieza);
+    this.limpieza.unref();
+  }
+
+  async incrementar(clave, ventana) {
+    const ahora = Date.now();
+    let contador = this.contadores.get(clave);
+
+    if (!contador || contador.reinicio <= ahora) {
+      contador = { total: 0, reinicio: ahora + ventana };
+      this.contadores.set(clave, contador);
+    }
+
+    contador.total++;
+    return { total: contador.total, reinicio: contador.reinicio };
+  }
+
+  async reiniciar(clave) {
+    this.contadores.delete(clave);
+  }
+
+  /**
+   * Descarta los contadores cuya ventana ya terminó
+   */
+  limpiar() {
+    const ahora = Date.now();
+
+    for (const [clave, { reinicio }] of this.contadores) {
+      if (reinicio <= ahora) this.contadores.delete(clave);
+    }
+  }
+}
@@ -0,0 +1,119 @@
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { swaggerSpec } from '../config/swagger.js';
+import { Mensaje } from './i18n.js';
+
+/**
+ * Validación con Ajv contra los schemas publicados en Swagger (config/swagger.js).
+ * La usan el middleware validate y los servicios que validan datos fuera de
+ * una request (ej. importaciones).
+ */
+
+/**
+ * Los bodies se validan sin coerción: un JSON con "activo": "true" es un error.
+ * Params y query llegan siempre como strings, por lo que se convierten al
+ * tipo declarado en la documentación ("10" -> 10, "true" -> true, "5" -> [5]).
+ */
+export const ajvBody = new Ajv({ allErrors: true, strict: false, useDefaults: true, discriminator: true });
+export const ajvParams = new Ajv({ allErrors: true, strict: false, useDefaults: true, coerceTypes: 'array' });
+
+for (const ajv of [ajvBody, ajvParams]) {
+  addFormats(ajv);
+  ajv.addFormat('password', true);
+}
+
+/**
+ * Envuelve un schema con los components del spec para que los $ref
+ * '#/components/schemas/...' se resuelvan igual que en Swagger UI
+ */
+export function conComponents(schema) {
+  return { ...schema, components: swaggerSpec.components };
+}
+
+/**
+ * Traduce un error de Ajv a un mensaje del catálogo (utils/i18n.js)
+ */
+function mensajeDeError(error) {
+  const { keyword, params } = error;
+
+  switch (keyword) {
+    case 'required':
+      return new Mensaje('validacion.requerido');
+    case 'type':
+      return new Mensaje('validacion.tipo', { tipo: params.type });
+    case 'enum':
+      return new Mensaje('validacion.enum', { valores: params.allowedValues });
+    case 'format':
+      return new Mensaje('validacion.formato', { formato: params.format });
+    case 'pattern':
+      return new Mensaje('validacion.patron');
+    case 'minLength':
+      return new Mensaje('validacion.longitud_minima', { limite: params.limit });
+    case 'maxLength':
+      return new Mensaje('validacion.longitud_maxima', { limite: params.limit });
+    case 'minimum':
+      return new Mensaje('validacion.minimo', { limite: params.limit });
+    case 'maximum':
+      return new Mensaje('validacion.maximo', { limite: params.limit });
+    case 'minItems':
+      return new Mensaje('validacion.elementos_minimos', { limite: params.limit });
+    case 'maxItems':
+      return new Mensaje('validacion.elementos_maximos', { limite: params.limit });
+    case 'discriminator':
+      return new Mensaje('validacion.valor_no_admitido');
+    case 'minProperties':
+      return new Mensaje('validacion.sin_campos');
+    case 'additionalProperties':
+      return new Mensaje('validacion.campo_no_permitido');
+    default:
+      // El mensaje propio de Ajv está en inglés
+      return new Mensaje('validacion.valor_invalido');
+  }
+}
+
+/**
+ * Convierte los errores de Ajv en la lista de errores por campo de la
+ * respuesta. Los mensajes se traducen al responder (ver localizar()).
+ */
+export function erroresPorCampo(errores, ubicacion) {
+  return errores.map((error) => {
+    const segmentos = error.instancePath.split('/').filter(Boolean);
+
+    if (error.keyword === 'required') segmentos.push(error.params.missingProperty);
+    if (error.keyword === 'additionalProperties') segmentos.push(error.params.additionalProperty);
+    if (error.keyword === 'discriminator') segmentos.push(error.params.tag);
+
+    return {
+      ubicacion,
+      campo: segmentos.join('.') || null,
+      mensaje: mensajeDeError(error)
+    };
+  });
+}
+
+const validadoresDeSchema = new Map();
+
+/**
+ * Valida datos contra un schema de components del spec (ej. 'RolInput')
+ * fuera del middleware, por ejemplo cada fila de una importación.
+ *
+ * @param {string} nombre Nombre del schema en components.schemas
+ * @param {*} datos Se modifican: se aplican defaults y, con convertirTipos,
+ *   los strings se convierten al tipo declarado ("true" -> true)
+ * @param {object} [opciones]
+ * @param {boolean} [opciones.convertirTipos=false] Para datos que llegan como
+ *   texto (ej. celdas de un CSV)
+ * @param {string} [opciones.ubicacion='body']
+ * @returns {{ ubicacion: string, campo: string|null, mensaje: Mensaje }[]} Errores, vacío si es válido
+ */
+export function validarSchema(nombre, datos, { convertirTipos = false, ubicacion = 'body' } = {}) {
+  const clave = `${nombre}:${convertirTipos}`;
+
+  if (!validadoresDeSchema.has(clave)) {
+    const ajv = convertirTipos ? ajvParams : ajvBody;
+    validadoresDeSchema.set(clave, ajv.compile(conComponents({ $ref: `#/components/schemas/${nombre}` })));
+  }
+
+  const validar = validadoresDeSchema.get(clave);
+  return validar(datos) ? [] : erroresPorCampo(validar.errors, ubicacion);
+}
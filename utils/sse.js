@@ -0,0 +1,143 @@
+/**
+ * Respuestas Server-Sent Events
+ * (https://html.spec.whatwg.org/multipage/server-sent-events.html).
+ */
+
+// Datos sin enviar que se toleran antes de cortar a un cliente que no lee (bytes)
+const MAXIMO_SIN_ENVIAR = 1024 * 1024;
+
+/**
+ * Un mensaje en el formato de text/event-stream. Los datos se envían como
+ * JSON en una sola línea.
+ *
+ * @param {{ id?: string|number, evento?: string, datos: * }} mensaje
+ */
+export function formatearMensaje({ id, evento, datos }) {
+  const lineas = [];
+  if (id !== undefined) lineas.push(`id: ${id}`);
+  if (evento !== undefined) lineas.push(`event: ${evento}`);
+  lineas.push(`data: ${JSON.stringify(datos)}`);
+
+  return `${lineas.join('\n')}\n\n`;
+}
+
+/**
+ * Espera a que el socket acepte más datos si la respuesta superó su buffer
+ * (backpressure). También para respuestas que no son SSE, como la
+ * exportación de roles.
+ *
+ * @param {import('express').Response} res
+ * @returns {Promise<boolean>} false si la conexión se cerró
+ */
+export async function drenar(res) {
+  if (res.destroyed) return false;
+  if (!res.writableNeedDrain) return true;
+
+  return new Promise((resolve) => {
+    const alDrenar = () => {
+      res.off('close', alCerrar);
+      resolve(true);
+    };
+    const alCerrar = () => {
+      res.off('drain', alDrenar);
+      resolve(false);
+    };
+
+    res.once('drain', alDrenar);
+    res.once('close', alCerrar);
+  });
+}
+
+/**
+ * Stream de eventos sobre una respuesta de Express: envía los headers, un
+ * comentario cada `latido` ms para que los proxies no corten la conexión
+ * inactiva y avisa cuando el cliente se desconecta.
+ */
+export class FlujoSse {
+  /**
+   * @param {import('express').Response} res
+   * @param {object} opciones
+   * @param {number} opciones.latido Intervalo de los comentarios de latido (ms)
+   * @param {number} [opciones.reintento] Espera que el cliente debe hacer
+   *   antes de reconectarse (ms)
+   */
+  constructor(res, { latido, reintento }) {
+    this.res = res;
+    this.latido = latido;
+    this.reintento = reintento;
+    this.abierto = false;
+    this.cerrado = false;
+    this.intervalo = null;
+    this.alCerrarFns = [];
+
+    // Se escucha desde ya: el cliente puede irse antes de iniciar()
+    res.on('close', () => {
+      this.abierto = false;
+      this.cerrado = true;
+      clearInterval(this.intervalo);
+      this.alCerrarFns.forEach((fn) => fn());
+    });
+  }
+
+  iniciar() {
+    if (this.cerrado) return;
+
+    this.res.status(200).set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // nginx no debe acumular la respuesta antes de reenviarla
+      'X-Accel-Buffering': 'no'
+    });
+    this.res.flushHeaders();
+    this.abierto = true;
+
+    this.res.write(this.reintento === undefined ? ': conectado\n\n' : `retry: ${this.reintento}\n\n`);
+    this.intervalo = setInterval(() => this.escribir(': latido\n\n'), this.latido);
+  }
+
+  /**
+   * @param {() => void} fn Se llama cuando la conexión se cierra, por cualquier motivo
+   */
+  alCerrar(fn) {
+    if (this.cerrado) fn();
+    else this.alCerrarFns.push(fn);
+  }
+
+  /**
+   * Envía un mensaje sin esperar a que el cliente lo lea. Si el cliente
+   * acumula demasiados datos sin leer se corta la conexión: al reconectarse
+   * con Last-Event-ID recupera lo que le faltó.
+   *
+   * @param {{ id?: string|number, evento?: string, datos: * }} mensaje
+   */
+  enviar(mensaje) {
+    this.escribir(formatearMensaje(mensaje));
+  }
+
+  escribir(texto) {
+    if (!this.abierto) return;
+
+    this.res.write(texto);
+    if (this.res.writableLength > MAXIMO_SIN_ENVIAR) this.terminar();
+  }
+
+  /**
+   * Espera a que el cliente lea lo enviado (para mandar muchos mensajes
+   * seguidos sin acumularlos en memoria)
+   *
+   * @returns {Promise<boolean>} false si la conexión se cerró
+   */
+  async drenar() {
+    if (!this.abierto) return false;
+
+    return drenar(this.res);
+  }
+
+  terminar() {
+    if (!this.abierto) return;
+
+    this.abierto = false;
+    this.res.end();
+  }
+}
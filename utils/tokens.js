@@ -0,0 +1,53 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import config from '../config/config.js';
+
+const JWT_SECRET = config.jwt.secreto;
+
+// Duración del access token (formato de jsonwebtoken, ej. '15m', '1h')
+const JWT_EXPIRE = config.jwt.expiracion;
+
+// Días de validez del refresh token
+const JWT_REFRESH_EXPIRE_DAYS = config.jwt.diasRefresh;
+
+/**
+ * Firma un access token para el usuario. El claim org es su organización
+ * (ver middlewares/organizacion.middleware.js).
+ */
+export function firmarAccessToken(usuario) {
+  return jwt.sign(
+    { email: usuario.email, org: usuario.organizacion_id },
+    JWT_SECRET,
+    {
+      subject: String(usuario.id),
+      expiresIn: JWT_EXPIRE,
+      jwtid: crypto.randomUUID()
+    }
+  );
+}
+
+/**
+ * Verifica un access token y devuelve su payload.
+ * Lanza un error de jsonwebtoken si es inválido o expiró.
+ */
+export function verificarAccessToken(token) {
+  return jwt.verify(token, JWT_SECRET);
+}
+
+/**
+ * Genera un refresh token opaco junto con su hash y fecha de expiración.
+ * Solo el hash se persiste en la base de datos.
+ */
+export function generarRefreshToken() {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const expiraEn = new Date(Date.now() + JWT_REFRESH_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+
+  return { token, hash: hashToken(token), expiraEn };
+}
+
+/**
+ * Hash SHA-256 de un token para almacenarlo o buscarlo
+ */
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
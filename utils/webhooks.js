@@ -0,0 +1,119 @@
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import net from 'net';
+
+// Eventos de roles a los que se puede suscribir un webhook (ver RolesService)
+export const TIPOS_DE_EVENTO = [
+  'rol.creado',
+  'rol.actualizado',
+  'rol.desactivado',
+  'rol.restaurado',
+  'rol.eliminado',
+  'rol.permisos_actualizados'
+];
+
+// Antigüedad máxima (s) de una firma para aceptarla: limita la repetición de entregas capturadas
+export const TOLERANCIA_FIRMA = 300;
+
+// Destinos que no puede tener un webhook (salvo WEBHOOKS_ALLOW_PRIVATE_NETWORKS):
+// quien lo registra podría hacer que el servidor envíe requests a su propia red
+// (SSRF), por ejemplo a los metadatos de la nube en 169.254.169.254. Las reglas
+// IPv4 también cubren las direcciones IPv6 mapeadas (::ffff:127.0.0.1)
+const REDES_PRIVADAS = new net.BlockList();
+for (const [red, prefijo] of [
+  ['0.0.0.0', 8], // "esta red"
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // NAT de operador
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15], // pruebas de rendimiento
+  ['224.0.0.0', 3] // multicast, reservadas y broadcast
+]) {
+  REDES_PRIVADAS.addSubnet(red, prefijo, 'ipv4');
+}
+for (const [red, prefijo] of [
+  ['::', 128],
+  ['::1', 128], // loopback
+  ['fc00::', 7], // direcciones locales únicas
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+]) {
+  REDES_PRIVADAS.addSubnet(red, prefijo, 'ipv6');
+}
+
+/**
+ * Direcciones privadas, locales o reservadas a las que resuelve el host de
+ * la URL de un webhook. Se consulta al registrarlo y antes de cada envío,
+ * porque el DNS puede cambiar entre uno y otro. Un host que no resuelve no
+ * devuelve ninguna: el envío fallará por su cuenta.
+ *
+ * @param {string} url
+ * @returns {Promise<string[]>}
+ */
+export async function direccionesPrivadas(url) {
+  // URL deja las IPv6 entre corchetes ([::1])
+  const host = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+  let direcciones;
+
+  try {
+    direcciones = await dns.lookup(host, { all: true, verbatim: true });
+  } catch {
+    return [];
+  }
+
+  return direcciones
+    .filter(({ address, family }) => REDES_PRIVADAS.check(address, family === 6 ? 'ipv6' : 'ipv4'))
+    .map(({ address }) => address);
+}
+
+/**
+ * Secreto con el que se firman las entregas de un webhook
+ */
+export function generarSecretoWebhook() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Firma de una entrega (header X-Webhook-Firma): HMAC-SHA256 en hexadecimal
+ * de "<timestamp>.<cuerpo>" con el secreto del webhook. Incluir el timestamp
+ * impide reenviar un cuerpo viejo con una fecha nueva.
+ *
+ * @param {string} secreto
+ * @param {number} timestamp Segundos desde epoch (header X-Webhook-Timestamp)
+ * @param {string} cuerpo Cuerpo exacto de la request, sin volver a serializar
+ * @returns {string} 'sha256=<hex>'
+ */
+export function firmarWebhook(secreto, timestamp, cuerpo) {
+  const hmac = crypto.createHmac('sha256', secreto).update(`${timestamp}.${cuerpo}`).digest('hex');
+  return `sha256=${hmac}`;
+}
+
+/**
+ * Verificación del lado del receptor: la firma corresponde al cuerpo y el
+ * timestamp no tiene más de `tolerancia` segundos
+ *
+ * @param {string} secreto
+ * @param {object} entrega
+ * @param {string|number} entrega.timestamp
+ * @param {string} entrega.firma
+ * @param {string} entrega.cuerpo
+ * @param {object} [opciones]
+ * @param {number} [opciones.tolerancia=TOLERANCIA_FIRMA] En segundos
+ * @param {number} [opciones.ahora=Date.now()] En milisegundos
+ * @returns {boolean}
+ */
+export function verificarFirmaWebhook(secreto, { timestamp, firma, cuerpo }, {
+  tolerancia = TOLERANCIA_FIRMA,
+  ahora = Date.now()
+} = {}) {
+  if (!/^\d+$/.test(String(timestamp)) || typeof firma !== 'string') return false;
+  if (Math.abs(ahora / 1000 - Number(timestamp)) > tolerancia) return false;
+
+  const esperada = Buffer.from(firmarWebhook(secreto, timestamp, cuerpo));
+  const recibida = Buffer.from(firma);
+
+  return esperada.length === recibida.length && crypto.timingSafeEqual(esperada, recibida);
+}